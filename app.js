@@ -3,16 +3,50 @@ require('dotenv').config();
 const path = require('path');
 const express = require('express');
 const packageJson = require('./package.json');
+const { getBackendProxy } = require('./lib/backendProxy');
+const { PostMetaError, getPostMetaRenderer } = require('./lib/postMeta');
+const {
+  CSP_REPORT_PATH,
+  getSecurityHeaders,
+  sendHtml,
+  sendPage,
+} = require('./lib/securityHeaders');
 
 const app = express();
-
-// JSON body parser (AI 이미지 생성 API용 - 큰 Base64 이미지 처리)
-// 프로필 이미지 + 참조 이미지가 Base64로 전송되므로 넉넉하게 설정
-app.use(express.json({ limit: '20mb' }));
+app.disable('x-powered-by');
+
+// 보안 헤더 (CSP nonce, HSTS 등) - 모든 응답에 적용되도록 가장 먼저 등록
+// HTML 페이지는 sendPage/sendHtml로 보내야 인라인 스크립트에 nonce가 들어감
+app.use(getSecurityHeaders());
+app.use(CSP_REPORT_PATH, require('./routes/cspReport'));
+
+// 로컬 목업 백엔드 (MOCK_API=true, 백엔드 없이 실행/시연용)
+// 라우트별로 본문 크기 제한이 달라 JSON body parser보다 먼저 등록
+const useMockApi = process.env.MOCK_API === 'true';
+if (useMockApi) {
+  app.use('/api', require('./routes/mockApi'));
+}
+
+// 백엔드 API 리버스 프록시 (API_PROXY_TARGET 설정 시, /api/ai·/api/image-proxy 제외)
+// 요청 본문을 스트림으로 전달하므로 JSON body parser보다 먼저 등록
+// 목업 백엔드를 사용하면 프록시하지 않음
+const backendProxy = useMockApi ? null : getBackendProxy();
+if (backendProxy) {
+  app.use('/api', backendProxy);
+}
+
+// JSON body parser
+// AI 이미지 생성 API의 이미지는 multipart(바이너리)로 받으므로 JSON은 작게 제한
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '1mb' }));
 const PORT = process.env.PORT || 3000;
 const ROOT_DIR = __dirname;
 const isProduction = process.env.NODE_ENV === 'production';
 
+// ALB 뒤에서 실제 클라이언트 IP 식별 (AI 생성 쿼터 등)
+if (isProduction) {
+  app.set('trust proxy', 1);
+}
+
 const staticOptions = {
   fallthrough: true,
   setHeaders(res) {
@@ -38,8 +72,14 @@ app.get('/health', (req, res) => {
 // Client configuration endpoint (환경변수를 클라이언트에 전달)
 app.get('/config', (req, res) => {
   res.json({
-    API_BASE_URL: process.env.API_BASE_URL || '/api/',
-    IMAGE_UPLOAD_API: process.env.IMAGE_UPLOAD_API || '',
+    // 프록시/목업 백엔드 사용 시 브라우저는 같은 origin의 /api/만 호출
+    API_BASE_URL:
+      backendProxy || useMockApi
+        ? '/api/'
+        : process.env.API_BASE_URL || '/api/',
+    // 목업 백엔드는 이미지 업로드 API(Lambda)도 대신 처리
+    IMAGE_UPLOAD_API:
+      process.env.IMAGE_UPLOAD_API || (useMockApi ? '/api/images/upload' : ''),
     APP_VERSION: packageJson.version,
   });
 });
@@ -47,7 +87,7 @@ app.get('/config', (req, res) => {
 // Root / Landing Page
 app.get('/', (req, res) => {
   const indexPath = path.join(ROOT_DIR, 'public', 'index.html');
-  res.sendFile(indexPath, err => {
+  sendPage(res, indexPath, err => {
     if (err) {
       res.status(200).send(`
         <!DOCTYPE html>
@@ -66,69 +106,97 @@ app.get('/', (req, res) => {
 
 // Auth Routes
 app.get('/login', (req, res) => {
-  res.sendFile(path.join(ROOT_DIR, 'public', 'pages', 'login', 'login.html'));
+  sendPage(res, path.join(ROOT_DIR, 'public', 'pages', 'login', 'login.html'));
 });
 
 app.get('/signup', (req, res) => {
-  res.sendFile(path.join(ROOT_DIR, 'public', 'pages', 'signup', 'signup.html'));
+  sendPage(
+    res,
+    path.join(ROOT_DIR, 'public', 'pages', 'signup', 'signup.html')
+  );
 });
 
 // Onboarding
 app.get('/onboarding', (req, res) => {
-  res.sendFile(
+  sendPage(
+    res,
     path.join(ROOT_DIR, 'public', 'pages', 'onboarding', 'onboarding.html')
   );
 });
 
 // Feed / Home
 app.get('/feed', (req, res) => {
-  res.sendFile(path.join(ROOT_DIR, 'public', 'pages', 'home', 'home.html'));
+  sendPage(res, path.join(ROOT_DIR, 'public', 'pages', 'home', 'home.html'));
 });
 
 app.get('/home', (req, res) => {
-  res.sendFile(path.join(ROOT_DIR, 'public', 'pages', 'home', 'home.html'));
+  sendPage(res, path.join(ROOT_DIR, 'public', 'pages', 'home', 'home.html'));
 });
 
 // Post Routes
 app.get('/write', (req, res) => {
-  res.sendFile(
+  sendPage(
+    res,
     path.join(ROOT_DIR, 'public', 'pages', 'post', 'post-create.html')
   );
 });
 
-app.get('/post/:id', (req, res) => {
-  res.sendFile(
-    path.join(ROOT_DIR, 'public', 'pages', 'post', 'post-detail.html')
+// 공유 미리보기용 OG/Twitter 메타 태그를 넣어 응답 (실패 시 정적 파일)
+app.get('/post/:id', async (req, res) => {
+  const staticPath = path.join(
+    ROOT_DIR,
+    'public',
+    'pages',
+    'post',
+    'post-detail.html'
   );
+  if (!/^\d+$/.test(req.params.id)) {
+    return sendPage(res, staticPath);
+  }
+
+  try {
+    const html = await getPostMetaRenderer().render(req, req.params.id);
+    sendHtml(res, html);
+  } catch (error) {
+    // 없는 게시글은 클라이언트가 404 화면을 표시
+    if (!(error instanceof PostMetaError && error.status === 404)) {
+      console.warn('[Post Meta] 메타 태그 생성 실패:', error.message);
+    }
+    sendPage(res, staticPath);
+  }
 });
 
 // Profile Routes
 app.get('/profile', (req, res) => {
-  res.sendFile(
+  sendPage(
+    res,
     path.join(ROOT_DIR, 'public', 'pages', 'profile', 'profile.html')
   );
 });
 
 app.get('/profile/edit', (req, res) => {
-  res.sendFile(
+  sendPage(
+    res,
     path.join(ROOT_DIR, 'public', 'pages', 'profile', 'profile-edit.html')
   );
 });
 
 // Legal Routes
 app.get('/terms', (req, res) => {
-  res.sendFile(path.join(ROOT_DIR, 'public', 'pages', 'terms', 'terms.html'));
+  sendPage(res, path.join(ROOT_DIR, 'public', 'pages', 'terms', 'terms.html'));
 });
 
 app.get('/privacy', (req, res) => {
-  res.sendFile(
+  sendPage(
+    res,
     path.join(ROOT_DIR, 'public', 'pages', 'privacy', 'privacy.html')
   );
 });
 
 // Feedback Route
 app.get('/feedback', (req, res) => {
-  res.sendFile(
+  sendPage(
+    res,
     path.join(ROOT_DIR, 'public', 'pages', 'feedback', 'feedback.html')
   );
 });
@@ -146,7 +214,8 @@ app.get('/pages/post/post-edit*', (req, res) => {
     '404',
     '404.html'
   );
-  res.status(404).sendFile(notFoundPath, err => {
+  res.status(404);
+  sendPage(res, notFoundPath, err => {
     if (err) {
       res.status(404).send('Page Not Found');
     }
@@ -160,47 +229,28 @@ app.get('/pages/post/post-edit*', (req, res) => {
 const aiRouter = require('./routes/ai');
 app.use('/api/ai', aiRouter);
 
+// AI API 요청 본문 오류 (JSON 용량 초과/파싱 실패)도 JSON 에러로 응답
+app.use('/api/ai', (err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: '요청 크기가 너무 큽니다. 이미지는 multipart로 전송해주세요.',
+      code: 'PAYLOAD_TOO_LARGE',
+    });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res
+      .status(400)
+      .json({ error: '잘못된 JSON 요청입니다.', code: 'INVALID_JSON' });
+  }
+  next(err);
+});
+
 // ==========================================
 // 이미지 프록시 (CORS 우회용)
 // ==========================================
 
-app.get('/api/image-proxy', async (req, res) => {
-  const { url } = req.query;
-
-  if (!url) {
-    return res.status(400).json({ error: 'URL parameter is required' });
-  }
-
-  // S3 URL만 허용 (보안)
-  const allowedDomains = [
-    'ktb-community-images.s3.ap-northeast-2.amazonaws.com',
-    's3.ap-northeast-2.amazonaws.com',
-  ];
-
-  try {
-    const parsedUrl = new URL(url);
-    if (!allowedDomains.some(domain => parsedUrl.hostname.includes(domain))) {
-      return res.status(403).json({ error: 'Domain not allowed' });
-    }
-
-    const response = await fetch(url);
-    if (!response.ok) {
-      return res
-        .status(response.status)
-        .json({ error: 'Failed to fetch image' });
-    }
-
-    const contentType = response.headers.get('content-type') || 'image/jpeg';
-    const buffer = await response.arrayBuffer();
-
-    res.set('Content-Type', contentType);
-    res.set('Cache-Control', 'public, max-age=3600');
-    res.send(Buffer.from(buffer));
-  } catch (error) {
-    console.error('[Image Proxy] Error:', error.message);
-    res.status(500).json({ error: 'Failed to proxy image' });
-  }
-});
+// 허용 호스트(https)만, 크기/형식 검증 후 스트리밍 + 디스크 캐시 (routes/imageProxy)
+app.use('/api/image-proxy', require('./routes/imageProxy'));
 
 // ==========================================
 // Static Files
@@ -208,8 +258,23 @@ app.get('/api/image-proxy', async (req, res) => {
 
 app.use('/api', express.static(path.join(ROOT_DIR, 'api'), staticOptions));
 app.use('/utils', express.static(path.join(ROOT_DIR, 'utils'), staticOptions));
+
+// public의 HTML 파일도 인라인 스크립트 nonce를 넣어 응답 (레이아웃/컴포넌트 조각 포함)
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+app.get(/\.html$/, (req, res, next) => {
+  let filePath;
+  try {
+    filePath = path.join(PUBLIC_DIR, decodeURIComponent(req.path));
+  } catch {
+    return next();
+  }
+  if (!filePath.startsWith(PUBLIC_DIR + path.sep)) {
+    return next();
+  }
+  sendPage(res, filePath, () => next());
+});
 app.use(
-  express.static(path.join(ROOT_DIR, 'public'), {
+  express.static(PUBLIC_DIR, {
     ...staticOptions,
     index: false,
   })
@@ -227,7 +292,8 @@ app.use((req, res) => {
     '404',
     '404.html'
   );
-  res.status(404).sendFile(notFoundPath, err => {
+  res.status(404);
+  sendPage(res, notFoundPath, err => {
     if (err) {
       res.status(404).send('Page Not Found');
     }
@@ -253,7 +319,28 @@ app.listen(PORT, HOST, () => {
   console.log(`  /post/:id  -> Post detail`);
   console.log(`  /profile   -> Profile page`);
   console.log('');
+  if (useMockApi) {
+    console.log('Mock API:');
+    console.log(`  /api/*     -> 로컬 목업 백엔드 (routes/mockApi)`);
+    console.log('');
+  }
+  if (backendProxy) {
+    console.log('Backend API Proxy:');
+    console.log(`  /api/*     -> ${process.env.API_PROXY_TARGET}`);
+    console.log('');
+  }
   console.log('AI API:');
   console.log(`  POST /api/ai/generate-prompt -> AI 프롬프트 생성`);
   console.log(`  POST /api/ai/generate-image  -> AI 이미지 생성`);
+  console.log(`  POST /api/ai/generate-stream -> AI 이미지 생성 (스트리밍)`);
+  console.log(`  POST /api/ai/refine          -> AI 이미지 수정`);
+  console.log(`  POST /api/ai/suggest-title   -> AI 게시글 제목 추천`);
+  console.log(
+    `  POST /api/ai/assist/:action -> AI 글쓰기 도우미 (풀어 쓰기/교정/말투)`
+  );
+  console.log(`  POST /api/ai/jobs            -> AI 생성 작업 등록/조회/취소`);
+  console.log(`  GET  /api/ai/quota           -> AI 생성 횟수 조회`);
+  console.log(`  GET  /api/ai/prompt-templates -> 프롬프트 템플릿 목록`);
+  console.log(`  GET  /api/ai/history         -> AI 생성 기록 조회/저장`);
+  console.log(`  GET  /api/ai/usage           -> AI 사용량/비용 집계 (관리자)`);
 });
@@ -25,9 +25,13 @@ export default [
         Headers: 'readonly',
         fetch: 'readonly',
         AbortController: 'readonly',
+        AbortSignal: 'readonly',
         Blob: 'readonly',
+        atob: 'readonly',
         FileReader: 'readonly',
+        Image: 'readonly',
         ReadableStream: 'readonly',
+        TextDecoder: 'readonly',
         setTimeout: 'readonly',
         clearTimeout: 'readonly',
         history: 'readonly',
@@ -35,6 +39,7 @@ export default [
         lucide: 'readonly',
         DOMParser: 'readonly',
         IntersectionObserver: 'readonly',
+        Event: 'readonly',
       },
     },
     rules: {
@@ -44,7 +49,7 @@ export default [
     },
   },
   {
-    files: ['app.js', 'routes/**/*.js'],
+    files: ['app.js', 'routes/**/*.js', 'lib/**/*.js'],
     languageOptions: {
       sourceType: 'commonjs',
       ecmaVersion: 'latest',
@@ -54,6 +59,8 @@ export default [
         __dirname: 'readonly',
         process: 'readonly',
         Buffer: 'readonly',
+        setImmediate: 'readonly',
+        Request: 'readonly',
       },
     },
   },
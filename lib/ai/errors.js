@@ -0,0 +1,19 @@
+/**
+ * AI 프록시 에러
+ * 라우트 핸들러에서 status/code를 그대로 응답에 사용합니다.
+ * details는 응답 본문에 함께 포함됩니다. (예: 쿼터 초기화 시각)
+ */
+class AiProxyError extends Error {
+  constructor(
+    message,
+    { status = 500, code = 'INTERNAL_ERROR', details = null } = {}
+  ) {
+    super(message);
+    this.name = 'AiProxyError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = { AiProxyError };
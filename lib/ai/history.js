@@ -0,0 +1,290 @@
+/**
+ * AI 생성 기록 ("내 AI 생성 기록")
+ *
+ * 로그인 사용자(백엔드 사용자 ID, 'user:<userId>')별로 지난 생성 결과의 프롬프트
+ * (사용한 템플릿 버전 포함), 사용한 옵션, 시드/온도, 이미지 URL/썸네일을 보관합니다.
+ * 다시 로그인해도 같은 기록을 보며, 비로그인 요청은 라우터에서 401로 거부합니다.
+ * 백엔드에 기록 API가 생기기 전까지 사용하는 로컬 JSON 파일 저장소입니다.
+ * 파일 경로는 AI_HISTORY_FILE, 주체별 보관 개수는 AI_HISTORY_LIMIT으로 설정합니다.
+ * 기록마다 파일 전체를 다시 쓰므로, 항목은 허용된 필드만 형식/길이를 검증해 보관합니다.
+ *
+ * 저장소 인터페이스 (모두 async):
+ * - list(subject) -> Array<entry> (최신순)
+ * - add(subject, entry) -> entry
+ * - remove(subject, id) -> boolean
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { AiProxyError } = require('./errors');
+const { resolveImageOptions } = require('./imageOptions');
+const { resolveSelectedOptions } = require('./optionCatalog');
+const { parseStructuredPrompt } = require('./structuredPrompt');
+
+const DEFAULT_HISTORY_FILE = path.join(__dirname, '../../data/ai-history.json');
+const DEFAULT_HISTORY_LIMIT = 50;
+
+const MAX_PROMPT_LENGTH = 4000;
+const MAX_INSTRUCTION_LENGTH = 200;
+// 구조화 프롬프트 JSON 최대 길이 (필드별 설명 포함)
+const MAX_STRUCTURED_PROMPT_LENGTH = 8000;
+// 썸네일 data URL 최대 길이 (약 60KB, 240px JPEG 기준 충분)
+const MAX_THUMBNAIL_LENGTH = 80000;
+
+/**
+ * JSON 파일 기록 저장소
+ * 파일 전체를 메모리에 올려두고, 쓰기는 순서대로 임시 파일 → rename으로 저장합니다.
+ * @param {Object} config
+ * @param {string} config.filePath - 저장 파일 경로
+ * @param {number} config.limit - 주체별 최대 보관 개수 (초과 시 오래된 기록부터 삭제)
+ */
+function createJsonFileHistoryStore({ filePath, limit }) {
+  let data = null;
+  let writeChain = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(
+          '[AI 기록] 기록 파일을 읽지 못해 새로 시작합니다:',
+          error
+        );
+      }
+      data = {};
+    }
+    return data;
+  }
+
+  function persist() {
+    const snapshot = JSON.stringify(data);
+    writeChain = writeChain
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, snapshot);
+        await fs.rename(tempPath, filePath);
+      });
+    return writeChain;
+  }
+
+  return {
+    async list(subject) {
+      const all = await load();
+      return [...(all[subject] || [])];
+    },
+
+    async add(subject, entry) {
+      const all = await load();
+      all[subject] = [entry, ...(all[subject] || [])].slice(0, limit);
+      await persist();
+      return entry;
+    },
+
+    async remove(subject, id) {
+      const all = await load();
+      const entries = all[subject] || [];
+      const next = entries.filter(entry => entry.id !== id);
+      if (next.length === entries.length) return false;
+
+      all[subject] = next;
+      await persist();
+      return true;
+    },
+  };
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 허용된 검증 함수를 통과하면 정규화한 값, 실패하면 undefined
+ */
+function tryResolve(resolve, value) {
+  try {
+    return resolve(value);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * 구조화 프롬프트를 스키마에 맞는 필드만 남겨 정규화 (형식/길이가 맞지 않으면 null)
+ */
+function normalizeStructuredPrompt(value) {
+  if (!isPlainObject(value)) return null;
+
+  const { value: normalized } = parseStructuredPrompt(JSON.stringify(value));
+  if (
+    !normalized ||
+    JSON.stringify(normalized).length > MAX_STRUCTURED_PROMPT_LENGTH
+  ) {
+    return null;
+  }
+  return normalized;
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 요청 본문을 저장할 기록 항목으로 변환 (허용된 필드만 보관)
+ * @param {Object} body - 요청 본문
+ * @returns {Object} 기록 항목 (id, createdAt 포함)
+ * @throws {AiProxyError} 400 INVALID_HISTORY_ENTRY
+ */
+function toHistoryEntry(body = {}) {
+  const {
+    prompt,
+    structuredPrompt = null,
+    promptTemplate = null,
+    sampling = null,
+    selectedOptions = null,
+    imageOptions = null,
+    imageId = null,
+    imageUrl = null,
+    thumbnail = null,
+    instruction = null,
+  } = body;
+
+  const invalid = [];
+  const normalizedStructuredPrompt =
+    structuredPrompt === null
+      ? null
+      : normalizeStructuredPrompt(structuredPrompt);
+  const resolvedImageOptions =
+    imageOptions === null
+      ? null
+      : isPlainObject(imageOptions) &&
+        tryResolve(resolveImageOptions, imageOptions);
+
+  if (
+    typeof prompt !== 'string' ||
+    !prompt.trim() ||
+    prompt.length > MAX_PROMPT_LENGTH
+  ) {
+    invalid.push('prompt');
+  }
+  if (structuredPrompt !== null && !normalizedStructuredPrompt) {
+    invalid.push('structuredPrompt');
+  }
+  if (
+    promptTemplate !== null &&
+    (!isPlainObject(promptTemplate) ||
+      typeof promptTemplate.name !== 'string' ||
+      !Number.isInteger(promptTemplate.version))
+  ) {
+    invalid.push('promptTemplate');
+  }
+  if (
+    sampling !== null &&
+    (!isPlainObject(sampling) ||
+      !Number.isInteger(sampling.seed) ||
+      (sampling.temperature != null &&
+        typeof sampling.temperature !== 'number') ||
+      (sampling.variant != null && !Number.isInteger(sampling.variant)))
+  ) {
+    invalid.push('sampling');
+  }
+  // 옵션 카탈로그에 있는 항목 이름(또는 'auto')만 허용
+  if (
+    selectedOptions !== null &&
+    (!isPlainObject(selectedOptions) ||
+      !Object.values(selectedOptions).every(name => typeof name === 'string') ||
+      !tryResolve(resolveSelectedOptions, selectedOptions))
+  ) {
+    invalid.push('selectedOptions');
+  }
+  if (imageOptions !== null && !resolvedImageOptions) {
+    invalid.push('imageOptions');
+  }
+  // 백엔드 이미지 메타데이터 ID
+  if (imageId !== null && (!Number.isSafeInteger(imageId) || imageId <= 0)) {
+    invalid.push('imageId');
+  }
+  if (imageUrl !== null && !isHttpUrl(imageUrl)) {
+    invalid.push('imageUrl');
+  }
+  if (
+    thumbnail !== null &&
+    (typeof thumbnail !== 'string' ||
+      !thumbnail.startsWith('data:image/') ||
+      thumbnail.length > MAX_THUMBNAIL_LENGTH)
+  ) {
+    invalid.push('thumbnail');
+  }
+  if (
+    instruction !== null &&
+    (typeof instruction !== 'string' ||
+      instruction.length > MAX_INSTRUCTION_LENGTH)
+  ) {
+    invalid.push('instruction');
+  }
+  if (!imageUrl && !thumbnail) {
+    invalid.push('imageUrl');
+  }
+
+  if (invalid.length > 0) {
+    throw new AiProxyError('저장할 수 없는 AI 생성 기록입니다.', {
+      status: 400,
+      code: 'INVALID_HISTORY_ENTRY',
+      details: { invalid: [...new Set(invalid)] },
+    });
+  }
+
+  return {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    prompt: prompt.trim(),
+    structuredPrompt: normalizedStructuredPrompt,
+    promptTemplate: promptTemplate && {
+      name: promptTemplate.name,
+      version: promptTemplate.version,
+    },
+    sampling: sampling && {
+      seed: sampling.seed,
+      temperature: sampling.temperature ?? null,
+      variant: sampling.variant ?? 0,
+    },
+    selectedOptions,
+    imageOptions: resolvedImageOptions,
+    imageId,
+    imageUrl,
+    thumbnail,
+    instruction,
+  };
+}
+
+let cachedStore = null;
+
+/**
+ * 환경변수 기반 기록 저장소 반환 (최초 호출 시 생성 후 캐싱)
+ */
+function getHistoryStore() {
+  if (cachedStore) {
+    return cachedStore;
+  }
+
+  cachedStore = createJsonFileHistoryStore({
+    filePath: process.env.AI_HISTORY_FILE || DEFAULT_HISTORY_FILE,
+    limit: Number(process.env.AI_HISTORY_LIMIT) || DEFAULT_HISTORY_LIMIT,
+  });
+  return cachedStore;
+}
+
+module.exports = {
+  createJsonFileHistoryStore,
+  toHistoryEntry,
+  getHistoryStore,
+};
@@ -0,0 +1,89 @@
+/**
+ * AI 이미지 출력 옵션 (화면 비율 / 해상도)
+ *
+ * 허용 목록에 있는 값만 프로바이더에 전달합니다.
+ * 게시글 상세 캐러셀에서 잘 보이도록 세로형 비율(4:5, 3:4)을 지원합니다.
+ */
+
+const { AiProxyError } = require('./errors');
+
+// 화면 비율 → [가로, 세로]
+const ASPECT_RATIOS = {
+  '1:1': [1, 1],
+  '4:5': [4, 5],
+  '3:4': [3, 4],
+  '4:3': [4, 3],
+};
+
+// 해상도 → 긴 변 픽셀 수
+const IMAGE_SIZES = {
+  '1K': 1024,
+  '2K': 2048,
+};
+
+const DEFAULT_IMAGE_OPTIONS = { aspectRatio: '1:1', imageSize: '1K' };
+
+/**
+ * 요청 본문의 이미지 옵션 검증 (미전달 시 기본값)
+ * @param {{aspectRatio?: string, imageSize?: string}} params
+ * @param {string[]} [imageSizes] - 프로바이더 모델이 지원하는 해상도 (기본은 허용 목록 전체)
+ * @returns {{aspectRatio: string, imageSize: string}}
+ * @throws {AiProxyError} 허용되지 않은 값 (400 INVALID_IMAGE_OPTIONS)
+ */
+function resolveImageOptions(
+  { aspectRatio, imageSize } = {},
+  imageSizes = Object.keys(IMAGE_SIZES)
+) {
+  const resolved = {
+    aspectRatio: aspectRatio ?? DEFAULT_IMAGE_OPTIONS.aspectRatio,
+    imageSize: imageSize ?? DEFAULT_IMAGE_OPTIONS.imageSize,
+  };
+
+  const invalid = [];
+  if (!Object.hasOwn(ASPECT_RATIOS, resolved.aspectRatio)) {
+    invalid.push('aspectRatio');
+  }
+  if (
+    !Object.hasOwn(IMAGE_SIZES, resolved.imageSize) ||
+    !imageSizes.includes(resolved.imageSize)
+  ) {
+    invalid.push('imageSize');
+  }
+
+  if (invalid.length > 0) {
+    throw new AiProxyError('지원하지 않는 이미지 비율 또는 크기입니다.', {
+      status: 400,
+      code: 'INVALID_IMAGE_OPTIONS',
+      details: {
+        invalid,
+        allowed: {
+          aspectRatio: Object.keys(ASPECT_RATIOS),
+          imageSize: imageSizes,
+        },
+      },
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * 옵션에 해당하는 출력 픽셀 크기 (긴 변 기준)
+ * @param {{aspectRatio: string, imageSize: string}} options
+ * @returns {{width: number, height: number}}
+ */
+function getImageDimensions({ aspectRatio, imageSize }) {
+  const [w, h] = ASPECT_RATIOS[aspectRatio];
+  const longSide = IMAGE_SIZES[imageSize];
+  const scale = longSide / Math.max(w, h);
+
+  return { width: Math.round(w * scale), height: Math.round(h * scale) };
+}
+
+module.exports = {
+  ASPECT_RATIOS,
+  IMAGE_SIZES,
+  DEFAULT_IMAGE_OPTIONS,
+  resolveImageOptions,
+  getImageDimensions,
+};
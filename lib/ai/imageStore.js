@@ -0,0 +1,86 @@
+/**
+ * 생성 이미지 임시 저장소 (짧은 수명의 이미지 URL용)
+ *
+ * 생성 결과를 JSON 안의 Base64 대신 GET /api/ai/images/:id 바이너리로 내려주기 위해
+ * 메모리에 잠시 보관합니다. 요청 주체(사용자/IP)만 조회할 수 있습니다.
+ * POST /api/ai/refine도 이 저장소의 ID로만 수정할 이미지를 받습니다.
+ * 보관 시간은 AI_IMAGE_URL_TTL_MS, 최대 개수는 AI_IMAGE_STORE_LIMIT으로 설정합니다.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 200;
+
+/**
+ * 메모리 이미지 저장소
+ * 개수가 넘치면 가장 오래된 이미지부터 삭제합니다.
+ * @param {Object} config
+ * @param {number} config.ttlMs - 보관 시간
+ * @param {number} config.maxEntries - 최대 보관 개수
+ */
+function createGeneratedImageStore({ ttlMs, maxEntries }) {
+  const entries = new Map();
+
+  function pruneExpired(now = Date.now()) {
+    for (const [id, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(id);
+    }
+  }
+
+  return {
+    ttlMs,
+
+    /**
+     * 이미지 보관
+     * @param {string} subject - 요청 주체 키
+     * @param {{data: string, mimeType: string}} image - Base64 이미지
+     * @returns {{id: string, expiresAt: number}}
+     */
+    put(subject, image) {
+      pruneExpired();
+      while (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+
+      const id = crypto.randomUUID();
+      const expiresAt = Date.now() + ttlMs;
+      entries.set(id, {
+        subject,
+        buffer: Buffer.from(image.data, 'base64'),
+        mimeType: image.mimeType,
+        expiresAt,
+      });
+      return { id, expiresAt };
+    },
+
+    /**
+     * 이미지 조회 (만료되었거나 다른 주체의 이미지면 null)
+     * @returns {{buffer: Buffer, mimeType: string, expiresAt: number}|null}
+     */
+    get(subject, id) {
+      pruneExpired();
+      const entry = entries.get(id);
+      return entry && entry.subject === subject ? entry : null;
+    },
+  };
+}
+
+let cachedStore = null;
+
+/**
+ * 환경변수 기반 이미지 저장소 반환 (최초 호출 시 생성 후 캐싱)
+ */
+function getGeneratedImageStore() {
+  if (cachedStore) {
+    return cachedStore;
+  }
+
+  cachedStore = createGeneratedImageStore({
+    ttlMs: Number(process.env.AI_IMAGE_URL_TTL_MS) || DEFAULT_TTL_MS,
+    maxEntries: Number(process.env.AI_IMAGE_STORE_LIMIT) || DEFAULT_MAX_ENTRIES,
+  });
+  return cachedStore;
+}
+
+module.exports = { createGeneratedImageStore, getGeneratedImageStore };
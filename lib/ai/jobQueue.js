@@ -0,0 +1,216 @@
+/**
+ * AI 작업 큐
+ *
+ * 업스트림 AI 호출을 프로세스 내 큐에서 실행하여 동시 실행 수를 제한합니다.
+ * - 동시 실행 작업 수: AI_MAX_CONCURRENT_JOBS (기본 2)
+ * - 대기 가능한 작업 수: AI_MAX_QUEUED_JOBS (기본 20, 초과 시 503 QUEUE_FULL)
+ * - 요청 주체(사용자/IP)당 진행 중인 작업은 1개 (중복 시 409 JOB_IN_PROGRESS)
+ *
+ * 작업 실행 함수는 ({ signal, progress, emit })를 받습니다.
+ * - signal: 취소 시 abort (업스트림 fetch에 그대로 전달)
+ * - progress: 상태 조회(폴링) 응답에 포함될 진행 상태 객체 (직접 수정)
+ * - emit(event): 구독자(스트리밍 응답 등)에게 이벤트 전달
+ *
+ * 끝난 작업은 결과 조회를 위해 JOB_RETENTION_MS 동안 보관합니다.
+ */
+
+const crypto = require('crypto');
+const { AiProxyError } = require('./errors');
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_QUEUED = 20;
+const JOB_RETENTION_MS = 10 * 60 * 1000;
+
+const FINISHED_STATUSES = new Set(['succeeded', 'failed', 'canceled']);
+
+/**
+ * 작업 큐 생성
+ * @param {Object} config
+ * @param {number} config.concurrency - 동시 실행 작업 수
+ * @param {number} config.maxQueued - 최대 대기 작업 수
+ * @param {number} [config.retentionMs] - 끝난 작업 보관 시간
+ */
+function createJobQueue({
+  concurrency,
+  maxQueued,
+  retentionMs = JOB_RETENTION_MS,
+}) {
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+
+  function isFinished(job) {
+    return FINISHED_STATUSES.has(job.status);
+  }
+
+  function pruneFinished(now = Date.now()) {
+    for (const [id, job] of jobs) {
+      if (isFinished(job) && now - job.finishedAt > retentionMs) {
+        jobs.delete(id);
+      }
+    }
+  }
+
+  function findActiveJob(subject) {
+    for (const job of jobs.values()) {
+      if (job.subject === subject && !isFinished(job)) return job;
+    }
+    return null;
+  }
+
+  function finish(job, status, { result = null, error = null } = {}) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = Date.now();
+    job.listeners.clear();
+    job.resolveDone(job);
+  }
+
+  async function start(job) {
+    running++;
+    job.status = 'running';
+    job.startedAt = Date.now();
+
+    const { signal } = job.controller;
+    try {
+      const result = await job.run({
+        signal,
+        progress: job.progress,
+        emit: event => job.listeners.forEach(listener => listener(event)),
+      });
+      finish(job, 'succeeded', { result });
+    } catch (error) {
+      finish(job, signal.aborted ? 'canceled' : 'failed', { error });
+    } finally {
+      running--;
+      drain();
+    }
+  }
+
+  function drain() {
+    while (running < concurrency && waiting.length > 0) {
+      start(waiting.shift());
+    }
+  }
+
+  return {
+    /**
+     * 작업 등록
+     * 호출자가 구독할 수 있도록 실행은 다음 틱에 시작합니다.
+     * @param {string} subject - 요청 주체 키
+     * @param {string} type - 작업 종류 (generate, image, refine)
+     * @param {Function} run - 작업 실행 함수
+     * @returns {Object} 작업 (job.done: 끝나면 resolve되는 Promise)
+     * @throws {AiProxyError} 409 JOB_IN_PROGRESS, 503 QUEUE_FULL
+     */
+    submit(subject, type, run) {
+      pruneFinished();
+
+      const active = findActiveJob(subject);
+      if (active) {
+        throw new AiProxyError('이미 진행 중인 AI 작업이 있어요.', {
+          status: 409,
+          code: 'JOB_IN_PROGRESS',
+          details: { jobId: active.id },
+        });
+      }
+
+      if (waiting.length >= maxQueued) {
+        throw new AiProxyError(
+          '지금은 요청이 많아요. 잠시 후 다시 시도해주세요.',
+          { status: 503, code: 'QUEUE_FULL' }
+        );
+      }
+
+      let resolveDone;
+      const job = {
+        id: crypto.randomUUID(),
+        subject,
+        type,
+        status: 'queued',
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        progress: {},
+        result: null,
+        error: null,
+        run,
+        controller: new AbortController(),
+        listeners: new Set(),
+        done: new Promise(resolve => {
+          resolveDone = resolve;
+        }),
+        resolveDone: finishedJob => resolveDone(finishedJob),
+      };
+
+      jobs.set(job.id, job);
+      waiting.push(job);
+      setImmediate(drain);
+      return job;
+    },
+
+    /**
+     * 작업 조회 (보관 기간이 지났거나 없으면 null)
+     * @param {string} id - 작업 ID
+     */
+    get(id) {
+      pruneFinished();
+      return jobs.get(id) ?? null;
+    },
+
+    /**
+     * 작업 이벤트 구독
+     * @returns {Function} 구독 해제 함수
+     */
+    subscribe(job, listener) {
+      job.listeners.add(listener);
+      return () => job.listeners.delete(listener);
+    },
+
+    /**
+     * 대기 순번 (1부터, 대기 중이 아니면 0)
+     */
+    positionOf(job) {
+      return waiting.indexOf(job) + 1;
+    },
+
+    /**
+     * 작업 취소 (대기 중이면 바로 취소, 실행 중이면 업스트림 요청 중단)
+     * @returns {boolean} 취소 요청 여부 (이미 끝난 작업이면 false)
+     */
+    cancel(job) {
+      if (isFinished(job)) return false;
+
+      job.controller.abort();
+      const index = waiting.indexOf(job);
+      if (index !== -1) {
+        waiting.splice(index, 1);
+        finish(job, 'canceled');
+      }
+      return true;
+    },
+
+    isFinished,
+  };
+}
+
+let cachedQueue = null;
+
+/**
+ * 환경변수 기반 작업 큐 반환 (최초 호출 시 생성 후 캐싱)
+ */
+function getJobQueue() {
+  if (cachedQueue) {
+    return cachedQueue;
+  }
+
+  cachedQueue = createJobQueue({
+    concurrency:
+      Number(process.env.AI_MAX_CONCURRENT_JOBS) || DEFAULT_CONCURRENCY,
+    maxQueued: Number(process.env.AI_MAX_QUEUED_JOBS) || DEFAULT_MAX_QUEUED,
+  });
+  return cachedQueue;
+}
+
+module.exports = { createJobQueue, getJobQueue };
@@ -0,0 +1,156 @@
+/**
+ * Gemini 기반 콘텐츠 분류기
+ *
+ * 텍스트와 이미지 프롬프트는 키워드 분류기로 먼저 검사하고,
+ * 생성된 이미지는 Gemini에 이미지 자체를 보내 규칙 카테고리 중 하나로 분류합니다.
+ * (Gemini 안전 필터가 입력을 차단해도 부적절한 이미지로 봄)
+ * 분류 호출이 실패하면 imageChecked: false로 알려 호출부가 정책을 정하게 합니다.
+ * 분류 호출도 사용량 기록에 남기며(operation: 'moderation'), 작업이 취소되면 함께 중단합니다.
+ * GEMINI_API_KEY 환경변수가 필요합니다.
+ */
+
+const { toUsage } = require('../providers/gemini');
+const { fetchUpstream } = require('../upstream');
+const { trackUsage } = require('../usage');
+
+const GEMINI_ENDPOINT =
+  'https://generativelanguage.googleapis.com/v1beta/models';
+const CLASSIFIER_MODEL = 'gemini-2.5-flash';
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// 안전 필터로 차단되어 카테고리를 알 수 없을 때
+const UNSAFE = { category: 'unsafe', label: '부적절한 내용' };
+
+/**
+ * 이미지 분류 지시문
+ * @param {Array<{category: string, label: string}>} categories
+ */
+function buildClassifierPrompt(categories) {
+  const lines = categories.map(
+    ({ category, label }) => `- ${category}: ${label}`
+  );
+  return [
+    'You are a content moderator for a public community site.',
+    'Classify the attached image into exactly one category.',
+    'Answer "none" unless the image clearly depicts one of these:',
+    ...lines,
+  ].join('\n');
+}
+
+/**
+ * Gemini 분류기 생성
+ * @param {Object} config
+ * @param {string} config.apiKey - Gemini API 키
+ * @param {Object} config.keywordModerator - 텍스트/프롬프트 검사에 쓸 키워드 분류기
+ * @param {number} [config.timeoutMs] - 분류 호출 타임아웃
+ * @returns {Object} 콘텐츠 분류기
+ */
+function createGeminiModerator({
+  apiKey,
+  keywordModerator,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+}) {
+  const { categories } = keywordModerator;
+  const labels = new Map(
+    categories.map(({ category, label }) => [category, label])
+  );
+  const classifierPrompt = buildClassifierPrompt(categories);
+
+  /**
+   * 이미지 분류 요청
+   * @param {{data: string, mimeType: string}} image - 분류할 이미지
+   * @param {AbortSignal} [signal] - 작업 취소 시그널
+   * @returns {Promise<{flagged: boolean, category?: string, label?: string, usage: Object|null}>}
+   */
+  async function classifyImage(image, signal) {
+    const response = await fetchUpstream(
+      `${GEMINI_ENDPOINT}/${CLASSIFIER_MODEL}:generateContent?key=${apiKey}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          contents: [
+            {
+              parts: [
+                { inlineData: { data: image.data, mimeType: image.mimeType } },
+                { text: classifierPrompt },
+              ],
+            },
+          ],
+          generationConfig: {
+            temperature: 0,
+            responseMimeType: 'application/json',
+            responseSchema: {
+              type: 'OBJECT',
+              properties: {
+                category: { type: 'STRING', enum: [...labels.keys(), 'none'] },
+              },
+              required: ['category'],
+            },
+          },
+        }),
+      },
+      { label: '이미지 검수', timeoutMs, signal }
+    );
+
+    if (!response.ok) {
+      throw new Error(`이미지 검수 요청 실패 (${response.status})`);
+    }
+
+    const data = await response.json();
+    const usage = toUsage(data.usageMetadata);
+    const candidate = data.candidates?.[0];
+    if (
+      data.promptFeedback?.blockReason ||
+      candidate?.finishReason === 'SAFETY'
+    ) {
+      return { flagged: true, ...UNSAFE, usage };
+    }
+
+    const { category } = JSON.parse(candidate?.content?.parts?.[0]?.text);
+    if (!labels.has(category)) {
+      return { flagged: false, usage };
+    }
+    return { flagged: true, category, label: labels.get(category), usage };
+  }
+
+  return {
+    name: 'gemini',
+
+    async checkText(text) {
+      return keywordModerator.checkText(text);
+    },
+
+    async checkImage({ image, prompt, signal, usage }) {
+      const promptResult = await keywordModerator.checkImage({ prompt });
+      if (promptResult.flagged) {
+        return promptResult;
+      }
+
+      const classify = () => classifyImage(image, signal);
+      try {
+        const result = usage
+          ? await trackUsage(
+              usage,
+              {
+                operation: 'moderation',
+                provider: 'gemini',
+                model: CLASSIFIER_MODEL,
+              },
+              classify
+            )
+          : await classify();
+        // 토큰 사용량은 기록에만 사용
+        delete result.usage;
+        return { ...result, imageChecked: true };
+      } catch (error) {
+        // 취소된 작업은 검사 실패로 넘기지 않고 그대로 중단
+        if (signal?.aborted) throw error;
+        console.error('[AI 검수] 이미지 분류 실패:', error.message);
+        return { flagged: false, imageChecked: false };
+      }
+    },
+  };
+}
+
+module.exports = { createGeminiModerator };
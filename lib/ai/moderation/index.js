@@ -0,0 +1,157 @@
+/**
+ * AI 콘텐츠 검수 (모더레이션)
+ *
+ * 일기 본문/수정 지시문은 프롬프트 생성 전에, 생성된 이미지는 업로드 전에,
+ * 글쓰기 도우미가 생성한 텍스트는 응답 전에 검사합니다.
+ * AI_MODERATION 환경변수로 분류기를 선택합니다. (기본값: keyword, off: 검사 안 함)
+ * keyword 분류기는 이미지를 프롬프트로만 판단하므로, 이미지 자체를 검사하려면 gemini를 사용합니다.
+ * AI_MODERATION_REQUIRE_IMAGE_CHECK=true면 이미지 자체를 검사하지 못한 결과는 사용하지 않습니다.
+ * 새 분류기(외부 모더레이션 API 등)는 MODERATOR_FACTORIES에 등록합니다.
+ *
+ * 분류기 인터페이스 (모두 async):
+ * - name: string
+ * - checkText(text) -> { flagged: boolean, category?: string, label?: string }
+ * - checkImage({ image, prompt, signal, usage }) -> { flagged: boolean, category?: string, label?: string, imageChecked?: boolean }
+ *     (imageChecked: false - 이미지 자체는 검사하지 못했고 프롬프트만 검사함,
+ *      signal: 작업 취소 시그널, usage: 외부 호출을 기록할 사용량 context - lib/ai/usage trackUsage)
+ */
+
+const { AiProxyError } = require('../errors');
+const { createGeminiModerator } = require('./gemini');
+const { createKeywordModerator } = require('./keyword');
+
+const DEFAULT_MODERATOR = 'keyword';
+
+const REQUIRE_IMAGE_CHECK =
+  process.env.AI_MODERATION_REQUIRE_IMAGE_CHECK === 'true';
+
+function createRuleModerator() {
+  return createKeywordModerator({
+    rulesFile: process.env.AI_MODERATION_RULES || undefined,
+  });
+}
+
+const MODERATOR_FACTORIES = {
+  keyword: createRuleModerator,
+  gemini: () =>
+    createGeminiModerator({
+      apiKey: process.env.GEMINI_API_KEY,
+      keywordModerator: createRuleModerator(),
+      timeoutMs: Number(process.env.AI_MODERATION_TIMEOUT_MS) || undefined,
+    }),
+  off: () => ({
+    name: 'off',
+    async checkText() {
+      return { flagged: false };
+    },
+    async checkImage() {
+      return { flagged: false };
+    },
+  }),
+};
+
+let cachedModerator = null;
+
+/**
+ * 설정된 콘텐츠 분류기 반환 (최초 호출 시 생성 후 캐싱)
+ * @returns {Object} 콘텐츠 분류기
+ */
+function getModerator() {
+  if (cachedModerator) {
+    return cachedModerator;
+  }
+
+  const name = (process.env.AI_MODERATION || DEFAULT_MODERATOR).toLowerCase();
+  const factory = MODERATOR_FACTORIES[name];
+
+  if (!factory) {
+    throw new Error(
+      `알 수 없는 AI_MODERATION: ${name} (지원: ${Object.keys(MODERATOR_FACTORIES).join(', ')})`
+    );
+  }
+
+  cachedModerator = factory();
+  return cachedModerator;
+}
+
+/**
+ * 차단 결과를 CONTENT_BLOCKED 에러로 변환
+ * @param {{category: string, label: string}} result - 분류 결과
+ * @param {'input'|'output'} stage - 검사 단계 (입력 텍스트 / 생성 결과)
+ */
+function toBlockedError({ category, label }, stage) {
+  const message =
+    stage === 'input'
+      ? `${label}이 포함되어 있어 이미지를 만들 수 없어요.`
+      : `생성된 이미지에 ${label}이 포함되어 있어 사용할 수 없어요.`;
+
+  return new AiProxyError(message, {
+    status: 422,
+    code: 'CONTENT_BLOCKED',
+    details: { category, stage },
+  });
+}
+
+/**
+ * 입력 텍스트 검사 (일기 본문, 수정 지시문)
+ * @param {string} text - 검사할 텍스트
+ * @throws {AiProxyError} 422 CONTENT_BLOCKED
+ */
+async function moderateText(text) {
+  const result = await getModerator().checkText(text);
+  if (result.flagged) {
+    console.warn('[AI 검수] 입력 차단:', result.category);
+    throw toBlockedError(result, 'input');
+  }
+}
+
+/**
+ * 생성 텍스트 검사 (글쓰기 도우미 결과)
+ * @param {string} text - 모델이 생성한 텍스트
+ * @throws {AiProxyError} 422 CONTENT_BLOCKED
+ */
+async function moderateGeneratedText(text) {
+  const result = await getModerator().checkText(text);
+  if (result.flagged) {
+    console.warn('[AI 검수] 생성 텍스트 차단:', result.category);
+    throw toBlockedError(result, 'output');
+  }
+}
+
+/**
+ * 생성 결과 검사 (업로드 전)
+ * 이미지 자체를 검사하지 못한 경우 경고를 남기고, AI_MODERATION_REQUIRE_IMAGE_CHECK면 거부합니다.
+ * @param {{data: string, mimeType: string}} image - 생성된 이미지
+ * @param {string} prompt - 이미지 생성에 사용한 프롬프트
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - 작업 취소 시그널
+ * @param {Object} [options.usage] - 사용량 기록 context { store, subject, endpoint }
+ * @returns {Promise<{imageChecked: boolean}>}
+ * @throws {AiProxyError} 422 CONTENT_BLOCKED, 503 MODERATION_UNAVAILABLE
+ */
+async function moderateImage(image, prompt, { signal, usage } = {}) {
+  const moderator = getModerator();
+  const result = await moderator.checkImage({ image, prompt, signal, usage });
+  if (result.flagged) {
+    console.warn('[AI 검수] 생성 결과 차단:', result.category);
+    throw toBlockedError(result, 'output');
+  }
+
+  if (result.imageChecked === false) {
+    console.warn('[AI 검수] 이미지 미검사 (프롬프트만 검사):', moderator.name);
+    if (REQUIRE_IMAGE_CHECK) {
+      throw new AiProxyError(
+        '생성된 이미지를 검수하지 못해 사용할 수 없어요. 잠시 후 다시 시도해주세요.',
+        { status: 503, code: 'MODERATION_UNAVAILABLE' }
+      );
+    }
+  }
+  return { imageChecked: result.imageChecked !== false };
+}
+
+module.exports = {
+  getModerator,
+  moderateText,
+  moderateGeneratedText,
+  moderateImage,
+};
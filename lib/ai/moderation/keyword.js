@@ -0,0 +1,124 @@
+/**
+ * 키워드/정규식 기반 콘텐츠 분류기 (오프라인 기본값)
+ *
+ * 카테고리별 패턴 목록(rules.json)과 텍스트를 대조합니다.
+ * 한국어는 \b 단어 경계가 동작하지 않으므로 전후방 탐색으로 범위를 좁히고,
+ * 일상 표현(예: 누드김밥, 시체놀이)은 카테고리별 exceptions로 지운 뒤 검사합니다.
+ * 카테고리별 examples(차단/허용 예시)는 규칙을 읽을 때 확인하여, 규칙을 고치다
+ * 예시와 어긋나면 서버 시작 시점에 바로 실패합니다.
+ * 이미지 픽셀은 분석할 수 없으므로 이미지를 설명하는 프롬프트만 검사하고,
+ * 결과에 imageChecked: false를 넣어 이미지 자체는 검사하지 않았음을 알립니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'rules.json');
+
+function compilePattern(category, source, flags) {
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    throw new Error(
+      `[AI 검수] ${category} 패턴 컴파일 실패 (${source}): ${error.message}`
+    );
+  }
+}
+
+/**
+ * 규칙 파일을 읽어 정규식으로 컴파일
+ * 잘못된 패턴이 있으면 서버 시작 시점에 바로 실패합니다.
+ * @param {string} filePath - 규칙 JSON 경로
+ * @returns {Array<{category: string, label: string, patterns: RegExp[], exceptions: RegExp[], examples: {blocked: string[], allowed: string[]}}>}
+ */
+function loadRules(filePath) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  return Object.entries(raw).map(
+    ([category, { label, patterns, exceptions = [], examples = {} }]) => {
+      if (!label || !Array.isArray(patterns) || patterns.length === 0) {
+        throw new Error(`[AI 검수] 잘못된 규칙 카테고리: ${category}`);
+      }
+
+      return {
+        category,
+        label,
+        patterns: patterns.map(source =>
+          compilePattern(category, source, 'iu')
+        ),
+        // 예외 표현은 찾은 부분을 모두 지워야 하므로 g 플래그
+        exceptions: exceptions.map(source =>
+          compilePattern(category, source, 'giu')
+        ),
+        examples: {
+          blocked: examples.blocked ?? [],
+          allowed: examples.allowed ?? [],
+        },
+      };
+    }
+  );
+}
+
+/**
+ * 규칙의 차단/허용 예시가 실제 분류 결과와 맞는지 확인
+ * @throws {Error} 예시와 다르게 분류되면
+ */
+function assertExamples(rules, classify) {
+  rules.forEach(({ category, examples }) => {
+    examples.blocked.forEach(text => {
+      if (classify(text).category !== category) {
+        throw new Error(`[AI 검수] ${category} 차단 예시 미검출: ${text}`);
+      }
+    });
+    examples.allowed.forEach(text => {
+      const result = classify(text);
+      if (result.flagged) {
+        throw new Error(
+          `[AI 검수] ${category} 허용 예시가 ${result.category}로 차단됨: ${text}`
+        );
+      }
+    });
+  });
+}
+
+/**
+ * 키워드 분류기 생성
+ * @param {Object} config
+ * @param {string} [config.rulesFile] - 규칙 JSON 경로 (기본: 같은 폴더의 rules.json)
+ * @returns {Object} 콘텐츠 분류기
+ */
+function createKeywordModerator({ rulesFile = DEFAULT_RULES_FILE } = {}) {
+  const rules = loadRules(rulesFile);
+
+  function classify(text) {
+    if (!text) return { flagged: false };
+
+    for (const { category, label, patterns, exceptions } of rules) {
+      const target = exceptions.reduce(
+        (current, exception) => current.replace(exception, ' '),
+        text
+      );
+      if (patterns.some(pattern => pattern.test(target))) {
+        return { flagged: true, category, label };
+      }
+    }
+    return { flagged: false };
+  }
+
+  assertExamples(rules, classify);
+
+  return {
+    name: 'keyword',
+    categories: rules.map(({ category, label }) => ({ category, label })),
+
+    async checkText(text) {
+      return classify(text);
+    },
+
+    async checkImage({ prompt }) {
+      return { ...classify(prompt), imageChecked: false };
+    },
+  };
+}
+
+module.exports = { createKeywordModerator };
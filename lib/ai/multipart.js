@@ -0,0 +1,132 @@
+/**
+ * AI 요청 multipart/form-data 파싱
+ *
+ * 이미지를 Base64 JSON 대신 바이너리 파일로 받기 위한 파서입니다.
+ * Node 내장 Request.formData()를 사용하며, 본문 크기를 스트리밍 중에 제한합니다.
+ *
+ * 폼 구성:
+ * - payload: 이미지 외 요청 필드 JSON 문자열 (JSON 요청 본문과 같은 필드)
+ * - profileImage, referenceImage: 이미지 파일 (선택)
+ *   (수정할 이미지는 파일로 받지 않고 생성 이미지 ID로 받음 - POST /refine)
+ *
+ * 파일은 기존 JSON 필드 이름(profileImageBase64/profileImageMimeType 등)으로 변환되어
+ * JSON 요청과 같은 검증/처리 흐름을 탑니다.
+ */
+
+const { Readable, Transform } = require('stream');
+const { AiProxyError } = require('./errors');
+
+// 파일 필드 → 요청 본문 필드 (Base64, MIME 타입)
+const FILE_FIELDS = {
+  profileImage: ['profileImageBase64', 'profileImageMimeType'],
+  referenceImage: ['referenceImageBase64', 'referenceImageMimeType'],
+};
+
+const ALLOWED_IMAGE_TYPES = new Set([
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/gif',
+]);
+
+function payloadTooLarge(maxBytes) {
+  return new AiProxyError(
+    `요청 크기는 ${Math.round((maxBytes / 1024 / 1024) * 10) / 10}MB 이하여야 합니다.`,
+    { status: 413, code: 'PAYLOAD_TOO_LARGE' }
+  );
+}
+
+/**
+ * 요청 스트림을 최대 크기로 제한한 Web ReadableStream으로 변환
+ */
+function toLimitedWebStream(req, maxBytes, onExceeded) {
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        onExceeded();
+        callback(payloadTooLarge(maxBytes));
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+
+  req.on('error', error => limiter.destroy(error));
+  return Readable.toWeb(req.pipe(limiter));
+}
+
+/**
+ * multipart 요청 본문을 JSON 요청 본문 형태로 변환
+ * @param {import('express').Request} req
+ * @param {Object} config
+ * @param {number} config.maxBytes - 요청 전체 최대 크기
+ * @returns {Promise<Object>} 요청 본문
+ * @throws {AiProxyError} 413 PAYLOAD_TOO_LARGE, 400 INVALID_MULTIPART, 415 UNSUPPORTED_IMAGE_TYPE
+ */
+async function parseMultipartBody(req, { maxBytes }) {
+  if (Number(req.headers['content-length']) > maxBytes) {
+    throw payloadTooLarge(maxBytes);
+  }
+
+  let exceeded = false;
+  const request = new Request('http://localhost/', {
+    method: 'POST',
+    headers: { 'content-type': req.headers['content-type'] },
+    body: toLimitedWebStream(req, maxBytes, () => {
+      exceeded = true;
+    }),
+    duplex: 'half',
+  });
+
+  let form;
+  try {
+    form = await request.formData();
+  } catch (error) {
+    if (exceeded) throw payloadTooLarge(maxBytes);
+    throw new AiProxyError('잘못된 multipart 요청입니다.', {
+      status: 400,
+      code: 'INVALID_MULTIPART',
+      details: { reason: error.message },
+    });
+  }
+
+  let body = {};
+  const payload = form.get('payload');
+  if (payload) {
+    try {
+      body = JSON.parse(payload);
+    } catch {
+      body = null;
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new AiProxyError('payload는 JSON 객체여야 합니다.', {
+        status: 400,
+        code: 'INVALID_MULTIPART',
+      });
+    }
+  }
+
+  for (const [field, [dataKey, mimeKey]] of Object.entries(FILE_FIELDS)) {
+    const file = form.get(field);
+    if (!file || typeof file === 'string') continue;
+
+    const mimeType = file.type || 'image/jpeg';
+    if (!ALLOWED_IMAGE_TYPES.has(mimeType)) {
+      throw new AiProxyError('지원하지 않는 이미지 형식입니다.', {
+        status: 415,
+        code: 'UNSUPPORTED_IMAGE_TYPE',
+        details: { field, allowed: [...ALLOWED_IMAGE_TYPES] },
+      });
+    }
+
+    // 프로바이더(Gemini inline_data)는 Base64를 요구하므로 서버에서 변환
+    body[dataKey] = Buffer.from(await file.arrayBuffer()).toString('base64');
+    body[mimeKey] = mimeType;
+  }
+
+  return body;
+}
+
+module.exports = { parseMultipartBody };
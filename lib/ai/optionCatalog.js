@@ -0,0 +1,170 @@
+/**
+ * AI 옵션 카탈로그
+ *
+ * 클라이언트와 같은 옵션 파일(public/data/ai-options/*.json)을 읽어
+ * 사용자가 선택한 옵션을 검증하고 고급 시스템 프롬프트의 제약 조건으로 변환합니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AiProxyError } = require('./errors');
+
+const OPTION_DIR = path.join(
+  __dirname,
+  '..',
+  '..',
+  'public',
+  'data',
+  'ai-options'
+);
+
+// 옵션 키 → 구조화 프롬프트 필드 / 프롬프트 표기
+const OPTION_CATEGORIES = {
+  style: { field: 'style', label: 'Style' },
+  location: { field: 'location', label: 'Location' },
+  lighting: { field: 'lighting', label: 'Lighting' },
+  action: { field: 'action', label: 'Action' },
+  clothing: { field: 'clothing', label: 'Clothing' },
+  expression: { field: 'expression', label: 'Expression' },
+  camera_and_composition: {
+    field: 'cameraComposition',
+    label: 'Camera/Composition',
+  },
+  pose: { field: 'pose', label: 'Pose' },
+};
+
+// 선택하지 않은 것으로 취급하는 값
+const AUTO_VALUE = 'auto';
+
+let cachedCatalog = null;
+
+/**
+ * 옵션 파일 전체 로드 (최초 호출 시 동기 로드 후 캐싱)
+ * @returns {Object} 파일 이름별 원본 옵션 데이터 (optionLoader.loadAllOptions와 동일한 형태)
+ */
+function getOptionCatalog() {
+  if (cachedCatalog) {
+    return cachedCatalog;
+  }
+
+  cachedCatalog = Object.keys(OPTION_CATEGORIES).reduce((acc, key) => {
+    const filePath = path.join(OPTION_DIR, `${key}.json`);
+    acc[key] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return acc;
+  }, {});
+
+  return cachedCatalog;
+}
+
+/**
+ * 카테고리의 전체 항목 목록 (하위 분류 평탄화)
+ * @param {string} key - 옵션 키
+ * @returns {Array<{name: string, description: string}>}
+ */
+function getCategoryItems(key) {
+  const data = getOptionCatalog()[key];
+  const groups = Object.values(data)[0] || [];
+  return groups.flatMap(group => group.items || []);
+}
+
+/**
+ * 사용자 선택 옵션 검증 및 항목 조회
+ * @param {Object|null|undefined} selectedOptions - { 옵션 키: 항목 이름 | 'auto' }
+ * @returns {Object} 옵션 키 → { name, description } (자동 항목 제외)
+ * @throws {AiProxyError} INVALID_OPTIONS
+ */
+function resolveSelectedOptions(selectedOptions) {
+  if (selectedOptions == null) {
+    return {};
+  }
+
+  if (typeof selectedOptions !== 'object' || Array.isArray(selectedOptions)) {
+    throw new AiProxyError('옵션 형식이 올바르지 않습니다.', {
+      status: 400,
+      code: 'INVALID_OPTIONS',
+    });
+  }
+
+  const resolved = {};
+
+  for (const [key, name] of Object.entries(selectedOptions)) {
+    if (!OPTION_CATEGORIES[key]) {
+      throw new AiProxyError(`알 수 없는 옵션입니다: ${key}`, {
+        status: 400,
+        code: 'INVALID_OPTIONS',
+      });
+    }
+
+    if (!name || name === AUTO_VALUE) continue;
+
+    const item = getCategoryItems(key).find(
+      candidate => candidate.name === name
+    );
+    if (!item) {
+      throw new AiProxyError(`선택할 수 없는 옵션입니다: ${key}=${name}`, {
+        status: 400,
+        code: 'INVALID_OPTIONS',
+      });
+    }
+
+    resolved[key] = { name: item.name, description: item.description };
+  }
+
+  return resolved;
+}
+
+/**
+ * 이미지 생성 프롬프트 끝에 선택 항목을 필수 조건으로 덧붙임
+ * (모델이 선택 옵션을 반영하지 않았거나 plain 프롬프트로 생성한 경우)
+ * @param {string} prompt - 이미지 생성 프롬프트
+ * @param {Object} constraints - resolveSelectedOptions 결과 (일부만 전달 가능)
+ * @returns {string}
+ */
+function appendOptionConstraints(prompt, constraints) {
+  const entries = Object.entries(constraints);
+  if (entries.length === 0) {
+    return prompt;
+  }
+
+  const clause = entries
+    .map(
+      ([key, item]) =>
+        `${OPTION_CATEGORIES[key].label}: ${item.name} (${item.description})`
+    )
+    .join('; ');
+  return `${prompt.trim()}\n\nMandatory attributes (override anything above): ${clause}.`;
+}
+
+/**
+ * 구조화 프롬프트의 속성을 사용자 선택 항목으로 고정
+ * 모델이 다른 값을 고른 속성은 필드를 선택 항목으로 바꾸고, 이미지가 실제로 그 값으로
+ * 생성되도록 finalPrompt에도 필수 조건으로 덧붙입니다.
+ * @param {Object} structuredPrompt - 검증된 구조화 프롬프트
+ * @param {Object} constraints - resolveSelectedOptions 결과
+ * @returns {{value: Object, overridden: string[]}} overridden: 바꾼 필드 이름
+ */
+function applyOptionConstraints(structuredPrompt, constraints) {
+  const value = { ...structuredPrompt };
+  const overridden = [];
+  const missing = {};
+
+  for (const [key, item] of Object.entries(constraints)) {
+    const { field } = OPTION_CATEGORIES[key];
+    if (value[field]?.name?.toLowerCase() !== item.name.toLowerCase()) {
+      overridden.push(field);
+      missing[key] = item;
+    }
+    value[field] = { ...item };
+  }
+
+  value.finalPrompt = appendOptionConstraints(value.finalPrompt, missing);
+  return { value, overridden };
+}
+
+module.exports = {
+  OPTION_CATEGORIES,
+  getOptionCatalog,
+  resolveSelectedOptions,
+  applyOptionConstraints,
+  appendOptionConstraints,
+};
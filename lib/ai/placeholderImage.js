@@ -0,0 +1,91 @@
+/**
+ * 플레이스홀더 PNG 생성기
+ *
+ * 외부 의존성 없이 시드 문자열로부터 결정적인 그라데이션 PNG를 만듭니다.
+ * 로컬 스텁 프로바이더에서 생성 이미지 대신 사용합니다.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+// CRC32 테이블 (PNG 청크 체크섬용)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * 시드 기반 그라데이션 PNG 생성
+ * @param {Object} params
+ * @param {number} params.width - 가로 픽셀
+ * @param {number} params.height - 세로 픽셀
+ * @param {string} params.seed - 색상 결정용 시드 문자열
+ * @returns {Buffer} PNG 바이너리
+ */
+function createPlaceholderPng({ width = 512, height = 512, seed = '' } = {}) {
+  const hash = crypto.createHash('sha256').update(String(seed)).digest();
+  const from = [hash[0], hash[1], hash[2]];
+  const to = [hash[3], hash[4], hash[5]];
+
+  // 각 행: 필터 바이트(0) + RGB 픽셀
+  const rowLength = width * 3 + 1;
+  const raw = Buffer.alloc(rowLength * height);
+
+  for (let y = 0; y < height; y++) {
+    const ratio = height > 1 ? y / (height - 1) : 0;
+    const color = from.map((value, i) =>
+      Math.round(value + (to[i] - value) * ratio)
+    );
+    const offset = y * rowLength;
+    raw[offset] = 0;
+    for (let x = 0; x < width; x++) {
+      raw[offset + 1 + x * 3] = color[0];
+      raw[offset + 2 + x * 3] = color[1];
+      raw[offset + 3 + x * 3] = color[2];
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // color type: RGB
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // interlace
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk('IHDR', header),
+    createChunk('IDAT', zlib.deflateSync(raw)),
+    createChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = { createPlaceholderPng };
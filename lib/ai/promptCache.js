@@ -0,0 +1,123 @@
+/**
+ * 프롬프트 생성 결과 캐시 (POST /api/ai/generate-prompt, /generate-stream, /jobs)
+ *
+ * 같은 입력으로 프롬프트를 다시 요청하면 모델을 호출하지 않고 이전 결과를 돌려줍니다.
+ * 키는 입력 내용의 해시입니다. (프로필/참조 이미지 바이트, 본문, 옵션, 선택 옵션,
+ * 템플릿 name@version, 온도, 요청에 시드가 있으면 시드)
+ * 시드를 지정하지 않은 요청은 어떤 시드의 결과든 재사용하며, 응답의 sampling은
+ * 캐시된 결과를 만든 값입니다.
+ *
+ * 메모리에 보관하며 보관 시간(AI_PROMPT_CACHE_TTL_MS)과
+ * 최대 개수/크기(AI_PROMPT_CACHE_MAX_ENTRIES, AI_PROMPT_CACHE_MAX_BYTES)를 넘으면
+ * 오래 사용하지 않은 항목부터 삭제합니다.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+/**
+ * 캐시 키 생성 (입력 필드 순서를 고정한 SHA-256)
+ * 이미지는 큰 Base64 문자열이므로 먼저 따로 해시합니다.
+ * @param {Object} parts - 키에 포함할 입력 { images, content, options, ... }
+ * @returns {string}
+ */
+function toPromptCacheKey({ images = [], ...fields }) {
+  const imageHashes = images.map(image =>
+    crypto.createHash('sha256').update(image.data).digest('hex')
+  );
+  const sortedFields = Object.keys(fields)
+    .sort()
+    .map(key => [key, fields[key] ?? null]);
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ images: imageHashes, fields: sortedFields }))
+    .digest('hex');
+}
+
+/**
+ * 메모리 프롬프트 캐시 (LRU, TTL + 개수/크기 제한)
+ * @param {Object} config
+ * @param {number} config.ttlMs - 보관 시간
+ * @param {number} config.maxEntries - 최대 보관 개수
+ * @param {number} config.maxBytes - 전체 최대 크기 (JSON 직렬화 기준)
+ */
+function createPromptCache({ ttlMs, maxEntries, maxBytes }) {
+  const entries = new Map();
+  let totalBytes = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    totalBytes -= entry.size;
+    entries.delete(key);
+  }
+
+  return {
+    /**
+     * 캐시 조회 (만료되었으면 null)
+     * @param {string} key - toPromptCacheKey 결과
+     */
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        remove(key);
+        return null;
+      }
+      // 최근 사용 순서 갱신
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    /**
+     * 생성 결과 보관 (성공한 결과만 보관)
+     * @param {string} key - toPromptCacheKey 결과
+     * @param {Object} value - 프롬프트 생성 결과
+     */
+    set(key, value) {
+      const size = Buffer.byteLength(JSON.stringify(value));
+      if (size > maxBytes) return;
+
+      remove(key);
+      while (
+        entries.size > 0 &&
+        (entries.size >= maxEntries || totalBytes + size > maxBytes)
+      ) {
+        remove(entries.keys().next().value);
+      }
+      entries.set(key, { value, size, expiresAt: Date.now() + ttlMs });
+      totalBytes += size;
+    },
+  };
+}
+
+let cachedPromptCache = null;
+
+/**
+ * 환경변수 기반 프롬프트 캐시 반환 (최초 호출 시 생성 후 캐싱)
+ */
+function getPromptCache() {
+  if (cachedPromptCache) {
+    return cachedPromptCache;
+  }
+
+  cachedPromptCache = createPromptCache({
+    ttlMs: Number(process.env.AI_PROMPT_CACHE_TTL_MS) || DEFAULT_TTL_MS,
+    maxEntries:
+      Number(process.env.AI_PROMPT_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES,
+    maxBytes:
+      Number(process.env.AI_PROMPT_CACHE_MAX_BYTES) || DEFAULT_MAX_BYTES,
+  });
+  return cachedPromptCache;
+}
+
+module.exports = {
+  createPromptCache,
+  getPromptCache,
+  toPromptCacheKey,
+};
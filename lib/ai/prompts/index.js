@@ -0,0 +1,307 @@
+/**
+ * AI 시스템 프롬프트 템플릿 레지스트리
+ *
+ * 시스템 프롬프트를 코드 대신 파일(templates/*.txt)로 관리하고
+ * 이름 + 버전으로 선택합니다. 목록과 기본값은 templates.json에 정의합니다.
+ *
+ * 템플릿 종류 (kind):
+ * - plain: 일반 텍스트 프롬프트를 생성하는 시스템 프롬프트
+ * - structured: 옵션 기반 구조화(JSON) 프롬프트를 생성하는 시스템 프롬프트
+ * - title: 일기 본문으로 게시글 제목 후보(JSON)를 추천하는 시스템 프롬프트
+ * - expand / spellfix / tone: 글쓰기 도우미(lib/ai/writingAssist)의 동작별 시스템 프롬프트
+ *
+ * 템플릿 문법:
+ * - {{name}}: 변수 치환
+ * - {{#if name}} ... {{else}} ... {{/if}}: 변수 값이 있을 때만 포함 (else 선택)
+ * 종류별로 사용할 수 있는 변수가 정해져 있으며(KIND_VARIABLES),
+ * 잘못된 문법/변수/필수 변수 누락은 레지스트리 생성(서버 시작) 시점에 바로 실패합니다.
+ *
+ * 템플릿 참조는 'name' (최신 버전) 또는 'name@version' (버전 고정)입니다.
+ * 종류별 기본 템플릿은 AI_PROMPT_TEMPLATE_<종류> (예: AI_PROMPT_TEMPLATE_STRUCTURED)로 바꿀 수 있고
+ * (롤백 시 'diary-structured@1' 처럼 버전 고정), 요청별로도 promptTemplate 필드로 선택할 수 있습니다.
+ * 템플릿 폴더는 AI_PROMPT_TEMPLATE_DIR로 바꿀 수 있습니다. (기본: 이 폴더)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATE_DIR = __dirname;
+const MANIFEST_FILE = 'templates.json';
+
+// 종류별 사용 가능한 변수 (required: 템플릿에 반드시 포함)
+const KIND_VARIABLES = {
+  plain: {
+    allowed: ['content', 'hasReferenceImage'],
+    required: ['content'],
+  },
+  structured: {
+    allowed: ['content', 'options', 'hasReferenceImage', 'constraints'],
+    required: ['content', 'options'],
+  },
+  title: {
+    allowed: ['content', 'count', 'maxLength'],
+    required: ['content', 'count', 'maxLength'],
+  },
+  expand: {
+    allowed: ['content', 'maxLength'],
+    required: ['content'],
+  },
+  spellfix: {
+    allowed: ['content'],
+    required: ['content'],
+  },
+  tone: {
+    allowed: ['content', 'tone'],
+    required: ['content', 'tone'],
+  },
+};
+
+const TAG_PATTERN = /\{\{\s*(#if\s+\w+|else|\/if|\w+)\s*\}\}/g;
+const REF_PATTERN = /^([a-z0-9][a-z0-9-]*)(?:@(\d+))?$/;
+
+/**
+ * 템플릿 문자열을 노드 트리로 컴파일
+ * @param {string} source - 템플릿 본문
+ * @param {string} label - 에러 메시지용 템플릿 이름
+ * @returns {{nodes: Array, variables: Set<string>}}
+ */
+function compileTemplate(source, label) {
+  const root = { nodes: [] };
+  const stack = [root];
+  const variables = new Set();
+  let current = root.nodes;
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    if (match.index > lastIndex) {
+      current.push(source.slice(lastIndex, match.index));
+    }
+    lastIndex = match.index + match[0].length;
+
+    const tag = match[1];
+    if (tag.startsWith('#if')) {
+      const name = tag.slice(3).trim();
+      const block = { if: name, then: [], else: null };
+      variables.add(name);
+      current.push(block);
+      stack.push(block);
+      current = block.then;
+    } else if (tag === 'else') {
+      const block = stack[stack.length - 1];
+      if (block === root || block.else) {
+        throw new Error(`[AI 프롬프트] ${label}: 짝이 맞지 않는 {{else}}`);
+      }
+      block.else = [];
+      current = block.else;
+    } else if (tag === '/if') {
+      if (stack.length === 1) {
+        throw new Error(`[AI 프롬프트] ${label}: 짝이 맞지 않는 {{/if}}`);
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent === root ? root.nodes : parent.else || parent.then;
+    } else {
+      variables.add(tag);
+      current.push({ variable: tag });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`[AI 프롬프트] ${label}: 닫히지 않은 {{#if}}`);
+  }
+  if (lastIndex < source.length) {
+    current.push(source.slice(lastIndex));
+  }
+
+  return { nodes: root.nodes, variables };
+}
+
+function renderNodes(nodes, values) {
+  return nodes
+    .map(node => {
+      if (typeof node === 'string') return node;
+      if (node.variable) return String(values[node.variable] ?? '');
+      if (values[node.if]) return renderNodes(node.then, values);
+      return node.else ? renderNodes(node.else, values) : '';
+    })
+    .join('');
+}
+
+/**
+ * 템플릿 참조 파싱
+ * @param {string} ref - 'name' 또는 'name@version'
+ * @returns {{name: string, version: number|null}|null}
+ */
+function parseTemplateRef(ref) {
+  const match = typeof ref === 'string' ? REF_PATTERN.exec(ref.trim()) : null;
+  if (!match) return null;
+  return { name: match[1], version: match[2] ? Number(match[2]) : null };
+}
+
+/**
+ * 매니페스트 항목을 읽어 검증된 템플릿으로 변환
+ */
+function loadTemplate(dir, entry) {
+  const { name, version, kind, file, description = '' } = entry;
+  const label = `${name}@${version}`;
+
+  if (!parseTemplateRef(name) || name.includes('@')) {
+    throw new Error(`[AI 프롬프트] 잘못된 템플릿 이름: ${name}`);
+  }
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`[AI 프롬프트] ${name}: 버전은 1 이상의 정수여야 합니다.`);
+  }
+  const kindSpec = KIND_VARIABLES[kind];
+  if (!kindSpec) {
+    throw new Error(
+      `[AI 프롬프트] ${label}: 알 수 없는 종류 ${kind} (지원: ${Object.keys(KIND_VARIABLES).join(', ')})`
+    );
+  }
+
+  // 파일 끝의 줄바꿈 하나는 템플릿에 포함하지 않음
+  const source = fs
+    .readFileSync(path.join(dir, file), 'utf8')
+    .replace(/\r?\n$/, '');
+  const { nodes, variables } = compileTemplate(source, label);
+
+  const unknown = [...variables].filter(
+    variable => !kindSpec.allowed.includes(variable)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `[AI 프롬프트] ${label}: 사용할 수 없는 변수 ${unknown.join(', ')} (허용: ${kindSpec.allowed.join(', ')})`
+    );
+  }
+  const missing = kindSpec.required.filter(
+    variable => !variables.has(variable)
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `[AI 프롬프트] ${label}: 필수 변수 누락 ${missing.join(', ')}`
+    );
+  }
+
+  return {
+    name,
+    version,
+    kind,
+    description,
+    render: values => renderNodes(nodes, values),
+  };
+}
+
+/**
+ * 템플릿 레지스트리 생성 (매니페스트와 템플릿 파일을 모두 읽어 검증)
+ * @param {Object} config
+ * @param {string} config.dir - templates.json이 있는 폴더
+ * @param {Object} [config.defaults] - 종류별 기본 템플릿 참조 (매니페스트 기본값보다 우선)
+ * @returns {Object} 템플릿 레지스트리
+ * @throws {Error} 매니페스트/템플릿이 잘못된 경우
+ */
+function createPromptTemplateRegistry({ dir, defaults = {} }) {
+  const manifest = JSON.parse(
+    fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf8')
+  );
+  if (!Array.isArray(manifest.templates) || manifest.templates.length === 0) {
+    throw new Error('[AI 프롬프트] templates.json에 템플릿이 없습니다.');
+  }
+
+  // 이름 → 버전 오름차순 템플릿 목록
+  const templates = new Map();
+  for (const entry of manifest.templates) {
+    const template = loadTemplate(dir, entry);
+    const versions = templates.get(template.name) || [];
+    if (versions.some(({ version }) => version === template.version)) {
+      throw new Error(
+        `[AI 프롬프트] 중복된 템플릿: ${template.name}@${template.version}`
+      );
+    }
+    if (versions.length > 0 && versions[0].kind !== template.kind) {
+      throw new Error(
+        `[AI 프롬프트] ${template.name}: 버전마다 종류가 다릅니다.`
+      );
+    }
+    versions.push(template);
+    versions.sort((a, b) => a.version - b.version);
+    templates.set(template.name, versions);
+  }
+
+  function find(ref) {
+    const parsed = parseTemplateRef(ref);
+    const versions = parsed && templates.get(parsed.name);
+    if (!versions) return null;
+    if (parsed.version == null) return versions[versions.length - 1];
+    return versions.find(({ version }) => version === parsed.version) ?? null;
+  }
+
+  // 종류별 기본 템플릿 확인
+  const defaultTemplates = {};
+  for (const kind of Object.keys(KIND_VARIABLES)) {
+    const ref = defaults[kind] || manifest.defaults?.[kind];
+    const template = ref && find(ref);
+    if (!template || template.kind !== kind) {
+      throw new Error(
+        `[AI 프롬프트] ${kind} 기본 템플릿이 올바르지 않습니다: ${ref || '(미설정)'}`
+      );
+    }
+    defaultTemplates[kind] = template;
+  }
+
+  return {
+    /**
+     * 템플릿 조회
+     * @param {string} ref - 'name' (최신 버전) 또는 'name@version'
+     * @returns {Object|null} 템플릿 { name, version, kind, description, render(values) }
+     */
+    find,
+
+    /**
+     * 종류별 기본 템플릿
+     * @param {string} kind - KIND_VARIABLES의 종류
+     */
+    getDefault(kind) {
+      return defaultTemplates[kind];
+    },
+
+    /**
+     * 등록된 템플릿 목록 (버전 포함)
+     */
+    list() {
+      return [...templates.values()].flat().map(template => ({
+        name: template.name,
+        version: template.version,
+        kind: template.kind,
+        description: template.description,
+        isDefault: defaultTemplates[template.kind] === template,
+      }));
+    },
+  };
+}
+
+let cachedRegistry = null;
+
+/**
+ * 환경변수 기반 템플릿 레지스트리 반환 (최초 호출 시 생성 후 캐싱)
+ */
+function getPromptTemplateRegistry() {
+  if (cachedRegistry) {
+    return cachedRegistry;
+  }
+
+  cachedRegistry = createPromptTemplateRegistry({
+    dir: process.env.AI_PROMPT_TEMPLATE_DIR || DEFAULT_TEMPLATE_DIR,
+    defaults: Object.fromEntries(
+      Object.keys(KIND_VARIABLES).map(kind => [
+        kind,
+        process.env[`AI_PROMPT_TEMPLATE_${kind.toUpperCase()}`],
+      ])
+    ),
+  });
+  return cachedRegistry;
+}
+
+module.exports = {
+  createPromptTemplateRegistry,
+  getPromptTemplateRegistry,
+  parseTemplateRef,
+};
@@ -0,0 +1,245 @@
+/**
+ * Gemini AI 프로바이더
+ *
+ * Google Generative Language API(generateContent)를 호출합니다.
+ * GEMINI_API_KEY 환경변수가 필요합니다.
+ * 타임아웃/재시도/에러 분류는 lib/ai/upstream 의 fetchUpstream이 담당합니다.
+ */
+
+const { AiProxyError } = require('../errors');
+const { fetchUpstream } = require('../upstream');
+
+const GEMINI_ENDPOINT =
+  'https://generativelanguage.googleapis.com/v1beta/models';
+const MODELS = {
+  PROMPT_GENERATOR: 'gemini-2.5-flash',
+  IMAGE_GENERATOR: 'gemini-2.5-flash-image',
+};
+
+// 모델별 지원 해상도 (imageConfig.imageSize를 받는 모델만 1K 외 값을 지원,
+// gemini-2.5-flash-image는 1K 고정이라 imageSize를 보내지 않음)
+const IMAGE_SIZE_SUPPORT = {
+  [MODELS.IMAGE_GENERATOR]: ['1K'],
+};
+
+// 모델별 시도당 타임아웃 (이미지 모델은 응답이 훨씬 느림)
+const TIMEOUTS = {
+  [MODELS.PROMPT_GENERATOR]: Number(process.env.AI_PROMPT_TIMEOUT_MS) || 30000,
+  [MODELS.IMAGE_GENERATOR]: Number(process.env.AI_IMAGE_TIMEOUT_MS) || 90000,
+};
+
+/**
+ * usageMetadata를 공통 토큰 사용량 형식으로 변환
+ * @returns {{inputTokens: number, outputTokens: number, totalTokens: number}|null}
+ */
+function toUsage(usageMetadata) {
+  if (!usageMetadata) return null;
+  return {
+    inputTokens: usageMetadata.promptTokenCount ?? 0,
+    // 출력 토큰에는 thinking 토큰도 과금되므로 함께 합산
+    outputTokens:
+      (usageMetadata.candidatesTokenCount ?? 0) +
+      (usageMetadata.thoughtsTokenCount ?? 0),
+    totalTokens: usageMetadata.totalTokenCount ?? 0,
+  };
+}
+
+/**
+ * Gemini 프로바이더 생성
+ * @param {Object} config
+ * @param {string} config.apiKey - Gemini API 키
+ * @returns {Object} AI 프로바이더
+ */
+function createGeminiProvider({ apiKey }) {
+  const imageSizes = IMAGE_SIZE_SUPPORT[MODELS.IMAGE_GENERATOR] ?? ['1K'];
+
+  /**
+   * 이미지 생성 요청 본문 로깅 (base64 데이터는 길이만 표시)
+   */
+  function logImageRequest(requestBody) {
+    console.log(
+      '[AI Proxy] 이미지 생성 요청:',
+      JSON.stringify(
+        {
+          ...requestBody,
+          contents: requestBody.contents.map(c => ({
+            parts: c.parts.map(p =>
+              p.inline_data
+                ? {
+                    inline_data: {
+                      mime_type: p.inline_data.mime_type,
+                      data: `[${p.inline_data.data.length} chars]`,
+                    },
+                  }
+                : p
+            ),
+          })),
+        },
+        null,
+        2
+      )
+    );
+  }
+
+  return {
+    name: 'gemini',
+    models: {
+      prompt: MODELS.PROMPT_GENERATOR,
+      image: MODELS.IMAGE_GENERATOR,
+    },
+    imageSizes,
+
+    isConfigured() {
+      return !!apiKey;
+    },
+
+    /**
+     * 이미지 분석 + 텍스트 생성
+     * @param {Object} params
+     * @param {string} params.systemPrompt - 시스템 프롬프트
+     * @param {Array<{data: string, mimeType: string}>} params.images - 입력 이미지 (순서 유지)
+     * @param {number} params.temperature - 샘플링 온도
+     * @param {number} [params.seed] - 시드 (같은 입력 + 시드면 같은 결과에 가깝게 생성)
+     * @param {AbortSignal} [signal] - 요청 취소 시그널
+     * @returns {Promise<{text: string, raw: Object, usage: Object|null}>}
+     */
+    async generatePrompt({ systemPrompt, images, temperature, seed }, signal) {
+      const parts = [
+        ...images.map(image => ({
+          inlineData: { data: image.data, mimeType: image.mimeType },
+        })),
+        { text: systemPrompt },
+      ];
+
+      const response = await fetchUpstream(
+        `${GEMINI_ENDPOINT}/${MODELS.PROMPT_GENERATOR}:generateContent?key=${apiKey}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            contents: [{ parts }],
+            generationConfig: { temperature, seed },
+          }),
+        },
+        {
+          label: '프롬프트 생성',
+          timeoutMs: TIMEOUTS[MODELS.PROMPT_GENERATOR],
+          signal,
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        console.error('[AI Proxy] 프롬프트 생성 실패:', error);
+        throw new AiProxyError(
+          error.error?.message || '프롬프트 생성에 실패했습니다.',
+          { status: response.status, code: 'PROMPT_GENERATION_FAILED' }
+        );
+      }
+
+      const data = await response.json();
+      const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+
+      return { text, raw: data, usage: toUsage(data.usageMetadata) };
+    },
+
+    /**
+     * 프롬프트 + 이미지로 이미지 생성
+     * @param {Object} params
+     * @param {string} params.prompt - 이미지 생성 프롬프트
+     * @param {Array<{data: string, mimeType: string}>} params.images - 입력 이미지 (순서 유지)
+     * @param {string} [params.aspectRatio] - 화면 비율 (예: '4:5')
+     * @param {string} [params.imageSize] - 해상도 (imageSizes 중 하나, 1K는 모델 기본값이라 생략)
+     * @param {number} [params.seed] - 시드
+     * @param {AbortSignal} [signal] - 요청 취소 시그널
+     * @returns {Promise<{data: string, mimeType: string, usage: Object|null}|null>}
+     */
+    async generateImage(
+      { prompt, images, aspectRatio, imageSize, seed },
+      signal
+    ) {
+      const imageConfig = {};
+      if (aspectRatio) imageConfig.aspectRatio = aspectRatio;
+      if (imageSize && imageSize !== '1K') {
+        if (!imageSizes.includes(imageSize)) {
+          throw new AiProxyError('지원하지 않는 이미지 크기입니다.', {
+            status: 400,
+            code: 'INVALID_IMAGE_OPTIONS',
+            details: {
+              invalid: ['imageSize'],
+              allowed: { imageSize: imageSizes },
+            },
+          });
+        }
+        imageConfig.imageSize = imageSize;
+      }
+
+      const generationConfig = {};
+      if (Object.keys(imageConfig).length > 0) {
+        generationConfig.imageConfig = imageConfig;
+      }
+      if (seed != null) generationConfig.seed = seed;
+
+      const requestBody = {
+        contents: [
+          {
+            parts: [
+              { text: prompt },
+              ...images.map(image => ({
+                inline_data: { data: image.data, mime_type: image.mimeType },
+              })),
+            ],
+          },
+        ],
+        ...(Object.keys(generationConfig).length > 0 && { generationConfig }),
+      };
+
+      logImageRequest(requestBody);
+
+      const response = await fetchUpstream(
+        `${GEMINI_ENDPOINT}/${MODELS.IMAGE_GENERATOR}:generateContent?key=${apiKey}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(requestBody),
+        },
+        {
+          label: '이미지 생성',
+          timeoutMs: TIMEOUTS[MODELS.IMAGE_GENERATOR],
+          signal,
+        }
+      );
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error('[AI Proxy] 이미지 생성 실패 (raw):', errorText);
+        let error = {};
+        try {
+          error = JSON.parse(errorText);
+        } catch {
+          error = { error: { message: errorText } };
+        }
+        throw new AiProxyError(
+          error.error?.message || 'AI 이미지 생성에 실패했습니다.',
+          { status: response.status, code: 'IMAGE_GENERATION_FAILED' }
+        );
+      }
+
+      const data = await response.json();
+      const parts = data.candidates?.[0]?.content?.parts || [];
+      const imagePart = parts.find(part => part.inlineData);
+
+      if (!imagePart) {
+        return null;
+      }
+
+      return {
+        data: imagePart.inlineData.data,
+        mimeType: imagePart.inlineData.mimeType || 'image/png',
+        usage: toUsage(data.usageMetadata),
+      };
+    },
+  };
+}
+
+module.exports = { createGeminiProvider, toUsage };
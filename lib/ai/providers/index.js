@@ -0,0 +1,59 @@
+/**
+ * AI 프로바이더 레지스트리
+ *
+ * AI_PROVIDER 환경변수로 사용할 프로바이더를 선택합니다. (기본값: gemini)
+ * 새 벤더를 추가할 때는 팩토리를 PROVIDER_FACTORIES에 등록하면
+ * 라우트 핸들러는 수정할 필요가 없습니다.
+ *
+ * 프로바이더 인터페이스:
+ * - name: string
+ * - models: { prompt: string, image: string }
+ * - imageSizes: string[] - 이미지 모델이 지원하는 해상도 (lib/ai/imageOptions IMAGE_SIZES 중 일부,
+ *     라우트가 쿼터 차감 전에 이 목록으로 검증)
+ * - isConfigured(): boolean
+ * - generatePrompt({ systemPrompt, images, temperature, seed }, signal)
+ *     -> Promise<{ text: string, raw: Object, usage? }>
+ * - generateImage({ prompt, images, variant, aspectRatio, imageSize, seed }, signal)
+ *     -> Promise<{ data: string, mimeType: string, usage? } | null>
+ *     (usage: 토큰 사용량 { inputTokens, outputTokens, totalTokens }, lib/ai/usage 에서 기록)
+ *     (variant: 같은 프롬프트로 여러 장 생성할 때의 후보 번호,
+ *      aspectRatio/imageSize: lib/ai/imageOptions 허용 목록으로 검증된 값,
+ *      seed: lib/ai/sampling 으로 정한 시드, 후보별로 다름)
+ */
+
+const { createGeminiProvider } = require('./gemini');
+const { createStubProvider } = require('./stub');
+
+const DEFAULT_PROVIDER = 'gemini';
+
+const PROVIDER_FACTORIES = {
+  gemini: () => createGeminiProvider({ apiKey: process.env.GEMINI_API_KEY }),
+  stub: () =>
+    createStubProvider({ delayMs: Number(process.env.AI_STUB_DELAY_MS) || 0 }),
+};
+
+let cachedProvider = null;
+
+/**
+ * 설정된 AI 프로바이더 반환 (최초 호출 시 생성 후 캐싱)
+ * @returns {Object} AI 프로바이더
+ */
+function getAiProvider() {
+  if (cachedProvider) {
+    return cachedProvider;
+  }
+
+  const name = (process.env.AI_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  const factory = PROVIDER_FACTORIES[name];
+
+  if (!factory) {
+    throw new Error(
+      `알 수 없는 AI_PROVIDER: ${name} (지원: ${Object.keys(PROVIDER_FACTORIES).join(', ')})`
+    );
+  }
+
+  cachedProvider = factory();
+  return cachedProvider;
+}
+
+module.exports = { getAiProvider };
@@ -0,0 +1,159 @@
+/**
+ * 로컬 스텁 AI 프로바이더
+ *
+ * 네트워크와 API 키 없이 AI 플로우 전체를 개발/테스트할 수 있도록
+ * 고정된 구조화 프롬프트, 제목 후보, 플레이스홀더 PNG를 반환합니다.
+ * 글쓰기 도우미 요청에는 본문을 간단히 정리한 결과를 돌려줍니다.
+ * 같은 입력과 시드에는 항상 같은 결과를 돌려줍니다.
+ */
+
+const { createPlaceholderPng } = require('../placeholderImage');
+const { IMAGE_SIZES, getImageDimensions } = require('../imageOptions');
+
+const CANNED_STRUCTURED_PROMPT = {
+  subjectType: 'Person',
+  keyFeatures: 'Placeholder subject generated by the local stub provider',
+  style: {
+    name: 'Photorealistic',
+    description: 'Hyper-realistic, photograph-like quality',
+  },
+  location: {
+    name: 'Cozy Cafe',
+    description: 'Warm cafe interior with wooden tables',
+  },
+  lighting: {
+    name: 'Golden Hour',
+    description: 'Soft warm sunlight through the window',
+  },
+  action: { name: 'Writing', description: 'Writing in a small notebook' },
+  clothing: { name: 'Casual', description: 'Knit sweater and jeans' },
+  expression: { name: 'Calm Smile', description: 'Relaxed, gentle smile' },
+  cameraComposition: {
+    name: 'Candid Medium Shot',
+    description: 'Shot on iPhone, waist-up, slightly off-center',
+  },
+  pose: { name: 'Seated', description: 'Sitting at a table, leaning forward' },
+  finalPrompt:
+    'A candid photo shot on iPhone of a person writing in a notebook at a cozy cafe, golden hour sunlight through the window, natural lighting, warm tones.',
+};
+
+const CANNED_TITLES = [
+  '창가 자리에서 보낸 오후',
+  '오늘의 작은 기록',
+  '노을빛 카페에서 쓴 일기',
+];
+
+/**
+ * 글쓰기 도우미 응답 흉내 (<diary> 본문의 목록 기호를 지우고 띄어쓰기를 정리)
+ * 문단 비교 UI를 확인할 수 있도록 일부 문단만 바뀌도록 합니다.
+ */
+function rewriteDiary(systemPrompt) {
+  const match = systemPrompt.match(/<diary>\n([\s\S]*)\n<\/diary>/);
+  if (!match) return null;
+
+  return match[1]
+    .split('\n')
+    .map(line =>
+      line
+        .replace(/^\s*[-*•]\s*/, '')
+        .replace(/ {2,}/g, ' ')
+        .replace(/([^.!?。~\s])$/, '$1.')
+    )
+    .join('\n');
+}
+
+/**
+ * 취소 가능한 지연
+ */
+function delay(ms, signal) {
+  if (!ms) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+// 이미지 1장 출력 토큰 (Gemini 이미지 모델과 같은 값)
+const IMAGE_OUTPUT_TOKENS = 1290;
+
+/**
+ * 대략적인 토큰 사용량 (4글자당 1토큰, 사용량 집계 확인용)
+ */
+function estimateUsage(input, outputTokens) {
+  const inputTokens = Math.ceil(input.length / 4);
+  return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
+}
+
+/**
+ * 스텁 프로바이더 생성
+ * @param {Object} config
+ * @param {number} config.delayMs - 호출마다 지연 시간 (진행 UI 확인용)
+ * @returns {Object} AI 프로바이더
+ */
+function createStubProvider({ delayMs = 0 } = {}) {
+  return {
+    name: 'stub',
+    models: {
+      prompt: 'stub-prompt',
+      image: 'stub-image',
+    },
+    imageSizes: Object.keys(IMAGE_SIZES),
+
+    isConfigured() {
+      return true;
+    },
+
+    async generatePrompt({ systemPrompt }, signal) {
+      await delay(delayMs, signal);
+
+      // 제목 추천/구조화(JSON) 응답을 요구하는 시스템 프롬프트에만 JSON으로 응답
+      // 실제 모델처럼 코드 펜스로 감싸서 반환
+      const wantsJson = systemPrompt.includes('"finalPrompt"');
+      const wantsTitles = systemPrompt.includes('"titles"');
+      const rewritten = rewriteDiary(systemPrompt);
+      let text = CANNED_STRUCTURED_PROMPT.finalPrompt;
+      if (rewritten !== null) {
+        text = rewritten;
+      } else if (wantsTitles) {
+        text = JSON.stringify({ titles: CANNED_TITLES });
+      } else if (wantsJson) {
+        text = `\`\`\`json\n${JSON.stringify(CANNED_STRUCTURED_PROMPT, null, 2)}\n\`\`\``;
+      }
+
+      return {
+        text,
+        raw: { provider: 'stub' },
+        usage: estimateUsage(systemPrompt, Math.ceil(text.length / 4)),
+      };
+    },
+
+    async generateImage(
+      { prompt, variant = 0, seed, aspectRatio = '1:1', imageSize = '1K' },
+      signal
+    ) {
+      await delay(delayMs, signal);
+      // 실제 해상도의 1/4 크기로 비율만 맞춤 (응답 크기 절약)
+      const { width, height } = getImageDimensions({ aspectRatio, imageSize });
+      const png = createPlaceholderPng({
+        width: Math.round(width / 4),
+        height: Math.round(height / 4),
+        seed: `${prompt}#${seed ?? variant}`,
+      });
+      return {
+        data: png.toString('base64'),
+        mimeType: 'image/png',
+        usage: estimateUsage(prompt, IMAGE_OUTPUT_TOKENS),
+      };
+    },
+  };
+}
+
+module.exports = { createStubProvider };
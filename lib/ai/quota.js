@@ -0,0 +1,226 @@
+/**
+ * AI 생성 일일 쿼터
+ *
+ * 요청 주체(사용자/IP)별 하루 생성 횟수를 추적하고 초과 요청을 거부합니다.
+ * 저장소는 AI_QUOTA_STORE 환경변수로 선택합니다. (기본값: memory)
+ * 제목 추천/글쓰기 도우미 같은 텍스트 호출은 별도 한도(AI_TEXT_DAILY_LIMIT)로 추적합니다.
+ * 여러 장을 한 번에 생성하는 경우의 차감 방식은 AI_QUOTA_BATCH_MODE로 설정합니다.
+ * - per-image (기본값): 생성한 이미지 수만큼 차감
+ * - per-batch: 한 번의 생성 요청을 1회로 차감
+ *
+ * 저장소 인터페이스 (모두 async):
+ * - get(key) -> { count, resetAt } | null
+ * - increment(key, amount, resetAt) -> { count, resetAt }
+ * - decrement(key, amount) -> void
+ */
+
+const { AiProxyError } = require('./errors');
+
+const DEFAULT_DAILY_LIMIT = 5;
+const DEFAULT_TEXT_DAILY_LIMIT = 30;
+const DEFAULT_EXCEEDED_MESSAGE = '오늘 AI 이미지 생성 횟수를 모두 사용했어요.';
+const BATCH_MODES = ['per-image', 'per-batch'];
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * 메모리 쿼터 저장소 (단일 프로세스용, 재시작 시 초기화)
+ */
+function createMemoryQuotaStore() {
+  const entries = new Map();
+
+  function sweepExpired(now) {
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key);
+    }
+  }
+
+  function readEntry(key, now) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.resetAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    async get(key) {
+      const entry = readEntry(key, Date.now());
+      return entry ? { ...entry } : null;
+    },
+
+    async increment(key, amount, resetAt) {
+      const now = Date.now();
+      if (entries.size > SWEEP_THRESHOLD) sweepExpired(now);
+
+      const entry = readEntry(key, now) || { count: 0, resetAt };
+      entry.count += amount;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+
+    async decrement(key, amount) {
+      const entry = readEntry(key, Date.now());
+      if (entry) entry.count = Math.max(0, entry.count - amount);
+    },
+  };
+}
+
+const STORE_FACTORIES = {
+  memory: createMemoryQuotaStore,
+};
+
+/**
+ * 다음 자정(서버 로컬 시간, TZ 환경변수 기준) 타임스탬프
+ */
+function getNextResetAt(now = new Date()) {
+  const next = new Date(now);
+  next.setHours(24, 0, 0, 0);
+  return next.getTime();
+}
+
+/**
+ * 쿼터 서비스 생성
+ * @param {Object} config
+ * @param {Object} config.store - 쿼터 저장소
+ * @param {number} config.limit - 하루 최대 생성 횟수
+ * @param {'per-image'|'per-batch'} config.batchMode - 여러 장 생성 시 차감 방식
+ * @param {string} [config.exceededMessage] - 한도 초과 시 에러 메시지
+ */
+function createQuotaService({
+  store,
+  limit,
+  batchMode = 'per-image',
+  exceededMessage = DEFAULT_EXCEEDED_MESSAGE,
+}) {
+  function toStatus(entry) {
+    const used = entry?.count ?? 0;
+    const resetAt = entry?.resetAt ?? getNextResetAt();
+    return {
+      limit,
+      used,
+      remaining: Math.max(0, limit - used),
+      resetAt: new Date(resetAt).toISOString(),
+    };
+  }
+
+  return {
+    limit,
+    batchMode,
+
+    /**
+     * 이미지 imageCount장을 한 번에 생성할 때 차감할 횟수
+     * @param {number} imageCount - 생성할 이미지 수
+     */
+    costOf(imageCount) {
+      return batchMode === 'per-batch' ? 1 : imageCount;
+    },
+
+    /**
+     * 현재 사용량 조회
+     * @param {string} subject - 요청 주체 키
+     */
+    async getStatus(subject) {
+      return toStatus(await store.get(subject));
+    },
+
+    /**
+     * 횟수 선점 (생성 시작 전 호출, 실패 시 refund로 반환)
+     * 한도를 넘으면 QUOTA_EXCEEDED 에러를 던집니다.
+     * @param {string} subject - 요청 주체 키
+     * @param {number} amount - 차감할 횟수
+     */
+    async consume(subject, amount = 1) {
+      const entry = await store.increment(subject, amount, getNextResetAt());
+
+      if (entry.count > limit) {
+        await store.decrement(subject, amount);
+        const status = toStatus({ ...entry, count: entry.count - amount });
+        throw new AiProxyError(exceededMessage, {
+          status: 429,
+          code: 'QUOTA_EXCEEDED',
+          details: status,
+        });
+      }
+
+      return toStatus(entry);
+    },
+
+    /**
+     * 선점한 횟수 반환 (생성 실패 시)
+     * @param {string} subject - 요청 주체 키
+     * @param {number} amount - 반환할 횟수
+     */
+    async refund(subject, amount = 1) {
+      await store.decrement(subject, amount);
+    },
+  };
+}
+
+let cachedService = null;
+let cachedTextService = null;
+
+/**
+ * AI_QUOTA_STORE 환경변수로 쿼터 저장소 생성
+ */
+function createQuotaStore() {
+  const storeName = (process.env.AI_QUOTA_STORE || 'memory').toLowerCase();
+  const factory = STORE_FACTORIES[storeName];
+
+  if (!factory) {
+    throw new Error(
+      `알 수 없는 AI_QUOTA_STORE: ${storeName} (지원: ${Object.keys(STORE_FACTORIES).join(', ')})`
+    );
+  }
+  return factory();
+}
+
+/**
+ * 환경변수 기반 쿼터 서비스 반환 (최초 호출 시 생성 후 캐싱)
+ */
+function getQuotaService() {
+  if (cachedService) {
+    return cachedService;
+  }
+
+  const batchMode = (
+    process.env.AI_QUOTA_BATCH_MODE || 'per-image'
+  ).toLowerCase();
+  if (!BATCH_MODES.includes(batchMode)) {
+    throw new Error(
+      `알 수 없는 AI_QUOTA_BATCH_MODE: ${batchMode} (지원: ${BATCH_MODES.join(', ')})`
+    );
+  }
+
+  cachedService = createQuotaService({
+    store: createQuotaStore(),
+    limit: Number(process.env.AI_DAILY_LIMIT) || DEFAULT_DAILY_LIMIT,
+    batchMode,
+  });
+  return cachedService;
+}
+
+/**
+ * 텍스트 호출(제목 추천/글쓰기 도우미)용 쿼터 서비스 반환 (최초 호출 시 생성 후 캐싱)
+ * 호출 1회당 1회 차감하며, 이미지 생성 쿼터와 따로 집계합니다.
+ */
+function getTextQuotaService() {
+  if (cachedTextService) {
+    return cachedTextService;
+  }
+
+  cachedTextService = createQuotaService({
+    store: createQuotaStore(),
+    limit: Number(process.env.AI_TEXT_DAILY_LIMIT) || DEFAULT_TEXT_DAILY_LIMIT,
+    exceededMessage: '오늘 AI 글쓰기 도움 횟수를 모두 사용했어요.',
+  });
+  return cachedTextService;
+}
+
+module.exports = {
+  createMemoryQuotaStore,
+  createQuotaService,
+  getQuotaService,
+  getTextQuotaService,
+};
@@ -0,0 +1,196 @@
+/**
+ * AI 요청 주체 식별
+ *
+ * Express 서버에는 자체 로그인 세션이 없으므로 백엔드 세션 쿠키로 GET /users/me를 호출해
+ * 실제 사용자를 확인하고 'user:<userId>'를 키로 사용합니다.
+ * (쿠키 값을 바꾸거나 다시 로그인해도 같은 사용자는 같은 쿼터/작업/기록을 사용)
+ * Authorization 헤더도 함께 전달하며, 쿠키와 헤더가 모두 없거나
+ * 백엔드가 로그인 사용자로 인정하지 않으면 'ip:<address>'로 대체합니다.
+ *
+ * 확인 결과는 세션 쿠키와 Authorization 헤더를 함께 해시한 값 기준으로 잠시 캐싱합니다.
+ * (AI_SUBJECT_CACHE_TTL_MS, 쿠키/헤더 원문은 저장하지 않음)
+ */
+
+const crypto = require('crypto');
+const { getAiBackendUrl } = require('../backendUrl');
+
+const SESSION_COOKIE_NAME = process.env.AI_SESSION_COOKIE || 'JSESSIONID';
+
+const DEFAULT_CACHE_TTL_MS = 60 * 1000;
+const DEFAULT_CACHE_MAX_ENTRIES = 1000;
+const LOOKUP_TIMEOUT_MS = 3000;
+
+// 백엔드 호출 시 전달할 인증 헤더
+const FORWARDED_HEADERS = ['cookie', 'authorization'];
+
+/**
+ * Cookie 헤더에서 특정 쿠키 값 추출
+ * 잘못 인코딩된 값(%E0 등)은 쿠키가 없는 것으로 처리합니다.
+ * @param {string|undefined} header - Cookie 헤더
+ * @param {string} name - 쿠키 이름
+ * @returns {string|null}
+ */
+function readCookie(header, name) {
+  if (!header) return null;
+
+  for (const pair of header.split(';')) {
+    const index = pair.indexOf('=');
+    if (index === -1) continue;
+    if (pair.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(pair.slice(index + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 로그인 사용자 주체 키
+ * @param {number|string} userId - 백엔드 사용자 ID
+ * @returns {string}
+ */
+function toUserSubject(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * 요청 주체 확인기 생성
+ * @param {Object} config
+ * @param {string|null} config.backendUrl - 백엔드 API 기본 URL (절대 URL, / 로 끝남)
+ * @param {number} config.ttlMs - 확인 결과 캐시 시간
+ * @param {number} config.maxEntries - 캐시 최대 개수
+ * @param {number} config.timeoutMs - 백엔드 조회 타임아웃
+ */
+function createRequestSubjectResolver({
+  backendUrl,
+  ttlMs,
+  maxEntries,
+  timeoutMs,
+}) {
+  // 세션 쿠키 + Authorization 해시 → { promise, expiresAt } (삽입 순서 = 오래된 순)
+  const cache = new Map();
+
+  /**
+   * 백엔드에 세션 사용자 ID 확인
+   * @returns {Promise<{userId: string|null, cacheable: boolean}>}
+   */
+  async function lookupUserId(req) {
+    const headers = { Accept: 'application/json' };
+    FORWARDED_HEADERS.forEach(name => {
+      if (req.headers[name]) headers[name] = req.headers[name];
+    });
+
+    try {
+      const response = await fetch(new URL('users/me', backendUrl), {
+        headers,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (response.status === 401 || response.status === 403) {
+        return { userId: null, cacheable: true };
+      }
+      if (!response.ok) {
+        throw new Error(`사용자 조회 실패 (${response.status})`);
+      }
+
+      const body = await response.json();
+      const userId = body?.data?.userId ?? body?.data?.id;
+      return {
+        userId: userId == null ? null : String(userId),
+        cacheable: true,
+      };
+    } catch (error) {
+      // 백엔드 장애 시에는 IP로 대체하되 결과를 캐싱하지 않음
+      console.warn('[AI Subject] 사용자 확인 실패:', error.message);
+      return { userId: null, cacheable: false };
+    }
+  }
+
+  return {
+    /**
+     * 요청 주체 키 반환
+     * @param {import('express').Request} req
+     * @returns {Promise<string>} 'user:<userId>' 또는 'ip:<address>'
+     */
+    async resolve(req) {
+      const fallback = `ip:${req.ip}`;
+      const sessionId = readCookie(req.headers.cookie, SESSION_COOKIE_NAME);
+      const authorization = req.headers.authorization || null;
+      if ((!sessionId && !authorization) || !backendUrl) return fallback;
+
+      // 백엔드는 두 값 모두로 사용자를 판단하므로 둘 다 키에 포함
+      // (같은 쿠키에 다른 토큰을 붙여 다른 사용자의 캐시 결과를 쓰지 못하게)
+      const key = crypto
+        .createHash('sha256')
+        .update(JSON.stringify([sessionId, authorization]))
+        .digest('hex');
+      const cached = cache.get(key);
+      if (cached && cached.expiresAt > Date.now()) {
+        const { userId } = await cached.promise;
+        return userId ? toUserSubject(userId) : fallback;
+      }
+      cache.delete(key);
+
+      // 같은 세션의 동시 요청은 조회 한 번을 함께 기다림
+      const promise = lookupUserId(req);
+      while (cache.size >= maxEntries) {
+        cache.delete(cache.keys().next().value);
+      }
+      cache.set(key, { promise, expiresAt: Date.now() + ttlMs });
+
+      const { userId, cacheable } = await promise;
+      if (!cacheable && cache.get(key)?.promise === promise) {
+        cache.delete(key);
+      }
+      return userId ? toUserSubject(userId) : fallback;
+    },
+  };
+}
+
+/**
+ * 로그인 사용자 주체인지 (IP 대체 주체가 아닌지)
+ * @param {string} subject
+ * @returns {boolean}
+ */
+function isUserSubject(subject) {
+  return typeof subject === 'string' && subject.startsWith('user:');
+}
+
+let cachedResolver = null;
+
+/**
+ * 환경변수 기반 요청 주체 확인기 반환 (최초 호출 시 생성 후 캐싱)
+ */
+function getRequestSubjectResolver() {
+  if (cachedResolver) {
+    return cachedResolver;
+  }
+
+  cachedResolver = createRequestSubjectResolver({
+    backendUrl: getAiBackendUrl(),
+    ttlMs: Number(process.env.AI_SUBJECT_CACHE_TTL_MS) || DEFAULT_CACHE_TTL_MS,
+    maxEntries: DEFAULT_CACHE_MAX_ENTRIES,
+    timeoutMs: LOOKUP_TIMEOUT_MS,
+  });
+  return cachedResolver;
+}
+
+/**
+ * 요청 주체를 req.aiSubject에 넣는 미들웨어
+ */
+async function attachRequestSubject(req, res, next) {
+  req.aiSubject = await getRequestSubjectResolver().resolve(req);
+  next();
+}
+
+module.exports = {
+  attachRequestSubject,
+  createRequestSubjectResolver,
+  getRequestSubjectResolver,
+  isUserSubject,
+  readCookie,
+  toUserSubject,
+};
@@ -0,0 +1,88 @@
+/**
+ * AI 생성 샘플링 옵션 (시드 / 온도)
+ *
+ * 같은 시드와 입력으로 다시 요청하면 같은(비슷한) 결과를 얻을 수 있도록
+ * 시드를 모든 모델 호출에 전달하고, 실제 적용한 값을 응답/기록에 남깁니다.
+ * - seed: 미전달 시 서버가 임의로 정해 응답에 포함 (재현용)
+ * - temperature: 프롬프트(텍스트) 모델의 샘플링 온도 (이미지 모델에는 전달하지 않음)
+ * - variant: 첫 후보 번호 (후보 i의 이미지 시드 = seed + variant + i)
+ *   여러 장 중 고른 후보 하나만 다시 만들 때 그 후보 번호를 보냅니다.
+ */
+
+const crypto = require('crypto');
+const { AiProxyError } = require('./errors');
+
+// Gemini generationConfig.seed (int32) 범위
+const MAX_SEED = 2147483647;
+const DEFAULT_TEMPERATURE = 0.9;
+const TEMPERATURE_RANGE = [0, 2];
+const MAX_VARIANT = 100;
+
+/**
+ * 요청 본문의 샘플링 옵션 검증 (시드 미전달 시 임의 생성)
+ * 임의 시드가 요청마다 한 번만 정해지도록 요청당 한 번만 호출합니다.
+ * @param {{seed?: number, temperature?: number, variant?: number}} params
+ * @returns {{seed: number, temperature: number, variant: number}}
+ * @throws {AiProxyError} 허용 범위 밖의 값 (400 INVALID_SAMPLING_OPTIONS)
+ */
+function resolveSampling({ seed, temperature, variant } = {}) {
+  const invalid = [];
+  if (
+    seed !== undefined &&
+    seed !== null &&
+    (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED)
+  ) {
+    invalid.push('seed');
+  }
+  if (
+    temperature !== undefined &&
+    temperature !== null &&
+    (typeof temperature !== 'number' ||
+      !(temperature >= TEMPERATURE_RANGE[0]) ||
+      !(temperature <= TEMPERATURE_RANGE[1]))
+  ) {
+    invalid.push('temperature');
+  }
+  if (
+    variant !== undefined &&
+    variant !== null &&
+    (!Number.isInteger(variant) || variant < 0 || variant > MAX_VARIANT)
+  ) {
+    invalid.push('variant');
+  }
+
+  if (invalid.length > 0) {
+    throw new AiProxyError('시드 또는 온도 값이 올바르지 않습니다.', {
+      status: 400,
+      code: 'INVALID_SAMPLING_OPTIONS',
+      details: {
+        invalid,
+        allowed: {
+          seed: [0, MAX_SEED],
+          temperature: TEMPERATURE_RANGE,
+          variant: [0, MAX_VARIANT],
+        },
+      },
+    });
+  }
+
+  return {
+    seed: seed ?? crypto.randomInt(0, MAX_SEED),
+    temperature: temperature ?? DEFAULT_TEMPERATURE,
+    variant: variant ?? 0,
+  };
+}
+
+/**
+ * 후보 번호에 해당하는 시드 (범위를 넘으면 0부터 다시)
+ * @param {number} seed - 기준 시드
+ * @param {number} offset - 후보 번호 등
+ */
+function seedForVariant(seed, offset) {
+  return (seed + offset) % (MAX_SEED + 1);
+}
+
+module.exports = {
+  resolveSampling,
+  seedForVariant,
+};
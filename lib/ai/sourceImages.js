@@ -0,0 +1,338 @@
+/**
+ * AI 생성 입력 이미지 서버 측 조회 (프로필 사진, 참조 이미지)
+ *
+ * 클라이언트가 이미지를 내려받아 다시 올리는 대신 ID(또는 S3 URL)만 보내면
+ * 서버가 직접 S3에서 가져옵니다.
+ * - 프로필 사진: 세션 사용자(GET /users/me)의 프로필 이미지만 사용합니다.
+ *   요청한 ID/URL이 본인 프로필과 다르면 403 PROFILE_IMAGE_MISMATCH
+ * - 참조 이미지: 백엔드 이미지 조회(GET /images/:id, 세션 쿠키 전달) 또는 허용된 S3 URL
+ *
+ * 백엔드 주소는 AI_BACKEND_URL (없으면 lib/backendUrl 기준: 목업 백엔드, API_PROXY_TARGET, API_BASE_URL 순),
+ * 허용 호스트는 AI_SOURCE_IMAGE_HOSTS(쉼표 구분, https만 허용)로 설정합니다.
+ * 목업 백엔드(MOCK_API=true)의 업로드 이미지는 상대 URL(/api/images/files/...)이므로
+ * 백엔드 주소 기준으로 풀어 목업 백엔드 origin에서 가져옵니다. (http 허용)
+ * 가져온 이미지는 URL 기준으로 메모리에 캐싱합니다. (AI_SOURCE_IMAGE_CACHE_TTL_MS, AI_SOURCE_IMAGE_CACHE_MAX_BYTES)
+ */
+
+const { AiProxyError } = require('./errors');
+const { getAiBackendUrl, getServerBackendUrl } = require('../backendUrl');
+const { fetchUpstream } = require('./upstream');
+
+const DEFAULT_ALLOWED_HOSTS = [
+  'ktb-community-images.s3.ap-northeast-2.amazonaws.com',
+];
+const DEFAULT_CACHE_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_CACHE_MAX_BYTES = 50 * 1024 * 1024;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 10000;
+
+// 백엔드 호출 시 전달할 인증 헤더
+const FORWARDED_HEADERS = ['cookie', 'authorization'];
+
+/**
+ * 이미지 바이트 캐시 (LRU, TTL + 전체 크기 제한)
+ * @param {Object} config
+ * @param {number} config.ttlMs - 보관 시간
+ * @param {number} config.maxBytes - 전체 최대 크기
+ */
+function createImageCache({ ttlMs, maxBytes }) {
+  const entries = new Map();
+  let totalBytes = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    totalBytes -= entry.size;
+    entries.delete(key);
+  }
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        remove(key);
+        return null;
+      }
+      // 최근 사용 순서 갱신
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.image;
+    },
+
+    set(key, image) {
+      const size = Buffer.byteLength(image.data);
+      if (size > maxBytes) return;
+
+      remove(key);
+      while (totalBytes + size > maxBytes) {
+        remove(entries.keys().next().value);
+      }
+      entries.set(key, { image, size, expiresAt: Date.now() + ttlMs });
+      totalBytes += size;
+    },
+  };
+}
+
+/**
+ * 백엔드 응답에서 이미지 URL 선택 (문자열 또는 { jpgUrl, webpUrl })
+ * Gemini 호환성을 위해 JPG를 우선 사용합니다.
+ */
+function pickImageUrl(...candidates) {
+  for (const value of candidates) {
+    if (typeof value === 'string' && value) return value;
+    if (value && typeof value === 'object') {
+      const url = value.jpgUrl || value.webpUrl;
+      if (url) return url;
+    }
+  }
+  return null;
+}
+
+/**
+ * 요청 이미지 참조 검증 에러
+ */
+function invalidSource(message, code = 'INVALID_IMAGE_SOURCE', status = 400) {
+  return new AiProxyError(message, { status, code });
+}
+
+/**
+ * 입력 이미지 조회기 생성
+ * @param {Object} config
+ * @param {string|null} config.backendUrl - 백엔드 API 기본 URL (절대 URL, / 로 끝남)
+ * @param {string[]} config.allowedHosts - S3 허용 호스트 (정확히 일치)
+ * @param {string[]} [config.trustedOrigins] - 호스트 검사 없이 허용할 origin (목업 백엔드)
+ * @param {Object} config.cache - 이미지 캐시
+ */
+function createSourceImageResolver({
+  backendUrl,
+  allowedHosts,
+  trustedOrigins = [],
+  cache,
+}) {
+  /**
+   * 백엔드 API 호출 (요청자의 세션 쿠키 전달, { message, data } 응답의 data 반환)
+   */
+  async function fetchBackend(req, pathname, signal) {
+    if (!backendUrl) {
+      throw new AiProxyError('백엔드 주소가 설정되지 않았습니다.', {
+        status: 500,
+        code: 'BACKEND_NOT_CONFIGURED',
+      });
+    }
+
+    const headers = { Accept: 'application/json' };
+    FORWARDED_HEADERS.forEach(name => {
+      if (req.headers[name]) headers[name] = req.headers[name];
+    });
+
+    const response = await fetchUpstream(
+      new URL(pathname, backendUrl),
+      { headers },
+      { label: '백엔드 조회', timeoutMs: FETCH_TIMEOUT_MS, retries: 1, signal }
+    );
+
+    if (response.status === 401) {
+      throw invalidSource('로그인이 필요합니다.', 'UNAUTHORIZED', 401);
+    }
+    if (response.status === 403 || response.status === 404) {
+      throw invalidSource(
+        '이미지를 찾을 수 없습니다.',
+        'SOURCE_IMAGE_NOT_FOUND',
+        404
+      );
+    }
+    if (!response.ok) {
+      throw new AiProxyError('백엔드 조회에 실패했습니다.', {
+        status: 502,
+        code: 'BACKEND_REQUEST_FAILED',
+        details: { upstreamStatus: response.status },
+      });
+    }
+
+    const body = await response.json().catch(() => ({}));
+    return body.data ?? null;
+  }
+
+  /**
+   * 허용된 S3 URL(또는 목업 백엔드 URL)인지 확인
+   * 상대 URL은 백엔드 주소 기준으로 풉니다.
+   */
+  function assertAllowedUrl(value) {
+    let url;
+    try {
+      url = new URL(value, backendUrl ?? undefined);
+    } catch {
+      throw invalidSource('잘못된 이미지 URL입니다.');
+    }
+
+    if (trustedOrigins.includes(url.origin)) {
+      return url;
+    }
+    if (url.protocol !== 'https:' || !allowedHosts.includes(url.hostname)) {
+      throw invalidSource('허용되지 않은 이미지 URL입니다.');
+    }
+    return url;
+  }
+
+  /**
+   * S3에서 이미지 가져오기 (캐시 우선)
+   * @returns {Promise<{data: string, mimeType: string}>}
+   */
+  async function fetchImage(value, signal) {
+    const url = assertAllowedUrl(value);
+    const cached = cache.get(url.href);
+    if (cached) return cached;
+
+    const response = await fetchUpstream(
+      url,
+      {},
+      { label: '입력 이미지', timeoutMs: FETCH_TIMEOUT_MS, retries: 1, signal }
+    );
+    if (!response.ok) {
+      throw invalidSource(
+        '이미지를 가져오지 못했습니다.',
+        'SOURCE_IMAGE_NOT_FOUND',
+        404
+      );
+    }
+
+    const mimeType = (response.headers.get('content-type') || '')
+      .split(';')[0]
+      .trim();
+    if (!mimeType.startsWith('image/')) {
+      throw invalidSource('이미지 파일이 아닙니다.');
+    }
+    if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+      throw invalidSource('이미지가 너무 큽니다.', 'SOURCE_IMAGE_TOO_LARGE');
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > MAX_IMAGE_BYTES) {
+      throw invalidSource('이미지가 너무 큽니다.', 'SOURCE_IMAGE_TOO_LARGE');
+    }
+
+    const image = { data: buffer.toString('base64'), mimeType };
+    cache.set(url.href, image);
+    return image;
+  }
+
+  return {
+    /**
+     * 세션 사용자의 프로필 사진 조회
+     * @param {import('express').Request} req
+     * @param {{imageId?: number|string, url?: string}} source - 클라이언트가 보낸 참조 (본인 프로필인지 확인)
+     * @param {AbortSignal} [signal]
+     * @throws {AiProxyError} 403 PROFILE_IMAGE_MISMATCH, 400 PROFILE_IMAGE_REQUIRED
+     */
+    async resolveProfileImage(req, { imageId, url }, signal) {
+      const user = await fetchBackend(req, 'users/me', signal);
+      const profileUrls = [
+        user?.profileImageUrl,
+        user?.profileImage,
+        user?.profileImageUrls?.jpgUrl,
+        user?.profileImageUrls?.webpUrl,
+      ].filter(value => typeof value === 'string' && value);
+      const profileUrl = pickImageUrl(
+        user?.profileImageUrls,
+        user?.profileImageUrl,
+        user?.profileImage
+      );
+
+      if (!profileUrl) {
+        throw invalidSource(
+          '프로필 이미지가 필요합니다.',
+          'PROFILE_IMAGE_REQUIRED'
+        );
+      }
+
+      const idMismatch =
+        imageId != null &&
+        user.profileImageId != null &&
+        String(imageId) !== String(user.profileImageId);
+      const urlMismatch = url && !profileUrls.includes(url);
+      if (idMismatch || urlMismatch) {
+        throw invalidSource(
+          '본인 프로필 이미지만 사용할 수 있습니다.',
+          'PROFILE_IMAGE_MISMATCH',
+          403
+        );
+      }
+
+      return fetchImage(profileUrl, signal);
+    },
+
+    /**
+     * 참조 이미지 조회 (이미지 ID 우선, 없으면 S3 URL)
+     * @param {import('express').Request} req
+     * @param {{imageId?: number|string, url?: string}} source
+     * @param {AbortSignal} [signal]
+     */
+    async resolveReferenceImage(req, { imageId, url }, signal) {
+      if (imageId != null) {
+        const image = await fetchBackend(
+          req,
+          `images/${encodeURIComponent(imageId)}`,
+          signal
+        );
+        const imageUrl = pickImageUrl(
+          image?.imageUrls,
+          image?.imageUrl,
+          image?.url
+        );
+        if (!imageUrl) {
+          throw invalidSource(
+            '이미지를 찾을 수 없습니다.',
+            'SOURCE_IMAGE_NOT_FOUND',
+            404
+          );
+        }
+        return fetchImage(imageUrl, signal);
+      }
+
+      return fetchImage(url, signal);
+    },
+  };
+}
+
+let cachedResolver = null;
+
+/**
+ * 환경변수 기반 입력 이미지 조회기 반환 (최초 호출 시 생성 후 캐싱)
+ */
+function getSourceImageResolver() {
+  if (cachedResolver) {
+    return cachedResolver;
+  }
+
+  const allowedHosts = process.env.AI_SOURCE_IMAGE_HOSTS
+    ? process.env.AI_SOURCE_IMAGE_HOSTS.split(',')
+        .map(host => host.trim())
+        .filter(Boolean)
+    : DEFAULT_ALLOWED_HOSTS;
+
+  cachedResolver = createSourceImageResolver({
+    backendUrl: getAiBackendUrl(),
+    allowedHosts,
+    // 목업 백엔드는 같은 서버이므로 업로드 이미지를 바로 가져옴
+    trustedOrigins:
+      process.env.MOCK_API === 'true'
+        ? [new URL(getServerBackendUrl()).origin]
+        : [],
+    cache: createImageCache({
+      ttlMs:
+        Number(process.env.AI_SOURCE_IMAGE_CACHE_TTL_MS) ||
+        DEFAULT_CACHE_TTL_MS,
+      maxBytes:
+        Number(process.env.AI_SOURCE_IMAGE_CACHE_MAX_BYTES) ||
+        DEFAULT_CACHE_MAX_BYTES,
+    }),
+  });
+  return cachedResolver;
+}
+
+module.exports = {
+  createImageCache,
+  createSourceImageResolver,
+  getSourceImageResolver,
+};
@@ -0,0 +1,139 @@
+/**
+ * 구조화 프롬프트 파싱/검증
+ *
+ * 구조화 시스템 프롬프트 템플릿(lib/ai/prompts, kind: structured)이 요구하는 JSON 응답을
+ * 코드 펜스 제거 → JSON 파싱 → 스키마 검증 순으로 처리합니다.
+ */
+
+/**
+ * @typedef {Object} PromptAttribute
+ * @property {string} name
+ * @property {string} description
+ */
+
+/**
+ * @typedef {Object} StructuredPrompt
+ * @property {'Person'|'Object'} subjectType
+ * @property {string} keyFeatures
+ * @property {PromptAttribute} style
+ * @property {PromptAttribute} location
+ * @property {PromptAttribute} lighting
+ * @property {PromptAttribute} action
+ * @property {PromptAttribute|null} clothing - Person인 경우만
+ * @property {PromptAttribute|null} expression - Person인 경우만
+ * @property {PromptAttribute} cameraComposition
+ * @property {PromptAttribute} pose
+ * @property {string} finalPrompt
+ */
+
+const SUBJECT_TYPES = ['Person', 'Object'];
+const REQUIRED_ATTRIBUTES = [
+  'style',
+  'location',
+  'lighting',
+  'action',
+  'cameraComposition',
+  'pose',
+];
+// Object 타입에서는 생략될 수 있는 속성
+const OPTIONAL_ATTRIBUTES = ['clothing', 'expression'];
+
+const CODE_FENCE_REGEX = /^```(?:json)?\s*([\s\S]*?)\s*```$/i;
+
+/**
+ * 응답 텍스트에서 JSON 본문 추출 (코드 펜스, 앞뒤 설명 문구 제거)
+ * @param {string} text - 모델 응답 텍스트
+ * @returns {string}
+ */
+function extractJsonText(text) {
+  const trimmed = String(text).trim();
+  const fenced = trimmed.match(CODE_FENCE_REGEX);
+  if (fenced) {
+    return fenced[1];
+  }
+
+  const start = trimmed.indexOf('{');
+  const end = trimmed.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    return trimmed.slice(start, end + 1);
+  }
+
+  return trimmed;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function normalizeAttribute(value, key, errors) {
+  if (
+    !value ||
+    typeof value !== 'object' ||
+    !isNonEmptyString(value.name) ||
+    typeof (value.description ?? '') !== 'string'
+  ) {
+    errors.push(`${key}: { name, description } 형식이 아닙니다.`);
+    return null;
+  }
+
+  return {
+    name: value.name.trim(),
+    description: (value.description || '').trim(),
+  };
+}
+
+/**
+ * 구조화 프롬프트 파싱 및 스키마 검증
+ * @param {string} text - 모델 응답 텍스트
+ * @returns {{value: StructuredPrompt|null, errors: string[]}}
+ */
+function parseStructuredPrompt(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(extractJsonText(text));
+  } catch (error) {
+    return { value: null, errors: [`JSON 파싱 실패: ${error.message}`] };
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { value: null, errors: ['최상위 값이 객체가 아닙니다.'] };
+  }
+
+  const errors = [];
+
+  if (!SUBJECT_TYPES.includes(parsed.subjectType)) {
+    errors.push(
+      `subjectType: ${SUBJECT_TYPES.join(' | ')} 중 하나여야 합니다.`
+    );
+  }
+
+  if (!isNonEmptyString(parsed.finalPrompt)) {
+    errors.push('finalPrompt: 비어 있지 않은 문자열이어야 합니다.');
+  }
+
+  const value = {
+    subjectType: parsed.subjectType,
+    keyFeatures:
+      typeof parsed.keyFeatures === 'string' ? parsed.keyFeatures : '',
+    finalPrompt: isNonEmptyString(parsed.finalPrompt)
+      ? parsed.finalPrompt.trim()
+      : '',
+  };
+
+  REQUIRED_ATTRIBUTES.forEach(key => {
+    value[key] = normalizeAttribute(parsed[key], key, errors);
+  });
+
+  OPTIONAL_ATTRIBUTES.forEach(key => {
+    value[key] =
+      parsed[key] == null ? null : normalizeAttribute(parsed[key], key, errors);
+  });
+
+  if (errors.length > 0) {
+    return { value: null, errors };
+  }
+
+  return { value, errors };
+}
+
+module.exports = { extractJsonText, parseStructuredPrompt };
@@ -0,0 +1,58 @@
+/**
+ * 게시글 제목 추천 결과 파싱/검증
+ *
+ * 제목 추천 시스템 프롬프트 템플릿(lib/ai/prompts, kind: title)이 요구하는
+ * { "titles": [...] } JSON 응답에서 게시글 제목 규칙(2~26자)에 맞는 제목만 골라냅니다.
+ */
+
+const { extractJsonText } = require('./structuredPrompt');
+
+// 게시글 제목 길이 제한 (post-create validateTitle과 동일)
+const TITLE_MIN_LENGTH = 2;
+const TITLE_MAX_LENGTH = 26;
+
+// 제목을 감싼 따옴표/괄호
+const WRAPPING_QUOTES_REGEX = /^["'“”‘’「」『』\s]+|["'“”‘’「」『』\s]+$/g;
+
+/**
+ * 모델 응답에서 제목 후보 추출
+ * 규칙에 맞지 않는 제목(길이 초과, 중복, 문자열 아님)은 제외합니다.
+ * @param {string} text - 모델 응답 텍스트
+ * @param {number} count - 최대 개수
+ * @returns {{titles: string[], errors: string[]}}
+ */
+function parseTitleSuggestions(text, count) {
+  let parsed;
+  try {
+    parsed = JSON.parse(extractJsonText(text));
+  } catch (error) {
+    return { titles: [], errors: [`JSON 파싱 실패: ${error.message}`] };
+  }
+
+  if (!Array.isArray(parsed?.titles)) {
+    return { titles: [], errors: ['titles 배열이 없습니다.'] };
+  }
+
+  const titles = [];
+  const errors = [];
+  parsed.titles.forEach((value, index) => {
+    if (typeof value !== 'string') {
+      errors.push(`titles[${index}]: 문자열이 아닙니다.`);
+      return;
+    }
+    const title = value.replace(/\s+/g, ' ').replace(WRAPPING_QUOTES_REGEX, '');
+    if (title.length < TITLE_MIN_LENGTH || title.length > TITLE_MAX_LENGTH) {
+      errors.push(`titles[${index}]: 길이 ${title.length}자`);
+      return;
+    }
+    if (!titles.includes(title)) titles.push(title);
+  });
+
+  return { titles: titles.slice(0, count), errors };
+}
+
+module.exports = {
+  TITLE_MAX_LENGTH,
+  TITLE_MIN_LENGTH,
+  parseTitleSuggestions,
+};
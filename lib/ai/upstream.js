@@ -0,0 +1,177 @@
+/**
+ * 업스트림(AI 벤더, 업로드 API) 호출 헬퍼
+ *
+ * - 호출별 타임아웃 (AbortSignal.timeout, 요청 취소 시그널과 함께 적용)
+ * - 재시도 가능한 응답(408, 429, 5xx)과 네트워크 오류/타임아웃은 지수 백오프 + 지터로 재시도
+ * - 429/503의 Retry-After 헤더를 우선 사용 (너무 길면 재시도하지 않음)
+ * - 재시도 후에도 실패하면 안정적인 에러 코드로 분류
+ *   - UPSTREAM_TIMEOUT (504): 응답 시간 초과
+ *   - UPSTREAM_RATE_LIMITED (429): 요청 한도 초과 { retryAfter: 초 }
+ *   - UPSTREAM_UNAVAILABLE (503): 5xx 응답 또는 네트워크 오류
+ *
+ * 재시도 대상이 아닌 4xx 응답은 그대로 반환하여 호출부에서 처리합니다.
+ * 재시도 횟수/대기 시간은 AI_UPSTREAM_MAX_RETRIES, AI_UPSTREAM_BACKOFF_MS로 설정합니다.
+ */
+
+const { AiProxyError } = require('./errors');
+
+const DEFAULT_MAX_RETRIES = Number(process.env.AI_UPSTREAM_MAX_RETRIES ?? 2);
+const DEFAULT_BACKOFF_MS = Number(process.env.AI_UPSTREAM_BACKOFF_MS) || 500;
+const MAX_BACKOFF_MS = 8000;
+// Retry-After가 이보다 길면 기다리지 않고 바로 UPSTREAM_RATE_LIMITED로 응답
+const MAX_RETRY_AFTER_MS = 20000;
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * Retry-After 헤더 파싱 (초 단위 숫자 또는 HTTP 날짜)
+ * @param {string|null} value - 헤더 값
+ * @returns {number|null} 대기 시간 (ms)
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 재시도 대기 시간 (지수 백오프 + 지터, 상한 MAX_BACKOFF_MS)
+ * @param {number} attempt - 실패한 시도 번호 (1부터)
+ * @param {number} baseMs - 첫 재시도 기준 대기 시간
+ */
+function getBackoffDelay(attempt, baseMs) {
+  const ceiling = Math.min(MAX_BACKOFF_MS, baseMs * 2 ** (attempt - 1));
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+/**
+ * 대기 (요청 취소 시 즉시 reject)
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * 최종 실패를 업스트림 에러 코드로 변환
+ * @param {string} label - 로그/메시지용 호출 이름
+ * @param {{status?: number, timedOut?: boolean, retryAfterMs?: number|null}} failure
+ */
+function toUpstreamError(label, { status, timedOut, retryAfterMs }) {
+  if (timedOut) {
+    return new AiProxyError(`${label} 응답 시간이 초과되었습니다.`, {
+      status: 504,
+      code: 'UPSTREAM_TIMEOUT',
+    });
+  }
+
+  if (status === 429) {
+    return new AiProxyError(`${label} 요청이 너무 많습니다.`, {
+      status: 429,
+      code: 'UPSTREAM_RATE_LIMITED',
+      details:
+        retryAfterMs != null
+          ? { retryAfter: Math.ceil(retryAfterMs / 1000) }
+          : null,
+    });
+  }
+
+  return new AiProxyError(`${label} 서비스를 일시적으로 사용할 수 없습니다.`, {
+    status: 503,
+    code: 'UPSTREAM_UNAVAILABLE',
+    details: status ? { upstreamStatus: status } : null,
+  });
+}
+
+/**
+ * 타임아웃/재시도를 적용한 fetch
+ *
+ * @param {string} url - 요청 URL
+ * @param {Object} init - fetch 옵션 (signal 제외)
+ * @param {Object} policy
+ * @param {string} policy.label - 로그/에러 메시지용 호출 이름 (예: '프롬프트 생성')
+ * @param {number} policy.timeoutMs - 시도당 타임아웃
+ * @param {number} [policy.retries] - 최대 재시도 횟수 (기본 AI_UPSTREAM_MAX_RETRIES)
+ * @param {number} [policy.backoffMs] - 첫 재시도 기준 대기 시간
+ * @param {AbortSignal} [policy.signal] - 요청 취소 시그널 (취소 시 재시도 없이 그대로 throw)
+ * @returns {Promise<Response>} 성공 응답 또는 재시도 대상이 아닌 에러 응답
+ * @throws {AiProxyError} UPSTREAM_TIMEOUT, UPSTREAM_RATE_LIMITED, UPSTREAM_UNAVAILABLE
+ */
+async function fetchUpstream(
+  url,
+  init,
+  {
+    label,
+    timeoutMs,
+    retries = DEFAULT_MAX_RETRIES,
+    backoffMs = DEFAULT_BACKOFF_MS,
+    signal,
+  }
+) {
+  for (let attempt = 1; ; attempt++) {
+    const timeoutSignal = AbortSignal.timeout(timeoutMs);
+    const attemptSignal = signal
+      ? AbortSignal.any([signal, timeoutSignal])
+      : timeoutSignal;
+
+    let failure;
+    try {
+      const response = await fetch(url, { ...init, signal: attemptSignal });
+      if (response.ok || !RETRYABLE_STATUSES.has(response.status)) {
+        return response;
+      }
+
+      failure = {
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+      };
+      // 연결 재사용을 위해 본문 비우기
+      await response.body?.cancel().catch(() => {});
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      failure = { timedOut: timeoutSignal.aborted };
+      if (!failure.timedOut) {
+        console.warn(`[AI Upstream] ${label} 네트워크 오류:`, error.message);
+      }
+    }
+
+    const retryAfterTooLong =
+      failure.retryAfterMs != null && failure.retryAfterMs > MAX_RETRY_AFTER_MS;
+    if (attempt > retries || retryAfterTooLong) {
+      console.error(
+        `[AI Upstream] ${label} 실패 (${attempt}회 시도):`,
+        failure.timedOut ? 'timeout' : failure.status || 'network'
+      );
+      throw toUpstreamError(label, failure);
+    }
+
+    const delay = failure.retryAfterMs ?? getBackoffDelay(attempt, backoffMs);
+    console.warn(
+      `[AI Upstream] ${label} 재시도 ${attempt}/${retries} (${
+        failure.timedOut ? 'timeout' : failure.status || 'network'
+      }, ${Math.round(delay)}ms 후)`
+    );
+    await sleep(delay, signal);
+  }
+}
+
+module.exports = { fetchUpstream, parseRetryAfter };
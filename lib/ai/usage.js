@@ -0,0 +1,334 @@
+/**
+ * AI 사용량/비용 기록
+ *
+ * 프로바이더 호출(프롬프트 생성, 이미지 생성)과 이미지 검수 호출 한 번마다
+ * 모델, 소요 시간, 토큰 사용량, 성공/실패 코드, 요청 주체를 한 줄씩 기록합니다.
+ * 기록은 추가만 하는 로컬 NDJSON 파일(AI_USAGE_FILE)에 남기며 수정/삭제하지 않습니다.
+ * 관리자용 GET /api/ai/usage 가 이 파일을 읽어 일별/모델별/에러 코드별로 집계합니다.
+ *
+ * 토큰 사용량은 프로바이더가 결과에 담아 주는 usage를 사용합니다.
+ * (Gemini: usageMetadata → { inputTokens, outputTokens, totalTokens })
+ * 비용은 MODEL_PRICING 단가로 계산한 추정치입니다.
+ *
+ * 기록 항목:
+ * { at, subject, endpoint, operation: 'prompt' | 'image' | 'moderation', provider, model,
+ *   latencyMs, inputTokens, outputTokens, totalTokens, ok, code }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DEFAULT_USAGE_FILE = path.join(__dirname, '../../data/ai-usage.ndjson');
+const DEFAULT_SUMMARY_DAYS = 30;
+
+// 모델별 단가 (USD / 100만 토큰, 공개 가격표 기준 추정치)
+const MODEL_PRICING = {
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-flash-image': { input: 0.3, output: 30 },
+};
+
+/**
+ * 서버 로컬 날짜 (YYYY-MM-DD, 쿼터와 같은 TZ 기준)
+ */
+function toLocalDate(timestamp) {
+  const date = new Date(timestamp);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * 기록 한 건의 추정 비용 (USD, 단가가 없는 모델은 0)
+ */
+function estimateCost({ model, inputTokens = 0, outputTokens = 0 }) {
+  const pricing = MODEL_PRICING[model];
+  if (!pricing) return 0;
+  return (
+    (inputTokens * pricing.input + outputTokens * pricing.output) / 1_000_000
+  );
+}
+
+/**
+ * 에러를 기록용 코드로 변환
+ */
+function toUsageCode(error) {
+  if (error?.name === 'AbortError' || error?.name === 'TimeoutError') {
+    return 'CANCELED';
+  }
+  return error?.code || 'INTERNAL_ERROR';
+}
+
+/**
+ * NDJSON 파일 사용량 저장소 (추가 전용)
+ * 쓰기는 순서대로 appendFile로 처리하고, 집계는 파일을 한 줄씩 읽어 계산합니다.
+ * @param {Object} config
+ * @param {string} config.filePath - 저장 파일 경로
+ */
+function createNdjsonUsageStore({ filePath }) {
+  let writeChain = Promise.resolve();
+
+  return {
+    /**
+     * 기록 추가
+     * @param {Object} record - 기록 항목
+     */
+    append(record) {
+      const line = `${JSON.stringify(record)}\n`;
+      writeChain = writeChain
+        .catch(() => {})
+        .then(async () => {
+          await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+          await fs.promises.appendFile(filePath, line);
+        });
+      return writeChain;
+    },
+
+    /**
+     * 기간 내 기록 순회 (손상된 줄은 건너뜀)
+     * @param {{from: number, to: number}} range - 타임스탬프 범위 (to 미포함)
+     */
+    async *read({ from, to }) {
+      await writeChain.catch(() => {});
+
+      let input;
+      try {
+        input = fs.createReadStream(filePath, { encoding: 'utf8' });
+        await new Promise((resolve, reject) => {
+          input.once('open', resolve);
+          input.once('error', reject);
+        });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        const at = Date.parse(record.at);
+        if (at >= from && at < to) yield record;
+      }
+    },
+  };
+}
+
+function createBucket() {
+  return {
+    requests: 0,
+    failures: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    totalTokens: 0,
+    estimatedCostUsd: 0,
+    totalLatencyMs: 0,
+  };
+}
+
+function addToBucket(bucket, record) {
+  bucket.requests++;
+  if (!record.ok) bucket.failures++;
+  bucket.inputTokens += record.inputTokens || 0;
+  bucket.outputTokens += record.outputTokens || 0;
+  bucket.totalTokens += record.totalTokens || 0;
+  bucket.estimatedCostUsd += estimateCost(record);
+  bucket.totalLatencyMs += record.latencyMs || 0;
+}
+
+function toBucketSummary({ totalLatencyMs, estimatedCostUsd, ...bucket }) {
+  return {
+    ...bucket,
+    failureRate:
+      bucket.requests > 0
+        ? Math.round((bucket.failures / bucket.requests) * 1000) / 1000
+        : 0,
+    avgLatencyMs:
+      bucket.requests > 0 ? Math.round(totalLatencyMs / bucket.requests) : 0,
+    estimatedCostUsd: Math.round(estimatedCostUsd * 10000) / 10000,
+  };
+}
+
+/**
+ * 기간 내 사용량 집계
+ * @param {Object} store - 사용량 저장소
+ * @param {{from: number, to: number}} range - 타임스탬프 범위 (to 미포함)
+ * @returns {Promise<Object>} { totals, byDay, byModel, byCode }
+ */
+async function summarizeUsage(store, range) {
+  const totals = createBucket();
+  const byDay = new Map();
+  const byModel = new Map();
+  const byCode = new Map();
+
+  const bucketOf = (map, key) => {
+    if (!map.has(key)) map.set(key, createBucket());
+    return map.get(key);
+  };
+
+  for await (const record of store.read(range)) {
+    addToBucket(totals, record);
+    addToBucket(bucketOf(byDay, toLocalDate(record.at)), record);
+    addToBucket(bucketOf(byModel, record.model || 'unknown'), record);
+    if (!record.ok) {
+      byCode.set(record.code, (byCode.get(record.code) || 0) + 1);
+    }
+  }
+
+  return {
+    totals: toBucketSummary(totals),
+    byDay: [...byDay]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, bucket]) => ({ date, ...toBucketSummary(bucket) })),
+    byModel: [...byModel].map(([model, bucket]) => ({
+      model,
+      ...toBucketSummary(bucket),
+    })),
+    byCode: [...byCode]
+      .sort(([, a], [, b]) => b - a)
+      .map(([code, count]) => ({ code, count })),
+  };
+}
+
+/**
+ * 호출 한 번을 사용량 기록과 함께 실행
+ * 결과의 usage는 기록에만 사용하고 결과에서 제거합니다.
+ * 기록 실패는 호출에 영향을 주지 않습니다.
+ * @param {Object} context
+ * @param {Object} context.store - 사용량 저장소
+ * @param {string} context.subject - 요청 주체 키
+ * @param {string} context.endpoint - 호출한 엔드포인트 (예: 'generate-image')
+ * @param {Object} call
+ * @param {string} call.operation - 'prompt' | 'image' | 'moderation'
+ * @param {string} call.provider - 호출한 프로바이더/분류기 이름
+ * @param {string} call.model - 호출한 모델
+ * @param {Function} [call.isEmpty] - 결과가 비었는지 판단 (빈 결과는 실패로 기록)
+ * @param {string} [call.emptyCode] - 결과가 비었을 때 라우트가 응답하는 에러 코드
+ * @param {Function} run - () => Promise<결과>
+ */
+async function trackUsage(
+  { store, subject, endpoint },
+  { operation, provider, model, isEmpty = () => false, emptyCode = null },
+  run
+) {
+  const startedAt = Date.now();
+  const record = {
+    at: new Date(startedAt).toISOString(),
+    subject,
+    endpoint,
+    operation,
+    provider,
+    model,
+  };
+  const save = fields =>
+    store
+      .append({ ...record, latencyMs: Date.now() - startedAt, ...fields })
+      .catch(error =>
+        console.error('[AI 사용량] 기록 저장 실패:', error.message)
+      );
+
+  let result;
+  try {
+    result = await run();
+  } catch (error) {
+    save({ ok: false, code: toUsageCode(error) });
+    throw error;
+  }
+
+  const { usage, ...rest } = result ?? {};
+  const empty = isEmpty(result);
+  save({ ...usage, ok: !empty, code: empty ? emptyCode : null });
+  return result ? rest : result;
+}
+
+/**
+ * 프로바이더 호출을 사용량 기록으로 감싸기 (요청 단위로 생성)
+ * @param {Object} provider - AI 프로바이더
+ * @param {Object} context - trackUsage의 context ({ store, subject, endpoint })
+ * @returns {Object} 같은 인터페이스의 프로바이더
+ *   (usageContext: 이미지 검수처럼 프로바이더 밖의 호출도 같은 context로 기록할 때 사용)
+ */
+function withUsageTracking(provider, context) {
+  function track(operation, model, call, isEmpty, emptyCode) {
+    return (params, signal) =>
+      trackUsage(
+        context,
+        { operation, provider: provider.name, model, isEmpty, emptyCode },
+        () => call(params, signal)
+      );
+  }
+
+  return {
+    ...provider,
+    usageContext: context,
+    generatePrompt: track(
+      'prompt',
+      provider.models.prompt,
+      provider.generatePrompt,
+      result => !result?.text,
+      'NO_PROMPT_RESULT'
+    ),
+    generateImage: track(
+      'image',
+      provider.models.image,
+      provider.generateImage,
+      result => !result?.data,
+      'NO_IMAGE_RESULT'
+    ),
+  };
+}
+
+/**
+ * 요청 기간 파싱 (YYYY-MM-DD, 서버 로컬 날짜 기준, to 포함)
+ * 지정하지 않으면 최근 DEFAULT_SUMMARY_DAYS일
+ * @returns {{from: number, to: number}|null} 잘못된 날짜면 null
+ */
+function parseUsageRange({ from, to } = {}) {
+  const parseDate = value => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return NaN;
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).getTime();
+  };
+
+  const end = new Date();
+  end.setHours(24, 0, 0, 0);
+  const toTime = to ? parseDate(to) + 24 * 60 * 60 * 1000 : end.getTime();
+  const fromTime = from
+    ? parseDate(from)
+    : toTime - DEFAULT_SUMMARY_DAYS * 24 * 60 * 60 * 1000;
+
+  if (Number.isNaN(fromTime) || Number.isNaN(toTime) || fromTime >= toTime) {
+    return null;
+  }
+  return { from: fromTime, to: toTime };
+}
+
+let cachedStore = null;
+
+/**
+ * 환경변수 기반 사용량 저장소 반환 (최초 호출 시 생성 후 캐싱)
+ */
+function getUsageStore() {
+  if (cachedStore) {
+    return cachedStore;
+  }
+
+  cachedStore = createNdjsonUsageStore({
+    filePath: process.env.AI_USAGE_FILE || DEFAULT_USAGE_FILE,
+  });
+  return cachedStore;
+}
+
+module.exports = {
+  MODEL_PRICING,
+  createNdjsonUsageStore,
+  getUsageStore,
+  parseUsageRange,
+  summarizeUsage,
+  trackUsage,
+  withUsageTracking,
+};
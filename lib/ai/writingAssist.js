@@ -0,0 +1,168 @@
+/**
+ * AI 글쓰기 도우미 (POST /api/ai/assist/:action)
+ *
+ * 일기 본문을 모델로 고쳐 쓰고, 원문과 결과를 문단 단위로 비교해
+ * 사용자가 문단마다 반영/유지를 고를 수 있는 형태로 돌려줍니다.
+ *
+ * 동작 (action):
+ * - expand: 짧은 메모/목록을 일기 문장으로 풀어 쓰기
+ * - spellfix: 맞춤법, 띄어쓰기 교정 (내용/말투 유지)
+ * - tone: 선택한 말투(ASSIST_TONES)로 바꾸기
+ * 시스템 프롬프트는 동작 이름과 같은 종류의 템플릿(lib/ai/prompts)을 사용합니다.
+ *
+ * 본문과 결과 모두 게시글 본문 제한(10,000자, post-create validateContent)을 넘을 수 없습니다.
+ */
+
+// 게시글 본문 최대 길이 (post-create/post-edit validateContent와 동일)
+const MAX_CONTENT_LENGTH = 10000;
+
+// 동작별 샘플링 온도 (교정은 원문을 최대한 유지하도록 낮게)
+const ASSIST_ACTIONS = {
+  expand: { temperature: 0.9 },
+  spellfix: { temperature: 0.1 },
+  tone: { temperature: 0.7 },
+};
+
+// 말투 → 템플릿에 넣을 설명
+const ASSIST_TONES = {
+  warm: '따뜻하고 다정한 말투',
+  calm: '담담하고 차분한 말투',
+  bright: '밝고 경쾌한 말투',
+  polite: '정중한 존댓말',
+};
+
+// 문단 비교 표 크기 제한 (넘으면 위치 기준으로만 비교)
+const MAX_DIFF_CELLS = 250000;
+
+const CODE_FENCE_REGEX = /^```[\w-]*\s*([\s\S]*?)\s*```$/;
+
+/**
+ * 모델 응답에서 본문만 추출 (코드 펜스, <diary> 태그 제거)
+ * @param {string} text - 모델 응답 텍스트
+ * @returns {string}
+ */
+function cleanAssistResult(text) {
+  const trimmed = String(text ?? '').trim();
+  const fenced = trimmed.match(CODE_FENCE_REGEX);
+  return (fenced ? fenced[1] : trimmed)
+    .replace(/^<diary>\s*/i, '')
+    .replace(/\s*<\/diary>$/i, '')
+    .trim();
+}
+
+/**
+ * 본문을 문단으로 분리
+ * 빈 줄이 있으면 빈 줄 기준, 없으면 줄 단위로 나눕니다.
+ * @returns {{paragraphs: string[], separator: string}}
+ */
+function splitParagraphs(text) {
+  const normalized = text.replace(/\r\n?/g, '\n').trim();
+  const hasBlankLine = /\n[ \t]*\n/.test(normalized);
+  const paragraphs = normalized
+    .split(hasBlankLine ? /\n[ \t]*\n/ : /\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean);
+
+  return { paragraphs, separator: hasBlankLine ? '\n\n' : '\n' };
+}
+
+/**
+ * 두 문단 목록의 같은 문단(LCS) 기준 편집 목록
+ * @returns {Array<{type: 'equal'|'delete'|'insert', text: string}>}
+ */
+function toEditScript(a, b) {
+  const cols = b.length + 1;
+  const lengths = new Uint16Array((a.length + 1) * cols);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const edits = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      edits.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      edits.push({ type: 'delete', text: a[i++] });
+    } else {
+      edits.push({ type: 'insert', text: b[j++] });
+    }
+  }
+  while (i < a.length) edits.push({ type: 'delete', text: a[i++] });
+  while (j < b.length) edits.push({ type: 'insert', text: b[j++] });
+  return edits;
+}
+
+/**
+ * 원문과 결과를 문단 단위로 비교
+ * 바뀐 구간의 문단 수가 같으면 문단마다 나누고, 다르면(문단이 합쳐지거나 늘어난 경우)
+ * 구간 전체를 하나의 변경으로 묶습니다.
+ * @param {string} originalText - 원문
+ * @param {string} revisedText - 모델 결과
+ * @returns {{separator: string, paragraphs: Array<{changed: boolean, original: string, revised: string}>}}
+ *   - separator: 문단을 다시 합칠 때 쓸 구분자 (결과 본문 기준)
+ *   - original/revised: 해당 구간의 원문/결과 (삭제/추가된 구간이면 빈 문자열)
+ */
+function diffParagraphs(originalText, revisedText) {
+  const { paragraphs: a } = splitParagraphs(originalText);
+  const { paragraphs: b, separator } = splitParagraphs(revisedText);
+
+  const edits =
+    (a.length + 1) * (b.length + 1) <= MAX_DIFF_CELLS
+      ? toEditScript(a, b)
+      : [
+          ...a.map(text => ({ type: 'delete', text })),
+          ...b.map(text => ({ type: 'insert', text })),
+        ];
+
+  const paragraphs = [];
+  let removed = [];
+  let added = [];
+
+  const flushChange = () => {
+    if (removed.length === 0 && added.length === 0) return;
+    if (removed.length === added.length) {
+      removed.forEach((original, index) => {
+        paragraphs.push({ changed: true, original, revised: added[index] });
+      });
+    } else {
+      paragraphs.push({
+        changed: true,
+        original: removed.join(separator),
+        revised: added.join(separator),
+      });
+    }
+    removed = [];
+    added = [];
+  };
+
+  edits.forEach(({ type, text }) => {
+    if (type === 'equal') {
+      flushChange();
+      paragraphs.push({ changed: false, original: text, revised: text });
+    } else if (type === 'delete') {
+      removed.push(text);
+    } else {
+      added.push(text);
+    }
+  });
+  flushChange();
+
+  return { separator, paragraphs };
+}
+
+module.exports = {
+  ASSIST_ACTIONS,
+  ASSIST_TONES,
+  MAX_CONTENT_LENGTH,
+  cleanAssistResult,
+  diffParagraphs,
+};
@@ -0,0 +1,302 @@
+/**
+ * 백엔드 API 리버스 프록시 (/api/* → API_PROXY_TARGET)
+ *
+ * 브라우저가 프론트 서버 한 곳(same-origin)만 호출하도록 백엔드 요청을 대신 전달합니다.
+ * 교차 출처 호출(CORS, Safari 서드파티 쿠키 차단) 없이 세션 쿠키를 사용할 수 있습니다.
+ *
+ * - /api/ai, /api/image-proxy는 이 서버가 직접 처리하므로 전달하지 않습니다.
+ * - 요청/응답 본문은 버퍼링하지 않고 스트림으로 그대로 전달합니다.
+ *   (express.json보다 먼저 등록해야 본문이 소비되지 않음)
+ * - hop-by-hop 헤더를 제거하고 X-Forwarded-For/Proto/Host를 추가합니다.
+ * - 백엔드의 Set-Cookie는 프론트 origin 쿠키가 되도록 Domain 제거, Path 변환,
+ *   http 접속이면 Secure 제거(SameSite=None → Lax)를 거칩니다.
+ * - 백엔드 주소로 향하는 Location 헤더는 /api/ 경로로 바꿉니다.
+ * - 연결 실패는 502, 응답 대기 시간(API_PROXY_TIMEOUT_MS) 초과는 504로 응답합니다.
+ *   브라우저 페이지 이동이면 502 안내 페이지, API 호출이면 JSON을 돌려줍니다.
+ */
+
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const MOUNT_PATH = '/api/';
+
+// 프론트 서버가 직접 처리하는 경로 (MOUNT_PATH 기준)
+const EXCLUDED_PATHS = ['/ai', '/image-proxy'];
+
+// 다음 구간으로 전달하지 않는 연결 단위 헤더 (RFC 9110 7.6.1)
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+];
+
+const ERROR_PAGE_PATH = path.join(
+  __dirname,
+  '..',
+  'public',
+  'pages',
+  '502',
+  '502.html'
+);
+
+/**
+ * 프록시 대상 URL 정규화 (http/https 절대 URL만 허용, 끝에 / 보장)
+ * @param {string} value - API_PROXY_TARGET 값
+ * @returns {URL|null}
+ */
+function parseProxyTarget(value) {
+  if (!value) return null;
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    if (!url.pathname.endsWith('/')) url.pathname += '/';
+    url.search = '';
+    url.hash = '';
+    return url;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 제외 경로 여부 (/api/ai, /api/ai/..., /api/image-proxy?...)
+ * @param {string} url - 마운트 기준 요청 경로 (req.url)
+ */
+function isExcludedPath(url) {
+  const pathname = url.split('?')[0];
+  return EXCLUDED_PATHS.some(
+    prefix => pathname === prefix || pathname.startsWith(`${prefix}/`)
+  );
+}
+
+/**
+ * 요청 헤더 → 백엔드 요청 헤더 (hop-by-hop 제거, X-Forwarded-* 추가)
+ */
+function toUpstreamHeaders(req, target) {
+  const headers = { ...req.headers };
+  const connectionTokens = String(req.headers.connection || '')
+    .split(',')
+    .map(token => token.trim().toLowerCase())
+    .filter(Boolean);
+  [...HOP_BY_HOP_HEADERS, ...connectionTokens].forEach(name => {
+    delete headers[name];
+  });
+
+  const remoteAddress = req.socket.remoteAddress;
+  headers['x-forwarded-for'] = req.headers['x-forwarded-for']
+    ? `${req.headers['x-forwarded-for']}, ${remoteAddress}`
+    : remoteAddress;
+  headers['x-forwarded-proto'] = req.protocol;
+  headers['x-forwarded-host'] = req.headers.host;
+  headers.host = target.host;
+  return headers;
+}
+
+/**
+ * 백엔드 Set-Cookie → 프론트 origin 쿠키
+ * @param {string} cookie - Set-Cookie 헤더 값 하나
+ * @param {Object} options
+ * @param {string} options.targetPath - 백엔드 API 경로 (예: /api/)
+ * @param {boolean} options.secure - 프론트 접속이 https인지
+ * @returns {string}
+ */
+function rewriteSetCookie(cookie, { targetPath, secure }) {
+  const [pair, ...attributes] = cookie.split(';');
+  const rewritten = [];
+
+  attributes.forEach(attribute => {
+    const trimmed = attribute.trim();
+    const [rawName, ...rest] = trimmed.split('=');
+    const name = rawName.trim().toLowerCase();
+    const value = rest.join('=').trim();
+
+    if (name === 'domain') return;
+    if (name === 'secure' && !secure) return;
+    if (name === 'path') {
+      rewritten.push(`Path=${rewritePath(value, targetPath)}`);
+      return;
+    }
+    // Secure 없는 SameSite=None 쿠키는 브라우저가 거부하므로 Lax로 낮춤
+    if (name === 'samesite' && value.toLowerCase() === 'none' && !secure) {
+      rewritten.push('SameSite=Lax');
+      return;
+    }
+    if (trimmed) rewritten.push(trimmed);
+  });
+
+  return [pair.trim(), ...rewritten].join('; ');
+}
+
+/**
+ * 백엔드 경로 → 프록시 경로 (백엔드 API 경로 밖이면 그대로)
+ */
+function rewritePath(value, targetPath) {
+  if (value === targetPath.slice(0, -1)) return MOUNT_PATH.slice(0, -1);
+  if (value.startsWith(targetPath)) {
+    return MOUNT_PATH + value.slice(targetPath.length);
+  }
+  return value;
+}
+
+/**
+ * 백엔드 주소로 향하는 Location → 프록시 경로
+ */
+function rewriteLocation(location, target) {
+  try {
+    const url = new URL(location, target);
+    if (url.origin !== target.origin) return location;
+    if (!url.pathname.startsWith(target.pathname)) return location;
+    return (
+      MOUNT_PATH +
+      url.pathname.slice(target.pathname.length) +
+      url.search +
+      url.hash
+    );
+  } catch {
+    return location;
+  }
+}
+
+/**
+ * 백엔드 응답 헤더 → 클라이언트 응답 헤더
+ */
+function toClientHeaders(upstreamRes, { target, secure }) {
+  const headers = { ...upstreamRes.headers };
+  HOP_BY_HOP_HEADERS.forEach(name => {
+    delete headers[name];
+  });
+
+  if (headers['set-cookie']) {
+    headers['set-cookie'] = headers['set-cookie'].map(cookie =>
+      rewriteSetCookie(cookie, { targetPath: target.pathname, secure })
+    );
+  }
+  if (headers.location) {
+    headers.location = rewriteLocation(headers.location, target);
+  }
+  return headers;
+}
+
+/**
+ * 백엔드 연결 실패 응답 (페이지 이동이면 안내 페이지, 그 외 JSON)
+ * 응답 형식은 백엔드 공통 응답({ message, data, errors })에 맞춥니다.
+ */
+function sendProxyError(req, res, status, code) {
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+
+  const message =
+    status === 504
+      ? '서버 응답이 지연되고 있습니다. 잠시 후 다시 시도해주세요.'
+      : '서버에 연결할 수 없습니다. 잠시 후 다시 시도해주세요.';
+
+  res.status(status).set('Cache-Control', 'no-store');
+  if (req.accepts(['json', 'html']) === 'html') {
+    res.sendFile(ERROR_PAGE_PATH, err => {
+      if (err && !res.headersSent) res.send(message);
+    });
+    return;
+  }
+  res.json({ message, code, data: null, errors: null });
+}
+
+/**
+ * 백엔드 리버스 프록시 미들웨어 생성 (app.use('/api', ...)로 등록)
+ * @param {Object} config
+ * @param {URL} config.target - 백엔드 API 기본 URL (parseProxyTarget 결과)
+ * @param {number} config.timeoutMs - 백엔드 응답 대기 시간 (소켓 유휴 기준)
+ * @returns {import('express').RequestHandler}
+ */
+function createBackendProxy({ target, timeoutMs }) {
+  const transport = target.protocol === 'https:' ? https : http;
+
+  return function backendProxy(req, res, next) {
+    if (isExcludedPath(req.url)) {
+      return next();
+    }
+
+    const upstreamUrl = new URL(req.url.replace(/^\/+/, ''), target);
+    // '..' 경로로 백엔드 API 경로 밖을 호출하지 못하도록 차단
+    if (!upstreamUrl.pathname.startsWith(target.pathname)) {
+      return next();
+    }
+    const upstreamReq = transport.request(upstreamUrl, {
+      method: req.method,
+      headers: toUpstreamHeaders(req, target),
+    });
+
+    let timedOut = false;
+    upstreamReq.setTimeout(timeoutMs, () => {
+      timedOut = true;
+      upstreamReq.destroy();
+    });
+
+    upstreamReq.on('response', upstreamRes => {
+      res.writeHead(
+        upstreamRes.statusCode,
+        upstreamRes.statusMessage,
+        toClientHeaders(upstreamRes, { target, secure: req.secure })
+      );
+      upstreamRes.pipe(res);
+      upstreamRes.on('error', () => res.destroy());
+    });
+
+    upstreamReq.on('error', error => {
+      // 클라이언트가 먼저 연결을 끊은 경우
+      if (res.destroyed) return;
+
+      console.error(
+        `[Backend Proxy] ${req.method} ${req.originalUrl} 실패:`,
+        timedOut ? `${timeoutMs}ms 응답 없음` : error.message
+      );
+      sendProxyError(
+        req,
+        res,
+        timedOut ? 504 : 502,
+        timedOut ? 'UPSTREAM_TIMEOUT' : 'UPSTREAM_UNAVAILABLE'
+      );
+    });
+
+    // 응답 완료 전에 클라이언트가 끊으면 백엔드 요청도 중단
+    res.on('close', () => {
+      if (!res.writableFinished) upstreamReq.destroy();
+    });
+
+    req.pipe(upstreamReq);
+  };
+}
+
+/**
+ * 환경변수 기반 프록시 미들웨어 반환 (API_PROXY_TARGET이 없거나 잘못되면 null)
+ */
+function getBackendProxy() {
+  const target = parseProxyTarget(process.env.API_PROXY_TARGET);
+  if (!target) {
+    if (process.env.API_PROXY_TARGET) {
+      console.warn(
+        '[Backend Proxy] API_PROXY_TARGET이 http(s) URL이 아니므로 프록시를 사용하지 않습니다.'
+      );
+    }
+    return null;
+  }
+
+  return createBackendProxy({
+    target,
+    timeoutMs: Number(process.env.API_PROXY_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+  });
+}
+
+module.exports = {
+  createBackendProxy,
+  getBackendProxy,
+};
@@ -0,0 +1,36 @@
+/**
+ * 서버에서 호출할 백엔드 API 기본 URL
+ *
+ * 브라우저용 API_BASE_URL은 상대 경로(/api/)일 수 있으므로 서버에서는 다음 순서로 정합니다.
+ * - MOCK_API=true: 이 서버의 목업 백엔드 (http://localhost:PORT/api/)
+ * - API_PROXY_TARGET: 리버스 프록시 대상
+ * - API_BASE_URL: 절대 URL인 경우만
+ */
+
+/**
+ * @returns {string|null} / 로 끝나는 절대 URL (설정이 없으면 null)
+ */
+function getServerBackendUrl() {
+  if (process.env.MOCK_API === 'true') {
+    return `http://localhost:${process.env.PORT || 3000}/api/`;
+  }
+
+  const value = [process.env.API_PROXY_TARGET, process.env.API_BASE_URL].find(
+    candidate => candidate && /^https?:\/\//.test(candidate)
+  );
+  if (!value) return null;
+  return value.endsWith('/') ? value : `${value}/`;
+}
+
+/**
+ * AI 라우터가 호출할 백엔드 기본 URL (사용자 확인, 입력 이미지 조회)
+ * AI_BACKEND_URL이 절대 URL이면 우선 사용합니다.
+ * @returns {string|null} / 로 끝나는 절대 URL (설정이 없으면 null)
+ */
+function getAiBackendUrl() {
+  const value = process.env.AI_BACKEND_URL;
+  if (!value || !/^https?:\/\//.test(value)) return getServerBackendUrl();
+  return value.endsWith('/') ? value : `${value}/`;
+}
+
+module.exports = { getAiBackendUrl, getServerBackendUrl };
@@ -0,0 +1,251 @@
+/**
+ * 이미지 프록시 디스크 캐시 (LRU, TTL + 전체 크기 제한)
+ *
+ * URL마다 <sha256>.bin(본문)과 <sha256>.json(형식, 크기, ETag, 만료 시각)을 저장합니다.
+ * 본문은 임시 파일에 받아 두었다가 끝까지 받은 경우에만 rename으로 확정합니다.
+ * 사용 순서는 메모리에서만 관리하며, 서버 시작 시 폴더를 읽어 저장 시각 순으로 복원합니다.
+ * (짝이 맞지 않는 파일과 남은 임시 파일은 이때 정리)
+ *
+ * 환경변수: IMAGE_PROXY_CACHE_DIR (기본: data/image-proxy-cache),
+ * IMAGE_PROXY_CACHE_MAX_BYTES, IMAGE_PROXY_CACHE_TTL_MS
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+const { Writable } = require('stream');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '../../data/image-proxy-cache');
+const DEFAULT_MAX_BYTES = 200 * 1024 * 1024;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+function toKey(url) {
+  return crypto.createHash('sha256').update(url).digest('hex');
+}
+
+function removeFile(filePath) {
+  return fsPromises.unlink(filePath).catch(() => {});
+}
+
+/**
+ * 디스크 이미지 캐시 생성
+ * @param {Object} config
+ * @param {string} config.dir - 캐시 폴더
+ * @param {number} config.maxBytes - 전체 최대 크기
+ * @param {number} config.ttlMs - 보관 시간
+ */
+function createDiskImageCache({ dir, maxBytes, ttlMs }) {
+  // key → { size, contentType, etag, expiresAt } (삽입 순서 = 오래 안 쓴 순)
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const bodyPath = key => path.join(dir, `${key}.bin`);
+  const metaPath = key => path.join(dir, `${key}.json`);
+
+  // 목록에서만 제거 (파일은 그대로)
+  function forget(key) {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    totalBytes -= entry.size;
+    entries.delete(key);
+    return true;
+  }
+
+  function remove(key) {
+    if (!forget(key)) return;
+    removeFile(metaPath(key));
+    removeFile(bodyPath(key));
+  }
+
+  async function restore() {
+    await fsPromises.mkdir(dir, { recursive: true });
+    const names = await fsPromises.readdir(dir);
+    const restored = [];
+
+    await Promise.all(
+      names
+        .filter(name => name.endsWith('.json'))
+        .map(async name => {
+          const key = name.slice(0, -'.json'.length);
+          try {
+            const meta = JSON.parse(
+              await fsPromises.readFile(metaPath(key), 'utf8')
+            );
+            const stat = await fsPromises.stat(bodyPath(key));
+            if (stat.size !== meta.size || meta.expiresAt <= Date.now()) {
+              throw new Error('stale');
+            }
+            restored.push({ key, meta });
+          } catch {
+            await removeFile(metaPath(key));
+            await removeFile(bodyPath(key));
+          }
+        })
+    );
+
+    restored
+      .sort((a, b) => a.meta.storedAt - b.meta.storedAt)
+      .forEach(({ key, meta }) => {
+        entries.set(key, meta);
+        totalBytes += meta.size;
+      });
+
+    // 메타데이터가 없는 본문, 완료되지 않은 임시 파일 정리
+    await Promise.all(
+      names
+        .filter(
+          name =>
+            name.endsWith('.tmp') ||
+            (name.endsWith('.bin') && !entries.has(name.slice(0, -4)))
+        )
+        .map(name => removeFile(path.join(dir, name)))
+    );
+    evict();
+  }
+
+  function evict() {
+    while (totalBytes > maxBytes && entries.size > 0) {
+      remove(entries.keys().next().value);
+    }
+  }
+
+  const ready = restore().catch(error => {
+    console.error('[Image Proxy] 캐시 폴더를 읽지 못했습니다:', error.message);
+  });
+
+  return {
+    /**
+     * 캐시된 이미지 조회 (최근 사용 순서 갱신)
+     * @param {string} url
+     * @returns {Promise<{filePath: string, size: number, contentType: string, etag: string}|null>}
+     */
+    async get(url) {
+      await ready;
+      const key = toKey(url);
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        remove(key);
+        return null;
+      }
+
+      entries.delete(key);
+      entries.set(key, entry);
+      return { ...entry, filePath: bodyPath(key) };
+    },
+
+    /**
+     * 캐시 항목 삭제 (본문 파일을 열 수 없을 때 등)
+     * @param {string} url
+     */
+    remove(url) {
+      remove(toKey(url));
+    },
+
+    /**
+     * 캐시에 저장할 본문 스트림 생성
+     * 본문을 끝까지 쓴 뒤 commit()을 호출해야 캐시에 반영되고,
+     * 중간에 실패하면 discard()로 임시 파일을 지웁니다.
+     * @param {string} url
+     * @param {{contentType: string, etag: string|null}} meta - etag가 없으면 본문 해시로 생성
+     */
+    createWriter(url, { contentType, etag }) {
+      const key = toKey(url);
+      const tempPath = path.join(
+        dir,
+        `${key}.${crypto.randomBytes(4).toString('hex')}.tmp`
+      );
+      const hash = crypto.createHash('sha256');
+      const file = fs.createWriteStream(tempPath);
+      let size = 0;
+      let settled = false;
+
+      const stream = new Writable({
+        write(chunk, encoding, callback) {
+          hash.update(chunk);
+          size += chunk.length;
+          if (file.write(chunk)) {
+            callback();
+          } else {
+            file.once('drain', () => callback());
+          }
+        },
+        final(callback) {
+          file.end(callback);
+        },
+      });
+      file.on('error', error => stream.destroy(error));
+
+      return {
+        stream,
+
+        /**
+         * 임시 파일을 캐시 항목으로 확정 (maxBytes보다 크면 저장하지 않음)
+         */
+        async commit() {
+          if (settled) return;
+          settled = true;
+          await ready;
+
+          if (size > maxBytes) {
+            await removeFile(tempPath);
+            return;
+          }
+
+          const entry = {
+            url,
+            size,
+            contentType,
+            etag: etag || `"${hash.digest('base64url')}"`,
+            storedAt: Date.now(),
+            expiresAt: Date.now() + ttlMs,
+          };
+          try {
+            // 같은 URL의 이전 항목은 rename/writeFile로 덮어씀
+            forget(key);
+            await fsPromises.rename(tempPath, bodyPath(key));
+            await fsPromises.writeFile(metaPath(key), JSON.stringify(entry));
+          } catch (error) {
+            console.error('[Image Proxy] 캐시 저장 실패:', error.message);
+            await removeFile(tempPath);
+            await removeFile(bodyPath(key));
+            return;
+          }
+
+          entries.set(key, entry);
+          totalBytes += size;
+          evict();
+        },
+
+        discard() {
+          if (settled) return;
+          settled = true;
+          file.destroy();
+          removeFile(tempPath);
+        },
+      };
+    },
+  };
+}
+
+let cachedCache = null;
+
+/**
+ * 환경변수 기반 이미지 프록시 캐시 반환 (최초 호출 시 생성 후 캐싱)
+ */
+function getImageProxyCache() {
+  if (cachedCache) {
+    return cachedCache;
+  }
+
+  cachedCache = createDiskImageCache({
+    dir: process.env.IMAGE_PROXY_CACHE_DIR || DEFAULT_CACHE_DIR,
+    maxBytes:
+      Number(process.env.IMAGE_PROXY_CACHE_MAX_BYTES) || DEFAULT_MAX_BYTES,
+    ttlMs: Number(process.env.IMAGE_PROXY_CACHE_TTL_MS) || DEFAULT_TTL_MS,
+  });
+  return cachedCache;
+}
+
+module.exports = { createDiskImageCache, getImageProxyCache };
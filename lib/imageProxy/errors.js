@@ -0,0 +1,14 @@
+/**
+ * 이미지 프록시 에러
+ * 라우트 핸들러에서 status/code를 그대로 응답({ error, code })에 사용합니다.
+ */
+class ImageProxyError extends Error {
+  constructor(message, { status = 502, code = 'UPSTREAM_ERROR' } = {}) {
+    super(message);
+    this.name = 'ImageProxyError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+module.exports = { ImageProxyError };
@@ -0,0 +1,362 @@
+/**
+ * 원격 이미지 조회 (GET /api/image-proxy)
+ *
+ * 서버가 임의의 주소로 요청을 보내지 않도록(SSRF) 다음을 확인합니다.
+ * - https만 허용하고, 호스트는 허용 목록과 정확히 일치해야 합니다.
+ *   '.'으로 시작하는 항목은 그 하위 도메인만 허용합니다. (예: .images.anoo.dev)
+ *   S3는 버킷 호스트(virtual-hosted)만 허용합니다. 리전 호스트(s3.<region>.amazonaws.com)나
+ *   '.s3.<region>.amazonaws.com'을 허용하면 다른 사람의 버킷 이미지도 받아 오게 됩니다.
+ * - 호스트가 사설/루프백/링크 로컬 주소로 해석되면 연결하지 않습니다.
+ * - 리다이렉트는 maxRedirects번까지 따라가며, 매번 같은 검사를 다시 합니다.
+ *
+ * 응답은 메모리에 모으지 않고 스트림으로 넘깁니다.
+ * Content-Type이 image/*여도 본문 앞부분(시그니처)이 실제 이미지인지 확인하고,
+ * 크기가 maxBytes를 넘으면 전송 중이라도 중단합니다. (SVG는 스크립트를 담을 수 있어 제외)
+ *
+ * 환경변수: IMAGE_PROXY_ALLOWED_HOSTS(쉼표 구분), IMAGE_PROXY_MAX_BYTES,
+ * IMAGE_PROXY_MAX_REDIRECTS, IMAGE_PROXY_TIMEOUT_MS
+ */
+
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const { Readable } = require('stream');
+const { ImageProxyError } = require('./errors');
+
+const DEFAULT_ALLOWED_HOSTS = [
+  'ktb-community-images.s3.ap-northeast-2.amazonaws.com',
+];
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_REDIRECTS = 3;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const SNIFF_BYTES = 32;
+
+// 연결하지 않을 주소 대역 (사설망, 루프백, 링크 로컬, CGNAT 등)
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 3],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, 'ipv4')
+);
+[
+  ['::', 128],
+  ['::1', 128],
+  ['::ffff:0:0', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, 'ipv6')
+);
+
+/**
+ * 내부 주소로 해석되면 거부하는 DNS 조회 (https.request의 lookup 옵션)
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.some(entry =>
+      blockedAddresses.check(
+        entry.address,
+        entry.family === 6 ? 'ipv6' : 'ipv4'
+      )
+    );
+    if (blocked) {
+      return callback(
+        new ImageProxyError('허용되지 않은 이미지 주소입니다.', {
+          status: 403,
+          code: 'ADDRESS_NOT_ALLOWED',
+        })
+      );
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * 본문 시그니처로 이미지 형식 판별
+ * @param {Buffer} head - 본문 앞부분
+ * @returns {string|null} MIME 타입 (알 수 없으면 null)
+ */
+function sniffImageType(head) {
+  const ascii = (start, end) => head.toString('latin1', start, end);
+
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (head.subarray(0, 8).equals(Buffer.from('89504e470d0a1a0a', 'hex'))) {
+    return 'image/png';
+  }
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') {
+    return 'image/gif';
+  }
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'avif' || brand === 'avis') return 'image/avif';
+    if (['heic', 'heix', 'mif1'].includes(brand)) return 'image/heic';
+  }
+  if (ascii(0, 2) === 'BM') {
+    return 'image/bmp';
+  }
+  return null;
+}
+
+/**
+ * 원격 이미지 조회기 생성
+ * @param {Object} config
+ * @param {string[]} config.allowedHosts - 허용 호스트 (정확히 일치, '.'으로 시작하면 하위 도메인)
+ * @param {number} config.maxBytes - 이미지 최대 크기
+ * @param {number} config.maxRedirects - 리다이렉트 최대 횟수
+ * @param {number} config.timeoutMs - 응답 대기 시간 (소켓 유휴 기준)
+ */
+function createRemoteImageFetcher({
+  allowedHosts,
+  maxBytes,
+  maxRedirects,
+  timeoutMs,
+}) {
+  const exactHosts = new Set(
+    allowedHosts.filter(host => !host.startsWith('.'))
+  );
+  const hostSuffixes = allowedHosts.filter(host => host.startsWith('.'));
+
+  function isAllowedHost(hostname) {
+    return (
+      exactHosts.has(hostname) ||
+      hostSuffixes.some(suffix => hostname.endsWith(suffix))
+    );
+  }
+
+  /**
+   * 허용된 이미지 URL인지 확인
+   * @param {string} value
+   * @returns {URL}
+   * @throws {ImageProxyError} 400 INVALID_URL, 403 DOMAIN_NOT_ALLOWED
+   */
+  function assertAllowedUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      throw new ImageProxyError('잘못된 이미지 URL입니다.', {
+        status: 400,
+        code: 'INVALID_URL',
+      });
+    }
+
+    if (
+      url.protocol !== 'https:' ||
+      url.username ||
+      url.password ||
+      url.port ||
+      !isAllowedHost(url.hostname)
+    ) {
+      throw new ImageProxyError('허용되지 않은 이미지 URL입니다.', {
+        status: 403,
+        code: 'DOMAIN_NOT_ALLOWED',
+      });
+    }
+    url.hash = '';
+    return url;
+  }
+
+  function request(url, signal) {
+    return new Promise((resolve, reject) => {
+      const upstreamReq = https.request(
+        url,
+        {
+          headers: { Accept: 'image/*' },
+          lookup: safeLookup,
+          timeout: timeoutMs,
+          signal,
+        },
+        resolve
+      );
+      upstreamReq.on('timeout', () => {
+        upstreamReq.destroy(
+          new ImageProxyError('이미지 응답 시간이 초과되었습니다.', {
+            status: 504,
+            code: 'UPSTREAM_TIMEOUT',
+          })
+        );
+      });
+      upstreamReq.on('error', reject);
+      upstreamReq.end();
+    });
+  }
+
+  /**
+   * 본문 앞부분을 SNIFF_BYTES 이상 읽음 (이후 청크는 같은 iterator로 이어서 읽음)
+   */
+  async function readHead(iterator) {
+    const chunks = [];
+    let length = 0;
+    while (length < SNIFF_BYTES) {
+      const { value, done } = await iterator.next();
+      if (done) break;
+      chunks.push(value);
+      length += value.length;
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * 앞부분 + 나머지 본문 (maxBytes 초과 시 에러로 중단)
+   */
+  async function* limitedBody(head, iterator) {
+    try {
+      let total = head.length;
+      if (total > maxBytes) throw tooLarge();
+      yield head;
+
+      for (;;) {
+        const { value, done } = await iterator.next();
+        if (done) return;
+        total += value.length;
+        if (total > maxBytes) throw tooLarge();
+        yield value;
+      }
+    } finally {
+      await iterator.return?.();
+    }
+  }
+
+  function tooLarge() {
+    return new ImageProxyError('이미지가 너무 큽니다.', {
+      code: 'IMAGE_TOO_LARGE',
+    });
+  }
+
+  return {
+    assertAllowedUrl,
+
+    /**
+     * 이미지 요청 (리다이렉트 처리, 헤더/시그니처 검증 후 본문 스트림 반환)
+     * @param {URL} url - assertAllowedUrl을 통과한 URL
+     * @param {AbortSignal} [signal] - 클라이언트 연결 종료 시 중단
+     * @returns {Promise<{body: Readable, contentType: string, contentLength: number|null, etag: string|null}>}
+     * @throws {ImageProxyError}
+     */
+    async open(url, signal) {
+      let currentUrl = url;
+      let response;
+      for (let redirects = 0; ; redirects++) {
+        response = await request(currentUrl, signal);
+        if (!REDIRECT_STATUSES.has(response.statusCode)) break;
+
+        response.resume();
+        if (redirects >= maxRedirects || !response.headers.location) {
+          throw new ImageProxyError('리다이렉트가 너무 많습니다.', {
+            code: 'TOO_MANY_REDIRECTS',
+          });
+        }
+        currentUrl = assertAllowedUrl(
+          new URL(response.headers.location, currentUrl).href
+        );
+      }
+
+      const { statusCode, headers } = response;
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        const notFound = statusCode === 403 || statusCode === 404;
+        throw new ImageProxyError(
+          notFound
+            ? '이미지를 찾을 수 없습니다.'
+            : '이미지를 가져오지 못했습니다.',
+          {
+            status: notFound ? 404 : 502,
+            code: notFound ? 'IMAGE_NOT_FOUND' : 'UPSTREAM_ERROR',
+          }
+        );
+      }
+
+      const declaredType = (headers['content-type'] || '')
+        .split(';')[0]
+        .trim()
+        .toLowerCase();
+      const contentLength =
+        headers['content-length'] != null
+          ? Number(headers['content-length'])
+          : null;
+      if (!declaredType.startsWith('image/') || declaredType.includes('svg')) {
+        response.resume();
+        throw new ImageProxyError('이미지 파일이 아닙니다.', {
+          code: 'NOT_AN_IMAGE',
+        });
+      }
+      if (contentLength > maxBytes) {
+        response.destroy();
+        throw tooLarge();
+      }
+
+      const iterator = response[Symbol.asyncIterator]();
+      const head = await readHead(iterator);
+      const contentType = sniffImageType(head);
+      if (!contentType) {
+        await iterator.return?.();
+        throw new ImageProxyError('이미지 파일이 아닙니다.', {
+          code: 'NOT_AN_IMAGE',
+        });
+      }
+
+      return {
+        body: Readable.from(limitedBody(head, iterator), {
+          objectMode: false,
+        }),
+        contentType,
+        contentLength: Number.isFinite(contentLength) ? contentLength : null,
+        etag: headers.etag || null,
+      };
+    },
+  };
+}
+
+let cachedFetcher = null;
+
+/**
+ * 환경변수 기반 원격 이미지 조회기 반환 (최초 호출 시 생성 후 캐싱)
+ */
+function getRemoteImageFetcher() {
+  if (cachedFetcher) {
+    return cachedFetcher;
+  }
+
+  const allowedHosts = process.env.IMAGE_PROXY_ALLOWED_HOSTS
+    ? process.env.IMAGE_PROXY_ALLOWED_HOSTS.split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean)
+    : DEFAULT_ALLOWED_HOSTS;
+  // 0이면 리다이렉트를 따라가지 않음
+  const maxRedirects = Number.parseInt(
+    process.env.IMAGE_PROXY_MAX_REDIRECTS,
+    10
+  );
+
+  cachedFetcher = createRemoteImageFetcher({
+    allowedHosts,
+    maxBytes: Number(process.env.IMAGE_PROXY_MAX_BYTES) || DEFAULT_MAX_BYTES,
+    maxRedirects: maxRedirects >= 0 ? maxRedirects : DEFAULT_MAX_REDIRECTS,
+    timeoutMs: Number(process.env.IMAGE_PROXY_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+  });
+  return cachedFetcher;
+}
+
+module.exports = {
+  createRemoteImageFetcher,
+  getRemoteImageFetcher,
+  sniffImageType,
+};
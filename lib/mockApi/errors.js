@@ -0,0 +1,15 @@
+/**
+ * 목업 백엔드 에러
+ * 백엔드 공통 응답({ message, data, errors })의 message에는 백엔드와 같은
+ * snake_case 코드(예: invalid_credentials)를, errors에는 필드별 메시지를 담습니다.
+ */
+class MockApiError extends Error {
+  constructor(message, { status = 400, errors = null } = {}) {
+    super(message);
+    this.name = 'MockApiError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+module.exports = { MockApiError };
@@ -0,0 +1,204 @@
+/**
+ * 목업 백엔드 저장소 (routes/mockApi)
+ *
+ * 사용자, 세션, 게시글, 댓글, 좋아요, 이미지 메타데이터, 피드백을 JSON 파일 하나에 보관합니다.
+ * 파일 전체를 메모리에 올려두고, 변경할 때마다 임시 파일 → rename으로 저장합니다.
+ * 파일이 없으면 데모 계정(SEED_USER)과 예시 게시글로 시작합니다.
+ * 파일 경로는 MOCK_API_FILE로 설정합니다. (기본: data/mock-api.json)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_STORE_FILE = path.join(__dirname, '../../data/mock-api.json');
+
+// 로그인 화면에서 바로 쓸 수 있는 데모 계정
+const SEED_USER = {
+  email: 'demo@anoo.dev',
+  password: 'Anoo1234!',
+  nickname: '아누',
+};
+
+/**
+ * 비밀번호 해시 (scrypt, "salt:hash" 형식)
+ * @param {string} password
+ * @returns {string}
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 32).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+/**
+ * 비밀번호 확인
+ * @param {string} password - 입력한 비밀번호
+ * @param {string} stored - hashPassword 결과
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored).split(':');
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * 빈 저장소에 넣을 초기 데이터 (데모 계정 + 예시 게시글/댓글)
+ */
+function createSeedData() {
+  const now = Date.now();
+  const at = minutesAgo => new Date(now - minutesAgo * 60000).toISOString();
+
+  return {
+    nextIds: { user: 2, post: 3, comment: 2, image: 1, feedback: 1 },
+    users: [
+      {
+        id: 1,
+        email: SEED_USER.email,
+        nickname: SEED_USER.nickname,
+        passwordHash: hashPassword(SEED_USER.password),
+        profileImageId: null,
+        createdAt: at(60 * 24),
+      },
+    ],
+    sessions: {},
+    posts: [
+      {
+        id: 1,
+        userId: 1,
+        title: '목업 서버에 오신 걸 환영해요',
+        content:
+          '백엔드 없이도 글쓰기, 댓글, 좋아요를 모두 사용해볼 수 있어요.\n데이터는 data/mock-api.json에 저장됩니다.',
+        imageIds: [],
+        primaryImageId: null,
+        viewCount: 3,
+        createdAt: at(120),
+        updatedAt: at(120),
+      },
+      {
+        id: 2,
+        userId: 1,
+        title: '오늘의 일기',
+        content:
+          '비 온 뒤라 공기가 맑았다.\n퇴근길에 들른 빵집에서 갓 나온 소금빵을 샀다.',
+        imageIds: [],
+        primaryImageId: null,
+        viewCount: 1,
+        createdAt: at(30),
+        updatedAt: at(30),
+      },
+    ],
+    comments: [
+      {
+        id: 1,
+        postId: 1,
+        userId: 1,
+        content: '첫 댓글이에요!',
+        isDeleted: false,
+        createdAt: at(100),
+      },
+    ],
+    likes: [],
+    images: [],
+    feedback: [],
+  };
+}
+
+/**
+ * JSON 파일 목업 저장소
+ * @param {Object} config
+ * @param {string} config.filePath - 저장 파일 경로
+ */
+function createJsonFileMockStore({ filePath }) {
+  let data = null;
+  let writeChain = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(
+          '[Mock API] 저장 파일을 읽지 못해 초기 데이터로 시작합니다:',
+          error
+        );
+      }
+      data = createSeedData();
+    }
+    return data;
+  }
+
+  function persist() {
+    const snapshot = JSON.stringify(data);
+    writeChain = writeChain
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, snapshot);
+        await fs.rename(tempPath, filePath);
+      });
+    return writeChain;
+  }
+
+  return {
+    /**
+     * 현재 데이터 조회 (읽기 전용으로 사용)
+     */
+    async read() {
+      return load();
+    },
+
+    /**
+     * 데이터 변경 후 저장
+     * @param {Function} mutate - (data) => 결과값 (예외를 던지면 저장하지 않음)
+     * @returns {Promise<*>} mutate 결과
+     */
+    async update(mutate) {
+      const current = await load();
+      const result = mutate(current);
+      await persist();
+      return result;
+    },
+
+    /**
+     * 새 ID 발급 (update 안에서 사용)
+     * @param {Object} current - update에 전달된 데이터
+     * @param {string} kind - user | post | comment | image | feedback
+     */
+    nextId(current, kind) {
+      const id = current.nextIds[kind];
+      current.nextIds[kind] = id + 1;
+      return id;
+    },
+  };
+}
+
+let cachedStore = null;
+
+/**
+ * 환경변수 기반 목업 저장소 반환 (최초 호출 시 생성 후 캐싱)
+ */
+function getMockStore() {
+  if (cachedStore) {
+    return cachedStore;
+  }
+
+  cachedStore = createJsonFileMockStore({
+    filePath: process.env.MOCK_API_FILE || DEFAULT_STORE_FILE,
+  });
+  return cachedStore;
+}
+
+module.exports = {
+  SEED_USER,
+  createJsonFileMockStore,
+  getMockStore,
+  hashPassword,
+  verifyPassword,
+};
@@ -0,0 +1,287 @@
+/**
+ * 게시글 공유 미리보기 메타 태그 (GET /post/:id)
+ *
+ * 카카오톡/슬랙 등 링크 미리보기 크롤러는 스크립트를 실행하지 않으므로
+ * 서버에서 게시글을 조회해 post-detail.html에 Open Graph/Twitter 메타 태그와
+ * canonical URL을 넣어 보냅니다.
+ *
+ * - 게시글은 백엔드(lib/backendUrl)의 GET /posts/:id?increaseView=false를 쿠키 없이 조회합니다.
+ *   (크롤러 방문이 조회수에 잡히지 않도록 백엔드와 맞춘 파라미터, 목업 백엔드도 같은 동작)
+ *   조회 결과는 게시글 ID 기준으로 잠시 캐싱합니다. (POST_META_CACHE_TTL_MS)
+ *   실패(없는 게시글, 타임아웃 등)도 짧게 캐싱해 요청마다 타임아웃까지 기다리지 않습니다.
+ *   (POST_META_NEGATIVE_TTL_MS)
+ * - 제목, 본문 앞부분(최대 DESCRIPTION_MAX_LENGTH자), 대표 이미지를 사용하며
+ *   이미지가 없으면 앱 아이콘을 사용합니다.
+ * - 절대 URL의 기준은 PUBLIC_SITE_URL (없으면 요청 호스트)입니다.
+ * - 조회에 실패하면 호출부에서 정적 파일을 그대로 보냅니다.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { getServerBackendUrl } = require('./backendUrl');
+
+const DEFAULT_CACHE_TTL_MS = 60 * 1000;
+const DEFAULT_NEGATIVE_TTL_MS = 10 * 1000;
+const DEFAULT_CACHE_MAX_ENTRIES = 500;
+const DEFAULT_TIMEOUT_MS = 2000;
+
+const SITE_NAME = 'anoo';
+const DESCRIPTION_MAX_LENGTH = 100;
+const DESCRIPTION_MAX_LINES = 3;
+const DEFAULT_IMAGE_PATH = '/assets/icon/web-app-manifest-512x512.png';
+
+const TEMPLATE_PATH = path.join(
+  __dirname,
+  '..',
+  'public',
+  'pages',
+  'post',
+  'post-detail.html'
+);
+
+/**
+ * 게시글 조회 실패 (호출부에서 정적 파일로 대체)
+ */
+class PostMetaError extends Error {
+  constructor(message, { status = null } = {}) {
+    super(message);
+    this.name = 'PostMetaError';
+    this.status = status;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 본문 앞부분으로 설명 생성 (빈 줄 제외 앞 몇 줄, 길이 제한)
+ */
+function toDescription(content) {
+  const text = String(content ?? '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .slice(0, DESCRIPTION_MAX_LINES)
+    .join(' ')
+    .replace(/\s+/g, ' ');
+
+  return text.length > DESCRIPTION_MAX_LENGTH
+    ? `${text.slice(0, DESCRIPTION_MAX_LENGTH - 1)}…`
+    : text;
+}
+
+/**
+ * 대표 이미지 URL (썸네일 → 첫 번째 이미지, 크롤러 호환을 위해 JPG 우선)
+ */
+function pickPostImage(post) {
+  const sortedImages = Array.isArray(post.images)
+    ? [...post.images].sort((a, b) => (a.position || 0) - (b.position || 0))
+    : [];
+  const candidates = [post.thumbnailUrls, sortedImages[0]?.imageUrls];
+
+  for (const value of candidates) {
+    if (typeof value === 'string' && value) return value;
+    if (value && typeof value === 'object') {
+      const url = value.jpgUrl || value.webpUrl;
+      if (url) return url;
+    }
+  }
+  return null;
+}
+
+/**
+ * 게시글 응답 → 메타 정보 (URL은 상대 경로일 수 있음)
+ * @returns {{title: string, description: string, image: string|null}}
+ */
+function toPostMeta(post) {
+  return {
+    title: String(post.title ?? '').trim() || '기록',
+    description: toDescription(post.content),
+    image: pickPostImage(post),
+  };
+}
+
+/**
+ * post-detail.html에 메타 태그 삽입
+ * @param {string} html - 원본 HTML
+ * @param {Object} meta
+ * @param {string} meta.title - 게시글 제목
+ * @param {string} meta.description - 설명
+ * @param {string} meta.image - 이미지 절대 URL
+ * @param {boolean} meta.hasPostImage - 게시글 이미지 여부 (Twitter 카드 크기)
+ * @param {string} meta.url - canonical URL
+ * @returns {string}
+ */
+function injectMetaTags(
+  html,
+  { title, description, image, hasPostImage, url }
+) {
+  const tags = [
+    ['name', 'description', description],
+    ['property', 'og:type', 'article'],
+    ['property', 'og:site_name', SITE_NAME],
+    ['property', 'og:locale', 'ko_KR'],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:image', image],
+    ['property', 'og:url', url],
+    ['name', 'twitter:card', hasPostImage ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image],
+  ]
+    .map(
+      ([attribute, name, content]) =>
+        `    <meta ${attribute}="${name}" content="${escapeHtml(content)}" />`
+    )
+    .join('\n');
+
+  const head = [
+    '    <!-- Share Preview (서버 렌더링) -->',
+    tags,
+    `    <link rel="canonical" href="${escapeHtml(url)}" />`,
+  ].join('\n');
+
+  // 치환 문자열의 $ 패턴이 해석되지 않도록 함수로 치환
+  return html
+    .replace(
+      /<title>[^<]*<\/title>/,
+      () => `<title>${escapeHtml(`${title} - ${SITE_NAME}`)}</title>`
+    )
+    .replace(/\n[ \t]*<\/head>/, () => `\n${head}\n  </head>`);
+}
+
+/**
+ * 게시글 메타 렌더러 생성
+ * @param {Object} config
+ * @param {string|null} config.backendUrl - 백엔드 API 기본 URL (절대 URL, / 로 끝남)
+ * @param {string|null} config.siteUrl - 공개 사이트 주소 (없으면 요청 호스트)
+ * @param {number} config.ttlMs - 게시글 조회 결과 캐시 시간
+ * @param {number} config.negativeTtlMs - 조회 실패 캐시 시간
+ * @param {number} config.maxEntries - 캐시 최대 개수
+ * @param {number} config.timeoutMs - 백엔드 조회 타임아웃
+ */
+function createPostMetaRenderer({
+  backendUrl,
+  siteUrl,
+  ttlMs,
+  negativeTtlMs,
+  maxEntries,
+  timeoutMs,
+}) {
+  // postId → { meta, expiresAt } 또는 { error, expiresAt } (삽입 순서 = 오래된 순)
+  const cache = new Map();
+
+  function remember(postId, entry) {
+    while (cache.size >= maxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(postId, entry);
+  }
+
+  async function requestPostMeta(postId) {
+    if (!backendUrl) {
+      throw new PostMetaError('백엔드 주소가 설정되지 않았습니다.');
+    }
+
+    // 조회수를 올리지 않는 조회 (백엔드가 increaseView=false를 지원해야 함)
+    const url = new URL(`posts/${postId}`, backendUrl);
+    url.searchParams.set('increaseView', 'false');
+
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      throw new PostMetaError(`게시글 조회 실패 (${response.status})`, {
+        status: response.status,
+      });
+    }
+
+    const body = await response.json();
+    if (!body?.data) {
+      throw new PostMetaError('게시글 응답에 data가 없습니다.');
+    }
+
+    return toPostMeta(body.data);
+  }
+
+  async function fetchPostMeta(postId) {
+    const cached = cache.get(postId);
+    if (cached && cached.expiresAt > Date.now()) {
+      if (cached.error) throw cached.error;
+      return cached.meta;
+    }
+    cache.delete(postId);
+
+    try {
+      const meta = await requestPostMeta(postId);
+      remember(postId, { meta, expiresAt: Date.now() + ttlMs });
+      return meta;
+    } catch (error) {
+      remember(postId, { error, expiresAt: Date.now() + negativeTtlMs });
+      throw error;
+    }
+  }
+
+  return {
+    /**
+     * 메타 태그를 넣은 게시글 상세 HTML
+     * @param {import('express').Request} req
+     * @param {string} postId - 숫자 문자열
+     * @returns {Promise<string>}
+     * @throws {PostMetaError|Error} 조회/파싱 실패 시 (정적 파일로 대체)
+     */
+    async render(req, postId) {
+      const [meta, html] = await Promise.all([
+        fetchPostMeta(postId),
+        fs.readFile(TEMPLATE_PATH, 'utf8'),
+      ]);
+
+      const origin = siteUrl || `${req.protocol}://${req.get('host')}`;
+      const image = meta.image || DEFAULT_IMAGE_PATH;
+
+      return injectMetaTags(html, {
+        title: meta.title,
+        description: meta.description,
+        image: new URL(image, origin).toString(),
+        hasPostImage: Boolean(meta.image),
+        url: new URL(`/post/${postId}`, origin).toString(),
+      });
+    },
+  };
+}
+
+let cachedRenderer = null;
+
+/**
+ * 환경변수 기반 게시글 메타 렌더러 반환 (최초 호출 시 생성 후 캐싱)
+ */
+function getPostMetaRenderer() {
+  if (cachedRenderer) {
+    return cachedRenderer;
+  }
+
+  cachedRenderer = createPostMetaRenderer({
+    backendUrl: getServerBackendUrl(),
+    siteUrl: process.env.PUBLIC_SITE_URL || null,
+    ttlMs: Number(process.env.POST_META_CACHE_TTL_MS) || DEFAULT_CACHE_TTL_MS,
+    negativeTtlMs:
+      Number(process.env.POST_META_NEGATIVE_TTL_MS) || DEFAULT_NEGATIVE_TTL_MS,
+    maxEntries: DEFAULT_CACHE_MAX_ENTRIES,
+    timeoutMs: Number(process.env.POST_META_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+  });
+  return cachedRenderer;
+}
+
+module.exports = {
+  PostMetaError,
+  createPostMetaRenderer,
+  getPostMetaRenderer,
+};
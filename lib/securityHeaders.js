@@ -0,0 +1,219 @@
+/**
+ * 보안 헤더 미들웨어 (CSP, HSTS 등)
+ *
+ * - 요청마다 CSP nonce를 만들어 res.locals.cspNonce에 두고, HTML 페이지는
+ *   sendPage()로 보내 인라인 <script>에 같은 nonce를 넣습니다.
+ *   (nonce가 없는 인라인 스크립트/이벤트 핸들러는 실행되지 않음)
+ * - 인라인 style 속성을 쓰는 화면이 있어 style-src는 'unsafe-inline'을 허용합니다.
+ * - HSTS는 프로덕션(HTTPS 종료 ALB 뒤)에서만 보냅니다.
+ * - 위반 보고는 routes/cspReport(POST /csp-report)가 받아 로그로 남깁니다.
+ * - 환경별 설정: CSP_ENABLED, CSP_REPORT_ONLY, CSP_CONNECT_SRC, CSP_IMG_SRC,
+ *   CSP_FRAME_ANCESTORS, HSTS_MAX_AGE
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+
+const CSP_REPORT_PATH = '/csp-report';
+const CSP_REPORT_GROUP = 'csp-endpoint';
+const DEFAULT_HSTS_MAX_AGE = 180 * 24 * 60 * 60;
+
+// 외부 스크립트/스타일/폰트 (lucide 아이콘, Pretendard, Google Fonts)
+const SCRIPT_SOURCES = ['https://unpkg.com'];
+const STYLE_SOURCES = [
+  'https://cdn.jsdelivr.net',
+  'https://fonts.googleapis.com',
+];
+const FONT_SOURCES = ['https://cdn.jsdelivr.net', 'https://fonts.gstatic.com'];
+
+const PERMISSIONS_POLICY = [
+  'camera=()',
+  'microphone=()',
+  'geolocation=()',
+  'payment=()',
+  'usb=()',
+].join(', ');
+
+/**
+ * 쉼표 구분 환경변수 → 목록
+ */
+function parseList(value) {
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 절대 URL이면 origin, 아니면 null (상대 경로는 'self'로 충분)
+ */
+function toOrigin(value) {
+  if (!value || !/^https?:\/\//.test(value)) return null;
+  try {
+    return new URL(value).origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * CSP 헤더 값
+ * @param {Object} config - createSecurityHeaders 설정
+ * @param {string} nonce - 요청별 nonce
+ * @returns {string}
+ */
+function buildContentSecurityPolicy(config, nonce) {
+  const directives = [
+    ['default-src', ["'self'"]],
+    ['script-src', ["'self'", `'nonce-${nonce}'`, ...SCRIPT_SOURCES]],
+    ['style-src', ["'self'", "'unsafe-inline'", ...STYLE_SOURCES]],
+    ['font-src', ["'self'", 'data:', ...FONT_SOURCES]],
+    ['img-src', ["'self'", 'data:', 'blob:', ...config.imgSources]],
+    ['connect-src', ["'self'", ...config.connectSources]],
+    ['media-src', ["'self'", 'blob:']],
+    ['object-src', ["'none'"]],
+    ['base-uri', ["'self'"]],
+    ['form-action', ["'self'"]],
+    ['frame-ancestors', config.frameAncestors],
+    ['report-uri', [CSP_REPORT_PATH]],
+    ['report-to', [CSP_REPORT_GROUP]],
+  ];
+  // report-only 정책에서는 무시되고 경고만 남으므로 제외
+  if (config.upgradeInsecureRequests && !config.reportOnly) {
+    directives.push(['upgrade-insecure-requests', []]);
+  }
+
+  return directives
+    .map(([name, sources]) => [name, ...sources].join(' '))
+    .join('; ');
+}
+
+/**
+ * 보안 헤더 미들웨어 생성
+ * @param {Object} config
+ * @param {boolean} config.cspEnabled - CSP 헤더 사용 여부
+ * @param {boolean} config.reportOnly - true면 차단하지 않고 보고만 (Content-Security-Policy-Report-Only)
+ * @param {string[]} config.connectSources - connect-src에 추가할 origin
+ * @param {string[]} config.imgSources - img-src에 추가할 출처
+ * @param {string[]} config.frameAncestors - frame-ancestors 출처 (기본 'none')
+ * @param {number|null} config.hstsMaxAge - HSTS max-age (초, null이면 보내지 않음)
+ * @param {boolean} config.upgradeInsecureRequests - HTTP 하위 리소스를 HTTPS로 요청
+ * @returns {import('express').RequestHandler}
+ */
+function createSecurityHeaders(config) {
+  const cspHeader = config.reportOnly
+    ? 'Content-Security-Policy-Report-Only'
+    : 'Content-Security-Policy';
+  // frame-ancestors를 지원하지 않는 구형 브라우저용 ('none'/'self'만 표현 가능)
+  const frameOptions =
+    { "'none'": 'DENY', "'self'": 'SAMEORIGIN' }[
+      config.frameAncestors.join(' ')
+    ] || null;
+
+  return function securityHeaders(req, res, next) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.locals.cspNonce = nonce;
+
+    if (config.cspEnabled) {
+      res.setHeader(cspHeader, buildContentSecurityPolicy(config, nonce));
+      res.setHeader(
+        'Reporting-Endpoints',
+        `${CSP_REPORT_GROUP}="${CSP_REPORT_PATH}"`
+      );
+    }
+    if (config.hstsMaxAge) {
+      res.setHeader(
+        'Strict-Transport-Security',
+        `max-age=${config.hstsMaxAge}; includeSubDomains`
+      );
+    }
+    if (frameOptions) {
+      res.setHeader('X-Frame-Options', frameOptions);
+    }
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+    res.setHeader('Permissions-Policy', PERMISSIONS_POLICY);
+    next();
+  };
+}
+
+/**
+ * HTML의 <script> 태그에 nonce 속성 추가
+ * (서버가 가진 템플릿에만 사용 - 사용자 입력은 이스케이프되어 <script가 남지 않음)
+ * @param {string} html
+ * @param {string} nonce
+ * @returns {string}
+ */
+function injectNonce(html, nonce) {
+  if (!nonce) return html;
+  return html.replace(/<script\b/gi, () => `<script nonce="${nonce}"`);
+}
+
+/**
+ * HTML 문자열을 요청 nonce를 넣어 응답
+ * @param {import('express').Response} res
+ * @param {string} html
+ */
+function sendHtml(res, html) {
+  // nonce는 요청마다 달라야 하므로 캐시하지 않음
+  res.setHeader('Cache-Control', 'no-store');
+  res.type('html').send(injectNonce(html, res.locals.cspNonce));
+}
+
+/**
+ * HTML 파일을 요청 nonce를 넣어 응답 (res.sendFile 대체)
+ * @param {import('express').Response} res
+ * @param {string} filePath - 절대 경로
+ * @param {Function} [callback] - 읽기 실패 시 (err) => void (없으면 404/500 응답)
+ */
+function sendPage(res, filePath, callback) {
+  fs.readFile(filePath, 'utf8').then(
+    html => sendHtml(res, html),
+    error => {
+      if (callback) return callback(error);
+      res.status(error.code === 'ENOENT' ? 404 : 500).send('Page Not Found');
+    }
+  );
+}
+
+let cachedMiddleware = null;
+
+/**
+ * 환경변수 기반 보안 헤더 미들웨어 반환 (최초 호출 시 생성 후 캐싱)
+ */
+function getSecurityHeaders() {
+  if (cachedMiddleware) {
+    return cachedMiddleware;
+  }
+
+  const isProduction = process.env.NODE_ENV === 'production';
+  // 브라우저가 직접 호출하는 백엔드/이미지 업로드 API (절대 URL인 경우)
+  const apiOrigins = [process.env.API_BASE_URL, process.env.IMAGE_UPLOAD_API]
+    .map(toOrigin)
+    .filter(Boolean);
+  const frameAncestors = parseList(process.env.CSP_FRAME_ANCESTORS);
+
+  cachedMiddleware = createSecurityHeaders({
+    cspEnabled: process.env.CSP_ENABLED !== 'false',
+    reportOnly: process.env.CSP_REPORT_ONLY === 'true',
+    connectSources: [
+      ...new Set([...apiOrigins, ...parseList(process.env.CSP_CONNECT_SRC)]),
+    ],
+    imgSources: parseList(process.env.CSP_IMG_SRC || 'https:'),
+    frameAncestors: frameAncestors.length ? frameAncestors : ["'none'"],
+    hstsMaxAge: isProduction
+      ? Number(process.env.HSTS_MAX_AGE) || DEFAULT_HSTS_MAX_AGE
+      : null,
+    upgradeInsecureRequests: isProduction,
+  });
+  return cachedMiddleware;
+}
+
+module.exports = {
+  CSP_REPORT_PATH,
+  createSecurityHeaders,
+  getSecurityHeaders,
+  injectNonce,
+  sendHtml,
+  sendPage,
+};
@@ -0,0 +1,89 @@
+/**
+ * Option Picker Component
+ * AI 이미지 옵션을 카테고리별 칩으로 선택하는 컴포넌트
+ * 카테고리마다 "자동" 칩이 있으며, 자동은 AI가 직접 결정합니다.
+ */
+
+export const AUTO_OPTION = 'auto';
+
+/**
+ * 칩 버튼 생성
+ * @param {string} value - 선택 값 (항목 이름 또는 AUTO_OPTION)
+ * @param {string} text - 표시 텍스트
+ * @param {string} [title] - 툴팁 (항목 설명)
+ * @returns {HTMLButtonElement}
+ */
+function createChip(value, text, title) {
+  const chip = document.createElement('button');
+  chip.type = 'button';
+  chip.className = 'option-picker__chip';
+  chip.setAttribute('role', 'radio');
+  chip.dataset.value = value;
+  chip.textContent = text;
+  if (title) chip.title = title;
+  return chip;
+}
+
+/**
+ * 옵션 선택기 엘리먼트 생성
+ * @param {Object} options
+ * @param {Array<{key: string, label: string, items: Array<{name: string, description: string}>}>} options.categories - 카테고리 목록
+ * @param {Object} [options.selected] - 초기 선택 값 { 카테고리 키: 항목 이름 }
+ * @param {Function} [options.onChange] - 선택 변경 콜백 (선택 값 객체 전달, 자동 항목 제외)
+ * @returns {HTMLElement} 옵션 선택기 DOM 엘리먼트
+ */
+export function createOptionPicker({ categories, selected = {}, onChange }) {
+  const selection = { ...selected };
+
+  const picker = document.createElement('div');
+  picker.className = 'option-picker';
+
+  categories.forEach(({ key, label, items }) => {
+    const row = document.createElement('div');
+    row.className = 'option-picker__row';
+
+    const labelId = `option-picker-${key}`;
+    const labelEl = document.createElement('span');
+    labelEl.className = 'option-picker__label';
+    labelEl.id = labelId;
+    labelEl.textContent = label;
+    row.appendChild(labelEl);
+
+    const chips = document.createElement('div');
+    chips.className = 'option-picker__chips';
+    chips.setAttribute('role', 'radiogroup');
+    chips.setAttribute('aria-labelledby', labelId);
+
+    chips.appendChild(createChip(AUTO_OPTION, '자동'));
+    items.forEach(item => {
+      chips.appendChild(createChip(item.name, item.name, item.description));
+    });
+
+    const syncChecked = () => {
+      const current = selection[key] || AUTO_OPTION;
+      chips.querySelectorAll('.option-picker__chip').forEach(chip => {
+        chip.setAttribute('aria-checked', chip.dataset.value === current);
+      });
+    };
+
+    chips.addEventListener('click', e => {
+      const chip = e.target.closest('.option-picker__chip');
+      if (!chip) return;
+
+      if (chip.dataset.value === AUTO_OPTION) {
+        delete selection[key];
+      } else {
+        selection[key] = chip.dataset.value;
+      }
+
+      syncChecked();
+      if (onChange) onChange({ ...selection });
+    });
+
+    syncChecked();
+    row.appendChild(chips);
+    picker.appendChild(row);
+  });
+
+  return picker;
+}
@@ -147,6 +147,17 @@ export function createPostCard(postData) {
     const thumbImg = document.createElement('img');
     thumbImg.src = imageUrl;
     thumbImg.alt = '';
+    // 세로 이미지(AI 4:5, 3:4 등)는 썸네일도 세로로 표시
+    thumbImg.addEventListener(
+      'load',
+      () => {
+        thumbnail.classList.toggle(
+          'post-card__thumbnail--portrait',
+          thumbImg.naturalHeight > thumbImg.naturalWidth
+        );
+      },
+      { once: true }
+    );
     thumbnail.appendChild(thumbImg);
 
     // AI 뱃지 (추후 구현 시 사용)
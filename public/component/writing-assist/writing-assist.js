@@ -0,0 +1,284 @@
+/**
+ * Writing Assist Component
+ * 일기 본문 AI 글쓰기 도우미 (메모 풀어 쓰기, 맞춤법 교정, 말투 바꾸기)
+ * 결과를 문단별로 원문과 비교해 보여주고, 문단마다 반영/유지를 골라 본문에 적용합니다.
+ */
+
+import { requestWritingAssist } from '../../services/ai/aiApi.js';
+import { logger } from '../../utils/logger.js';
+
+const ACTIONS = [
+  { action: 'expand', label: '메모를 일기로' },
+  { action: 'spellfix', label: '맞춤법·띄어쓰기' },
+  { action: 'tone', label: '말투 바꾸기' },
+];
+
+const TONES = [
+  { value: 'warm', label: '따뜻하게' },
+  { value: 'calm', label: '담담하게' },
+  { value: 'bright', label: '밝게' },
+  { value: 'polite', label: '정중하게' },
+];
+
+/**
+ * 버튼 생성
+ * @param {string} className
+ * @param {string} text
+ * @returns {HTMLButtonElement}
+ */
+function createButton(className, text) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = text;
+  return button;
+}
+
+/**
+ * 글쓰기 도우미 엘리먼트 생성
+ * 적용 시 textarea 값을 바꾸고 input 이벤트를 발생시켜 글자 수/임시 저장이 갱신되도록 합니다.
+ * @param {Object} options
+ * @param {HTMLTextAreaElement} options.textarea - 본문 입력란
+ * @param {number} [options.maxLength] - 본문 최대 길이 (기본 10,000자)
+ * @returns {HTMLElement} 글쓰기 도우미 DOM 엘리먼트
+ */
+export function createWritingAssist({ textarea, maxLength = 10000 }) {
+  // 검토 중인 결과 { content, separator, paragraphs, accepted: boolean[] }
+  let review = null;
+  let isLoading = false;
+
+  const root = document.createElement('div');
+  root.className = 'writing-assist';
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'writing-assist__toolbar';
+
+  const label = document.createElement('span');
+  label.className = 'writing-assist__label';
+  label.textContent = 'AI 글쓰기 도우미';
+  toolbar.appendChild(label);
+
+  const actionButtons = ACTIONS.map(({ action, label: text }) => {
+    const button = createButton('writing-assist__action', text);
+    button.dataset.action = action;
+    return button;
+  });
+
+  const toneSelect = document.createElement('select');
+  toneSelect.className = 'writing-assist__tone';
+  toneSelect.setAttribute('aria-label', '바꿀 말투');
+  TONES.forEach(({ value, label: text }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    toneSelect.appendChild(option);
+  });
+
+  actionButtons.forEach(button => {
+    if (button.dataset.action === 'tone') toolbar.appendChild(toneSelect);
+    toolbar.appendChild(button);
+  });
+
+  const status = document.createElement('p');
+  status.className = 'writing-assist__status';
+  status.setAttribute('role', 'status');
+
+  const panel = document.createElement('div');
+  panel.className = 'writing-assist__review';
+  panel.hidden = true;
+
+  root.append(toolbar, status, panel);
+
+  const setStatus = (message, isError = false) => {
+    status.textContent = message;
+    status.classList.toggle('writing-assist__status--error', isError);
+  };
+
+  const setLoading = loading => {
+    isLoading = loading;
+    actionButtons.forEach(button => {
+      button.disabled = loading;
+    });
+    toneSelect.disabled = loading;
+  };
+
+  /**
+   * 문단별 선택을 반영한 본문
+   */
+  const getMergedContent = () =>
+    review.paragraphs
+      .map((paragraph, index) =>
+        review.accepted[index] ? paragraph.revised : paragraph.original
+      )
+      .filter(Boolean)
+      .join(review.separator);
+
+  const closeReview = () => {
+    review = null;
+    panel.hidden = true;
+    panel.innerHTML = '';
+  };
+
+  const renderReview = () => {
+    panel.innerHTML = '';
+    if (!review) return;
+
+    const list = document.createElement('div');
+    list.className = 'writing-assist__paragraphs';
+
+    review.paragraphs.forEach((paragraph, index) => {
+      if (!paragraph.changed) {
+        const same = document.createElement('p');
+        same.className = 'writing-assist__same';
+        same.textContent = paragraph.original;
+        list.appendChild(same);
+        return;
+      }
+
+      const accepted = review.accepted[index];
+      const item = document.createElement('div');
+      item.className = 'writing-assist__item';
+      item.classList.toggle('writing-assist__item--rejected', !accepted);
+
+      if (paragraph.original) {
+        const original = document.createElement('del');
+        original.className = 'writing-assist__original';
+        original.textContent = paragraph.original;
+        item.appendChild(original);
+      }
+      if (paragraph.revised) {
+        const revised = document.createElement('ins');
+        revised.className = 'writing-assist__revised';
+        revised.textContent = paragraph.revised;
+        item.appendChild(revised);
+      }
+
+      const choices = document.createElement('div');
+      choices.className = 'writing-assist__choices';
+      [
+        { value: true, text: '반영' },
+        { value: false, text: '유지' },
+      ].forEach(({ value, text }) => {
+        const choice = createButton('writing-assist__choice', text);
+        choice.setAttribute('aria-pressed', accepted === value);
+        choice.addEventListener('click', () => {
+          review.accepted[index] = value;
+          renderReview();
+        });
+        choices.appendChild(choice);
+      });
+      item.appendChild(choices);
+      list.appendChild(item);
+    });
+
+    const changedCount = review.paragraphs.filter(p => p.changed).length;
+    const acceptedCount = review.paragraphs.filter(
+      (p, index) => p.changed && review.accepted[index]
+    ).length;
+    const mergedLength = getMergedContent().length;
+    const isTooLong = mergedLength > maxLength;
+
+    const footer = document.createElement('div');
+    footer.className = 'writing-assist__footer';
+
+    const summary = document.createElement('span');
+    summary.className = 'writing-assist__summary';
+    summary.classList.toggle('writing-assist__summary--error', isTooLong);
+    summary.textContent = `${changedCount}곳 중 ${acceptedCount}곳 반영 · ${mergedLength.toLocaleString()}/${maxLength.toLocaleString()}자`;
+
+    const acceptAllBtn = createButton(
+      'btn btn--outline btn--small',
+      '모두 반영'
+    );
+    acceptAllBtn.addEventListener('click', () => {
+      review.accepted = review.paragraphs.map(() => true);
+      renderReview();
+    });
+
+    const cancelBtn = createButton('btn btn--outline btn--small', '취소');
+    cancelBtn.addEventListener('click', () => {
+      closeReview();
+      setStatus('');
+    });
+
+    const applyBtn = createButton('btn btn--primary btn--small', '본문에 적용');
+    applyBtn.disabled = acceptedCount === 0 || isTooLong;
+    applyBtn.addEventListener('click', applyReview);
+
+    footer.append(summary, acceptAllBtn, cancelBtn, applyBtn);
+    panel.append(list, footer);
+    panel.hidden = false;
+  };
+
+  function applyReview() {
+    if (!review) return;
+
+    // 요청 후 본문을 직접 고쳤다면 덮어쓰지 않음
+    if (textarea.value.trim() !== review.content) {
+      closeReview();
+      setStatus('요청한 뒤 본문이 바뀌었어요. 다시 시도해주세요.', true);
+      return;
+    }
+
+    textarea.value = getMergedContent();
+    textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    closeReview();
+    setStatus('선택한 문단을 본문에 반영했어요.');
+    textarea.focus();
+  }
+
+  const handleAction = async action => {
+    if (isLoading) return;
+
+    const content = textarea.value.trim();
+    if (content.length < 2) {
+      setStatus('본문을 2자 이상 입력한 뒤 사용해주세요.', true);
+      textarea.focus();
+      return;
+    }
+    if (content.length > maxLength) {
+      setStatus(
+        `본문은 ${maxLength.toLocaleString()}자 이하여야 합니다.`,
+        true
+      );
+      return;
+    }
+
+    closeReview();
+    setLoading(true);
+    setStatus('AI가 본문을 고치고 있어요...');
+
+    try {
+      const { paragraphs, separator } = await requestWritingAssist({
+        action,
+        postContent: content,
+        tone: action === 'tone' ? toneSelect.value : undefined,
+      });
+
+      if (!paragraphs.some(paragraph => paragraph.changed)) {
+        setStatus('고칠 부분이 없어요.');
+        return;
+      }
+
+      review = {
+        content,
+        separator,
+        paragraphs,
+        accepted: paragraphs.map(() => true),
+      };
+      setStatus('문단마다 반영할지 고른 뒤 본문에 적용하세요.');
+      renderReview();
+    } catch (error) {
+      logger.error('[글쓰기 도우미] 요청 실패:', error);
+      setStatus(error.message || '글쓰기 도우미 요청에 실패했습니다.', true);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  actionButtons.forEach(button => {
+    button.addEventListener('click', () => handleAction(button.dataset.action));
+  });
+
+  return root;
+}
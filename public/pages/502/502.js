@@ -0,0 +1,15 @@
+import { renderPageLayout } from '../../../utils/layoutPage.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+  await renderPageLayout('layout-template');
+
+  // 같은 주소를 다시 요청 (백엔드가 복구되었으면 원래 응답을 받음)
+  document.getElementById('retry-btn')?.addEventListener('click', () => {
+    window.location.reload();
+  });
+
+  // Lucide 아이콘 초기화
+  if (typeof lucide !== 'undefined') {
+    lucide.createIcons();
+  }
+});
@@ -4,15 +4,28 @@ import {
   uploadImageToS3,
   saveImageMetadata,
   fetchImageAsBase64,
-  fileToBase64,
   generateAndUploadAiImage,
+  generateAiImageCandidates,
+  uploadAiGeneratedImage,
   checkAiGenerationLimit,
   getAiGenerationRemaining,
 } from '../../../services/image/imageApi.js';
+import {
+  refineImage,
+  suggestPostTitles,
+} from '../../../services/ai/aiApi.js';
+import {
+  getAiHistory,
+  saveAiHistory,
+  deleteAiHistory,
+} from '../../../services/ai/aiHistoryApi.js';
 import { getCurrentUser } from '../../../services/user/userApi.js';
 import { renderPageLayout } from '../../../utils/layoutPage.js';
 import { getImageUrl } from '../../../utils/format.js';
 import { logger } from '../../../utils/logger.js';
+import { loadAllOptions } from '../../../utils/optionLoader.js';
+import { createOptionPicker } from '../../../component/option-picker/option-picker.js';
+import { createWritingAssist } from '../../../component/writing-assist/writing-assist.js';
 
 // 이미지 관련 상수
 const MAX_IMAGES_MANUAL = 4; // 직접 업로드 모드 최대 이미지
@@ -42,9 +55,49 @@ let draggedIndex = null;
 let isDragging = false; // 드래그 중 재렌더링 방지 플래그
 
 // AI 모드 상태
-let aiReferenceImage = null; // { imageId, previewUrl, base64Data }
-let aiGeneratedImage = null; // { imageId, previewUrl }
+let aiReferenceImage = null; // { imageId, previewUrl }
+// { imageId, previewUrl, image: { id, data, mimeType }, imageOptions, prompt, structuredPrompt, promptTemplate, sampling, selectedOptions }
+// sampling: 서버가 적용한 { seed, temperature, variant } (같은 시드로 다시 생성할 때 사용)
+let aiGeneratedImage = null;
 let isAiGenerating = false;
+let aiGenerateController = null; // 진행 중인 생성 작업 취소용
+
+// AI 이미지 수정 기록 (되돌리기용, 확정한 버전만 게시글에 사용)
+const AI_REFINE_HISTORY_LIMIT = 5;
+let aiImageVersions = []; // [{ image, previewUrl, instruction, imageId }]
+let aiVersionIndex = 0;
+let isAiRefining = false;
+
+// AI 후보 이미지 상태 (여러 장 생성 후 한 장 선택)
+// { images: [{ data, mimeType, variant }], selectedIndex, imageOptions, prompt, structuredPrompt, promptTemplate, sampling, selectedOptions }
+let aiCandidates = null;
+let isAiCandidateUploading = false;
+
+// 서버 쿼터 정보 (후보 생성 비용 계산용)
+let aiQuotaInfo = { remaining: 0, batchMode: 'per-image' };
+
+// AI 스타일 옵션 상태 ({ 옵션 키: 항목 이름 }, 자동 항목은 제외)
+let aiSelectedOptions = {};
+let aiOptionCategories = []; // [{ key, label, items }]
+let isAiOptionsInitialized = false;
+
+// 내 AI 생성 기록
+let aiHistory = [];
+let isAiHistoryLoaded = false;
+
+const AI_OPTIONS_STORAGE_KEY_PREFIX = 'anoo_ai_options_';
+
+// 옵션 키 → 화면 표시 이름 (표시 순서)
+const AI_OPTION_LABELS = {
+  style: '스타일',
+  location: '장소',
+  lighting: '조명',
+  action: '행동',
+  clothing: '옷차림',
+  expression: '표정',
+  camera_and_composition: '구도',
+  pose: '포즈',
+};
 
 /**
  * 저장되지 않은 이미지가 있는지 확인
@@ -52,7 +105,7 @@ let isAiGenerating = false;
  */
 function hasUnsavedImages() {
   return (
-    uploadedImages.length > 0 || aiReferenceImage !== null || aiGeneratedImage !== null
+    uploadedImages.length > 0 || aiReferenceImage !== null || aiGeneratedImage !== null || aiCandidates !== null
   );
 }
 
@@ -184,6 +237,75 @@ function validateContent() {
   return true;
 }
 
+// ============ 제목 추천 ============
+
+let isTitleSuggesting = false;
+
+/**
+ * 본문으로 제목 후보를 추천받아 선택지로 표시
+ */
+async function handleTitleSuggest() {
+  if (isTitleSuggesting) return;
+
+  const contentInput = document.getElementById('post-content');
+  const content = contentInput.value.trim();
+  if (!content || content.length < 2) {
+    showToast('제목 추천을 위해 본문을 먼저 작성해주세요.', 'error');
+    contentInput.focus();
+    return;
+  }
+
+  const suggestBtn = document.getElementById('title-suggest-btn');
+  isTitleSuggesting = true;
+  suggestBtn.disabled = true;
+  suggestBtn.querySelector('span').textContent = '추천 중...';
+
+  try {
+    const titles = await suggestPostTitles({ postContent: content });
+    renderTitleSuggestions(titles);
+  } catch (error) {
+    logger.error('[제목 추천] 실패:', error);
+    showToast(getKoreanErrorMessage(error), 'error');
+  } finally {
+    isTitleSuggesting = false;
+    suggestBtn.disabled = false;
+    suggestBtn.querySelector('span').textContent = '제목 추천';
+  }
+}
+
+/**
+ * 추천 제목 선택지 렌더링 (빈 배열이면 숨김)
+ * @param {string[]} titles
+ */
+function renderTitleSuggestions(titles) {
+  const container = document.getElementById('title-suggestions');
+  container.innerHTML = '';
+  container.hidden = titles.length === 0;
+
+  titles.forEach(title => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'title-suggestions__item';
+    chip.textContent = title;
+    chip.addEventListener('click', () => applySuggestedTitle(title));
+    container.appendChild(chip);
+  });
+}
+
+/**
+ * 추천 제목을 제목 입력란에 적용
+ * @param {string} title
+ */
+function applySuggestedTitle(title) {
+  const titleInput = document.getElementById('post-title');
+  titleInput.value = title.slice(0, 26);
+  document.getElementById('title-char-count').textContent =
+    `${titleInput.value.length}/26`;
+  validateTitle();
+  scheduleDraftSave();
+  renderTitleSuggestions([]);
+}
+
 function validateImageFile(file) {
   const fileExtension = file.name.split('.').pop().toLowerCase();
 
@@ -343,17 +465,37 @@ function canUseAiMode() {
 
 // ============ AI 생성 횟수 관리 ============
 
+/**
+ * 서버 프로바이더가 지원하지 않는 해상도 옵션 비활성화
+ * @param {string[]} imageSizes - 지원 해상도 (GET /api/ai/quota)
+ */
+function updateAiImageSizeOptions(imageSizes) {
+  const sizeSelect = document.getElementById('ai-image-size');
+  if (!sizeSelect) return;
+
+  Array.from(sizeSelect.options).forEach(option => {
+    option.disabled = !imageSizes.includes(option.value);
+  });
+  if (sizeSelect.selectedOptions[0]?.disabled) {
+    sizeSelect.value = '1K';
+  }
+}
+
 /**
  * AI 생성 남은 횟수 조회 및 UI 갱신
  */
 async function updateAiRemainingCount() {
   try {
-    const { remaining } = await getAiGenerationRemaining();
+    const { remaining, batchMode, imageSizes } =
+      await getAiGenerationRemaining();
+    aiQuotaInfo = { remaining, batchMode: batchMode || 'per-image' };
+    if (imageSizes) updateAiImageSizeOptions(imageSizes);
 
     const countEl = document.getElementById('ai-remaining-count');
     const infoEl = document.getElementById('ai-generation-info');
     const generateBtn = document.getElementById('ai-generate-btn');
     const regenerateBtn = document.getElementById('ai-regenerate-btn');
+    const refineBtn = document.getElementById('ai-refine-btn');
     const referenceInput = document.getElementById('ai-reference-input');
     const referenceDropzone = document.getElementById('ai-reference-dropzone');
 
@@ -372,6 +514,9 @@ async function updateAiRemainingCount() {
     if (regenerateBtn) {
       regenerateBtn.disabled = isExhausted;
     }
+    if (refineBtn) {
+      refineBtn.disabled = isExhausted || isAiRefining;
+    }
 
     // 참조 이미지 업로드 영역도 비활성화
     if (referenceInput) {
@@ -381,6 +526,8 @@ async function updateAiRemainingCount() {
       referenceDropzone.classList.toggle('disabled', isExhausted);
     }
 
+    updateAiVariationsCost();
+
     return remaining;
   } catch (error) {
     logger.error('[AI 횟수] 조회 실패:', error);
@@ -448,7 +595,7 @@ function handleTabChange(newMode) {
   // 현재 모드에 이미지가 있는지 확인
   const hasImages =
     (imageMode === 'manual' && uploadedImages.length > 0) ||
-    (imageMode === 'ai' && (aiReferenceImage || aiGeneratedImage));
+    (imageMode === 'ai' && (aiReferenceImage || aiGeneratedImage || aiCandidates));
 
   if (hasImages) {
     let modalMessage = '';
@@ -490,6 +637,7 @@ function clearCurrentModeImages() {
     clearAllAiImages();
     renderAiReferencePreview(); // UI 갱신
     renderAiResultPreview(); // UI 갱신
+    renderAiCandidates(); // UI 갱신
   }
 }
 
@@ -507,6 +655,9 @@ function clearAllAiImages() {
   }
   aiReferenceImage = null;
   aiGeneratedImage = null;
+  aiCandidates = null;
+  aiImageVersions = [];
+  aiVersionIndex = 0;
 }
 
 function switchTab(newMode) {
@@ -533,6 +684,11 @@ function switchTab(newMode) {
     panelAi.hidden = newMode !== 'ai';
   }
 
+  // AI 탭 최초 진입 시 스타일 옵션 로드
+  if (newMode === 'ai') {
+    initAiOptionPicker();
+  }
+
   // Lucide 아이콘 재렌더링
   if (typeof lucide !== 'undefined') {
     lucide.createIcons();
@@ -831,9 +987,79 @@ function showAiReferenceLoading(show) {
   if (input) input.disabled = show;
 }
 
+/**
+ * 쿼터 초기화 시각 표시 문자열 (예: "내일 0시", "오후 3:00")
+ * @param {string} resetAt - ISO 8601 시각
+ * @returns {string}
+ */
+function formatQuotaResetTime(resetAt) {
+  const resetDate = new Date(resetAt);
+  if (Number.isNaN(resetDate.getTime())) return '내일';
+
+  const isMidnight = resetDate.getHours() === 0 && resetDate.getMinutes() === 0;
+  if (isMidnight) return '내일 0시';
+
+  return resetDate.toLocaleTimeString('ko-KR', {
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+// 콘텐츠 검수 차단 카테고리별 안내 문구
+const CONTENT_BLOCKED_MESSAGES = {
+  sexual: '선정적으로 보일 수 있는 표현',
+  violence: '폭력적으로 보일 수 있는 표현',
+  self_harm: '자해·자살과 관련된 표현',
+  hate: '혐오나 차별로 보일 수 있는 표현',
+};
+
+/**
+ * 콘텐츠 검수 차단 안내 문구
+ * @param {{category?: string, stage?: string}} error - CONTENT_BLOCKED 에러
+ * @returns {string}
+ */
+function getContentBlockedMessage({ category, stage }) {
+  const reason = CONTENT_BLOCKED_MESSAGES[category] || '안전 기준에 맞지 않는 표현';
+
+  let message =
+    stage === 'output'
+      ? `만들어진 그림에 ${reason}이 있어 보여드릴 수 없어요. 다시 생성하거나 본문을 조금 바꿔주세요.`
+      : `본문에 ${reason}이 있어 AI 그림을 만들 수 없어요. 일기는 그대로 기록할 수 있고, 그림은 직접 올려주세요.`;
+
+  if (category === 'self_harm') {
+    message += ' 혼자 힘드시다면 자살예방 상담전화 109에서 언제든 이야기를 들어드려요.';
+  }
+  return message;
+}
+
 function getKoreanErrorMessage(error) {
   const message = error.message || '';
 
+  // AI 프록시 에러 코드별 안내
+  if (error.code === 'QUOTA_EXCEEDED') {
+    return `오늘 AI 이미지 생성 횟수를 모두 사용했어요. ${formatQuotaResetTime(error.resetAt)} 이후 다시 시도해주세요.`;
+  }
+  if (error.code === 'CONTENT_BLOCKED') {
+    return getContentBlockedMessage(error);
+  }
+  if (error.code === 'JOB_IN_PROGRESS') {
+    return '이미 만들고 있는 이미지가 있어요. 완료된 후 다시 시도해주세요.';
+  }
+  if (error.code === 'QUEUE_FULL') {
+    return '지금은 이미지를 만드는 사람이 많아요. 잠시 후 다시 시도해주세요.';
+  }
+  if (error.code === 'UPSTREAM_RATE_LIMITED') {
+    return error.retryAfter
+      ? `AI 서비스 요청이 몰리고 있어요. ${error.retryAfter}초 후 다시 시도해주세요.`
+      : 'AI 서비스 요청이 몰리고 있어요. 잠시 후 다시 시도해주세요.';
+  }
+  if (error.code === 'UPSTREAM_TIMEOUT') {
+    return 'AI 응답이 너무 오래 걸려 중단했어요. 다시 시도해주세요.';
+  }
+  if (error.code === 'UPSTREAM_UNAVAILABLE') {
+    return 'AI 서비스에 일시적인 문제가 있어요. 잠시 후 다시 시도해주세요.';
+  }
+
   // 서버 에러 메시지 한국어 변환
   if (
     message.includes('Request Entity Too Large') ||
@@ -869,9 +1095,6 @@ async function handleAiReferenceSelect(e) {
   showAiReferenceLoading(true);
 
   try {
-    // Base64 변환 (AI 생성 시 사용)
-    const base64Data = await fileToBase64(file);
-
     // S3 업로드
     const s3Result = await uploadImageToS3({ file, imageType: 'POST' });
     const metadataResult = await saveImageMetadata(s3Result);
@@ -883,7 +1106,6 @@ async function handleAiReferenceSelect(e) {
     aiReferenceImage = {
       imageId: metadataResult.imageId,
       previewUrl,
-      base64Data, // { data, mimeType }
     };
 
     renderAiReferencePreview();
@@ -929,9 +1151,332 @@ function removeAiReferenceImage() {
   renderAiReferencePreview();
 }
 
+// ============ AI 스타일 옵션 ============
+
+/**
+ * 사용자별 옵션 저장 키 (사용자를 식별할 수 없으면 공용 키)
+ */
+function getAiOptionsStorageKey() {
+  const userKey =
+    currentUser?.userId ?? currentUser?.id ?? currentUser?.email ?? 'guest';
+  return `${AI_OPTIONS_STORAGE_KEY_PREFIX}${userKey}`;
+}
+
+function loadSavedAiOptions() {
+  try {
+    const saved = localStorage.getItem(getAiOptionsStorageKey());
+    return saved ? JSON.parse(saved) : {};
+  } catch {
+    localStorage.removeItem(getAiOptionsStorageKey());
+    return {};
+  }
+}
+
+function saveAiOptions() {
+  if (Object.keys(aiSelectedOptions).length === 0) {
+    localStorage.removeItem(getAiOptionsStorageKey());
+    return;
+  }
+  localStorage.setItem(
+    getAiOptionsStorageKey(),
+    JSON.stringify(aiSelectedOptions)
+  );
+}
+
+function updateAiOptionsHint() {
+  const hintEl = document.getElementById('ai-options-hint');
+  if (!hintEl) return;
+
+  const count = Object.keys(aiSelectedOptions).length;
+  hintEl.textContent = count > 0 ? `${count}개 선택됨` : '모두 자동';
+  hintEl.classList.toggle('selected', count > 0);
+}
+
+/**
+ * 옵션 카탈로그에 있는 항목만 남김
+ * @param {Object} options - { 옵션 키: 항목 이름 }
+ * @returns {Object}
+ */
+function filterValidAiOptions(options = {}) {
+  const valid = {};
+  aiOptionCategories.forEach(({ key, items }) => {
+    if (items.some(item => item.name === options[key])) {
+      valid[key] = options[key];
+    }
+  });
+  return valid;
+}
+
+/**
+ * 현재 선택(aiSelectedOptions)으로 칩 선택기 다시 그리기
+ */
+function renderAiOptionPicker() {
+  const body = document.getElementById('ai-options-body');
+  if (!body) return;
+
+  body.innerHTML = '';
+  body.appendChild(
+    createOptionPicker({
+      categories: aiOptionCategories,
+      selected: aiSelectedOptions,
+      onChange: selection => {
+        aiSelectedOptions = selection;
+        saveAiOptions();
+        updateAiOptionsHint();
+      },
+    })
+  );
+
+  updateAiOptionsHint();
+}
+
+/**
+ * 옵션 파일을 불러와 칩 선택기 렌더링 (AI 탭 최초 진입 시 1회)
+ * 마지막으로 사용한 조합을 복원하며, 더 이상 없는 항목은 무시합니다.
+ */
+async function initAiOptionPicker() {
+  if (isAiOptionsInitialized) return;
+  isAiOptionsInitialized = true;
+
+  const container = document.getElementById('ai-options');
+  const body = document.getElementById('ai-options-body');
+  if (!container || !body) return;
+
+  try {
+    const optionData = await loadAllOptions();
+
+    aiOptionCategories = Object.entries(AI_OPTION_LABELS).map(([key, label]) => {
+      const groups = Object.values(optionData[key] || {})[0] || [];
+      return { key, label, items: groups.flatMap(group => group.items || []) };
+    });
+
+    // 저장된 선택 중 유효한 항목만 복원
+    aiSelectedOptions = filterValidAiOptions(loadSavedAiOptions());
+
+    renderAiOptionPicker();
+    container.hidden = false;
+  } catch (error) {
+    // 옵션 없이도 기본 프롬프트로 생성 가능하므로 섹션만 숨김
+    logger.warn('[AI 옵션] 옵션 로드 실패:', error);
+    container.hidden = true;
+  }
+}
+
+// ============ 이미지 비율 / 해상도 ============
+
+/**
+ * AI 탭에서 선택한 출력 옵션
+ * @returns {{aspectRatio: string, imageSize: string}}
+ */
+function getAiImageOptions() {
+  const ratioInput = document.querySelector(
+    'input[name="ai-aspect-ratio"]:checked'
+  );
+  const sizeSelect = document.getElementById('ai-image-size');
+
+  return {
+    aspectRatio: ratioInput?.value || '1:1',
+    imageSize: sizeSelect?.value || '1K',
+  };
+}
+
+/**
+ * '4:5' → '4 / 5' (CSS aspect-ratio 값)
+ * @param {string} aspectRatio
+ * @returns {string}
+ */
+function toCssAspectRatio(aspectRatio = '1:1') {
+  return aspectRatio.replace(':', ' / ');
+}
+
+// ============ 여러 장 생성 (후보 선택) ============
+
+/**
+ * 여러 장 생성 모드일 때 후보 수 (아니면 1)
+ * @returns {number}
+ */
+function getAiCandidateCount() {
+  const toggle = document.getElementById('ai-variations-toggle');
+  const countSelect = document.getElementById('ai-variations-count');
+  if (!toggle?.checked) return 1;
+  return Number(countSelect?.value) || 1;
+}
+
+/**
+ * 후보 수에 따른 생성 횟수 차감량
+ * per-batch 모드는 몇 장을 만들어도 1회만 차감
+ * @param {number} count - 후보 수
+ * @returns {number}
+ */
+function getAiGenerationCost(count) {
+  return aiQuotaInfo.batchMode === 'per-batch' ? 1 : count;
+}
+
+/**
+ * 여러 장 생성 시 차감 횟수 안내 갱신
+ */
+function updateAiVariationsCost() {
+  const toggle = document.getElementById('ai-variations-toggle');
+  const countSelect = document.getElementById('ai-variations-count');
+  const costEl = document.getElementById('ai-variations-cost');
+  if (!toggle || !costEl) return;
+
+  if (countSelect) countSelect.disabled = !toggle.checked;
+
+  if (!toggle.checked) {
+    costEl.hidden = true;
+    return;
+  }
+
+  const cost = getAiGenerationCost(getAiCandidateCount());
+  costEl.textContent = `${cost}회 차감`;
+  costEl.classList.toggle('insufficient', cost > aiQuotaInfo.remaining);
+  costEl.hidden = false;
+}
+
+/**
+ * 후보 이미지 그리드 렌더링
+ */
+function renderAiCandidates() {
+  const section = document.getElementById('ai-candidates');
+  const grid = document.getElementById('ai-candidates-grid');
+  const confirmBtn = document.getElementById('ai-candidates-confirm');
+  if (!section || !grid) return;
+
+  grid.innerHTML = '';
+
+  if (!aiCandidates) {
+    section.hidden = true;
+    return;
+  }
+
+  grid.style.setProperty(
+    '--ai-image-ratio',
+    toCssAspectRatio(aiCandidates.imageOptions?.aspectRatio)
+  );
+
+  aiCandidates.images.forEach((image, index) => {
+    const isSelected = aiCandidates.selectedIndex === index;
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'ai-candidates__item';
+    item.setAttribute('role', 'radio');
+    item.setAttribute('aria-checked', String(isSelected));
+    item.setAttribute('aria-label', `후보 ${index + 1}`);
+    // 선택된 후보(없으면 첫 번째)만 Tab 포커스 대상
+    const isFocusTarget =
+      isSelected || (aiCandidates.selectedIndex === null && index === 0);
+    item.tabIndex = isFocusTarget ? 0 : -1;
+
+    const img = document.createElement('img');
+    img.src = `data:${image.mimeType};base64,${image.data}`;
+    img.alt = `AI 후보 이미지 ${index + 1}`;
+    item.appendChild(img);
+
+    item.addEventListener('click', () => selectAiCandidate(index));
+    grid.appendChild(item);
+  });
+
+  if (confirmBtn) {
+    confirmBtn.disabled =
+      aiCandidates.selectedIndex === null || isAiCandidateUploading;
+    confirmBtn.textContent = isAiCandidateUploading
+      ? '저장 중...'
+      : '이 이미지 사용하기';
+  }
+
+  section.hidden = false;
+}
+
+/**
+ * 후보 이미지 선택
+ * @param {number} index - 후보 인덱스
+ */
+function selectAiCandidate(index) {
+  if (!aiCandidates || isAiCandidateUploading) return;
+
+  aiCandidates.selectedIndex = index;
+  renderAiCandidates();
+  const items = document.querySelectorAll('.ai-candidates__item');
+  items[index]?.focus();
+}
+
+/**
+ * 후보 그리드 방향키 탐색 (radiogroup 키보드 패턴)
+ * @param {KeyboardEvent} e
+ */
+function handleAiCandidatesKeydown(e) {
+  if (!aiCandidates) return;
+
+  const keys = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+  const step = keys[e.key];
+  if (!step) return;
+
+  e.preventDefault();
+  const total = aiCandidates.images.length;
+  const current = aiCandidates.selectedIndex ?? 0;
+  selectAiCandidate((current + step + total) % total);
+}
+
+/**
+ * 선택한 후보 한 장만 업로드하여 결과로 사용
+ */
+async function handleAiCandidateConfirm() {
+  if (!aiCandidates || aiCandidates.selectedIndex === null) return;
+  if (isAiCandidateUploading) return;
+
+  const image = aiCandidates.images[aiCandidates.selectedIndex];
+  const {
+    imageOptions,
+    prompt,
+    structuredPrompt,
+    promptTemplate,
+    sampling,
+    selectedOptions,
+  } = aiCandidates;
+  isAiCandidateUploading = true;
+  renderAiCandidates();
+
+  try {
+    const result = await uploadAiGeneratedImage(image);
+    logger.debug('[AI 후보] 선택 이미지 업로드 완료:', result);
+
+    aiGeneratedImage = {
+      imageId: result.imageId,
+      previewUrl:
+        result.imageUrl || `data:${image.mimeType};base64,${image.data}`,
+      image,
+      imageOptions,
+      prompt,
+      structuredPrompt,
+      promptTemplate,
+      // 고른 후보 번호로 바꿔야 이 후보만 다시 생성 가능
+      sampling: sampling ? { ...sampling, variant: image.variant } : null,
+      selectedOptions,
+    };
+    aiCandidates = null;
+
+    resetAiImageVersions();
+    renderAiResultPreview();
+    recordAiGeneration({ imageUrl: result.imageUrl });
+    showToast('선택한 이미지가 적용되었습니다.', 'success');
+  } catch (error) {
+    logger.error('[AI 후보] 업로드 실패:', error);
+    showToast(getKoreanErrorMessage(error), 'error');
+  } finally {
+    isAiCandidateUploading = false;
+    renderAiCandidates();
+  }
+}
+
 // ============ AI 이미지 생성 ============
 
-async function handleAiGenerate() {
+/**
+ * AI 이미지 생성
+ * @param {{sampling?: Object}} params
+ * @param {Object} params.sampling - 이전 결과의 { seed, temperature, variant } (같은 시드로 한 장만 다시 생성, 선택)
+ */
+async function handleAiGenerate({ sampling = null } = {}) {
   if (isAiGenerating) return;
 
   const contentInput = document.getElementById('post-content');
@@ -956,20 +1501,80 @@ async function handleAiGenerate() {
     return;
   }
 
+  // 여러 장 생성 시 남은 횟수가 차감량 이상인지 확인
+  const candidateCount = sampling ? 1 : getAiCandidateCount();
+  const cost = getAiGenerationCost(candidateCount);
+  if (cost > limitCheck.remaining) {
+    showToast(
+      `${candidateCount}장을 만들려면 ${cost}회가 필요해요. (오늘 ${limitCheck.remaining}회 남음)`,
+      'error'
+    );
+    return;
+  }
+
   isAiGenerating = true;
+  aiGenerateController = new AbortController();
   showAiLoading(true);
 
   try {
-    // 프로필 이미지 Base64 변환
-    logger.debug('[AI 생성] 프로필 이미지 가져오기:', profileUrl);
-    const avatarImage = await fetchImageAsBase64(profileUrl);
+    // 프로필/참조 이미지는 ID만 보내고 서버가 직접 가져옴 (본인 프로필만 허용)
+    const generationParams = {
+      content,
+      avatarImage: {
+        imageId: currentUser.profileImageId ?? undefined,
+        url: profileUrl,
+      },
+      referenceImage: aiReferenceImage
+        ? { imageId: aiReferenceImage.imageId }
+        : null,
+      selectedOptions:
+        Object.keys(aiSelectedOptions).length > 0 ? aiSelectedOptions : null,
+      imageOptions: getAiImageOptions(),
+      sampling: sampling ?? {},
+      onProgress: updateAiLoadingProgress,
+      signal: aiGenerateController.signal,
+    };
+
+    // 여러 장 생성: 후보만 받고, 사용자가 고른 한 장만 업로드
+    if (candidateCount > 1) {
+      const {
+        images,
+        imageOptions,
+        prompt,
+        structuredPrompt,
+        promptTemplate,
+        sampling: appliedSampling,
+      } = await generateAiImageCandidates({
+        ...generationParams,
+        candidateCount,
+      });
+
+      aiCandidates = {
+        images,
+        selectedIndex: null,
+        imageOptions: imageOptions ?? generationParams.imageOptions,
+        prompt,
+        structuredPrompt,
+        promptTemplate,
+        sampling: appliedSampling,
+        selectedOptions: generationParams.selectedOptions,
+      };
+      renderAiCandidates();
+
+      const remaining = await updateAiRemainingCount();
+      const failedNotice =
+        images.length < candidateCount
+          ? ` 일부 실패한 ${candidateCount - images.length}장은 차감되지 않았어요.`
+          : '';
+      showToast(
+        `후보 ${images.length}장이 생성되었습니다. (오늘 ${remaining}회 남음)${failedNotice}`,
+        'success'
+      );
+      return;
+    }
 
     // AI 이미지 생성 및 업로드
-    const result = await generateAndUploadAiImage({
-      content,
-      avatarImage,
-      referenceImage: aiReferenceImage?.base64Data || null,
-    });
+    const result = await generateAndUploadAiImage(generationParams);
 
     logger.debug('[AI 생성] 완료:', result);
 
@@ -979,9 +1584,18 @@ async function handleAiGenerate() {
       imageId: result.imageId,
       previewUrl:
         result.imageUrl || `data:${mimeType};base64,${result.imageData || ''}`,
+      image: { id: result.generatedImageId, data: result.imageData, mimeType },
+      imageOptions: result.imageOptions ?? generationParams.imageOptions,
+      prompt: result.prompt,
+      structuredPrompt: result.structuredPrompt,
+      promptTemplate: result.promptTemplate,
+      sampling: result.sampling,
+      selectedOptions: generationParams.selectedOptions,
     };
 
+    resetAiImageVersions();
     renderAiResultPreview();
+    recordAiGeneration({ imageUrl: result.imageUrl });
 
     // 남은 횟수 갱신
     const remaining = await updateAiRemainingCount();
@@ -990,47 +1604,586 @@ async function handleAiGenerate() {
       'success'
     );
   } catch (error) {
+    // 사용자가 취소한 경우 (서버 작업도 취소되어 횟수 반환됨)
+    if (aiGenerateController?.signal.aborted) {
+      showToast('이미지 생성을 취소했어요.', 'info');
+      updateAiRemainingCount();
+      return;
+    }
+
     logger.error('[AI 생성] 실패:', error);
     const koreanMessage = getKoreanErrorMessage(error);
     showToast(koreanMessage, 'error');
+
+    // 서버에서 횟수 초과로 거부된 경우 표시 횟수 동기화
+    if (error.code === 'QUOTA_EXCEEDED') {
+      updateAiRemainingCount();
+    }
   } finally {
     isAiGenerating = false;
+    aiGenerateController = null;
     showAiLoading(false);
   }
 }
 
+/**
+ * 진행 중인 AI 이미지 생성 취소
+ */
+function handleAiGenerateCancel() {
+  if (!aiGenerateController) return;
+
+  const cancelBtn = document.getElementById('ai-loading-cancel');
+  if (cancelBtn) cancelBtn.disabled = true;
+  aiGenerateController.abort();
+}
+
 function showAiLoading(show) {
   const loadingEl = document.getElementById('ai-loading');
   const generateBtn = document.getElementById('ai-generate-btn');
   const resultSection = document.getElementById('ai-result-section');
 
+  const cancelBtn = document.getElementById('ai-loading-cancel');
+
   if (loadingEl) loadingEl.hidden = !show;
+  if (show) resetAiLoadingProgress();
+  if (cancelBtn) {
+    // 생성 작업일 때만 취소 가능 (기록 불러오기 등은 제외)
+    cancelBtn.hidden = !(show && aiGenerateController);
+    cancelBtn.disabled = false;
+  }
   if (generateBtn) {
     generateBtn.disabled = show;
     const btnText = generateBtn.querySelector('span');
     if (btnText) btnText.textContent = show ? '생성 중...' : '이미지 생성하기';
   }
   if (resultSection && show) resultSection.hidden = true;
+  if (show) {
+    aiCandidates = null;
+    renderAiCandidates();
+  }
+}
+
+const AI_LOADING_STEPS = ['prompt', 'image', 'upload'];
+
+/**
+ * AI 생성 진행 표시 초기화
+ */
+function resetAiLoadingProgress() {
+  const textEl = document.getElementById('ai-loading-text');
+  const promptEl = document.getElementById('ai-loading-prompt');
+
+  if (textEl) textEl.textContent = 'AI가 그리는 중...';
+  if (promptEl) {
+    promptEl.hidden = true;
+    promptEl.textContent = '';
+  }
+  document.querySelectorAll('.ai-loading__step').forEach(el => {
+    el.classList.remove('active', 'done');
+  });
+}
+
+/**
+ * 구조화 프롬프트 요약 문자열 (스타일 · 장소 · 조명)
+ * @param {Object|null} structuredPrompt
+ * @returns {string}
+ */
+function summarizeStructuredPrompt(structuredPrompt) {
+  if (!structuredPrompt) return '';
+
+  return ['style', 'location', 'lighting']
+    .map(key => structuredPrompt[key]?.name)
+    .filter(Boolean)
+    .join(' · ');
+}
+
+/**
+ * 스트리밍 진행 이벤트를 로딩 UI에 반영
+ * @param {{step: string, message?: string, prompt?: string, structuredPrompt?: Object}} progress
+ */
+function updateAiLoadingProgress({ step, message, prompt, structuredPrompt }) {
+  if (step === 'prompt-ready') {
+    const promptEl = document.getElementById('ai-loading-prompt');
+    if (promptEl && prompt) {
+      const summary = summarizeStructuredPrompt(structuredPrompt);
+      promptEl.textContent = summary ? `${summary}\n\n${prompt}` : prompt;
+      promptEl.hidden = false;
+    }
+    return;
+  }
+
+  // 작업 대기 중 (대기 순번 안내)
+  if (step === 'queued') {
+    const textEl = document.getElementById('ai-loading-text');
+    if (textEl && message) textEl.textContent = message;
+    return;
+  }
+
+  const currentIndex = AI_LOADING_STEPS.indexOf(step);
+  if (currentIndex === -1) return;
+
+  const textEl = document.getElementById('ai-loading-text');
+  if (textEl && message) textEl.textContent = `${message}...`;
+
+  document.querySelectorAll('.ai-loading__step').forEach(el => {
+    const index = AI_LOADING_STEPS.indexOf(el.dataset.step);
+    el.classList.toggle('active', index === currentIndex);
+    el.classList.toggle('done', index < currentIndex);
+  });
 }
 
 function renderAiResultPreview() {
   const resultSection = document.getElementById('ai-result-section');
   const resultImage = document.getElementById('ai-result-image');
+  const resultPreview = document.getElementById('ai-result-preview');
+  const sameSeedBtn = document.getElementById('ai-regenerate-same-seed-btn');
+
+  if (sameSeedBtn) sameSeedBtn.hidden = !aiGeneratedImage?.sampling;
 
   if (aiGeneratedImage) {
+    const currentVersion = aiImageVersions[aiVersionIndex];
     resultSection.hidden = false;
-    resultImage.src = aiGeneratedImage.previewUrl;
+    resultPreview?.style.setProperty(
+      '--ai-image-ratio',
+      toCssAspectRatio(aiGeneratedImage.imageOptions?.aspectRatio)
+    );
+    resultImage.src = currentVersion?.previewUrl || aiGeneratedImage.previewUrl;
   } else {
     resultSection.hidden = true;
     resultImage.src = '';
   }
 
+  renderAiRefineHistory();
+
   // Lucide 아이콘 재렌더링
   if (typeof lucide !== 'undefined') {
     lucide.createIcons();
   }
 }
 
+// ============ AI 이미지 수정 ============
+
+/**
+ * 새로 생성된 이미지를 첫 번째 버전으로 수정 기록 초기화
+ */
+function resetAiImageVersions() {
+  aiImageVersions = aiGeneratedImage
+    ? [
+        {
+          image: aiGeneratedImage.image,
+          previewUrl: aiGeneratedImage.previewUrl,
+          instruction: null,
+          imageId: aiGeneratedImage.imageId,
+        },
+      ]
+    : [];
+  aiVersionIndex = 0;
+}
+
+/**
+ * 현재 보고 있는 버전이 게시글에 사용할 버전과 다른지 확인
+ * @returns {boolean}
+ */
+function hasPendingAiVersion() {
+  const currentVersion = aiImageVersions[aiVersionIndex];
+  return (
+    !!aiGeneratedImage &&
+    !!currentVersion &&
+    currentVersion.imageId !== aiGeneratedImage.imageId
+  );
+}
+
+/**
+ * 버전 이동 버튼 / 확정 버튼 상태 갱신
+ */
+function renderAiRefineHistory() {
+  const versionEl = document.getElementById('ai-refine-version');
+  const undoBtn = document.getElementById('ai-refine-undo');
+  const redoBtn = document.getElementById('ai-refine-redo');
+  const statusEl = document.getElementById('ai-refine-status');
+  const applyBtn = document.getElementById('ai-refine-apply');
+  const input = document.getElementById('ai-refine-input');
+
+  const total = aiImageVersions.length;
+  const isPending = hasPendingAiVersion();
+
+  if (versionEl) {
+    const instruction = aiImageVersions[aiVersionIndex]?.instruction;
+    versionEl.textContent = `버전 ${aiVersionIndex + 1}/${Math.max(total, 1)}`;
+    versionEl.title = instruction || '원본';
+  }
+  if (undoBtn) undoBtn.disabled = isAiRefining || aiVersionIndex <= 0;
+  if (redoBtn) redoBtn.disabled = isAiRefining || aiVersionIndex >= total - 1;
+  if (statusEl) statusEl.hidden = isPending;
+  if (applyBtn) {
+    applyBtn.hidden = !isPending;
+    applyBtn.disabled = isAiRefining;
+  }
+  if (input) input.disabled = isAiRefining;
+}
+
+/**
+ * 버전 이동 (되돌리기 / 다시 실행)
+ * @param {number} step - -1: 이전 버전, 1: 다음 버전
+ */
+function moveAiImageVersion(step) {
+  const nextIndex = aiVersionIndex + step;
+  if (isAiRefining || nextIndex < 0 || nextIndex >= aiImageVersions.length) {
+    return;
+  }
+
+  aiVersionIndex = nextIndex;
+  renderAiResultPreview();
+}
+
+/**
+ * 현재 버전을 지시문으로 수정하여 새 버전 추가
+ * 되돌린 상태에서 수정하면 이후 버전은 버려짐
+ */
+async function handleAiRefine() {
+  if (isAiRefining || !aiGeneratedImage) return;
+
+  const input = document.getElementById('ai-refine-input');
+  const refineBtn = document.getElementById('ai-refine-btn');
+  const instruction = input?.value.trim() || '';
+
+  if (!instruction) {
+    showToast('어떻게 수정할지 입력해주세요.', 'error');
+    input?.focus();
+    return;
+  }
+
+  const baseVersion = aiImageVersions[aiVersionIndex];
+  if (!baseVersion?.image?.id) {
+    showToast('이 이미지는 수정할 수 없어요. 다시 생성해주세요.', 'error');
+    return;
+  }
+
+  isAiRefining = true;
+  if (refineBtn) {
+    refineBtn.disabled = true;
+    refineBtn.textContent = '수정 중...';
+  }
+  renderAiRefineHistory();
+
+  try {
+    const { image } = await refineImage({
+      image: baseVersion.image,
+      instruction,
+      imageOptions: aiGeneratedImage.imageOptions,
+    });
+
+    aiImageVersions = aiImageVersions.slice(0, aiVersionIndex + 1);
+    aiImageVersions.push({
+      image,
+      previewUrl: `data:${image.mimeType};base64,${image.data}`,
+      instruction,
+      imageId: null,
+    });
+    // 오래된 버전부터 정리 (게시글에 사용 중인 이미지는 aiGeneratedImage에 유지됨)
+    if (aiImageVersions.length > AI_REFINE_HISTORY_LIMIT) {
+      aiImageVersions = aiImageVersions.slice(-AI_REFINE_HISTORY_LIMIT);
+    }
+    aiVersionIndex = aiImageVersions.length - 1;
+
+    if (input) input.value = '';
+    showToast('수정된 버전이 추가되었습니다.', 'success');
+  } catch (error) {
+    logger.error('[AI 수정] 실패:', error);
+    showToast(getKoreanErrorMessage(error), 'error');
+  } finally {
+    isAiRefining = false;
+    if (refineBtn) {
+      refineBtn.disabled = false;
+      refineBtn.textContent = '수정';
+    }
+    renderAiResultPreview();
+    updateAiRemainingCount();
+  }
+}
+
+/**
+ * 현재 버전을 게시글 이미지로 확정 (처음 확정하는 버전만 업로드)
+ */
+async function handleAiVersionApply() {
+  const version = aiImageVersions[aiVersionIndex];
+  if (!version || isAiRefining) return;
+
+  const applyBtn = document.getElementById('ai-refine-apply');
+  if (applyBtn) {
+    applyBtn.disabled = true;
+    applyBtn.textContent = '저장 중...';
+  }
+
+  try {
+    const isFirstApply = !version.imageId;
+    let uploadedUrl = null;
+    if (isFirstApply) {
+      const result = await uploadAiGeneratedImage(version.image);
+      logger.debug('[AI 수정] 버전 업로드 완료:', result);
+      version.imageId = result.imageId;
+      if (result.imageUrl) version.previewUrl = result.imageUrl;
+      uploadedUrl = result.imageUrl ?? null;
+    }
+
+    aiGeneratedImage = {
+      ...aiGeneratedImage,
+      imageId: version.imageId,
+      previewUrl: version.previewUrl,
+      image: version.image,
+    };
+    showToast('선택한 버전이 적용되었습니다.', 'success');
+
+    // 처음 확정한 수정 버전만 기록에 추가
+    if (isFirstApply) {
+      recordAiGeneration({
+        imageUrl: uploadedUrl,
+        instruction: version.instruction,
+      });
+    }
+  } catch (error) {
+    logger.error('[AI 수정] 버전 적용 실패:', error);
+    showToast(getKoreanErrorMessage(error), 'error');
+  } finally {
+    if (applyBtn) applyBtn.textContent = '이 버전 사용하기';
+    renderAiResultPreview();
+  }
+}
+
+// ============ 내 AI 생성 기록 ============
+
+// 다시 만들기 시 이어받을 구조화 프롬프트 필드 (장소/행동 등은 새 일기에서 결정)
+const AI_RERUN_STRUCTURED_FIELDS = {
+  style: 'style',
+  lighting: 'lighting',
+  camera_and_composition: 'cameraComposition',
+};
+
+/**
+ * 확정한 AI 이미지(aiGeneratedImage)를 생성 기록에 저장
+ * 저장 실패는 게시글 작성에 영향이 없으므로 로그만 남김
+ * @param {{imageUrl?: string|null, instruction?: string|null}} extra
+ */
+async function recordAiGeneration({ imageUrl = null, instruction = null } = {}) {
+  if (!aiGeneratedImage?.prompt) return;
+
+  try {
+    const entry = await saveAiHistory({
+      prompt: aiGeneratedImage.prompt,
+      structuredPrompt: aiGeneratedImage.structuredPrompt ?? null,
+      promptTemplate: aiGeneratedImage.promptTemplate ?? null,
+      sampling: aiGeneratedImage.sampling ?? null,
+      selectedOptions: aiGeneratedImage.selectedOptions ?? null,
+      imageOptions: aiGeneratedImage.imageOptions ?? null,
+      imageId: aiGeneratedImage.imageId ?? null,
+      imageUrl,
+      image: aiGeneratedImage.image,
+      instruction,
+    });
+
+    if (isAiHistoryLoaded) {
+      aiHistory = [entry, ...aiHistory];
+      renderAiHistory();
+    }
+  } catch (error) {
+    logger.warn('[AI 기록] 저장 실패:', error);
+  }
+}
+
+/**
+ * 생성 기록 불러오기 (기록 섹션을 처음 펼칠 때)
+ */
+async function loadAiHistory() {
+  if (isAiHistoryLoaded) return;
+
+  try {
+    aiHistory = await getAiHistory();
+    isAiHistoryLoaded = true;
+  } catch (error) {
+    logger.warn('[AI 기록] 조회 실패:', error);
+    aiHistory = [];
+  }
+  renderAiHistory();
+}
+
+/**
+ * 기록 항목의 옵션 요약 (비율 · 선택 옵션)
+ * @param {Object} entry - 생성 기록
+ * @returns {string}
+ */
+function summarizeAiHistoryEntry(entry) {
+  const parts = [];
+  if (entry.imageOptions?.aspectRatio) parts.push(entry.imageOptions.aspectRatio);
+  if (entry.instruction) parts.push(`수정: ${entry.instruction}`);
+
+  const optionNames = Object.values(entry.selectedOptions || {});
+  parts.push(
+    optionNames.length > 0
+      ? optionNames.join(' · ')
+      : summarizeStructuredPrompt(entry.structuredPrompt) || '옵션 자동'
+  );
+  return parts.join(' | ');
+}
+
+/**
+ * 생성 기록 목록 렌더링
+ */
+function renderAiHistory() {
+  const list = document.getElementById('ai-history-list');
+  const emptyEl = document.getElementById('ai-history-empty');
+  if (!list) return;
+
+  list.innerHTML = '';
+  if (emptyEl) emptyEl.hidden = aiHistory.length > 0;
+
+  aiHistory.forEach(entry => {
+    const item = document.createElement('li');
+    item.className = 'ai-history__item';
+
+    const thumb = document.createElement('img');
+    thumb.className = 'ai-history__thumb';
+    thumb.src = entry.thumbnail || entry.imageUrl;
+    thumb.alt = '';
+    thumb.loading = 'lazy';
+    item.appendChild(thumb);
+
+    const info = document.createElement('div');
+    info.className = 'ai-history__info';
+
+    const meta = document.createElement('span');
+    meta.className = 'ai-history__meta';
+    meta.textContent = `${getTimeAgo(new Date(entry.createdAt))} · ${summarizeAiHistoryEntry(entry)}`;
+    info.appendChild(meta);
+
+    const prompt = document.createElement('p');
+    prompt.className = 'ai-history__prompt';
+    prompt.textContent = entry.prompt;
+    prompt.title = entry.prompt;
+    info.appendChild(prompt);
+
+    const actions = document.createElement('div');
+    actions.className = 'ai-history__actions';
+
+    const reuseBtn = document.createElement('button');
+    reuseBtn.type = 'button';
+    reuseBtn.className = 'ai-history__action';
+    reuseBtn.textContent = '이미지 사용';
+    if (!entry.imageUrl) {
+      reuseBtn.disabled = true;
+      reuseBtn.title = '원본 이미지가 없어 사용할 수 없어요.';
+    }
+    reuseBtn.addEventListener('click', () => handleAiHistoryReuse(entry));
+    actions.appendChild(reuseBtn);
+
+    const rerunBtn = document.createElement('button');
+    rerunBtn.type = 'button';
+    rerunBtn.className = 'ai-history__action';
+    rerunBtn.textContent = '이 설정으로 새로 만들기';
+    rerunBtn.addEventListener('click', () => handleAiHistoryRerun(entry));
+    actions.appendChild(rerunBtn);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'ai-history__action ai-history__action--delete';
+    deleteBtn.textContent = '삭제';
+    deleteBtn.setAttribute('aria-label', '생성 기록 삭제');
+    deleteBtn.addEventListener('click', () => handleAiHistoryDelete(entry));
+    actions.appendChild(deleteBtn);
+
+    info.appendChild(actions);
+    item.appendChild(info);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * 지난 생성 이미지를 이번 게시글에 사용 (생성 횟수 차감 없음)
+ * 원본을 다시 업로드하여 새 이미지로 등록
+ * @param {Object} entry - 생성 기록
+ */
+async function handleAiHistoryReuse(entry) {
+  if (isAiGenerating || isAiRefining || !entry.imageUrl) return;
+
+  isAiGenerating = true;
+  showAiLoading(true);
+  updateAiLoadingProgress({ step: 'upload', message: '이미지를 불러오고 있어요' });
+
+  try {
+    const image = await fetchImageAsBase64(entry.imageUrl);
+    const result = await uploadAiGeneratedImage(image);
+
+    aiGeneratedImage = {
+      imageId: result.imageId,
+      previewUrl: result.imageUrl || `data:${image.mimeType};base64,${image.data}`,
+      image,
+      imageOptions: entry.imageOptions,
+      prompt: entry.prompt,
+      structuredPrompt: entry.structuredPrompt,
+      sampling: entry.sampling ?? null,
+      selectedOptions: entry.selectedOptions,
+    };
+
+    resetAiImageVersions();
+    renderAiResultPreview();
+    showToast('지난 AI 이미지를 불러왔습니다.', 'success');
+  } catch (error) {
+    logger.error('[AI 기록] 이미지 사용 실패:', error);
+    showToast(getKoreanErrorMessage(error), 'error');
+  } finally {
+    isAiGenerating = false;
+    showAiLoading(false);
+    // 로딩 중 숨겨진 결과 영역 복원
+    renderAiResultPreview();
+  }
+}
+
+/**
+ * 지난 생성의 스타일 설정으로 현재 본문에 맞는 이미지 새로 만들기
+ * 선택했던 옵션 + 스타일/조명/구도, 비율/해상도를 이어받음
+ * @param {Object} entry - 생성 기록
+ */
+async function handleAiHistoryRerun(entry) {
+  if (isAiGenerating) return;
+
+  await initAiOptionPicker();
+
+  const inherited = { ...(entry.selectedOptions || {}) };
+  Object.entries(AI_RERUN_STRUCTURED_FIELDS).forEach(([key, field]) => {
+    const name = entry.structuredPrompt?.[field]?.name;
+    if (!inherited[key] && name) inherited[key] = name;
+  });
+
+  if (aiOptionCategories.length > 0) {
+    aiSelectedOptions = filterValidAiOptions(inherited);
+    saveAiOptions();
+    renderAiOptionPicker();
+  }
+
+  const { aspectRatio, imageSize } = entry.imageOptions || {};
+  const ratioInput = document.querySelector(
+    `input[name="ai-aspect-ratio"][value="${aspectRatio}"]`
+  );
+  if (ratioInput) ratioInput.checked = true;
+  const sizeSelect = document.getElementById('ai-image-size');
+  if (sizeSelect && imageSize) sizeSelect.value = imageSize;
+
+  handleAiGenerate();
+}
+
+/**
+ * 생성 기록 삭제
+ * @param {Object} entry - 생성 기록
+ */
+async function handleAiHistoryDelete(entry) {
+  try {
+    await deleteAiHistory(entry.id);
+    aiHistory = aiHistory.filter(item => item.id !== entry.id);
+    renderAiHistory();
+  } catch (error) {
+    logger.error('[AI 기록] 삭제 실패:', error);
+    showToast('기록을 삭제하지 못했습니다. 다시 시도해주세요.', 'error');
+  }
+}
+
 // ============ 게시글 등록 ============
 
 function buildCreatePostRequest() {
@@ -1115,6 +2268,15 @@ async function handleSubmit(e) {
     return;
   }
 
+  // 수정한 AI 이미지를 확정하지 않은 경우
+  if (imageMode === 'ai' && hasPendingAiVersion()) {
+    showToast(
+      '수정한 이미지를 사용하려면 "이 버전 사용하기"를 눌러주세요.',
+      'info'
+    );
+    return;
+  }
+
   const submitBtn = document.getElementById('submit-btn');
 
   // 업로드 중인 이미지가 있으면 자동으로 대기
@@ -1263,8 +2425,58 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   aiReferenceInput?.addEventListener('change', handleAiReferenceSelect);
   aiReferenceRemove?.addEventListener('click', removeAiReferenceImage);
-  aiGenerateBtn?.addEventListener('click', handleAiGenerate);
-  aiRegenerateBtn?.addEventListener('click', handleAiGenerate);
+  aiGenerateBtn?.addEventListener('click', () => handleAiGenerate());
+  aiRegenerateBtn?.addEventListener('click', () => handleAiGenerate());
+  // 같은 시드로 다시 생성 (현재 결과의 시드/온도/후보 번호 유지, 한 장만)
+  document
+    .getElementById('ai-regenerate-same-seed-btn')
+    ?.addEventListener('click', () =>
+      handleAiGenerate({ sampling: aiGeneratedImage?.sampling })
+    );
+  document
+    .getElementById('ai-loading-cancel')
+    ?.addEventListener('click', handleAiGenerateCancel);
+
+  // 내 AI 생성 기록 (처음 펼칠 때 불러오기)
+  document.getElementById('ai-history')?.addEventListener('toggle', e => {
+    if (e.target.open) loadAiHistory();
+  });
+
+  // AI 이미지 수정 / 버전 이동 이벤트
+  const aiRefineInput = document.getElementById('ai-refine-input');
+  document
+    .getElementById('ai-refine-btn')
+    ?.addEventListener('click', handleAiRefine);
+  aiRefineInput?.addEventListener('keydown', e => {
+    // 게시글 폼 제출 대신 수정 요청
+    if (e.key === 'Enter' && !e.isComposing) {
+      e.preventDefault();
+      handleAiRefine();
+    }
+  });
+  document
+    .getElementById('ai-refine-undo')
+    ?.addEventListener('click', () => moveAiImageVersion(-1));
+  document
+    .getElementById('ai-refine-redo')
+    ?.addEventListener('click', () => moveAiImageVersion(1));
+  document
+    .getElementById('ai-refine-apply')
+    ?.addEventListener('click', handleAiVersionApply);
+
+  // 여러 장 생성 / 후보 선택 이벤트
+  document
+    .getElementById('ai-variations-toggle')
+    ?.addEventListener('change', updateAiVariationsCost);
+  document
+    .getElementById('ai-variations-count')
+    ?.addEventListener('change', updateAiVariationsCost);
+  document
+    .getElementById('ai-candidates-grid')
+    ?.addEventListener('keydown', handleAiCandidatesKeydown);
+  document
+    .getElementById('ai-candidates-confirm')
+    ?.addEventListener('click', handleAiCandidateConfirm);
 
   // 임시 저장 복원
   const savedDraft = loadDraft();
@@ -1303,6 +2515,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   titleInput.addEventListener('blur', validateTitle);
+  document
+    .getElementById('title-suggest-btn')
+    ?.addEventListener('click', handleTitleSuggest);
 
   // 내용 입력 이벤트
   contentInput.addEventListener('input', e => {
@@ -1323,6 +2538,11 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   contentInput.addEventListener('blur', validateContent);
 
+  // AI 글쓰기 도우미 (문단별로 골라 본문에 반영)
+  document
+    .getElementById('writing-assist-container')
+    ?.appendChild(createWritingAssist({ textarea: contentInput }));
+
   // 이미지 선택 이벤트
   imageInput.addEventListener('change', handleImageSelect);
 
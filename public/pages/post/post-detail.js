@@ -76,6 +76,34 @@ function render404Content() {
 
 // ============ 이미지 캐러셀 ============
 
+// 캐러셀 프레임 비율 범위 (세로 3:4 ~ 가로 4:3)
+const MIN_CAROUSEL_RATIO = 3 / 4;
+const MAX_CAROUSEL_RATIO = 4 / 3;
+
+/**
+ * 첫 번째 이미지 비율에 맞춰 캐러셀 프레임 비율 설정
+ * 다른 비율의 이미지는 잘리지 않도록 프레임 안에 맞춰 표시 (object-fit: contain)
+ * @param {HTMLElement} carousel
+ * @param {HTMLImageElement} imgEl - 첫 번째 슬라이드 이미지
+ */
+function fitCarouselToImage(carousel, imgEl) {
+  const applyRatio = () => {
+    if (!imgEl.naturalWidth || !imgEl.naturalHeight) return;
+
+    const ratio = Math.min(
+      MAX_CAROUSEL_RATIO,
+      Math.max(MIN_CAROUSEL_RATIO, imgEl.naturalWidth / imgEl.naturalHeight)
+    );
+    carousel.style.setProperty('--carousel-ratio', ratio.toFixed(4));
+  };
+
+  if (imgEl.complete) {
+    applyRatio();
+  } else {
+    imgEl.addEventListener('load', applyRatio, { once: true });
+  }
+}
+
 function renderImageCarousel(images) {
   const carousel = document.getElementById('post-carousel');
   const track = document.getElementById('carousel-track');
@@ -100,6 +128,7 @@ function renderImageCarousel(images) {
   // 트랙 초기화
   track.innerHTML = '';
   dots.innerHTML = '';
+  carousel.style.removeProperty('--carousel-ratio');
 
   // 이미지 슬라이드 생성
   sortedImages.forEach((img, index) => {
@@ -115,6 +144,10 @@ function renderImageCarousel(images) {
     imgEl.className = 'post-detail__carousel-image';
     slide.appendChild(imgEl);
 
+    if (track.childElementCount === 0) {
+      fitCarouselToImage(carousel, imgEl);
+    }
+
     track.appendChild(slide);
 
     // 도트 생성
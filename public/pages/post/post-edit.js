@@ -3,6 +3,7 @@ import { updatePost, getPost } from '../../../services/post/postApi.js';
 import { openModal, closeModal, showToast } from '../../../utils/layout.js';
 import { renderPageLayout } from '../../../utils/layoutPage.js';
 import { logger } from '../../../utils/logger.js';
+import { createWritingAssist } from '../../../component/writing-assist/writing-assist.js';
 
 let selectedImage = null;
 let currentPost = null;
@@ -324,6 +325,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   titleInput.addEventListener('blur', validateTitle);
   contentInput.addEventListener('blur', validateContent);
 
+  // AI 글쓰기 도우미 (문단별로 골라 본문에 반영)
+  document
+    .getElementById('writing-assist-container')
+    ?.appendChild(createWritingAssist({ textarea: contentInput }));
+
   imageInput.addEventListener('change', handleImageSelect);
   clearImageBtn.addEventListener('click', handleClearImage);
 
@@ -3,47 +3,213 @@
  *
  * Express 프록시를 통해 Gemini API를 호출합니다.
  * API 키는 서버에서만 사용되어 클라이언트에 노출되지 않습니다.
+ *
+ * 입력 이미지는 multipart/form-data 바이너리로 보내고,
+ * 생성 이미지는 짧은 수명의 URL(responseFormat: 'url')로 받아 바이너리로 내려받습니다.
+ * 이미 업로드된 프로필/참조 이미지는 ID(또는 S3 URL)만 보내 서버가 직접 가져오게 합니다.
  */
 
 import { logger } from '../../utils/logger.js';
 
+/**
+ * AI 요청 입력 이미지
+ * - Blob / { data, mimeType }: 바이너리로 첨부
+ * - { imageId, url }: 업로드된 이미지 참조 (서버가 S3에서 조회)
+ * @typedef {Blob|{data: string, mimeType: string}|{imageId?: number, url?: string}} AiInputImage
+ */
+
+/**
+ * 서버가 조회할 이미지 참조인지 확인 ({ imageId } 또는 { url })
+ * @param {AiInputImage} image
+ */
+function isImageReference(image) {
+  return (
+    !(image instanceof Blob) &&
+    !image.data &&
+    (image.imageId != null || !!image.url)
+  );
+}
+
+/**
+ * 이미지를 Blob으로 변환 (Base64 이미지는 디코딩)
+ * @param {Blob|{data: string, mimeType: string}} image - 이미지
+ * @returns {Blob}
+ */
+function toImageBlob(image) {
+  if (image instanceof Blob) {
+    return image;
+  }
+
+  const bytes = Uint8Array.from(atob(image.data), char => char.charCodeAt(0));
+  return new Blob([bytes], { type: image.mimeType || 'image/jpeg' });
+}
+
+/**
+ * Blob을 Base64 이미지로 변환
+ * @param {Blob} blob
+ * @returns {Promise<{data: string, mimeType: string}>}
+ */
+function blobToBase64Image(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => {
+      resolve({
+        data: reader.result.split(',')[1],
+        mimeType: blob.type || 'image/png',
+      });
+    };
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * AI 요청 multipart 본문 구성
+ * 이미지는 파일 필드로, 이미지 참조는 `${필드}Id`/`${필드}Url`로,
+ * 나머지 필드는 payload JSON으로 보냅니다.
+ * @param {Object} payload - 이미지 외 요청 필드
+ * @param {Object<string, AiInputImage|null>} images - 필드명 → 이미지
+ * @returns {FormData}
+ */
+function createAiFormData(payload, images) {
+  const body = { ...payload };
+  const files = [];
+
+  Object.entries(images).forEach(([field, image]) => {
+    if (!image) return;
+
+    if (isImageReference(image)) {
+      body[`${field}Id`] = image.imageId ?? undefined;
+      body[`${field}Url`] = image.url ?? undefined;
+    } else {
+      files.push([field, toImageBlob(image)]);
+    }
+  });
+
+  const formData = new FormData();
+  formData.append('payload', JSON.stringify(body));
+  files.forEach(([field, blob]) => formData.append(field, blob));
+  return formData;
+}
+
+/**
+ * 이미지 URL 응답을 바이너리로 내려받아 Base64 이미지로 변환
+ * (업로드/썸네일 등 기존 흐름은 Base64 이미지를 사용)
+ * id는 서버에 보관된 생성 이미지 ID로, 수정(refineImage) 요청에 사용합니다.
+ * @param {{id: string, url: string, mimeType: string}|{id: string, data: string, mimeType: string}} image - 서버 응답 이미지
+ * @param {AbortSignal} [signal] - 요청 취소 시그널
+ * @returns {Promise<{id: string|null, data: string, mimeType: string}>}
+ */
+async function resolveGeneratedImage(image, signal) {
+  if (!image?.url) {
+    return image;
+  }
+
+  const response = await fetch(image.url, { signal });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw createAiError(errorData, `생성 이미지 조회 실패: ${response.status}`);
+  }
+
+  return {
+    id: image.id ?? null,
+    ...(await blobToBase64Image(await response.blob())),
+  };
+}
+
+/**
+ * 프록시 에러 응답을 Error로 변환
+ * code, resetAt 등 서버가 보낸 필드를 함께 담습니다.
+ * @param {Object} errorData - 에러 응답 본문 ({ error, code, ... })
+ * @param {string} fallbackMessage - 메시지가 없을 때 사용할 문구
+ * @returns {Error}
+ */
+export function createAiError(errorData, fallbackMessage) {
+  const { error: message, ...details } = errorData || {};
+  const error = new Error(message || fallbackMessage);
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * 오늘 AI 이미지 생성 사용량 조회 (Express 프록시의 서버 쿼터)
+ * @returns {Promise<{limit: number, used: number, remaining: number, resetAt: string, batchMode: string, maxCandidates: number, imageSizes: string[]}>}
+ */
+export async function getAiQuota() {
+  const response = await fetch('/api/ai/quota');
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw createAiError(errorData, `쿼터 조회 실패: ${response.status}`);
+  }
+
+  const {
+    limit,
+    used,
+    remaining,
+    resetAt,
+    batchMode,
+    maxCandidates,
+    imageSizes,
+  } = await response.json();
+  return {
+    limit,
+    used,
+    remaining,
+    resetAt,
+    batchMode,
+    maxCandidates,
+    imageSizes,
+  };
+}
+
 /**
  * AI 프롬프트 생성 요청 (Express 프록시 경유)
  * @param {Object} params
- * @param {string} params.profileImageBase64 - 프로필 사진 Base64
- * @param {string} params.profileImageMimeType - 프로필 사진 MIME 타입
+ * @param {AiInputImage} params.profileImage - 프로필 사진
  * @param {string} params.postContent - 게시글 본문
- * @param {string|null} params.referenceImageBase64 - 참조 이미지 Base64 (선택)
- * @param {string|null} params.referenceImageMimeType - 참조 이미지 MIME 타입 (선택)
+ * @param {AiInputImage|null} params.referenceImage - 참조 이미지 (선택)
  * @param {Object} params.options - 옵션 데이터 (style, location 등)
- * @returns {Promise<Object>} - AI가 생성한 프롬프트 및 속성
+ * @param {Object|null} params.selectedOptions - 사용자 선택 옵션 (필수 제약으로 전달) (선택)
+ * @param {string} params.promptTemplate - 시스템 프롬프트 템플릿 'name' 또는 'name@version' (선택, 기본은 서버 설정)
+ * @param {number} params.seed - 시드 (선택, 미전달 시 서버가 임의로 정함)
+ * @param {number} params.temperature - 샘플링 온도 0~2 (선택, 기본 0.9)
+ * @param {'default'|'bypass'} params.cache - 'bypass'면 서버 캐시를 쓰지 않고 새로 생성 (선택)
+ * @returns {Promise<{prompt: string, finalPrompt: string, structuredPrompt: Object|null, promptMode: string, promptTemplate: {name: string, version: number}|null, sampling: {seed: number, temperature: number}|null, cache: 'hit'|'miss'|'bypass'|null, rawResponse: Object}>}
+ *   - structuredPrompt: 검증된 구조화 프롬프트 (옵션 미사용 또는 파싱 실패 시 null)
+ *   - promptTemplate: 서버가 사용한 템플릿
+ *   - sampling: 서버가 적용한 시드/온도 (같은 값으로 다시 요청하면 재현)
  */
 export async function generatePrompt({
-  profileImageBase64,
-  profileImageMimeType = 'image/jpeg',
+  profileImage,
   postContent,
-  referenceImageBase64 = null,
-  referenceImageMimeType = null,
+  referenceImage = null,
   options = null,
+  selectedOptions = null,
+  promptTemplate = undefined,
+  seed = undefined,
+  temperature = undefined,
+  cache = undefined,
 }) {
   const response = await fetch('/api/ai/generate-prompt', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      profileImageBase64,
-      profileImageMimeType,
-      postContent,
-      referenceImageBase64,
-      referenceImageMimeType,
-      options,
-    }),
+    body: createAiFormData(
+      {
+        postContent,
+        options,
+        selectedOptions,
+        promptTemplate,
+        seed,
+        temperature,
+        cache,
+      },
+      { profileImage, referenceImage }
+    ),
   });
 
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
-    throw new Error(
-      errorData.error || `프롬프트 생성 실패: ${response.status}`
-    );
+    throw createAiError(errorData, `프롬프트 생성 실패: ${response.status}`);
   }
 
   const data = await response.json();
@@ -53,7 +219,13 @@ export async function generatePrompt({
   }
 
   return {
-    prompt: data.prompt,
+    prompt: data.finalPrompt ?? data.prompt,
+    finalPrompt: data.finalPrompt ?? data.prompt,
+    structuredPrompt: data.structuredPrompt ?? null,
+    promptMode: data.promptMode ?? 'plain',
+    promptTemplate: data.promptTemplate ?? null,
+    sampling: data.sampling ?? null,
+    cache: data.cache ?? null,
     rawResponse: data.rawResponse,
   };
 }
@@ -62,63 +234,165 @@ export async function generatePrompt({
  * AI 이미지 생성 요청 (Express 프록시 경유)
  * @param {Object} params
  * @param {string} params.prompt - AI가 생성한 이미지 프롬프트
- * @param {string} params.profileImageBase64 - 프로필 사진 Base64
- * @param {string} params.profileImageMimeType - 프로필 사진 MIME 타입
- * @param {string|null} params.referenceImageBase64 - 참조 이미지 Base64 (선택)
- * @param {string|null} params.referenceImageMimeType - 참조 이미지 MIME 타입 (선택)
+ * @param {AiInputImage} params.profileImage - 프로필 사진
+ * @param {AiInputImage|null} params.referenceImage - 참조 이미지 (선택)
+ * @param {string} params.aspectRatio - 화면 비율 ('1:1' | '4:5' | '3:4' | '4:3') (선택)
+ * @param {string} params.imageSize - 해상도 ('1K' | '2K') (선택)
  * @returns {Promise<{data: string, mimeType: string}>} - 생성된 이미지 Base64
  */
 export async function generateImage({
   prompt,
-  profileImageBase64,
-  profileImageMimeType = 'image/jpeg',
-  referenceImageBase64 = null,
-  referenceImageMimeType = null,
+  profileImage,
+  referenceImage = null,
+  aspectRatio = undefined,
+  imageSize = undefined,
 }) {
   const response = await fetch('/api/ai/generate-image', {
+    method: 'POST',
+    body: createAiFormData(
+      { prompt, aspectRatio, imageSize, responseFormat: 'url' },
+      { profileImage, referenceImage }
+    ),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw createAiError(errorData, `이미지 생성 실패: ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  if (!data.success || !data.image) {
+    throw new Error(data.error || '이미지 생성에 실패했습니다.');
+  }
+
+  return resolveGeneratedImage(data.image);
+}
+
+/**
+ * AI 생성 이미지 수정 요청 (Express 프록시 경유)
+ * 수정도 생성 1회로 차감되며, 결과는 업로드하지 않고 Base64로만 반환합니다.
+ * 서버에 보관된 본인의 생성 이미지만 수정할 수 있어 이미지 ID만 보냅니다.
+ * @param {Object} params
+ * @param {{id: string}} params.image - 수정할 생성 이미지 (생성/수정 결과의 id)
+ * @param {string} params.instruction - 수정 지시문 (예: "더 따뜻한 색감으로")
+ * @param {{aspectRatio?: string, imageSize?: string}} params.imageOptions - 원본과 같은 출력 옵션 (선택)
+ * @param {AbortSignal} params.signal - 요청 취소 시그널 (선택)
+ * @returns {Promise<{image: {id: string|null, data: string, mimeType: string}, quota: Object|null}>}
+ */
+export async function refineImage({
+  image,
+  instruction,
+  imageOptions = {},
+  signal = undefined,
+}) {
+  const response = await fetch('/api/ai/refine', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
-      prompt,
-      profileImageBase64,
-      profileImageMimeType,
-      referenceImageBase64,
-      referenceImageMimeType,
+      imageId: image.id,
+      instruction,
+      aspectRatio: imageOptions.aspectRatio,
+      imageSize: imageOptions.imageSize,
+      responseFormat: 'url',
     }),
+    signal,
   });
 
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.error || `이미지 생성 실패: ${response.status}`);
+    throw createAiError(errorData, `이미지 수정 실패: ${response.status}`);
   }
 
   const data = await response.json();
 
   if (!data.success || !data.image) {
-    throw new Error(data.error || '이미지 생성에 실패했습니다.');
+    throw new Error(data.error || '이미지 수정에 실패했습니다.');
+  }
+
+  return {
+    image: await resolveGeneratedImage(data.image, signal),
+    quota: data.quota ?? null,
+  };
+}
+
+/**
+ * 일기 본문으로 게시글 제목 후보 추천 (생성 횟수 차감 없음)
+ * @param {Object} params
+ * @param {string} params.postContent - 게시글 본문
+ * @param {AbortSignal} params.signal - 요청 취소 시그널 (선택)
+ * @returns {Promise<string[]>} 제목 후보 (최대 3개, 2~26자)
+ */
+export async function suggestPostTitles({ postContent, signal = undefined }) {
+  const response = await fetch('/api/ai/suggest-title', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ postContent }),
+    signal,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw createAiError(errorData, `제목 추천 실패: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.titles ?? [];
+}
+
+/**
+ * AI 글쓰기 도우미 (생성 횟수 차감 없음)
+ * @param {Object} params
+ * @param {'expand'|'spellfix'|'tone'} params.action - 메모 풀어 쓰기 / 맞춤법 교정 / 말투 바꾸기
+ * @param {string} params.postContent - 게시글 본문 (최대 10,000자)
+ * @param {'warm'|'calm'|'bright'|'polite'} params.tone - 바꿀 말투 (tone 동작만)
+ * @param {AbortSignal} params.signal - 요청 취소 시그널 (선택)
+ * @returns {Promise<{result: string, separator: string, paragraphs: Array<{changed: boolean, original: string, revised: string}>}>}
+ *   - paragraphs: 문단별 원문/결과 비교 (반영할 문단의 revised, 유지할 문단의 original을 separator로 합침)
+ */
+export async function requestWritingAssist({
+  action,
+  postContent,
+  tone = undefined,
+  signal = undefined,
+}) {
+  const response = await fetch(`/api/ai/assist/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ postContent, tone }),
+    signal,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw createAiError(
+      errorData,
+      `글쓰기 도우미 요청 실패: ${response.status}`
+    );
   }
 
-  return data.image;
+  const data = await response.json();
+  return {
+    result: data.result,
+    separator: data.separator ?? '\n',
+    paragraphs: data.paragraphs ?? [],
+  };
 }
 
 /**
  * AI 이미지 생성 전체 플로우 (프롬프트 생성 + 이미지 생성)
  * @param {Object} params
- * @param {string} params.profileImageBase64 - 프로필 사진 Base64
- * @param {string} params.profileImageMimeType - 프로필 사진 MIME 타입
+ * @param {AiInputImage} params.profileImage - 프로필 사진
  * @param {string} params.postContent - 게시글 본문
- * @param {string|null} params.referenceImageBase64 - 참조 이미지 Base64 (선택)
- * @param {string|null} params.referenceImageMimeType - 참조 이미지 MIME 타입 (선택)
+ * @param {AiInputImage|null} params.referenceImage - 참조 이미지 (선택)
  * @param {Object} params.options - 옵션 데이터 (선택)
  * @param {Function} params.onProgress - 진행 상태 콜백 (선택)
  * @returns {Promise<{prompt: string, image: {data: string, mimeType: string}}>}
  */
 export async function generateAiImageComplete({
-  profileImageBase64,
-  profileImageMimeType = 'image/jpeg',
+  profileImage,
   postContent,
-  referenceImageBase64 = null,
-  referenceImageMimeType = null,
+  referenceImage = null,
   options = null,
   onProgress = null,
 }) {
@@ -128,11 +402,9 @@ export async function generateAiImageComplete({
   }
 
   const { prompt } = await generatePrompt({
-    profileImageBase64,
-    profileImageMimeType,
+    profileImage,
     postContent,
-    referenceImageBase64,
-    referenceImageMimeType,
+    referenceImage,
     options,
   });
 
@@ -145,13 +417,227 @@ export async function generateAiImageComplete({
 
   const image = await generateImage({
     prompt,
-    profileImageBase64,
-    profileImageMimeType,
-    referenceImageBase64,
-    referenceImageMimeType,
+    profileImage,
+    referenceImage,
   });
 
   logger.debug('[AI API] 이미지 생성 완료');
 
   return { prompt, image };
 }
+
+// 작업 상태 폴링 간격 (ms)
+const JOB_POLL_INTERVAL_MS = 1000;
+
+/**
+ * AI 생성 작업 취소 (DELETE /api/ai/jobs/:id)
+ * 페이지를 떠나는 중에도 요청이 전송되도록 keepalive로 보냅니다.
+ * @param {string} jobId - 작업 ID
+ * @returns {Promise<void>}
+ */
+export async function cancelAiJob(jobId) {
+  try {
+    await fetch(`/api/ai/jobs/${encodeURIComponent(jobId)}`, {
+      method: 'DELETE',
+      keepalive: true,
+    });
+  } catch (error) {
+    logger.warn('[AI API] 작업 취소 요청 실패:', error);
+  }
+}
+
+/**
+ * 다음 폴링까지 대기 (취소 시 AbortError)
+ * @param {number} ms - 대기 시간
+ * @param {AbortSignal} [signal] - 취소 시그널
+ */
+function waitForNextPoll(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * AI 이미지 생성 작업 요청 (프롬프트 생성 + 이미지 생성 + 업로드, submit-and-poll)
+ *
+ * 작업을 등록한 뒤 상태를 폴링하며, 진행 상태 변화를 스트리밍과 같은 형식의
+ * 이벤트로 onEvent에 전달합니다.
+ * - job: 작업 등록 { jobId, position }
+ * - queued: 대기 순번 변경 { position }
+ * - stage: 단계 전환 { stage: 'prompt' | 'image' | 'upload', message }
+ * - prompt: 생성된 프롬프트 { prompt, structuredPrompt, promptTemplate }
+ * - done: 완료 { upload, quota, imageCount, imageOptions, sampling }
+ *
+ * signal이 abort되거나 페이지를 떠나면 서버 작업도 취소합니다. (선점한 횟수 반환)
+ *
+ * @param {Object} params
+ * @param {AiInputImage} params.profileImage - 프로필 사진
+ * @param {string} params.postContent - 게시글 본문
+ * @param {AiInputImage|null} params.referenceImage - 참조 이미지 (선택)
+ * @param {Object} params.options - 옵션 데이터 (선택)
+ * @param {Object|null} params.selectedOptions - 사용자 선택 옵션 (필수 제약으로 전달) (선택)
+ * @param {string} params.promptTemplate - 시스템 프롬프트 템플릿 (선택, 기본은 서버 설정)
+ * @param {{seed?: number, temperature?: number, variant?: number}} params.sampling - 시드/온도/첫 후보 번호 (선택, 이전 결과 재현용)
+ * @param {number} params.candidateCount - 생성할 후보 이미지 수 (선택, 기본 1)
+ * @param {string} params.aspectRatio - 화면 비율 ('1:1' | '4:5' | '3:4' | '4:3') (선택)
+ * @param {string} params.imageSize - 해상도 ('1K' | '2K') (선택)
+ * @param {Function} params.onEvent - 이벤트 콜백 ({ type, ... }) (선택)
+ * @param {AbortSignal} params.signal - 요청 취소 시그널 (선택)
+ * @returns {Promise<{prompt: string, structuredPrompt: Object|null, promptTemplate: {name: string, version: number}|null, image: {data: string, mimeType: string, variant: number}, images: Array<{data: string, mimeType: string, variant: number}>, upload: Object|null, quota: Object|null, imageOptions: Object|null, sampling: Object|null}>}
+ *   - images: 생성에 성공한 후보 이미지 (후보 번호 순), image: 첫 번째 후보
+ *     (variant: 후보 번호, sampling.seed와 함께 보내면 이 후보만 다시 생성)
+ *   - sampling: 서버가 적용한 { seed, temperature, variant }
+ *   - imageOptions: 서버가 적용한 { aspectRatio, imageSize }
+ */
+export async function generateAiImageJob({
+  profileImage,
+  postContent,
+  referenceImage = null,
+  options = null,
+  selectedOptions = null,
+  promptTemplate = undefined,
+  sampling = {},
+  candidateCount = 1,
+  aspectRatio = undefined,
+  imageSize = undefined,
+  onEvent = null,
+  signal = undefined,
+}) {
+  const emit = event => onEvent?.(event);
+
+  const response = await fetch('/api/ai/jobs', {
+    method: 'POST',
+    body: createAiFormData(
+      {
+        postContent,
+        options,
+        selectedOptions,
+        promptTemplate,
+        seed: sampling.seed,
+        temperature: sampling.temperature,
+        variant: sampling.variant,
+        candidateCount,
+        aspectRatio,
+        imageSize,
+        responseFormat: 'url',
+      },
+      { profileImage, referenceImage }
+    ),
+    signal,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw createAiError(errorData, `이미지 생성 실패: ${response.status}`);
+  }
+
+  const { jobId, position } = await response.json();
+  emit({ type: 'job', jobId, position });
+
+  // 페이지를 떠나면 서버 작업도 취소
+  const handlePageHide = () => cancelAiJob(jobId);
+  window.addEventListener('pagehide', handlePageHide);
+
+  let lastPosition = position;
+  let lastStage = null;
+  let promptSent = false;
+
+  try {
+    while (true) {
+      await waitForNextPoll(JOB_POLL_INTERVAL_MS, signal);
+
+      const pollResponse = await fetch(
+        `/api/ai/jobs/${encodeURIComponent(jobId)}`,
+        { signal }
+      );
+      const job = await pollResponse.json().catch(() => ({}));
+      if (!pollResponse.ok) {
+        throw createAiError(job, `생성 상태 조회 실패: ${pollResponse.status}`);
+      }
+
+      const { status, progress = {} } = job;
+
+      if (status === 'queued' && job.position !== lastPosition) {
+        lastPosition = job.position;
+        emit({ type: 'queued', position: job.position });
+      }
+      if (progress.stage && progress.stage !== lastStage) {
+        lastStage = progress.stage;
+        emit({
+          type: 'stage',
+          stage: progress.stage,
+          message: progress.message,
+        });
+      }
+      if (progress.prompt && !promptSent) {
+        promptSent = true;
+        emit({
+          type: 'prompt',
+          prompt: progress.prompt,
+          structuredPrompt: progress.structuredPrompt ?? null,
+          promptTemplate: progress.promptTemplate ?? null,
+        });
+      }
+
+      if (status === 'failed') {
+        throw createAiError(job.error, '이미지 생성에 실패했습니다.');
+      }
+      if (status === 'canceled') {
+        throw createAiError(
+          { code: 'JOB_CANCELED' },
+          '이미지 생성이 취소되었습니다.'
+        );
+      }
+      if (status !== 'succeeded') continue;
+
+      const { result } = job;
+      const images = await Promise.all(
+        result.images.map(async image => ({
+          ...(await resolveGeneratedImage(image, signal)),
+          variant: image.variant ?? 0,
+        }))
+      );
+      emit({
+        type: 'done',
+        upload: result.upload ?? null,
+        quota: result.quota ?? null,
+        imageCount: result.imageCount,
+        imageOptions: result.imageOptions ?? null,
+        sampling: result.sampling ?? null,
+      });
+
+      logger.debug('[AI API] 생성 작업 완료:', jobId);
+
+      return {
+        prompt: result.prompt,
+        structuredPrompt: result.structuredPrompt ?? null,
+        promptTemplate: result.promptTemplate ?? null,
+        image: images[0] ?? null,
+        images,
+        upload: result.upload ?? null,
+        quota: result.quota ?? null,
+        imageOptions: result.imageOptions ?? null,
+        sampling: result.sampling ?? null,
+      };
+    }
+  } catch (error) {
+    if (signal?.aborted) {
+      await cancelAiJob(jobId);
+    }
+    throw error;
+  } finally {
+    window.removeEventListener('pagehide', handlePageHide);
+  }
+}
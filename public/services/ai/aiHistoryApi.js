@@ -0,0 +1,129 @@
+/**
+ * AI 생성 기록 API 서비스
+ * "내 AI 생성 기록" 목록 조회 / 저장 / 삭제 (Express 프록시의 로컬 JSON 저장소)
+ */
+
+import { logger } from '../../utils/logger.js';
+import { createAiError } from './aiApi.js';
+
+// 기록 목록 썸네일 크기 (긴 변 기준)
+const THUMBNAIL_MAX_SIZE = 240;
+const THUMBNAIL_QUALITY = 0.7;
+
+/**
+ * Base64 이미지를 작은 JPEG data URL로 축소
+ * @param {{data: string, mimeType: string}} image - 원본 이미지
+ * @returns {Promise<string|null>} 썸네일 data URL (실패 시 null)
+ */
+async function createThumbnail(image) {
+  try {
+    const img = new Image();
+    img.src = `data:${image.mimeType};base64,${image.data}`;
+    await img.decode();
+
+    const scale = Math.min(
+      1,
+      THUMBNAIL_MAX_SIZE / Math.max(img.naturalWidth, img.naturalHeight)
+    );
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    return canvas.toDataURL('image/jpeg', THUMBNAIL_QUALITY);
+  } catch (error) {
+    logger.warn('[AI 기록] 썸네일 생성 실패:', error);
+    return null;
+  }
+}
+
+/**
+ * 내 AI 생성 기록 조회 (최신순)
+ * @returns {Promise<Array<{id: string, createdAt: string, prompt: string, structuredPrompt: Object|null, promptTemplate: Object|null, sampling: Object|null, selectedOptions: Object|null, imageOptions: Object|null, imageId: number|null, imageUrl: string|null, thumbnail: string|null, instruction: string|null}>>}
+ */
+export async function getAiHistory() {
+  const response = await fetch('/api/ai/history');
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw createAiError(errorData, `생성 기록 조회 실패: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.history ?? [];
+}
+
+/**
+ * 게시글에 사용하기로 확정한 AI 생성 결과를 기록에 저장
+ * @param {Object} params
+ * @param {string} params.prompt - 이미지 생성 프롬프트
+ * @param {Object|null} params.structuredPrompt - 구조화 프롬프트 (선택)
+ * @param {{name: string, version: number}|null} params.promptTemplate - 프롬프트 생성에 사용한 템플릿 (선택)
+ * @param {{seed: number, temperature: number, variant: number}|null} params.sampling - 생성에 사용한 시드/온도/후보 번호 (선택)
+ * @param {Object|null} params.selectedOptions - 사용자 선택 옵션 (선택)
+ * @param {Object|null} params.imageOptions - 출력 비율/해상도 (선택)
+ * @param {number|null} params.imageId - 업로드된 이미지 ID (선택)
+ * @param {string|null} params.imageUrl - 업로드된 이미지 URL (선택)
+ * @param {{data: string, mimeType: string}|null} params.image - 썸네일을 만들 원본 이미지 (선택)
+ * @param {string|null} params.instruction - 수정 버전의 수정 지시문 (선택)
+ * @returns {Promise<Object>} 저장된 기록
+ */
+export async function saveAiHistory({
+  prompt,
+  structuredPrompt = null,
+  promptTemplate = null,
+  sampling = null,
+  selectedOptions = null,
+  imageOptions = null,
+  imageId = null,
+  imageUrl = null,
+  image = null,
+  instruction = null,
+}) {
+  const thumbnail = image?.data ? await createThumbnail(image) : null;
+
+  const response = await fetch('/api/ai/history', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      prompt,
+      structuredPrompt,
+      promptTemplate,
+      sampling,
+      selectedOptions,
+      imageOptions,
+      imageId,
+      imageUrl,
+      thumbnail,
+      instruction,
+    }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw createAiError(errorData, `생성 기록 저장 실패: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.entry;
+}
+
+/**
+ * AI 생성 기록 삭제
+ * @param {string} id - 기록 ID
+ * @returns {Promise<void>}
+ */
+export async function deleteAiHistory(id) {
+  if (!id) {
+    throw new Error('기록 ID가 필요합니다.');
+  }
+
+  const response = await fetch(`/api/ai/history/${encodeURIComponent(id)}`, {
+    method: 'DELETE',
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw createAiError(errorData, `생성 기록 삭제 실패: ${response.status}`);
+  }
+}
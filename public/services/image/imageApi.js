@@ -1,5 +1,5 @@
 import { del, get, post } from '../httpClient.js';
-import { generateAiImageComplete } from '../ai/aiApi.js';
+import { generateAiImageJob, getAiQuota } from '../ai/aiApi.js';
 import { getImageUploadApi } from '../api-config.js';
 import { logger } from '../../utils/logger.js';
 
@@ -9,9 +9,17 @@ const AI_DAILY_LIMIT = 5;
 
 /**
  * 오늘 AI 이미지 생성 남은 횟수 조회
- * @returns {Promise<{remaining: number, limit: number, used: number}>}
+ * 실제 제한은 Express AI 프록시가 적용하므로 서버 쿼터를 우선 조회하고,
+ * 프록시가 없는 환경(live-server 등)에서는 백엔드 → 기본값 순으로 fallback
+ * @returns {Promise<{remaining: number, limit: number, used: number, resetAt?: string}>}
  */
 export async function getAiGenerationRemaining() {
+  try {
+    return await getAiQuota();
+  } catch (error) {
+    logger.warn('[AI 횟수] 프록시 쿼터 조회 실패:', error.message);
+  }
+
   try {
     const response = await get('/ai-generations/remaining');
     return (
@@ -56,12 +64,12 @@ export async function checkAiGenerationLimit() {
 // ============ AI 이미지 생성 관련 함수 ============
 
 /**
- * HTTP URL에서 이미지를 가져와 Base64로 변환
+ * HTTP URL에서 이미지를 Blob으로 가져오기 (AI 요청에 바이너리로 첨부)
  * S3 URL은 CORS 문제로 서버 프록시를 경유
  * @param {string} imageUrl - 이미지 URL
- * @returns {Promise<{data: string, mimeType: string}>}
+ * @returns {Promise<Blob>}
  */
-export async function fetchImageAsBase64(imageUrl) {
+export async function fetchImageAsBlob(imageUrl) {
   // S3 URL인 경우 프록시 경유 (CORS 우회)
   let fetchUrl = imageUrl;
   if (imageUrl.includes('s3.ap-northeast-2.amazonaws.com')) {
@@ -73,7 +81,16 @@ export async function fetchImageAsBase64(imageUrl) {
     throw new Error('이미지를 가져오는데 실패했습니다.');
   }
 
-  const blob = await response.blob();
+  return response.blob();
+}
+
+/**
+ * HTTP URL에서 이미지를 가져와 Base64로 변환
+ * @param {string} imageUrl - 이미지 URL
+ * @returns {Promise<{data: string, mimeType: string}>}
+ */
+export async function fetchImageAsBase64(imageUrl) {
+  const blob = await fetchImageAsBlob(imageUrl);
   const mimeType = blob.type || 'image/jpeg';
 
   return new Promise((resolve, reject) => {
@@ -140,56 +157,178 @@ export async function uploadBase64ToS3(imageData, imageType = 'POST') {
 }
 
 /**
- * AI 이미지 생성 전체 플로우 (Express 프록시 경유)
+ * 생성 작업 이벤트를 onProgress 콜백 형식으로 변환
+ * @param {Function|null} onProgress - 진행 상태 콜백
+ * @returns {Function} generateAiImageJob의 onEvent 콜백
+ */
+function toJobEventHandler(onProgress) {
+  return event => {
+    if (!onProgress) return;
+    if ((event.type === 'job' || event.type === 'queued') && event.position) {
+      onProgress({
+        step: 'queued',
+        message: `순서를 기다리고 있어요 (대기 ${event.position}번째)`,
+      });
+    } else if (event.type === 'stage') {
+      onProgress({ step: event.stage, message: event.message });
+    } else if (event.type === 'prompt') {
+      onProgress({
+        step: 'prompt-ready',
+        prompt: event.prompt,
+        structuredPrompt: event.structuredPrompt ?? null,
+      });
+    }
+  };
+}
+
+/**
+ * AI 생성 이미지를 S3에 업로드하고 메타데이터 저장
+ * @param {{id?: string, data: string, mimeType: string}} image - 생성된 Base64 이미지
+ * @param {Object|null} upload - 서버에서 이미 업로드한 결과 (선택)
+ * @returns {Promise<Object>} 메타데이터 + 미리보기용 imageData/imageMimeType + 수정용 generatedImageId
+ */
+export async function uploadAiGeneratedImage(image, upload = null) {
+  const s3Result = upload ?? (await uploadBase64ToS3(image, 'POST'));
+  logger.debug('[AI 이미지] S3 업로드 완료:', s3Result);
+
+  // AI 생성 이미지로 표시하여 메타데이터 저장
+  const metadata = await saveImageMetadata(s3Result, { aiGenerated: true });
+  logger.debug('[AI 이미지] 메타데이터 저장 완료:', metadata);
+
+  return {
+    ...metadata,
+    // 미리보기용 base64 데이터 (imageUrl이 없을 경우 사용)
+    imageData: image.data,
+    imageMimeType: image.mimeType,
+    // 서버에 보관된 생성 이미지 ID (수정 요청에 사용)
+    generatedImageId: image.id ?? null,
+  };
+}
+
+/**
+ * AI 이미지 생성 전체 플로우 (Express 프록시 작업 큐 경유)
+ *
+ * 서버가 프롬프트 생성 → 이미지 생성 → S3 업로드를 한 번에 처리하며
+ * 단계 전환과 중간 프롬프트를 onProgress로 전달합니다.
+ * 서버에 업로드 API가 설정되지 않은 경우 클라이언트에서 직접 업로드합니다.
+ *
  * @param {Object} params
  * @param {string} params.content - 일기 본문
- * @param {{data: string, mimeType: string}} params.avatarImage - 프로필 이미지
- * @param {{data: string, mimeType: string}|null} params.referenceImage - 참조 이미지
- * @param {Function} params.onProgress - 진행 상태 콜백 (선택)
- * @returns {Promise<{imageId: number, imageUrl: string, prompt: string}>}
+ * @param {Blob|{data: string, mimeType: string}|{imageId?: number, url?: string}} params.avatarImage - 프로필 이미지
+ * @param {Blob|{data: string, mimeType: string}|{imageId?: number, url?: string}|null} params.referenceImage - 참조 이미지
+ * @param {Object|null} params.selectedOptions - 사용자 선택 옵션 { style: '...', ... } (선택)
+ * @param {{aspectRatio?: string, imageSize?: string}} params.imageOptions - 출력 비율/해상도 (선택, 기본 1:1 / 1K)
+ * @param {{seed?: number, temperature?: number, variant?: number}} params.sampling - 시드/온도/후보 번호 (선택, 이전 결과 재현용)
+ * @param {Function} params.onProgress - 진행 상태 콜백 ({ step, message, prompt?, structuredPrompt? }) (선택)
+ * @param {AbortSignal} params.signal - 요청 취소 시그널 (선택)
+ * @returns {Promise<{imageId: number, imageUrl: string, prompt: string, structuredPrompt: Object|null, promptTemplate: Object|null, imageOptions: Object|null, sampling: Object|null}>}
+ *   - sampling: 서버가 적용한 { seed, temperature, variant } (같은 값으로 다시 요청하면 재현)
  */
 export async function generateAndUploadAiImage({
   content,
   avatarImage,
   referenceImage = null,
+  selectedOptions = null,
+  imageOptions = {},
+  sampling = {},
   onProgress = null,
+  signal = undefined,
 }) {
-  // 1. AI 프록시를 통해 프롬프트 생성 + 이미지 생성
-  if (onProgress) {
-    onProgress({ step: 'ai', message: 'AI가 이미지를 생성 중입니다...' });
-  }
-
-  const { prompt, image: generatedImage } = await generateAiImageComplete({
-    profileImageBase64: avatarImage.data,
-    profileImageMimeType: avatarImage.mimeType,
+  // 1. AI 프록시를 통해 프롬프트 생성 + 이미지 생성 (+ 서버 업로드)
+  const {
+    prompt,
+    structuredPrompt,
+    promptTemplate,
+    image: generatedImage,
+    upload,
+    imageOptions: appliedImageOptions,
+    sampling: appliedSampling,
+  } = await generateAiImageJob({
+    profileImage: avatarImage,
     postContent: content,
-    referenceImageBase64: referenceImage?.data || null,
-    referenceImageMimeType: referenceImage?.mimeType || null,
-    options: null, // 옵션 없이 기본 프롬프트 사용
-    onProgress,
+    referenceImage,
+    selectedOptions, // 선택 옵션이 없으면 기본 프롬프트 사용
+    aspectRatio: imageOptions.aspectRatio,
+    imageSize: imageOptions.imageSize,
+    sampling,
+    signal,
+    onEvent: toJobEventHandler(onProgress),
   });
 
   logger.debug('[AI 이미지] 생성된 프롬프트:', prompt);
   logger.debug('[AI 이미지] 이미지 생성 완료');
 
-  // 2. S3 업로드
-  if (onProgress) {
-    onProgress({ step: 'upload', message: '이미지 업로드 중...' });
+  // 2. S3 업로드 (서버에서 업로드하지 않은 경우) + 메타데이터 저장
+  if (!upload && onProgress) {
+    onProgress({ step: 'upload', message: '이미지를 저장하고 있어요' });
   }
+  const metadata = await uploadAiGeneratedImage(generatedImage, upload);
 
-  const s3Result = await uploadBase64ToS3(generatedImage, 'POST');
-  logger.debug('[AI 이미지] S3 업로드 완료:', s3Result);
+  return {
+    ...metadata,
+    prompt,
+    structuredPrompt,
+    promptTemplate,
+    imageOptions: appliedImageOptions,
+    sampling: appliedSampling,
+  };
+}
 
-  // 3. 메타데이터 저장 (AI 생성 이미지로 표시)
-  const metadata = await saveImageMetadata(s3Result, { aiGenerated: true });
-  logger.debug('[AI 이미지] 메타데이터 저장 완료:', metadata);
+/**
+ * AI 후보 이미지 여러 장 생성 (업로드 없음)
+ *
+ * 같은 프롬프트로 후보 이미지를 생성만 하고, 사용자가 고른 한 장만
+ * uploadAiGeneratedImage로 업로드합니다.
+ *
+ * @param {Object} params - generateAndUploadAiImage와 동일
+ * @param {number} params.candidateCount - 생성할 후보 수 (2~4)
+ * @returns {Promise<{prompt: string, structuredPrompt: Object|null, promptTemplate: Object|null, images: Array<{data: string, mimeType: string, variant: number}>, quota: Object|null, imageOptions: Object|null, sampling: Object|null}>}
+ *   - images[].variant: 후보 번호 (sampling.seed와 함께 보내면 그 후보만 다시 생성)
+ */
+export async function generateAiImageCandidates({
+  content,
+  avatarImage,
+  referenceImage = null,
+  selectedOptions = null,
+  imageOptions = {},
+  sampling = {},
+  candidateCount,
+  onProgress = null,
+  signal = undefined,
+}) {
+  const {
+    prompt,
+    structuredPrompt,
+    promptTemplate,
+    images,
+    quota,
+    imageOptions: appliedImageOptions,
+    sampling: appliedSampling,
+  } = await generateAiImageJob({
+    profileImage: avatarImage,
+    postContent: content,
+    referenceImage,
+    selectedOptions,
+    candidateCount,
+    aspectRatio: imageOptions.aspectRatio,
+    imageSize: imageOptions.imageSize,
+    sampling,
+    signal,
+    onEvent: toJobEventHandler(onProgress),
+  });
+
+  logger.debug(
+    `[AI 이미지] 후보 ${images.length}/${candidateCount}장 생성 완료`
+  );
 
   return {
-    ...metadata,
     prompt,
-    // 미리보기용 base64 데이터 (imageUrl이 없을 경우 사용)
-    imageData: generatedImage.data,
-    imageMimeType: generatedImage.mimeType,
+    structuredPrompt,
+    promptTemplate,
+    images,
+    quota,
+    imageOptions: appliedImageOptions,
+    sampling: appliedSampling,
   };
 }
 
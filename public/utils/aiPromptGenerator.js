@@ -32,8 +32,8 @@ async function getOptions() {
  *
  * @param {Object} params
  * @param {string} params.content - 게시글 본문
- * @param {{data: string, mimeType: string}} params.avatarImage - 프로필 사진 Base64
- * @param {{data: string, mimeType: string}|null} params.referenceImage - 참조 이미지 Base64 (선택)
+ * @param {Blob|{data: string, mimeType: string}|{imageId?: number, url?: string}} params.avatarImage - 프로필 사진
+ * @param {Blob|{data: string, mimeType: string}|{imageId?: number, url?: string}|null} params.referenceImage - 참조 이미지 (선택)
  * @param {Function} params.onProgress - 진행 상태 콜백 (선택)
  * @returns {Promise<{prompt: string, image: {data: string, mimeType: string}}>}
  */
@@ -52,9 +52,9 @@ export async function generateAiImage({
 
   // AI API 호출
   const result = await generateAiImageComplete({
-    profileImageBase64: avatarImage.data,
+    profileImage: avatarImage,
     postContent: content,
-    referenceImageBase64: referenceImage?.data || null,
+    referenceImage,
     options,
     onProgress,
   });
@@ -1,421 +1,1944 @@
 /**
- * AI Proxy Router - Gemini API 프록시 엔드포인트
+ * AI Proxy Router - AI 프로바이더 프록시 엔드포인트
  *
- * 클라이언트에서 직접 Gemini API를 호출하지 않고 서버를 경유하여
+ * 클라이언트에서 직접 AI 벤더 API를 호출하지 않고 서버를 경유하여
  * API 키 노출을 방지합니다.
+ * 실제 호출은 lib/ai/providers 의 프로바이더(Gemini, 로컬 스텁 등)가 담당합니다.
+ *
+ * 모든 생성 엔드포인트는 입력 텍스트와 생성 결과를 lib/ai/moderation 으로 검수하며,
+ * 차단 시 422 CONTENT_BLOCKED { category, stage: 'input' | 'output' }로 응답합니다.
+ *
+ * 업스트림 호출은 lib/ai/jobQueue 의 작업 큐를 거쳐 실행되어 서버 전체 동시 실행 수가 제한되고,
+ * 요청 주체당 진행 중인 작업은 1개로 제한됩니다. (중복 시 409 JOB_IN_PROGRESS)
+ *
+ * 생성 요청은 JSON(Base64 이미지) 외에 multipart/form-data로도 받습니다.
+ * (payload: 나머지 필드 JSON, profileImage/referenceImage/image: 이미지 파일)
+ * 프로필/참조 이미지는 바이트 대신 ID(profileImageId, referenceImageId)나 S3 URL로 보내면
+ * 서버가 직접 가져옵니다. (lib/ai/sourceImages, 프로필은 세션 사용자 본인 것만)
+ * responseFormat: 'url'이면 생성 이미지를 Base64 대신 짧은 수명의 이미지 URL로 응답합니다.
+ *
+ * 프롬프트 생성용 시스템 프롬프트는 lib/ai/prompts 의 템플릿 레지스트리에서 가져오며,
+ * 사용한 템플릿 { name, version }을 응답의 promptTemplate 필드로 돌려줍니다.
+ *
+ * 프로바이더 호출마다 모델, 소요 시간, 토큰 사용량, 결과 코드를 lib/ai/usage 에 기록하며
+ * 관리자(AI_ADMIN_TOKEN)는 GET /api/ai/usage 로 집계를 조회할 수 있습니다.
+ *
+ * 생성 요청은 seed/temperature(선택)를 받으며, 실제 적용한 값을 응답의 sampling 필드로
+ * 돌려줍니다. 같은 시드로 다시 요청하면 결과를 재현할 수 있습니다. (lib/ai/sampling)
+ *
+ * 프롬프트 생성 결과는 입력 내용 해시 기준으로 잠시 캐싱하여 (lib/ai/promptCache)
+ * 같은 요청은 모델을 다시 호출하지 않습니다. (cache: 'bypass'면 새로 생성)
+ *
+ * POST /api/ai/suggest-title 은 일기 본문으로 게시글 제목 후보를 추천하고,
+ * POST /api/ai/assist/:action 은 일기 본문을 고쳐 써서 문단별 비교 결과로 돌려줍니다. (lib/ai/writingAssist)
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { AiProxyError } = require('../lib/ai/errors');
+const { getAiProvider } = require('../lib/ai/providers');
+const { getQuotaService, getTextQuotaService } = require('../lib/ai/quota');
+const {
+  attachRequestSubject,
+  isUserSubject,
+} = require('../lib/ai/requestSubject');
+const { parseStructuredPrompt } = require('../lib/ai/structuredPrompt');
+const {
+  TITLE_MAX_LENGTH,
+  parseTitleSuggestions,
+} = require('../lib/ai/titleSuggestions');
+const {
+  ASSIST_ACTIONS,
+  ASSIST_TONES,
+  MAX_CONTENT_LENGTH,
+  cleanAssistResult,
+  diffParagraphs,
+} = require('../lib/ai/writingAssist');
+const {
+  OPTION_CATEGORIES,
+  getOptionCatalog,
+  resolveSelectedOptions,
+  applyOptionConstraints,
+  appendOptionConstraints,
+} = require('../lib/ai/optionCatalog');
+const { resolveImageOptions } = require('../lib/ai/imageOptions');
+const { resolveSampling, seedForVariant } = require('../lib/ai/sampling');
+const { getJobQueue } = require('../lib/ai/jobQueue');
+const { fetchUpstream } = require('../lib/ai/upstream');
+const { parseMultipartBody } = require('../lib/ai/multipart');
+const { getGeneratedImageStore } = require('../lib/ai/imageStore');
+const { getSourceImageResolver } = require('../lib/ai/sourceImages');
+const { getPromptTemplateRegistry } = require('../lib/ai/prompts');
+const { getPromptCache, toPromptCacheKey } = require('../lib/ai/promptCache');
+const { toHistoryEntry, getHistoryStore } = require('../lib/ai/history');
+const {
+  MODEL_PRICING,
+  getUsageStore,
+  parseUsageRange,
+  summarizeUsage,
+  withUsageTracking,
+} = require('../lib/ai/usage');
+const {
+  getModerator,
+  moderateText,
+  moderateGeneratedText,
+  moderateImage,
+} = require('../lib/ai/moderation');
+
+const router = express.Router();
+
+// 시스템 프롬프트 템플릿 (잘못된 템플릿이 있으면 서버 시작 시 실패)
+const promptTemplates = getPromptTemplateRegistry();
+
+// 검수 규칙은 서버 시작 시 로드 (잘못된 규칙 파일이면 바로 실패)
+getModerator();
+
+// 구조화 프롬프트 JSON 파싱 실패 시 최대 시도 횟수 (최초 1회 + 재시도 1회)
+const STRUCTURED_PROMPT_ATTEMPTS = 2;
+
+// 한 번에 생성할 수 있는 최대 후보 이미지 수
+const MAX_CANDIDATES = Number(process.env.AI_MAX_CANDIDATES) || 4;
+
+// 이미지 수정 지시문 최대 길이
+const MAX_REFINE_INSTRUCTION_LENGTH = 200;
+
+// 제목 추천 개수 / 최대 시도 횟수 (규칙에 맞는 제목이 부족하면 한 번 더 요청)
+const TITLE_SUGGESTION_COUNT = 3;
+const TITLE_SUGGESTION_ATTEMPTS = 2;
+// 제목 추천은 후보끼리 달라야 하므로 프롬프트 생성보다 높은 온도 사용
+const TITLE_SUGGESTION_TEMPERATURE = 1.2;
+
+// 프롬프트 생성(generate-prompt, jobs)에 사용할 수 있는 템플릿 종류
+const PROMPT_TEMPLATE_KINDS = ['plain', 'structured'];
+
+// 생성 이미지 업로드(Lambda) 타임아웃
+const UPLOAD_TIMEOUT_MS = 30000;
+
+// multipart 요청 최대 크기 (프로필 + 참조 이미지)
+const MAX_MULTIPART_BYTES =
+  Number(process.env.AI_UPLOAD_MAX_BYTES) || 20 * 1024 * 1024;
+
+// 생성 이미지 응답 형식 (base64: JSON에 포함, url: GET /api/ai/images/:id)
+const RESPONSE_FORMATS = ['base64', 'url'];
+
+// 프롬프트 캐시 사용 방식 (default: 캐시 사용, bypass: 새로 생성 후 캐시 갱신)
+const CACHE_MODES = ['default', 'bypass'];
+
+// 프로필 사진은 기본적으로 profileImageId/profileImageUrl로만 받음 (본인 것인지 서버가 확인)
+// true면 클라이언트가 보낸 사진 바이트(profileImageBase64, multipart profileImage)도 허용
+const ALLOW_PROFILE_IMAGE_UPLOAD =
+  process.env.AI_ALLOW_PROFILE_IMAGE_UPLOAD === 'true';
+
+// 관리자 API 토큰 (Authorization: Bearer <token>, 미설정 시 관리자 API 사용 불가)
+const ADMIN_TOKEN = process.env.AI_ADMIN_TOKEN || '';
+
+/**
+ * AI 프로바이더 설정 검증 미들웨어
+ * 사용할 프로바이더를 req.aiProvider에 주입합니다.
+ * (호출마다 사용량이 기록되도록 요청 주체/엔드포인트와 함께 감쌈)
+ */
+function resolveProvider(req, res, next) {
+  const provider = getAiProvider();
+  if (!provider.isConfigured()) {
+    return res.status(500).json({
+      error: 'API 키가 설정되지 않았습니다.',
+      code: 'API_KEY_NOT_CONFIGURED',
+    });
+  }
+  req.aiProvider = withUsageTracking(provider, {
+    store: getUsageStore(),
+    subject: req.aiSubject,
+    endpoint: req.path.replace(/^\//, ''),
+  });
+  next();
+}
+
+/**
+ * 관리자 인증 미들웨어 (AI_ADMIN_TOKEN과 Bearer 토큰 비교)
+ */
+function requireAdmin(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+  if (!token) {
+    return sendError(
+      res,
+      new AiProxyError('관리자 인증이 필요합니다.', {
+        status: 401,
+        code: 'ADMIN_AUTH_REQUIRED',
+      })
+    );
+  }
+
+  // 길이와 무관하게 일정한 시간에 비교하도록 해시 후 비교
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (
+    !ADMIN_TOKEN ||
+    !crypto.timingSafeEqual(digest(token), digest(ADMIN_TOKEN))
+  ) {
+    return sendError(
+      res,
+      new AiProxyError('관리자만 사용할 수 있습니다.', {
+        status: 403,
+        code: 'FORBIDDEN',
+      })
+    );
+  }
+  next();
+}
+
+/**
+ * multipart/form-data 요청 파싱 미들웨어
+ * 파일 필드를 JSON 요청과 같은 필드로 변환하여 req.body에 넣습니다. (lib/ai/multipart 참고)
+ */
+async function parseMultipart(req, res, next) {
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+
+  try {
+    req.body = await parseMultipartBody(req, {
+      maxBytes: MAX_MULTIPART_BYTES,
+    });
+    next();
+  } catch (error) {
+    console.error('[AI Proxy] multipart 파싱 오류:', error.message);
+    sendError(res, error);
+  }
+}
+
+/**
+ * 입력 이미지 참조를 서버에서 조회하여 req.body에 채우는 미들웨어
+ * - profileImageId / profileImageUrl: 세션 사용자의 프로필 사진 (본인 것만 허용)
+ *   AI_ALLOW_PROFILE_IMAGE_UPLOAD가 아니면 사진 바이트는 400 PROFILE_IMAGE_ID_REQUIRED
+ * - referenceImageId / referenceImageUrl: 참조 이미지 (이미지 ID 또는 허용된 S3 URL)
+ * 조회한 이미지는 profileImageBase64 등 기존 필드로 채워져 같은 흐름을 탑니다.
+ */
+async function resolveSourceImages(req, res, next) {
+  const {
+    profileImageId,
+    profileImageUrl,
+    referenceImageId,
+    referenceImageUrl,
+  } = req.body;
+  const resolver = getSourceImageResolver();
+
+  try {
+    if (profileImageId != null || profileImageUrl) {
+      const image = await resolver.resolveProfileImage(req, {
+        imageId: profileImageId,
+        url: profileImageUrl,
+      });
+      req.body.profileImageBase64 = image.data;
+      req.body.profileImageMimeType = image.mimeType;
+    } else if (!ALLOW_PROFILE_IMAGE_UPLOAD && req.body.profileImageBase64) {
+      throw new AiProxyError('프로필 이미지는 이미지 ID로 지정해야 합니다.', {
+        status: 400,
+        code: 'PROFILE_IMAGE_ID_REQUIRED',
+      });
+    }
+
+    if (referenceImageId != null || referenceImageUrl) {
+      const image = await resolver.resolveReferenceImage(req, {
+        imageId: referenceImageId,
+        url: referenceImageUrl,
+      });
+      req.body.referenceImageBase64 = image.data;
+      req.body.referenceImageMimeType = image.mimeType;
+    }
+
+    next();
+  } catch (error) {
+    console.error('[AI Proxy] 입력 이미지 조회 오류:', error.message);
+    sendError(res, error);
+  }
+}
+
+// 생성 엔드포인트 공통 미들웨어 (프로바이더 확인 → 입력 이미지 조회)
+const resolveGenerationInputs = [resolveProvider, resolveSourceImages];
+
+/**
+ * 응답 형식 검증
+ * @returns {AiProxyError|null} 검증 실패 시 에러
+ */
+function validateResponseFormat({ responseFormat }) {
+  if (
+    responseFormat !== undefined &&
+    !RESPONSE_FORMATS.includes(responseFormat)
+  ) {
+    return new AiProxyError('지원하지 않는 응답 형식입니다.', {
+      status: 400,
+      code: 'INVALID_RESPONSE_FORMAT',
+      details: { allowed: RESPONSE_FORMATS },
+    });
+  }
+  return null;
+}
+
+/**
+ * 프롬프트 캐시 사용 방식 검증
+ * @returns {AiProxyError|null} 검증 실패 시 에러
+ */
+function validateCacheMode({ cache }) {
+  if (cache !== undefined && !CACHE_MODES.includes(cache)) {
+    return new AiProxyError('지원하지 않는 캐시 옵션입니다.', {
+      status: 400,
+      code: 'INVALID_CACHE_MODE',
+      details: { allowed: CACHE_MODES },
+    });
+  }
+  return null;
+}
+
+/**
+ * 생성 이미지를 요청한 응답 형식으로 변환
+ * 생성 이미지는 모두 임시 저장소에 보관하고 id를 함께 돌려줍니다. (POST /refine의 imageId)
+ * url 형식이면 { id, url, mimeType, expiresAt }, base64 형식이면 { id, data, mimeType }
+ * @param {string} subject - 요청 주체 키
+ * @param {{data: string, mimeType: string}} image - 생성된 이미지
+ * @param {string} [responseFormat] - 'base64' | 'url' (기본 base64)
+ */
+function toImageResult(subject, image, responseFormat = 'base64') {
+  const { id, expiresAt } = getGeneratedImageStore().put(subject, image);
+  if (responseFormat !== 'url') {
+    return { id, data: image.data, mimeType: image.mimeType };
+  }
+
+  return {
+    id,
+    url: `/api/ai/images/${id}`,
+    mimeType: image.mimeType,
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+/**
+ * 프로바이더에 전달할 입력 이미지 목록 구성
+ * 순서: 1번째 프로필 사진, 2번째 참조 이미지(있는 경우) (mimeType 기본값: image/jpeg)
+ * @returns {Array<{data: string, mimeType: string}>}
+ */
+function collectInputImages({
+  profileImageBase64,
+  profileImageMimeType,
+  referenceImageBase64,
+  referenceImageMimeType,
+}) {
+  const images = [
+    {
+      data: profileImageBase64,
+      mimeType: profileImageMimeType || 'image/jpeg',
+    },
+  ];
+
+  if (referenceImageBase64) {
+    images.push({
+      data: referenceImageBase64,
+      mimeType: referenceImageMimeType || 'image/jpeg',
+    });
+  }
+
+  return images;
+}
+
+/**
+ * 프롬프트 생성 요청 본문 검증
+ * @returns {AiProxyError|null} 검증 실패 시 에러
+ */
+function validatePromptRequest(body) {
+  const {
+    profileImageBase64,
+    postContent,
+    selectedOptions,
+    candidateCount,
+    promptTemplate,
+  } = body;
+
+  if (!profileImageBase64) {
+    return new AiProxyError('프로필 이미지가 필요합니다.', {
+      status: 400,
+      code: 'PROFILE_IMAGE_REQUIRED',
+    });
+  }
+
+  if (!postContent) {
+    return new AiProxyError('본문 내용이 필요합니다.', {
+      status: 400,
+      code: 'CONTENT_REQUIRED',
+    });
+  }
+
+  try {
+    resolveSelectedOptions(selectedOptions);
+    resolveSampling(body);
+  } catch (error) {
+    return error;
+  }
+
+  if (
+    candidateCount !== undefined &&
+    (!Number.isInteger(candidateCount) ||
+      candidateCount < 1 ||
+      candidateCount > MAX_CANDIDATES)
+  ) {
+    return new AiProxyError(
+      `후보 이미지 수는 1~${MAX_CANDIDATES}장이어야 합니다.`,
+      { status: 400, code: 'INVALID_CANDIDATE_COUNT' }
+    );
+  }
+
+  if (promptTemplate != null) {
+    const templateError = validatePromptTemplate(
+      promptTemplate,
+      PROMPT_TEMPLATE_KINDS
+    );
+    if (templateError) return templateError;
+  }
+
+  return validateResponseFormat(body);
+}
+
+/**
+ * 요청한 템플릿이 있고 허용한 종류인지 검증
+ * @param {string} ref - 'name' 또는 'name@version'
+ * @param {string[]} kinds - 허용 종류
+ * @returns {AiProxyError|null} 검증 실패 시 에러 (400 INVALID_PROMPT_TEMPLATE { available })
+ */
+function validatePromptTemplate(ref, kinds) {
+  const template = promptTemplates.find(ref);
+  if (template && kinds.includes(template.kind)) {
+    return null;
+  }
+
+  return new AiProxyError('알 수 없는 프롬프트 템플릿입니다.', {
+    status: 400,
+    code: 'INVALID_PROMPT_TEMPLATE',
+    details: {
+      available: promptTemplates
+        .list()
+        .filter(({ kind }) => kinds.includes(kind))
+        .map(({ name, version }) => `${name}@${version}`),
+    },
+  });
+}
+
+/**
+ * 이미지 생성 프롬프트 생성 호출
+ *
+ * 옵션이 있으면 고급 시스템 프롬프트로 구조화 JSON을 요청하고 스키마를 검증합니다.
+ * 형식이 잘못되면 한 번 재시도하고, 그래도 실패하면 기본 시스템 프롬프트
+ * (plain text)로 대체합니다.
+ * 사용자가 선택한 옵션(selectedOptions)은 필수 제약으로 전달되며,
+ * 모델이 선택과 다른 값을 고르면 검증 실패로 보고 재시도합니다.
+ * 마지막 시도까지 다르면 필드를 선택 값으로 바꾸고 finalPrompt에 필수 조건을 덧붙이며,
+ * plain 프롬프트로 생성한 경우에도 선택 옵션을 finalPrompt에 덧붙입니다.
+ * (이미지는 finalPrompt로 생성되므로 메타데이터와 실제 요청이 일치)
+ *
+ * promptTemplate을 지정하면 해당 템플릿의 종류(plain/structured)로 생성하고,
+ * 지정하지 않으면 종류별 기본 템플릿을 사용합니다.
+ * (plain 템플릿을 지정하면 옵션 카탈로그는 전달되지 않습니다)
+ *
+ * @param {Object} provider - AI 프로바이더
+ * @param {Object} params - 요청 본문 필드
+ * @param {AbortSignal} [signal] - 요청 취소 시그널
+ * @returns {Promise<{finalPrompt: string, structuredPrompt: Object|null, promptMode: 'structured'|'plain', promptTemplate: {name: string, version: number}, rawResponse: Object}>}
+ */
+async function requestPromptGeneration(
+  provider,
+  {
+    profileImageBase64,
+    profileImageMimeType,
+    postContent,
+    referenceImageBase64,
+    referenceImageMimeType,
+    options,
+    selectedOptions,
+    promptTemplate,
+    seed,
+    temperature,
+  },
+  signal
+) {
+  const hasReferenceImage = !!referenceImageBase64;
+  const constraints = resolveSelectedOptions(selectedOptions);
+  const hasConstraints = Object.keys(constraints).length > 0;
+  const requestedTemplate = promptTemplate
+    ? promptTemplates.find(promptTemplate)
+    : null;
+  const pickTemplate = kind =>
+    requestedTemplate?.kind === kind
+      ? requestedTemplate
+      : promptTemplates.getDefault(kind);
+  const useStructured = requestedTemplate
+    ? requestedTemplate.kind === 'structured'
+    : !!options || hasConstraints;
+  const images = collectInputImages({
+    profileImageBase64,
+    profileImageMimeType,
+    referenceImageBase64,
+    referenceImageMimeType,
+  });
+
+  // 재시도는 같은 결과가 반복되지 않도록 시드를 바꿔서 요청
+  const generateText = async (systemPrompt, attempt = 1) => {
+    const { text, raw } = await provider.generatePrompt(
+      {
+        systemPrompt,
+        images,
+        temperature,
+        seed: seedForVariant(seed, attempt - 1),
+      },
+      signal
+    );
+
+    if (!text) {
+      throw new AiProxyError('프롬프트 생성 결과가 없습니다.', {
+        status: 500,
+        code: 'NO_PROMPT_RESULT',
+      });
+    }
+
+    return { text, raw };
+  };
+
+  // 옵션 기반 구조화 프롬프트 (옵션 데이터 미전달 시 서버 카탈로그 사용)
+  if (useStructured) {
+    const template = pickTemplate('structured');
+    const systemPrompt = template.render({
+      content: postContent,
+      options: JSON.stringify(options || getOptionCatalog(), null, 2),
+      hasReferenceImage,
+      constraints: formatConstraints(constraints),
+    });
+
+    for (let attempt = 1; attempt <= STRUCTURED_PROMPT_ATTEMPTS; attempt++) {
+      const { text, raw } = await generateText(systemPrompt, attempt);
+      const { value, errors } = parseStructuredPrompt(text);
+
+      if (value) {
+        const { value: constrained, overridden } = applyOptionConstraints(
+          value,
+          constraints
+        );
+        const isLastAttempt = attempt === STRUCTURED_PROMPT_ATTEMPTS;
+        if (overridden.length > 0 && !isLastAttempt) {
+          console.warn(
+            `[AI Proxy] 선택 옵션 미반영 (${attempt}/${STRUCTURED_PROMPT_ATTEMPTS}), 재시도:`,
+            overridden
+          );
+          continue;
+        }
+        if (overridden.length > 0) {
+          console.warn(
+            '[AI Proxy] 선택 옵션 미반영 필드 보정 (finalPrompt에 덧붙임):',
+            overridden
+          );
+        }
+
+        return {
+          finalPrompt: constrained.finalPrompt,
+          structuredPrompt: constrained,
+          promptMode: 'structured',
+          promptTemplate: toTemplateInfo(template),
+          rawResponse: raw,
+        };
+      }
+
+      console.warn(
+        `[AI Proxy] 구조화 프롬프트 검증 실패 (${attempt}/${STRUCTURED_PROMPT_ATTEMPTS}):`,
+        errors
+      );
+    }
+
+    console.warn('[AI Proxy] 구조화 프롬프트 실패, 기본 프롬프트로 대체');
+  }
+
+  // 기본 프롬프트 (plain text)
+  const template = pickTemplate('plain');
+  const { text, raw } = await generateText(
+    template.render({ content: postContent, hasReferenceImage })
+  );
+
+  return {
+    finalPrompt: appendOptionConstraints(text.trim(), constraints),
+    structuredPrompt: null,
+    promptMode: 'plain',
+    promptTemplate: toTemplateInfo(template),
+    rawResponse: raw,
+  };
+}
+
+/**
+ * 프롬프트 생성 요청의 캐시 키
+ * 결과에 영향을 주는 입력만 포함합니다. 템플릿은 지정한 템플릿과 종류별 기본 템플릿의
+ * name@version을 넣어 기본값이 바뀌면 이전 결과를 쓰지 않습니다.
+ * 시드는 요청에 지정한 경우에만 포함합니다. (미지정이면 임의 시드의 결과도 재사용)
+ * @param {Object} body - 요청 본문
+ * @param {number} temperature - 적용할 온도
+ */
+function toPromptRequestKey(body, temperature) {
+  const { postContent, options, selectedOptions, promptTemplate, seed } = body;
+  const templates = [
+    promptTemplate ? promptTemplates.find(promptTemplate) : null,
+    promptTemplates.getDefault('structured'),
+    promptTemplates.getDefault('plain'),
+  ].map(template => (template ? `${template.name}@${template.version}` : null));
+
+  return toPromptCacheKey({
+    images: collectInputImages(body),
+    content: postContent,
+    options,
+    selectedOptions: resolveSelectedOptions(selectedOptions),
+    templates,
+    temperature,
+    seed,
+  });
+}
+
+/**
+ * 프롬프트 생성 (캐시 사용, /generate-prompt와 생성 작업 공용)
+ * 같은 입력의 결과가 캐시에 있으면 모델을 호출하지 않고 돌려줍니다. (사용량 기록 없음)
+ * cache: 'bypass'면 캐시를 쓰지 않고 새로 생성한 결과로 갱신합니다.
+ * @param {Object} provider - AI 프로바이더
+ * @param {Object} body - 요청 본문
+ * @param {{seed: number, temperature: number}} sampling - 적용할 시드/온도
+ * @param {AbortSignal} [signal] - 요청 취소 시그널
+ * @returns {Promise<Object>} requestPromptGeneration 결과 + sampling(결과를 만든 값), cache: 'hit' | 'miss' | 'bypass'
+ */
+async function generatePromptWithCache(
+  provider,
+  body,
+  { seed, temperature },
+  signal
+) {
+  const promptCache = getPromptCache();
+  const cacheKey = toPromptRequestKey(body, temperature);
+  const bypass = body.cache === 'bypass';
+
+  const cached = bypass ? null : promptCache.get(cacheKey);
+  if (cached) {
+    return { ...cached, cache: 'hit' };
+  }
+
+  const result = {
+    ...(await requestPromptGeneration(
+      provider,
+      { ...body, seed, temperature },
+      signal
+    )),
+    sampling: { seed, temperature },
+  };
+  promptCache.set(cacheKey, result);
+  return { ...result, cache: bypass ? 'bypass' : 'miss' };
+}
+
+/**
+ * 이미지 생성 요청 본문 검증
+ * @param {Object} body - 요청 본문
+ * @param {string[]} imageSizes - 프로바이더가 지원하는 해상도
+ * @returns {AiProxyError|null} 검증 실패 시 에러
+ */
+function validateImageRequest(body, imageSizes) {
+  const { prompt, profileImageBase64, aspectRatio, imageSize } = body;
+
+  if (!prompt) {
+    return new AiProxyError('이미지 생성 프롬프트가 필요합니다.', {
+      status: 400,
+      code: 'PROMPT_REQUIRED',
+    });
+  }
+
+  if (!profileImageBase64) {
+    return new AiProxyError('프로필 이미지가 필요합니다.', {
+      status: 400,
+      code: 'PROFILE_IMAGE_REQUIRED',
+    });
+  }
+
+  try {
+    resolveImageOptions({ aspectRatio, imageSize }, imageSizes);
+    resolveSampling(body);
+  } catch (error) {
+    return error;
+  }
+
+  return validateResponseFormat(body);
+}
+
+/**
+ * 이미지 수정 요청 본문 검증
+ * @param {Object} body - 요청 본문
+ * @param {string[]} imageSizes - 프로바이더가 지원하는 해상도
+ * @returns {AiProxyError|null} 검증 실패 시 에러
+ */
+function validateRefineRequest(body, imageSizes) {
+  const { imageId, instruction, aspectRatio, imageSize } = body;
+
+  if (typeof imageId !== 'string' || !imageId) {
+    return new AiProxyError('수정할 이미지가 필요합니다.', {
+      status: 400,
+      code: 'IMAGE_REQUIRED',
+    });
+  }
+
+  const trimmed = typeof instruction === 'string' ? instruction.trim() : '';
+  if (!trimmed) {
+    return new AiProxyError('수정 요청 내용을 입력해주세요.', {
+      status: 400,
+      code: 'INSTRUCTION_REQUIRED',
+    });
+  }
+
+  if (trimmed.length > MAX_REFINE_INSTRUCTION_LENGTH) {
+    return new AiProxyError(
+      `수정 요청은 ${MAX_REFINE_INSTRUCTION_LENGTH}자 이내로 입력해주세요.`,
+      { status: 400, code: 'INSTRUCTION_TOO_LONG' }
+    );
+  }
+
+  try {
+    resolveImageOptions({ aspectRatio, imageSize }, imageSizes);
+    resolveSampling(body);
+  } catch (error) {
+    return error;
+  }
+
+  return validateResponseFormat(body);
+}
+
+/**
+ * 이미지 생성 호출
+ * @param {Object} provider - AI 프로바이더
+ * @param {Object} params - 요청 본문 필드 (+ variant: 후보 번호, seed: 기준 시드, aspectRatio/imageSize: 출력 옵션)
+ * @param {AbortSignal} [signal] - 요청 취소 시그널
+ * @returns {Promise<{data: string, mimeType: string}>}
+ */
+async function requestImageGeneration(
+  provider,
+  {
+    prompt,
+    profileImageBase64,
+    profileImageMimeType,
+    referenceImageBase64,
+    referenceImageMimeType,
+    variant = 0,
+    seed,
+    aspectRatio,
+    imageSize,
+  },
+  signal
+) {
+  const image = await provider.generateImage(
+    {
+      prompt,
+      images: collectInputImages({
+        profileImageBase64,
+        profileImageMimeType,
+        referenceImageBase64,
+        referenceImageMimeType,
+      }),
+      variant,
+      seed: seedForVariant(seed, variant),
+      ...resolveImageOptions({ aspectRatio, imageSize }),
+    },
+    signal
+  );
+
+  if (!image) {
+    throw new AiProxyError('AI 이미지 생성 결과가 없습니다.', {
+      status: 500,
+      code: 'NO_IMAGE_RESULT',
+    });
+  }
+
+  // 업로드/응답 전에 생성 결과 검수
+  await moderateImage(image, prompt, {
+    signal,
+    usage: provider.usageContext,
+  });
+
+  return image;
+}
+
+/**
+ * 생성된 이미지를 이미지 업로드 API(Lambda)로 업로드
+ * IMAGE_UPLOAD_API 미설정 시 null 반환 (클라이언트가 직접 업로드)
+ * @param {{data: string, mimeType: string}} image - 생성된 이미지
+ * @param {AbortSignal} [signal] - 요청 취소 시그널
+ * @returns {Promise<Object|null>} Lambda 응답 (storedFilename, s3Path 등)
+ */
+async function uploadGeneratedImage(image, signal) {
+  const imageUploadApi = process.env.IMAGE_UPLOAD_API;
+  if (!imageUploadApi) {
+    return null;
+  }
+
+  const mimeToExt = {
+    'image/jpeg': 'jpg',
+    'image/jpg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+  };
+
+  // 업로드는 멱등하지 않으므로 재시도 없이 타임아웃만 적용
+  const response = await fetchUpstream(
+    imageUploadApi,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        file: image.data,
+        extension: mimeToExt[image.mimeType] || 'png',
+        imageType: 'POST',
+      }),
+    },
+    {
+      label: '이미지 업로드',
+      timeoutMs: UPLOAD_TIMEOUT_MS,
+      retries: 0,
+      signal,
+    }
+  );
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new AiProxyError(
+      error.message || 'AI 이미지 업로드에 실패했습니다.',
+      { status: 502, code: 'IMAGE_UPLOAD_FAILED' }
+    );
+  }
+
+  return response.json();
+}
+
+/**
+ * 에러 응답 본문 구성 (AiProxyError 외의 에러는 INTERNAL_ERROR)
+ */
+function toErrorBody(error) {
+  if (error instanceof AiProxyError) {
+    return { error: error.message, code: error.code, ...error.details };
+  }
+
+  return {
+    error: error.message || '서버 오류가 발생했습니다.',
+    code: 'INTERNAL_ERROR',
+  };
+}
+
+/**
+ * 에러 응답 전송
+ */
+function sendError(res, error) {
+  const status = error instanceof AiProxyError ? error.status : 500;
+  res.status(status).json(toErrorBody(error));
+}
+
+/**
+ * 생성 횟수를 선점한 뒤 작업 큐에 등록
+ *
+ * 작업이 실패/취소되거나 대기 중에 취소되면 선점한 횟수를 모두 반환합니다.
+ * 작업 도중 일부만 반환해야 하면 실행 함수에서 reservation.release(amount)를 호출합니다.
+ *
+ * @param {string} subject - 요청 주체 키
+ * @param {string} type - 작업 종류
+ * @param {number} cost - 선점할 횟수
+ * @param {Function} createRun - (reservation) => 작업 실행 함수
+ * @param {Object} [options]
+ * @param {Object} [options.quota] - 차감할 쿼터 서비스 (기본은 이미지 생성 쿼터)
+ * @returns {Promise<Object>} 등록된 작업
+ * @throws {AiProxyError} 429 QUOTA_EXCEEDED, 409 JOB_IN_PROGRESS, 503 QUEUE_FULL
+ */
+async function submitQuotaJob(
+  subject,
+  type,
+  cost,
+  createRun,
+  { quota = getQuotaService() } = {}
+) {
+  const reservation = {
+    subject,
+    cost,
+    status: await quota.consume(subject, cost),
+    async release(amount = reservation.cost) {
+      if (amount <= 0) return;
+      reservation.cost -= amount;
+      await quota.refund(subject, amount);
+      reservation.status = await quota.getStatus(subject);
+    },
+  };
+
+  const run = createRun(reservation);
+  let job;
+  try {
+    job = getJobQueue().submit(subject, type, async context => {
+      try {
+        return await run(context);
+      } catch (error) {
+        await reservation.release();
+        throw error;
+      }
+    });
+  } catch (error) {
+    await reservation.release();
+    throw error;
+  }
+
+  // 실행 전에 취소된 작업
+  job.done.then(({ startedAt }) => {
+    if (!startedAt) {
+      reservation.release().catch(error => {
+        console.error('[AI Proxy] 생성 횟수 반환 오류:', error);
+      });
+    }
+  });
+
+  return job;
+}
+
+/**
+ * 프롬프트 생성 → 이미지 생성 → 업로드 작업 등록 (/generate-stream, /jobs 공용)
+ * 횟수 차감 전에 요청을 검증하고 일기 본문을 검수합니다.
+ * @returns {Promise<Object>} 등록된 작업
+ */
+async function submitGenerationJob(req) {
+  const validationError =
+    validatePromptRequest(req.body) || validateCacheMode(req.body);
+  if (validationError) {
+    throw validationError;
+  }
+
+  resolveImageOptions(req.body, req.aiProvider.imageSizes);
+  await moderateText(req.body.postContent);
+
+  const candidateCount = req.body.candidateCount ?? 1;
+  return submitQuotaJob(
+    req.aiSubject,
+    'generate',
+    getQuotaService().costOf(candidateCount),
+    reservation => createGenerationRun(req.aiProvider, req.body, reservation)
+  );
+}
+
+/**
+ * 생성 작업 실행 함수 생성
+ *
+ * 단계 전환/프롬프트/후보 이미지는 progress에 기록하고 이벤트로도 보냅니다.
+ * 후보별로 병렬 생성하며, 일부 후보만 실패하면 per-image 모드에서 실패한 만큼 반환합니다.
+ * 생성 결과가 검수에 걸린 후보는 실패로 처리합니다. (모두 실패하면 작업 실패)
+ *
+ * @param {Object} provider - AI 프로바이더
+ * @param {Object} body - 요청 본문
+ * @param {Object} reservation - 선점한 생성 횟수
+ * @returns {Function} 작업 큐 실행 함수
+ */
+function createGenerationRun(provider, body, reservation) {
+  const candidateCount = body.candidateCount ?? 1;
+  const imageOptions = resolveImageOptions(body);
+  const requestedSampling = resolveSampling(body);
+
+  return async ({ signal, progress, emit }) => {
+    const setStage = (stage, message) => {
+      Object.assign(progress, { stage, message });
+      emit({ type: 'stage', stage, message });
+    };
+
+    // 1단계: 프롬프트 생성 (같은 입력이면 캐시 결과 사용)
+    setStage('prompt', '일기를 읽고 있어요');
+    const {
+      finalPrompt: prompt,
+      structuredPrompt,
+      promptTemplate,
+      cache,
+      sampling: promptSampling,
+    } = await generatePromptWithCache(
+      provider,
+      body,
+      requestedSampling,
+      signal
+    );
+    // 캐시 결과면 그 프롬프트를 만든 시드로 이미지도 생성 (응답의 시드로 다시 만들 수 있게)
+    const sampling = { ...requestedSampling, ...promptSampling };
+    Object.assign(progress, { prompt, structuredPrompt, promptTemplate });
+    emit({ type: 'prompt', prompt, structuredPrompt, promptTemplate, cache });
+
+    // 2단계: 이미지 생성 (후보별 병렬 생성, 완료되는 대로 전송)
+    setStage(
+      'image',
+      candidateCount > 1
+        ? `그림 ${candidateCount}장을 그리고 있어요`
+        : '그림을 그리고 있어요'
+    );
+    progress.completedImages = 0;
+    const results = await Promise.allSettled(
+      Array.from({ length: candidateCount }, async (_, index) => {
+        const variant = sampling.variant + index;
+        const image = await requestImageGeneration(
+          provider,
+          { ...body, ...sampling, prompt, variant },
+          signal
+        );
+        progress.completedImages++;
+        // 완료 이벤트와 최종 결과가 같은 보관 이미지(id)를 가리키도록 한 번만 변환
+        const result = toImageResult(
+          reservation.subject,
+          image,
+          body.responseFormat
+        );
+        emit({ type: 'image', index, variant, image: result });
+        return { image, result, variant };
+      })
+    );
+
+    const generated = results
+      .filter(result => result.status === 'fulfilled')
+      .map(result => result.value);
+    const images = generated.map(({ image }) => image);
+    if (images.length === 0) {
+      throw results[0].reason;
+    }
+
+    await reservation.release(
+      reservation.cost - getQuotaService().costOf(images.length)
+    );
+
+    // 3단계: 업로드 (단일 생성 + 서버에 업로드 API가 설정된 경우)
+    let upload = null;
+    if (candidateCount === 1) {
+      setStage('upload', '이미지를 저장하고 있어요');
+      upload = await uploadGeneratedImage(images[0], signal);
+    }
+
+    return {
+      prompt,
+      structuredPrompt,
+      promptTemplate,
+      // variant: 이 후보를 다시 만들 때 보낼 후보 번호
+      images: generated.map(({ result, variant }) => ({ ...result, variant })),
+      upload,
+      quota: reservation.status,
+      imageCount: images.length,
+      imageOptions,
+      sampling,
+    };
+  };
+}
+
+/**
+ * 작업이 끝날 때까지 기다려 결과 반환 (단건 JSON 응답 엔드포인트용)
+ * 클라이언트 연결이 끊기면 작업을 취소합니다.
+ * @throws 작업 실패 시 작업의 에러, 취소 시 409 JOB_CANCELED
+ */
+async function waitForJob(res, job) {
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      getJobQueue().cancel(job);
+    }
+  });
+
+  const { status, result, error } = await job.done;
+  if (status === 'succeeded') {
+    return result;
+  }
+  if (status === 'failed') {
+    throw error;
+  }
+  throw new AiProxyError('AI 작업이 취소되었습니다.', {
+    status: 409,
+    code: 'JOB_CANCELED',
+  });
+}
+
+/**
+ * 요청 주체 본인의 작업 조회
+ * @throws {AiProxyError} 404 JOB_NOT_FOUND
+ */
+function findOwnJob(req) {
+  const job = getJobQueue().get(req.params.id);
+  if (!job || job.subject !== req.aiSubject) {
+    throw new AiProxyError('AI 작업을 찾을 수 없습니다.', {
+      status: 404,
+      code: 'JOB_NOT_FOUND',
+    });
+  }
+  return job;
+}
+
+/**
+ * 작업 상태 응답 본문 구성
  */
+function toJobBody(job) {
+  const body = {
+    success: true,
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    position: getJobQueue().positionOf(job),
+    progress: job.progress,
+  };
 
-const express = require('express');
-const router = express.Router();
+  if (job.status === 'succeeded') {
+    body.result = job.result;
+  } else if (job.status === 'failed') {
+    body.error = toErrorBody(job.error);
+  }
+  return body;
+}
 
-// Gemini API 설정
-const GEMINI_ENDPOINT =
-  'https://generativelanguage.googleapis.com/v1beta/models';
-const MODELS = {
-  PROMPT_GENERATOR: 'gemini-2.5-flash',
-  IMAGE_GENERATOR: 'gemini-2.5-flash-image',
-};
+router.use(parseMultipart);
+// 쿼터/작업/생성 이미지/기록은 백엔드 사용자 ID 기준 (비로그인은 IP)
+router.use(attachRequestSubject);
 
 /**
- * API 키 검증 미들웨어
+ * GET /api/ai/quota
+ * 요청 주체의 오늘 AI 이미지 생성 사용량 조회
+ *
+ * 응답:
+ * - limit, used, remaining, resetAt (ISO 8601)
+ * - batchMode: 여러 장 생성 시 차감 방식 ('per-image' | 'per-batch')
+ * - maxCandidates: 한 번에 생성할 수 있는 최대 후보 수
+ * - imageSizes: 현재 프로바이더 모델이 지원하는 해상도 (그 외 값은 400 INVALID_IMAGE_OPTIONS)
+ * - text: 제목 추천/글쓰기 도우미 사용량 { limit, used, remaining, resetAt }
  */
-function validateApiKey(req, res, next) {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    return res.status(500).json({
-      error: 'API 키가 설정되지 않았습니다.',
-      code: 'API_KEY_NOT_CONFIGURED',
+router.get('/quota', async (req, res) => {
+  try {
+    const quota = getQuotaService();
+    const status = await quota.getStatus(req.aiSubject);
+    res.json({
+      success: true,
+      ...status,
+      batchMode: quota.batchMode,
+      maxCandidates: MAX_CANDIDATES,
+      imageSizes: getAiProvider().imageSizes,
+      text: await getTextQuotaService().getStatus(req.aiSubject),
     });
+  } catch (error) {
+    console.error('[AI Proxy] 쿼터 조회 오류:', error);
+    sendError(res, error);
   }
-  req.geminiApiKey = apiKey;
-  next();
-}
+});
+
+/**
+ * GET /api/ai/usage (관리자 전용)
+ * 프로바이더 호출 사용량/비용 집계
+ *
+ * 쿼리:
+ * - from, to: 조회 기간 YYYY-MM-DD (서버 로컬 날짜, to 포함, 기본 최근 30일)
+ *
+ * 응답:
+ * - totals: { requests, failures, failureRate, inputTokens, outputTokens, totalTokens, avgLatencyMs, estimatedCostUsd }
+ * - byDay: [{ date, ...totals 항목 }]
+ * - byModel: [{ model, ...totals 항목 }]
+ * - byCode: [{ code, count }] (실패 코드별 건수, 많은 순)
+ * - pricing: 비용 추정에 사용한 모델별 단가 (USD / 100만 토큰)
+ *
+ * Authorization: Bearer <AI_ADMIN_TOKEN> 이 없으면 401, 다르면 403
+ */
+router.get('/usage', requireAdmin, async (req, res) => {
+  try {
+    const range = parseUsageRange(req.query);
+    if (!range) {
+      return sendError(
+        res,
+        new AiProxyError('조회 기간이 올바르지 않습니다. (YYYY-MM-DD)', {
+          status: 400,
+          code: 'INVALID_DATE_RANGE',
+        })
+      );
+    }
+
+    const summary = await summarizeUsage(getUsageStore(), range);
+    res.json({
+      success: true,
+      from: new Date(range.from).toISOString(),
+      to: new Date(range.to).toISOString(),
+      ...summary,
+      pricing: MODEL_PRICING,
+    });
+  } catch (error) {
+    console.error('[AI Proxy] 사용량 조회 오류:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/ai/prompt-templates
+ * 선택 가능한 시스템 프롬프트 템플릿 목록
+ *
+ * 응답:
+ * - templates: [{ name, version, kind, description, isDefault }]
+ */
+router.get('/prompt-templates', (req, res) => {
+  res.json({ success: true, templates: promptTemplates.list() });
+});
 
 /**
  * POST /api/ai/generate-prompt
  * 프로필 사진 + 본문 + 참조 이미지를 분석하여 이미지 생성 프롬프트 생성
  *
  * 요청:
- * - profileImageBase64: 프로필 사진 Base64
+ * - profileImageId / profileImageUrl: 프로필 사진 (profileImageBase64는 AI_ALLOW_PROFILE_IMAGE_UPLOAD일 때만)
  * - postContent: 게시글 본문
- * - referenceImageBase64: 참조 이미지 Base64 (선택)
- * - options: 옵션 데이터 (style, location 등)
+ * - referenceImageBase64: 참조 이미지 Base64 (선택, 또는 referenceImageId / referenceImageUrl)
+ * - options: 옵션 데이터 (선택, 미전달 시 서버의 옵션 카탈로그 사용)
+ * - selectedOptions: 사용자 선택 옵션 { style: 'Photorealistic', ... } (선택, 'auto'는 자동)
+ * - promptTemplate: 시스템 프롬프트 템플릿 'name' 또는 'name@version' (선택, 기본은 설정값)
+ *   없는 템플릿이면 400 INVALID_PROMPT_TEMPLATE { available }
+ * - seed: 시드 0~2147483647 (선택, 미전달 시 서버가 임의로 정함)
+ * - temperature: 프롬프트 모델 샘플링 온도 0~2 (선택, 기본 0.9)
+ *   범위 밖이면 400 INVALID_SAMPLING_OPTIONS
+ * - cache: 'default' | 'bypass' (선택, bypass면 캐시를 쓰지 않고 새로 생성한 결과로 갱신)
+ *   그 외 값이면 400 INVALID_CACHE_MODE
  *
  * 응답:
- * - AI가 생성한 이미지 프롬프트 (JSON)
+ * - finalPrompt: 이미지 생성에 사용할 영어 프롬프트 (prompt 필드와 동일, 하위 호환)
+ * - structuredPrompt: 검증된 구조화 프롬프트 (plain 모드면 null)
+ * - promptMode: 'structured' | 'plain'
+ * - promptTemplate: 사용한 템플릿 { name, version }
+ * - sampling: 적용한 { seed, temperature } (캐시 결과면 그 결과를 만든 값)
+ * - cache: 'hit' | 'miss' | 'bypass'
+ *
+ * 같은 입력(이미지, 본문, 옵션, 템플릿, 온도, 지정한 시드)의 결과는 캐시에서 바로 돌려주며
+ * 이때는 모델을 호출하지 않습니다. (사용량 기록 없음)
  */
-router.post('/generate-prompt', validateApiKey, async (req, res) => {
+router.post('/generate-prompt', resolveGenerationInputs, async (req, res) => {
   try {
-    const {
-      profileImageBase64,
-      profileImageMimeType,
-      postContent,
-      referenceImageBase64,
-      referenceImageMimeType,
-      options,
-    } = req.body;
-
-    if (!profileImageBase64) {
-      return res.status(400).json({
-        error: '프로필 이미지가 필요합니다.',
-        code: 'PROFILE_IMAGE_REQUIRED',
-      });
+    const validationError =
+      validatePromptRequest(req.body) || validateCacheMode(req.body);
+    if (validationError) {
+      return sendError(res, validationError);
     }
 
-    if (!postContent) {
-      return res.status(400).json({
-        error: '본문 내용이 필요합니다.',
-        code: 'CONTENT_REQUIRED',
-      });
-    }
+    await moderateText(req.body.postContent);
 
-    // 시스템 프롬프트 생성 (참조 이미지 유무 전달)
-    const hasReferenceImage = !!referenceImageBase64;
-    const systemPrompt = buildSystemPrompt(
-      postContent,
-      options,
-      hasReferenceImage
+    const {
+      finalPrompt,
+      structuredPrompt,
+      promptMode,
+      promptTemplate,
+      sampling,
+      cache,
+      rawResponse,
+    } = await generatePromptWithCache(
+      req.aiProvider,
+      req.body,
+      resolveSampling(req.body)
     );
 
-    // 요청 본문 구성 (mimeType 기본값: image/jpeg)
-    const parts = [
-      {
-        inlineData: {
-          data: profileImageBase64,
-          mimeType: profileImageMimeType || 'image/jpeg',
-        },
-      },
-    ];
-
-    // 참조 이미지가 있는 경우 추가
-    if (referenceImageBase64) {
-      parts.push({
-        inlineData: {
-          data: referenceImageBase64,
-          mimeType: referenceImageMimeType || 'image/jpeg',
-        },
-      });
+    res.json({
+      success: true,
+      prompt: finalPrompt,
+      finalPrompt,
+      structuredPrompt,
+      promptMode,
+      promptTemplate,
+      sampling,
+      cache,
+      rawResponse,
+    });
+  } catch (error) {
+    console.error('[AI Proxy] 프롬프트 생성 오류:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/ai/generate-image
+ * 프롬프트 + 프로필 사진 + 참조 이미지로 이미지 생성
+ *
+ * 요청:
+ * - prompt: AI가 생성한 이미지 프롬프트
+ * - profileImageId / profileImageUrl: 프로필 사진 (profileImageBase64는 AI_ALLOW_PROFILE_IMAGE_UPLOAD일 때만)
+ * - referenceImageBase64: 참조 이미지 Base64 (선택, 또는 referenceImageId / referenceImageUrl)
+ * - aspectRatio: 화면 비율 '1:1' | '4:5' | '3:4' | '4:3' (선택, 기본 1:1)
+ * - imageSize: 해상도 '1K' | '2K' (선택, 기본 1K)
+ *   허용 목록 외의 값은 400 INVALID_IMAGE_OPTIONS
+ *
+ * - responseFormat: 'base64' | 'url' (선택, 기본 base64)
+ * - seed, variant: 이미지 시드 = seed + variant (선택, seed 미전달 시 서버가 임의로 정함)
+ *
+ * 응답:
+ * - image: 생성된 이미지 { id, data, mimeType } (url 형식이면 { id, url, mimeType, expiresAt }, id는 POST /refine에 사용)
+ * - imageOptions: 적용된 { aspectRatio, imageSize }
+ * - sampling: 적용한 { seed, variant }
+ * - quota: 차감 후 사용량 (횟수 초과 시 429 QUOTA_EXCEEDED, resetAt 포함)
+ *
+ * 작업 큐를 거쳐 실행되며, 진행 중인 작업이 있으면 409 JOB_IN_PROGRESS로 응답합니다.
+ */
+router.post('/generate-image', resolveGenerationInputs, async (req, res) => {
+  try {
+    const validationError = validateImageRequest(
+      req.body,
+      req.aiProvider.imageSizes
+    );
+    if (validationError) {
+      return sendError(res, validationError);
     }
 
-    // 시스템 프롬프트 추가
-    parts.push({ text: systemPrompt });
+    await moderateText(req.body.prompt);
 
-    const response = await fetch(
-      `${GEMINI_ENDPOINT}/${MODELS.PROMPT_GENERATOR}:generateContent?key=${req.geminiApiKey}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts }],
-          generationConfig: {
-            temperature: 0.9,
-          },
-        }),
-      }
+    const { seed, variant } = resolveSampling(req.body);
+    const subject = req.aiSubject;
+    const job = await submitQuotaJob(
+      subject,
+      'image',
+      1,
+      reservation =>
+        async ({ signal }) => ({
+          image: await requestImageGeneration(
+            req.aiProvider,
+            { ...req.body, seed, variant },
+            signal
+          ),
+          quota: reservation.status,
+        })
     );
+    const { image, quota } = await waitForJob(res, job);
 
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      console.error('[AI Proxy] 프롬프트 생성 실패:', error);
-      return res.status(response.status).json({
-        error: error.error?.message || '프롬프트 생성에 실패했습니다.',
-        code: 'PROMPT_GENERATION_FAILED',
-      });
+    res.json({
+      success: true,
+      image: toImageResult(subject, image, req.body.responseFormat),
+      imageOptions: resolveImageOptions(req.body),
+      sampling: { seed, variant },
+      quota,
+    });
+  } catch (error) {
+    console.error('[AI Proxy] 이미지 생성 오류:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/ai/generate-stream
+ * 프롬프트 생성 → 이미지 생성 → 업로드를 하나의 작업으로 실행하고
+ * 진행 상황을 NDJSON(한 줄에 JSON 하나)으로 스트리밍
+ *
+ * 요청: /generate-prompt 와 동일
+ * - candidateCount: 같은 프롬프트로 생성할 후보 이미지 수 (선택, 기본 1)
+ *   2장 이상이면 서버 업로드 없이 후보만 반환하고, 클라이언트가 고른 1장만 업로드합니다.
+ * - aspectRatio, imageSize, responseFormat: /generate-image 와 동일 (선택)
+ * - variant: 첫 후보 번호 (선택, 기본 0, 후보 i의 이미지 시드 = seed + variant + i)
+ *
+ * 이벤트 (type):
+ * - job: 작업 등록 { jobId, position } (position: 대기 순번, 바로 실행되면 0)
+ * - stage: 단계 전환 { stage: 'prompt' | 'image' | 'upload', message }
+ * - prompt: 생성된 프롬프트 { prompt, structuredPrompt, promptTemplate, cache }
+ *   (cache: /generate-prompt 와 같은 프롬프트 캐시 사용 여부 'hit' | 'miss' | 'bypass')
+ * - image: 생성된 이미지 { index, variant, image } (후보별로 완료 순서대로,
+ *   image는 responseFormat에 따라 { id, data, mimeType } 또는 { id, url, mimeType, expiresAt })
+ * - done: 완료 { upload, quota, imageCount, imageOptions, sampling } (upload: Lambda 응답, 서버 업로드를 하지 않은 경우 null)
+ * - error: 실패 { error, code }
+ *
+ * POST /api/ai/jobs 와 같은 작업을 실행하며, 클라이언트 연결이 끊기면 작업을 취소합니다.
+ * 작업 등록 전 실패(검증, 검수, 횟수 초과, 진행 중인 작업, 대기열 초과)는
+ * 스트리밍 없이 일반 JSON 에러로 응답합니다.
+ */
+router.post('/generate-stream', resolveGenerationInputs, async (req, res) => {
+  let job;
+  try {
+    job = await submitGenerationJob(req);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const jobQueue = getJobQueue();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      jobQueue.cancel(job);
     }
+  });
 
-    const data = await response.json();
-    const generatedText = data.candidates?.[0]?.content?.parts?.[0]?.text;
+  res.status(200);
+  res.set({
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
 
-    if (!generatedText) {
-      return res.status(500).json({
-        error: '프롬프트 생성 결과가 없습니다.',
-        code: 'NO_PROMPT_RESULT',
+  const send = event => {
+    if (!res.writableEnded) {
+      res.write(`${JSON.stringify(event)}\n`);
+    }
+  };
+
+  send({ type: 'job', jobId: job.id, position: jobQueue.positionOf(job) });
+  jobQueue.subscribe(job, send);
+
+  const { status, result, error } = await job.done;
+  if (status === 'succeeded') {
+    const { upload, quota, imageCount, imageOptions, sampling } = result;
+    send({ type: 'done', upload, quota, imageCount, imageOptions, sampling });
+  } else if (status === 'failed') {
+    console.error('[AI Proxy] 스트리밍 생성 오류:', error);
+    send({ type: 'error', ...toErrorBody(error) });
+  } else {
+    console.log('[AI Proxy] 스트리밍 생성 취소');
+  }
+  res.end();
+});
+
+/**
+ * POST /api/ai/jobs
+ * 프롬프트 생성 → 이미지 생성 → 업로드 작업을 큐에 등록 (submit-and-poll)
+ *
+ * 요청: /generate-stream 과 동일
+ *
+ * 응답 (202):
+ * - jobId: 작업 ID (GET/DELETE /api/ai/jobs/:jobId)
+ * - status: 'queued'
+ * - position: 대기 순번
+ *
+ * 요청 주체당 진행 중인 작업은 1개이며, 있으면 409 JOB_IN_PROGRESS { jobId },
+ * 대기열이 가득 차면 503 QUEUE_FULL로 응답합니다.
+ */
+router.post('/jobs', resolveGenerationInputs, async (req, res) => {
+  try {
+    const job = await submitGenerationJob(req);
+    res
+      .status(202)
+      .location(`${req.baseUrl}/jobs/${job.id}`)
+      .json(toJobBody(job));
+  } catch (error) {
+    console.error('[AI Proxy] 작업 등록 오류:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/ai/jobs/:id
+ * 작업 상태 조회 (폴링)
+ *
+ * 응답:
+ * - status: 'queued' | 'running' | 'succeeded' | 'failed' | 'canceled'
+ * - position: 대기 순번 (대기 중이 아니면 0)
+ * - progress: { stage, message, prompt, structuredPrompt, promptTemplate, completedImages }
+ * - result: 성공 시 { prompt, structuredPrompt, promptTemplate, images, upload, quota, imageCount, imageOptions, sampling }
+ *   (images[].variant: 후보 번호, 이 후보만 다시 만들 때 sampling.seed와 함께 전송)
+ *   (images는 요청의 responseFormat에 따라 Base64 또는 이미지 URL)
+ * - error: 실패 시 { error, code, ... }
+ *
+ * 다른 사용자의 작업이거나 보관 기간이 지나면 404 JOB_NOT_FOUND
+ */
+router.get('/jobs/:id', (req, res) => {
+  try {
+    res.json(toJobBody(findOwnJob(req)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/ai/jobs/:id
+ * 작업 취소 (대기 중이면 대기열에서 제거, 실행 중이면 업스트림 요청 중단)
+ * 선점한 생성 횟수는 반환되며, 취소가 반영된 작업 상태로 응답합니다.
+ */
+router.delete('/jobs/:id', async (req, res) => {
+  try {
+    const job = findOwnJob(req);
+    if (getJobQueue().cancel(job)) {
+      await job.done;
+    }
+    res.json(toJobBody(job));
+  } catch (error) {
+    console.error('[AI Proxy] 작업 취소 오류:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/ai/refine
+ * 이전에 생성된 이미지를 자연어 지시문으로 수정 ("더 따뜻하게", "모자 빼줘" 등)
+ *
+ * 요청:
+ * - imageId: 수정할 생성 이미지 ID (생성/수정 응답 image.id, 본인이 생성한 이미지만 가능)
+ *   이미지 바이트는 받지 않습니다. 없거나 만료된 ID면 404 IMAGE_NOT_FOUND
+ * - instruction: 수정 지시문 (최대 200자)
+ * - aspectRatio, imageSize: 출력 옵션 (선택, 원본과 같은 값을 전달해야 비율이 유지됨)
+ * - responseFormat: /generate-image 와 동일 (선택)
+ * - seed: 시드 (선택, 미전달 시 서버가 임의로 정함)
+ *
+ * 응답:
+ * - image: 수정된 이미지 (업로드하지 않음, 사용자가 확정한 버전만 클라이언트가 업로드)
+ * - sampling: 적용한 { seed }
+ * - quota: 차감 후 사용량 (수정도 생성 1회로 차감, 실패 시 반환)
+ */
+router.post('/refine', resolveProvider, async (req, res) => {
+  try {
+    const validationError = validateRefineRequest(
+      req.body,
+      req.aiProvider.imageSizes
+    );
+    if (validationError) {
+      return sendError(res, validationError);
+    }
+
+    const { imageId, instruction } = req.body;
+    const imageOptions = resolveImageOptions(req.body);
+    const { seed } = resolveSampling(req.body);
+    const subject = req.aiSubject;
+
+    // 서버가 보관 중인 본인의 생성 이미지만 수정 (임의 사진 수정 방지)
+    const source = getGeneratedImageStore().get(subject, imageId);
+    if (!source) {
+      throw new AiProxyError('이미지를 찾을 수 없거나 만료되었습니다.', {
+        status: 404,
+        code: 'IMAGE_NOT_FOUND',
       });
     }
 
+    await moderateText(instruction);
+
+    const prompt = buildRefinePrompt(instruction.trim());
+    const job = await submitQuotaJob(
+      subject,
+      'refine',
+      1,
+      reservation =>
+        async ({ signal }) => {
+          const image = await req.aiProvider.generateImage(
+            {
+              prompt,
+              images: [
+                {
+                  data: source.buffer.toString('base64'),
+                  mimeType: source.mimeType,
+                },
+              ],
+              ...imageOptions,
+              seed,
+            },
+            signal
+          );
+
+          if (!image) {
+            throw new AiProxyError('AI 이미지 생성 결과가 없습니다.', {
+              status: 500,
+              code: 'NO_IMAGE_RESULT',
+            });
+          }
+
+          await moderateImage(image, prompt, {
+            signal,
+            usage: req.aiProvider.usageContext,
+          });
+          return { image, quota: reservation.status };
+        }
+    );
+    const { image, quota } = await waitForJob(res, job);
+
     res.json({
       success: true,
-      prompt: generatedText,
-      rawResponse: data,
+      image: toImageResult(subject, image, req.body.responseFormat),
+      imageOptions,
+      sampling: { seed },
+      quota,
     });
   } catch (error) {
-    console.error('[AI Proxy] 프롬프트 생성 오류:', error);
-    res.status(500).json({
-      error: error.message || '서버 오류가 발생했습니다.',
-      code: 'INTERNAL_ERROR',
-    });
+    console.error('[AI Proxy] 이미지 수정 오류:', error);
+    sendError(res, error);
   }
 });
 
 /**
- * POST /api/ai/generate-image
- * 프롬프트 + 프로필 사진 + 참조 이미지로 이미지 생성
+ * POST /api/ai/suggest-title
+ * 일기 본문으로 게시글 제목 후보 추천
  *
  * 요청:
- * - prompt: AI가 생성한 이미지 프롬프트
- * - profileImageBase64: 프로필 사진 Base64
- * - referenceImageBase64: 참조 이미지 Base64 (선택)
+ * - postContent: 게시글 본문
+ * - promptTemplate: 제목 추천 템플릿 'name' 또는 'name@version' (선택, 기본은 설정값)
  *
  * 응답:
- * - 생성된 이미지 Base64
+ * - titles: 제목 후보 (최대 3개, 게시글 제목 규칙 2~26자, 검수에 걸린 제목 제외)
+ * - promptTemplate: 사용한 템플릿 { name, version }
+ * - quota: 차감 후 텍스트 쿼터 사용량 (요청당 1회, 초과 시 429 QUOTA_EXCEEDED, 실패 시 반환)
  *
- * 고정 옵션: aspect_ratio=1:1, resolution=1K
+ * 생성과 같은 작업 큐에서 실행되며(409 JOB_IN_PROGRESS, 503 QUEUE_FULL),
+ * 요청이 끊기면 호출을 중단합니다. 규칙에 맞는 제목이 없으면 500 NO_TITLE_RESULT
  */
-router.post('/generate-image', validateApiKey, async (req, res) => {
+router.post('/suggest-title', resolveProvider, async (req, res) => {
   try {
-    const {
-      prompt,
-      profileImageBase64,
-      profileImageMimeType,
-      referenceImageBase64,
-      referenceImageMimeType,
-    } = req.body;
-
-    if (!prompt) {
-      return res.status(400).json({
-        error: '이미지 생성 프롬프트가 필요합니다.',
-        code: 'PROMPT_REQUIRED',
-      });
+    const { postContent, promptTemplate } = req.body;
+    if (typeof postContent !== 'string' || !postContent.trim()) {
+      return sendError(
+        res,
+        new AiProxyError('본문 내용이 필요합니다.', {
+          status: 400,
+          code: 'CONTENT_REQUIRED',
+        })
+      );
     }
-
-    if (!profileImageBase64) {
-      return res.status(400).json({
-        error: '프로필 이미지가 필요합니다.',
-        code: 'PROFILE_IMAGE_REQUIRED',
-      });
+    if (promptTemplate != null) {
+      const templateError = validatePromptTemplate(promptTemplate, ['title']);
+      if (templateError) return sendError(res, templateError);
     }
 
-    // 요청 본문 구성 (mime_type 기본값: image/jpeg)
-    const parts = [
-      { text: prompt },
-      {
-        inline_data: {
-          data: profileImageBase64,
-          mime_type: profileImageMimeType || 'image/jpeg',
-        },
-      },
-    ];
-
-    // 참조 이미지가 있는 경우 추가
-    if (referenceImageBase64) {
-      parts.push({
-        inline_data: {
-          data: referenceImageBase64,
-          mime_type: referenceImageMimeType || 'image/jpeg',
-        },
-      });
-    }
+    await moderateText(postContent);
 
-    const requestBody = {
-      contents: [{ parts }],
-    };
+    const template = promptTemplate
+      ? promptTemplates.find(promptTemplate)
+      : promptTemplates.getDefault('title');
+    const systemPrompt = template.render({
+      content: postContent.trim(),
+      count: TITLE_SUGGESTION_COUNT,
+      maxLength: TITLE_MAX_LENGTH,
+    });
 
-    // 디버깅: 요청 본문 로깅 (base64 데이터는 길이만 표시)
-    console.log(
-      '[AI Proxy] 이미지 생성 요청:',
-      JSON.stringify(
-        {
-          ...requestBody,
-          contents: requestBody.contents.map(c => ({
-            parts: c.parts.map(p =>
-              p.inline_data
-                ? {
-                    inline_data: {
-                      mime_type: p.inline_data.mime_type,
-                      data: `[${p.inline_data.data.length} chars]`,
-                    },
-                  }
-                : p
-            ),
-          })),
+    const job = await submitQuotaJob(
+      req.aiSubject,
+      'title',
+      1,
+      reservation =>
+        async ({ signal }) => {
+          const titles = [];
+          for (
+            let attempt = 1;
+            attempt <= TITLE_SUGGESTION_ATTEMPTS &&
+            titles.length < TITLE_SUGGESTION_COUNT;
+            attempt++
+          ) {
+            const { text } = await req.aiProvider.generatePrompt(
+              {
+                systemPrompt,
+                images: [],
+                temperature: TITLE_SUGGESTION_TEMPERATURE,
+              },
+              signal
+            );
+            const { titles: parsed, errors } = parseTitleSuggestions(
+              text,
+              TITLE_SUGGESTION_COUNT
+            );
+            if (errors.length > 0) {
+              console.warn(
+                `[AI Proxy] 제목 추천 일부 제외 (${attempt}/${TITLE_SUGGESTION_ATTEMPTS}):`,
+                errors
+              );
+            }
+
+            for (const title of parsed) {
+              if (titles.includes(title)) continue;
+              const result = await getModerator().checkText(title);
+              if (result.flagged) {
+                console.warn('[AI 검수] 추천 제목 제외:', result.category);
+                continue;
+              }
+              titles.push(title);
+            }
+          }
+
+          if (titles.length === 0) {
+            throw new AiProxyError('제목 추천 결과가 없습니다.', {
+              status: 500,
+              code: 'NO_TITLE_RESULT',
+            });
+          }
+          return { titles, quota: reservation.status };
         },
-        null,
-        2
-      )
+      { quota: getTextQuotaService() }
     );
+    const { titles, quota } = await waitForJob(res, job);
+
+    res.json({
+      success: true,
+      titles: titles.slice(0, TITLE_SUGGESTION_COUNT),
+      promptTemplate: toTemplateInfo(template),
+      quota,
+    });
+  } catch (error) {
+    console.error('[AI Proxy] 제목 추천 오류:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * 글쓰기 도우미 요청 본문 검증
+ * @param {string} action - ASSIST_ACTIONS 키
+ * @returns {AiProxyError|null} 검증 실패 시 에러
+ */
+function validateAssistRequest(action, { postContent, tone, promptTemplate }) {
+  if (!Object.hasOwn(ASSIST_ACTIONS, action)) {
+    return new AiProxyError('지원하지 않는 글쓰기 도우미 기능입니다.', {
+      status: 404,
+      code: 'UNKNOWN_ASSIST_ACTION',
+      details: { allowed: Object.keys(ASSIST_ACTIONS) },
+    });
+  }
+
+  if (typeof postContent !== 'string' || !postContent.trim()) {
+    return new AiProxyError('본문 내용이 필요합니다.', {
+      status: 400,
+      code: 'CONTENT_REQUIRED',
+    });
+  }
 
-    const response = await fetch(
-      `${GEMINI_ENDPOINT}/${MODELS.IMAGE_GENERATOR}:generateContent?key=${req.geminiApiKey}`,
+  if (postContent.trim().length > MAX_CONTENT_LENGTH) {
+    return new AiProxyError(
+      `본문은 ${MAX_CONTENT_LENGTH.toLocaleString()}자 이하여야 합니다.`,
       {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody),
+        status: 400,
+        code: 'CONTENT_TOO_LONG',
+        details: { maxLength: MAX_CONTENT_LENGTH },
       }
     );
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('[AI Proxy] 이미지 생성 실패 (raw):', errorText);
-      let error = {};
-      try {
-        error = JSON.parse(errorText);
-      } catch {
-        error = { error: { message: errorText } };
-      }
-      return res.status(response.status).json({
-        error: error.error?.message || 'AI 이미지 생성에 실패했습니다.',
-        code: 'IMAGE_GENERATION_FAILED',
-      });
-    }
+  if (action === 'tone' && !Object.hasOwn(ASSIST_TONES, tone)) {
+    return new AiProxyError('지원하지 않는 말투입니다.', {
+      status: 400,
+      code: 'INVALID_TONE',
+      details: { allowed: Object.keys(ASSIST_TONES) },
+    });
+  }
 
-    const data = await response.json();
-    const candidates = data.candidates?.[0]?.content?.parts || [];
+  if (promptTemplate != null) {
+    return validatePromptTemplate(promptTemplate, [action]);
+  }
 
-    // 이미지 데이터 찾기
-    let imageData = null;
-    for (const part of candidates) {
-      if (part.inlineData) {
-        imageData = {
-          data: part.inlineData.data,
-          mimeType: part.inlineData.mimeType || 'image/png',
-        };
-        break;
-      }
-    }
+  return null;
+}
 
-    if (!imageData) {
-      return res.status(500).json({
-        error: 'AI 이미지 생성 결과가 없습니다.',
-        code: 'NO_IMAGE_RESULT',
-      });
+/**
+ * POST /api/ai/assist/:action
+ * 일기 글쓰기 도우미 (action: expand | spellfix | tone)
+ * - expand: 메모/목록을 일기 문장으로 풀어 쓰기
+ * - spellfix: 맞춤법/띄어쓰기 교정
+ * - tone: 말투 바꾸기 (tone 필수)
+ *
+ * 요청:
+ * - postContent: 게시글 본문 (최대 10,000자, 초과 시 400 CONTENT_TOO_LONG { maxLength })
+ * - tone: 'warm' | 'calm' | 'bright' | 'polite' (tone 동작만, 그 외 값이면 400 INVALID_TONE)
+ * - promptTemplate: 동작과 같은 종류의 템플릿 'name' 또는 'name@version' (선택)
+ *
+ * 응답:
+ * - result: 고쳐 쓴 본문 전체
+ * - paragraphs: 문단별 비교 [{ changed, original, revised }] (문단마다 반영/유지 선택용)
+ * - separator: 문단을 다시 합칠 때 쓸 구분자
+ * - promptTemplate: 사용한 템플릿 { name, version }
+ * - quota: 차감 후 텍스트 쿼터 사용량 (요청당 1회, 초과 시 429 QUOTA_EXCEEDED, 실패 시 반환)
+ *
+ * 생성과 같은 작업 큐에서 실행되며(409 JOB_IN_PROGRESS, 503 QUEUE_FULL),
+ * 요청이 끊기면 호출을 중단합니다. 결과가 10,000자를 넘으면 500 ASSIST_RESULT_TOO_LONG
+ */
+router.post('/assist/:action', resolveProvider, async (req, res) => {
+  const { action } = req.params;
+
+  try {
+    const validationError = validateAssistRequest(action, req.body);
+    if (validationError) {
+      return sendError(res, validationError);
     }
 
+    const { tone, promptTemplate } = req.body;
+    const postContent = req.body.postContent.trim();
+    await moderateText(postContent);
+
+    const template = promptTemplate
+      ? promptTemplates.find(promptTemplate)
+      : promptTemplates.getDefault(action);
+    const job = await submitQuotaJob(
+      req.aiSubject,
+      'assist',
+      1,
+      reservation =>
+        async ({ signal }) => {
+          const { text } = await req.aiProvider.generatePrompt(
+            {
+              systemPrompt: template.render({
+                content: postContent,
+                maxLength: MAX_CONTENT_LENGTH,
+                tone: ASSIST_TONES[tone],
+              }),
+              images: [],
+              temperature: ASSIST_ACTIONS[action].temperature,
+            },
+            signal
+          );
+
+          const result = cleanAssistResult(text);
+          if (!result) {
+            throw new AiProxyError('글쓰기 도우미 결과가 없습니다.', {
+              status: 500,
+              code: 'NO_ASSIST_RESULT',
+            });
+          }
+          if (result.length > MAX_CONTENT_LENGTH) {
+            throw new AiProxyError(
+              `결과가 ${MAX_CONTENT_LENGTH.toLocaleString()}자를 넘었습니다. 본문을 줄여서 다시 시도해주세요.`,
+              {
+                status: 500,
+                code: 'ASSIST_RESULT_TOO_LONG',
+                details: { maxLength: MAX_CONTENT_LENGTH },
+              }
+            );
+          }
+          await moderateGeneratedText(result);
+          return { result, quota: reservation.status };
+        },
+      { quota: getTextQuotaService() }
+    );
+    const { result, quota } = await waitForJob(res, job);
+
+    const { separator, paragraphs } = diffParagraphs(postContent, result);
+
     res.json({
       success: true,
-      image: imageData,
+      action,
+      result,
+      paragraphs,
+      separator,
+      promptTemplate: toTemplateInfo(template),
+      quota,
     });
   } catch (error) {
-    console.error('[AI Proxy] 이미지 생성 오류:', error);
-    res.status(500).json({
-      error: error.message || '서버 오류가 발생했습니다.',
-      code: 'INTERNAL_ERROR',
-    });
+    console.error(`[AI Proxy] 글쓰기 도우미(${action}) 오류:`, error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/ai/images/:id
+ * responseFormat: 'url'로 받은 생성 이미지를 바이너리로 조회
+ * 요청한 주체만 조회할 수 있으며, 보관 시간(AI_IMAGE_URL_TTL_MS)이 지나면 404 IMAGE_NOT_FOUND
+ */
+router.get('/images/:id', (req, res) => {
+  const entry = getGeneratedImageStore().get(req.aiSubject, req.params.id);
+  if (!entry) {
+    return sendError(
+      res,
+      new AiProxyError('이미지를 찾을 수 없거나 만료되었습니다.', {
+        status: 404,
+        code: 'IMAGE_NOT_FOUND',
+      })
+    );
+  }
+
+  const maxAge = Math.max(0, Math.floor((entry.expiresAt - Date.now()) / 1000));
+  res.set('Cache-Control', `private, max-age=${maxAge}`);
+  res.type(entry.mimeType).send(entry.buffer);
+});
+
+/**
+ * 로그인 사용자만 허용 (생성 기록은 백엔드 사용자 ID 기준으로 보관)
+ * @throws 401 UNAUTHORIZED
+ */
+function requireUser(req, res, next) {
+  if (!isUserSubject(req.aiSubject)) {
+    return sendError(
+      res,
+      new AiProxyError('로그인이 필요합니다.', {
+        status: 401,
+        code: 'UNAUTHORIZED',
+      })
+    );
+  }
+  next();
+}
+
+/**
+ * GET /api/ai/history
+ * 로그인 사용자의 AI 생성 기록 목록 (최신순)
+ *
+ * 응답:
+ * - history: [{ id, createdAt, prompt, structuredPrompt, promptTemplate, sampling, selectedOptions, imageOptions, imageId, imageUrl, thumbnail, instruction }]
+ */
+router.get('/history', requireUser, async (req, res) => {
+  try {
+    const history = await getHistoryStore().list(req.aiSubject);
+    res.json({ success: true, history });
+  } catch (error) {
+    console.error('[AI Proxy] 생성 기록 조회 오류:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/ai/history
+ * 게시글에 사용하기로 확정한 AI 생성 결과를 기록에 추가
+ *
+ * 요청:
+ * - prompt: 이미지 생성 프롬프트
+ * - structuredPrompt, promptTemplate, sampling, selectedOptions, imageOptions: 생성 당시 값 (선택)
+ * - imageId, imageUrl: 업로드된 이미지 (선택)
+ * - thumbnail: 미리보기용 작은 data URL (선택, imageUrl이 없으면 필수)
+ * - instruction: 수정 버전인 경우 수정 지시문 (선택)
+ *
+ * 응답:
+ * - entry: 저장된 기록 (201)
+ *
+ * 필드 형식/길이가 맞지 않으면 400 INVALID_HISTORY_ENTRY { invalid: [필드 이름] }
+ * (imageId: 양의 정수, selectedOptions/imageOptions: 허용 목록의 값, structuredPrompt: 구조화 프롬프트 스키마)
+ */
+router.post('/history', requireUser, async (req, res) => {
+  try {
+    const entry = await getHistoryStore().add(
+      req.aiSubject,
+      toHistoryEntry(req.body)
+    );
+    res.status(201).json({ success: true, entry });
+  } catch (error) {
+    console.error('[AI Proxy] 생성 기록 저장 오류:', error);
+    sendError(res, error);
   }
 });
 
 /**
- * 시스템 프롬프트 생성
- * @param {string} content - 일기 본문 내용
- * @param {Object} options - 옵션 데이터 (style, location 등)
- * @returns {string} 시스템 프롬프트
+ * DELETE /api/ai/history/:id
+ * AI 생성 기록 삭제 (없으면 404 HISTORY_NOT_FOUND)
  */
-function buildSystemPrompt(content, options, hasReferenceImage = false) {
-  // 옵션이 있으면 옵션 기반 프롬프트, 없으면 기본 프롬프트
-  if (options) {
-    return buildAdvancedSystemPrompt(content, options, hasReferenceImage);
+router.delete('/history/:id', requireUser, async (req, res) => {
+  try {
+    const removed = await getHistoryStore().remove(
+      req.aiSubject,
+      req.params.id
+    );
+    if (!removed) {
+      throw new AiProxyError('생성 기록을 찾을 수 없습니다.', {
+        status: 404,
+        code: 'HISTORY_NOT_FOUND',
+      });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[AI Proxy] 생성 기록 삭제 오류:', error);
+    sendError(res, error);
   }
-  return buildDefaultSystemPrompt(content, hasReferenceImage);
+});
+
+/**
+ * 이미지 수정 프롬프트 생성
+ * @param {string} instruction - 사용자 수정 지시문 (한국어 가능)
+ * @returns {string} 이미지 생성 모델에 전달할 프롬프트
+ */
+function buildRefinePrompt(instruction) {
+  return `Edit the attached image according to the user's instruction below.
+
+**Rules:**
+- Apply ONLY the requested change. Keep everything else identical: the person's face and identity, composition, framing, background and overall style.
+- Keep the same aspect ratio and a natural, photographic look.
+- The instruction may be written in Korean. Interpret it literally and do not add new subjects or text.
+
+**Instruction:**
+${instruction}`;
 }
 
 /**
- * 기본 시스템 프롬프트 생성
- * @param {string} content - 일기 본문 내용
- * @returns {string} 시스템 프롬프트
- */
-function buildDefaultSystemPrompt(content, hasReferenceImage = false) {
-  const imageOrderNote = hasReferenceImage
-    ? `**IMAGE ORDER:**
-- **1st image = User's avatar/profile photo** (MUST analyze this for person appearance)
-- **2nd image = Reference image** (Use for scene/style inspiration only)
-`
-    : `**IMAGE ORDER:**
-- **1st image = User's avatar/profile photo** (MUST analyze this for person appearance)
-`;
-
-  return `You are an expert AI photo director creating prompts for a diary/journal app called "anoo". Your mission is to generate a detailed, highly realistic image prompt from a user's avatar and their diary entry text.
-
-${imageOrderNote}
-**CRITICAL RULE: PERSON CONSISTENCY**
-If the image requires a person, they **MUST** be a very close match to the user in the **1st image (avatar)**.
-- **Analyze the avatar (1st image) first:** Identify gender, ethnicity, approximate age, hair style, and facial features.
-- **Maintain these traits:** The generated person's ethnicity, age, gender, and general appearance must be consistent with the avatar.
-- **NEVER use the reference image (2nd image) for person appearance.** Only use it for scene composition, lighting, or style inspiration.
-
-**Step-by-Step Process:**
-1. Analyze the **1st image (avatar)** to extract person characteristics.
-2. Analyze the diary entry content provided below.
-3. If a 2nd image (reference) exists, use it for scene/style inspiration only.
-4. Decide if a person should be in the image based on the content.
-5. Choose an appropriate photo style (candid, proof shot, POV, etc.)
-6. Generate a detailed prompt for the image generator.
-
-**Diary Entry:**
-${content}
-
-Generate a single, concise paragraph describing the image. Use photographic terms like "shot on iPhone," "candid," "natural lighting," etc.`;
+ * 사용자 선택 옵션을 구조화 템플릿의 constraints 변수(옵션별 한 줄)로 변환
+ * @param {Object} constraints - 옵션 키 → { name, description }
+ * @returns {string} 선택 옵션이 없으면 빈 문자열
+ */
+function formatConstraints(constraints) {
+  return Object.entries(constraints)
+    .map(
+      ([key, item]) =>
+        `- ${OPTION_CATEGORIES[key].label}: ${item.name} (${item.description})`
+    )
+    .join('\n');
 }
 
 /**
- * 고급 시스템 프롬프트 생성 (옵션 기반)
- * @param {string} content - 일기 본문 내용
- * @param {Object} options - 옵션 데이터
- * @returns {string} 시스템 프롬프트
+ * 응답/기록용 템플릿 정보
  */
-function buildAdvancedSystemPrompt(
-  content,
-  options,
-  hasReferenceImage = false
-) {
-  const optionsText = options ? JSON.stringify(options, null, 2) : '없음';
-
-  const imageOrderNote = hasReferenceImage
-    ? `## 이미지 순서 (중요!)
-- **1번째 이미지 = 사용자 프로필 사진** (인물 외형 분석에 반드시 사용)
-- **2번째 이미지 = 참조 이미지** (장면/스타일 참고용으로만 사용, 인물 외형에 사용 금지)
-`
-    : `## 이미지 순서 (중요!)
-- **1번째 이미지 = 사용자 프로필 사진** (인물 외형 분석에 반드시 사용)
-`;
-
-  return `당신은 이미지 생성 프롬프트를 만드는 전문가입니다.
-사용자의 프로필 사진, 게시글 본문, 참조 이미지(있는 경우)를 분석하여
-이미지 생성에 필요한 프롬프트를 구성해야 합니다.
-
-${imageOrderNote}
-## Step 1: 프로필 사진 분석 (1번째 이미지 사용)
-1. Subject Type 분류: Person/Character (사람, 동물, 캐릭터) 또는 Object (아이템, 제품)
-2. Key Features 추출: 얼굴 특징, 헤어스타일, 체형, 눈에 띄는 특징 등
-
-## Step 2: Style 매칭
-프로필 사진의 분위기에 맞는 스타일을 선택하세요.
-옵션에 적합한 스타일이 없으면 직접 정의하세요.
-
-## Step 3: Scene 속성 매핑 (참조 이미지 + 본문 기반)
-다음 속성들을 매핑하세요:
-- Location
-- Lighting
-- Action
-- Clothing (Person인 경우만)
-- Expression (Person인 경우만)
-
-## Step 4: 나머지 속성 자동 결정
-앞서 결정된 속성들과 조화롭게:
-- Camera/Composition
-- Pose
-
-## Step 5: 최종 프롬프트 조합
-모든 속성을 조합하여 영어로 이미지 생성 프롬프트를 출력하세요.
-
-**사용 가능한 옵션:**
-${optionsText}
-
-**게시글 본문:**
-${content}
-
-응답 형식 (JSON):
-{
-  "subjectType": "Person" | "Object",
-  "keyFeatures": "...",
-  "style": { "name": "...", "description": "..." },
-  "location": { "name": "...", "description": "..." },
-  "lighting": { "name": "...", "description": "..." },
-  "action": { "name": "...", "description": "..." },
-  "clothing": { "name": "...", "description": "..." },
-  "expression": { "name": "...", "description": "..." },
-  "cameraComposition": { "name": "...", "description": "..." },
-  "pose": { "name": "...", "description": "..." },
-  "finalPrompt": "..."
-}`;
+function toTemplateInfo(template) {
+  return { name: template.name, version: template.version };
 }
 
 module.exports = router;
@@ -0,0 +1,110 @@
+/**
+ * CSP Report Router - CSP 위반 보고 수집 (POST /csp-report)
+ *
+ * 브라우저가 보내는 두 가지 형식을 모두 받아 한 줄 로그로 남깁니다.
+ * - report-uri: application/csp-report ({ "csp-report": { ... } })
+ * - report-to: application/reports+json ([{ type: 'csp-violation', body: { ... } }])
+ *
+ * 보고는 페이지마다 반복되므로 1분에 REPORT_LOG_LIMIT건까지만 기록하고,
+ * 초과분은 다음 구간에 생략 건수만 남깁니다. 응답은 항상 204입니다.
+ */
+
+const express = require('express');
+
+const REPORT_LOG_LIMIT = 30;
+const REPORT_LOG_WINDOW_MS = 60 * 1000;
+
+const router = express.Router();
+
+const reportBody = express.json({
+  limit: '16kb',
+  type: [
+    'application/csp-report',
+    'application/reports+json',
+    'application/json',
+  ],
+});
+
+let windowStartedAt = 0;
+let loggedInWindow = 0;
+let suppressedInWindow = 0;
+
+/**
+ * 보고 본문 → 위반 목록 (두 형식의 필드 이름을 통일)
+ * @returns {Array<{documentUrl, directive, blockedUrl, sourceFile, lineNumber, disposition}>}
+ */
+function toViolations(body) {
+  if (body && body['csp-report']) {
+    const report = body['csp-report'];
+    return [
+      {
+        documentUrl: report['document-uri'],
+        directive:
+          report['effective-directive'] || report['violated-directive'],
+        blockedUrl: report['blocked-uri'],
+        sourceFile: report['source-file'],
+        lineNumber: report['line-number'],
+        disposition: report.disposition,
+      },
+    ];
+  }
+
+  if (Array.isArray(body)) {
+    return body
+      .filter(report => report?.type === 'csp-violation' && report.body)
+      .map(({ body: report }) => ({
+        documentUrl: report.documentURL,
+        directive: report.effectiveDirective,
+        blockedUrl: report.blockedURL,
+        sourceFile: report.sourceFile,
+        lineNumber: report.lineNumber,
+        disposition: report.disposition,
+      }));
+  }
+
+  return [];
+}
+
+function logViolation(violation) {
+  const now = Date.now();
+  if (now - windowStartedAt >= REPORT_LOG_WINDOW_MS) {
+    if (suppressedInWindow > 0) {
+      console.warn(
+        `[CSP] 직전 1분간 위반 보고 ${suppressedInWindow}건 로그 생략`
+      );
+    }
+    windowStartedAt = now;
+    loggedInWindow = 0;
+    suppressedInWindow = 0;
+  }
+
+  if (loggedInWindow >= REPORT_LOG_LIMIT) {
+    suppressedInWindow += 1;
+    return;
+  }
+  loggedInWindow += 1;
+
+  const source = violation.sourceFile
+    ? ` (${violation.sourceFile}:${violation.lineNumber ?? '?'})`
+    : '';
+  console.warn(
+    `[CSP] ${violation.disposition === 'report' ? '위반 보고' : '차단'}: ` +
+      `${violation.directive || 'unknown'} ← ${violation.blockedUrl || 'inline'} ` +
+      `@ ${violation.documentUrl || 'unknown'}${source}`
+  );
+}
+
+router.post('/', reportBody, (req, res) => {
+  toViolations(req.body).forEach(logViolation);
+  res.status(204).end();
+});
+
+// 형식이 잘못된 보고는 조용히 무시 (브라우저는 응답을 보지 않음)
+router.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large' || err.type === 'entity.parse.failed') {
+    return res.status(204).end();
+  }
+  next(err);
+});
+
+module.exports = router;
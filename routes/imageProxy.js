@@ -0,0 +1,152 @@
+/**
+ * Image Proxy Router - S3 이미지 프록시 (GET /api/image-proxy?url=...)
+ *
+ * 브라우저가 CORS 제한 때문에 직접 내려받지 못하는 S3 이미지를 같은 origin으로 전달합니다.
+ * (AI 요청에 첨부할 이미지를 Blob으로 가져올 때 사용)
+ *
+ * - 허용 호스트/https/리다이렉트/크기/형식 검증은 lib/imageProxy/remoteImage에서 합니다.
+ * - 받은 이미지는 디스크 캐시(lib/imageProxy/diskCache)에 저장하고, 캐시 응답은
+ *   ETag/If-None-Match로 304를 보냅니다. (X-Image-Proxy-Cache: HIT | MISS)
+ * - 에러는 { error, code } 형식으로 응답합니다.
+ */
+
+const fsPromises = require('fs/promises');
+const express = require('express');
+const { ImageProxyError } = require('../lib/imageProxy/errors');
+const { getRemoteImageFetcher } = require('../lib/imageProxy/remoteImage');
+const { getImageProxyCache } = require('../lib/imageProxy/diskCache');
+
+const CACHE_CONTROL = 'public, max-age=3600';
+
+const router = express.Router();
+const fetcher = getRemoteImageFetcher();
+const cache = getImageProxyCache();
+
+/**
+ * If-None-Match가 ETag와 일치하는지 (약한 비교)
+ */
+function matchesEtag(req, etag) {
+  const header = req.headers['if-none-match'];
+  if (!header || !etag) return false;
+  if (header.trim() === '*') return true;
+
+  const normalize = value => value.trim().replace(/^W\//, '');
+  return header.split(',').some(value => normalize(value) === normalize(etag));
+}
+
+/**
+ * 캐시된 이미지 응답 (없거나 파일을 열 수 없으면 false)
+ */
+async function sendCached(req, res, url) {
+  const entry = await cache.get(url);
+  if (!entry) return false;
+
+  res.set({
+    ETag: entry.etag,
+    'Cache-Control': CACHE_CONTROL,
+    'X-Image-Proxy-Cache': 'HIT',
+  });
+  if (matchesEtag(req, entry.etag)) {
+    res.status(304).end();
+    return true;
+  }
+
+  let handle;
+  try {
+    handle = await fsPromises.open(entry.filePath);
+  } catch {
+    cache.remove(url);
+    res.removeHeader('ETag');
+    return false;
+  }
+
+  res.set({
+    'Content-Type': entry.contentType,
+    'Content-Length': String(entry.size),
+  });
+  const stream = handle.createReadStream();
+  stream.on('error', () => res.destroy());
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+  return true;
+}
+
+/**
+ * 원본 이미지를 받아 응답과 디스크 캐시에 동시에 전달
+ */
+async function sendRemote(req, res, url) {
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  const image = await fetcher.open(url, controller.signal);
+  const writer = cache.createWriter(url.href, {
+    contentType: image.contentType,
+    etag: image.etag,
+  });
+
+  res.set({
+    'Content-Type': image.contentType,
+    'Cache-Control': CACHE_CONTROL,
+    'X-Image-Proxy-Cache': 'MISS',
+  });
+  if (image.etag) res.set('ETag', image.etag);
+  if (image.contentLength != null) {
+    res.set('Content-Length', String(image.contentLength));
+  }
+
+  let completed = false;
+  image.body.on('end', () => {
+    completed = true;
+  });
+  image.body.on('error', error => {
+    writer.discard();
+    // 헤더를 이미 보냈으므로 연결을 끊어 불완전한 응답임을 알림
+    res.destroy();
+    if (!(error instanceof ImageProxyError) && !controller.signal.aborted) {
+      console.error('[Image Proxy] 전송 중단:', error.message);
+    }
+  });
+  image.body.on('close', () => {
+    if (!completed) writer.discard();
+  });
+  writer.stream.on('error', () => writer.discard());
+  writer.stream.on('finish', () => {
+    if (completed) writer.commit();
+  });
+
+  image.body.pipe(res);
+  image.body.pipe(writer.stream);
+}
+
+router.get('/', async (req, res) => {
+  const { url } = req.query;
+
+  try {
+    if (!url || typeof url !== 'string') {
+      throw new ImageProxyError('URL parameter is required', {
+        status: 400,
+        code: 'URL_REQUIRED',
+      });
+    }
+
+    const imageUrl = fetcher.assertAllowedUrl(url);
+    if (await sendCached(req, res, imageUrl.href)) return;
+    await sendRemote(req, res, imageUrl);
+  } catch (error) {
+    if (res.headersSent || res.destroyed) {
+      res.destroy();
+      return;
+    }
+    if (error instanceof ImageProxyError) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code });
+    }
+    console.error('[Image Proxy] Error:', error.message);
+    res
+      .status(502)
+      .json({ error: 'Failed to proxy image', code: 'UPSTREAM_ERROR' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1105 @@
+/**
+ * Mock API Router - 로컬 목업 백엔드 (MOCK_API=true)
+ *
+ * 백엔드 WAS 없이 프론트엔드를 실행/시연할 수 있도록 서비스 모듈(public/services)이
+ * 호출하는 REST API를 같은 경로와 응답 형식({ message, data, errors })으로 구현합니다.
+ * 데이터는 lib/mockApi/store 의 JSON 파일에 저장됩니다.
+ *
+ * - 인증: POST /auth/login이 세션 쿠키(AI_SESSION_COOKIE, 기본 JSESSIONID)를 발급합니다.
+ *   AI 쿼터/기록도 같은 쿠키로 사용자를 구분합니다.
+ * - 목록(/posts, /posts/me, /posts/:id/comments)은 ID 기준 커서 페이지네이션입니다.
+ *   (sort: asc | desc, limit: 1~50, 응답 { ..., count, nextCursor, hasNext })
+ * - 이미지 업로드 API(Lambda) 대신 POST /images/upload가 파일을 로컬에 저장하고
+ *   GET /images/files/:name으로 제공합니다. (/config의 IMAGE_UPLOAD_API 기본값)
+ * - 에러는 message에 백엔드와 같은 snake_case 코드, errors에 필드별 메시지를 담습니다.
+ *
+ * /api/ai, /api/image-proxy 경로는 처리하지 않고 다음 라우터로 넘깁니다.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+const { MockApiError } = require('../lib/mockApi/errors');
+const {
+  getMockStore,
+  hashPassword,
+  verifyPassword,
+} = require('../lib/mockApi/store');
+const { getQuotaService } = require('../lib/ai/quota');
+const { readCookie, toUserSubject } = require('../lib/ai/requestSubject');
+
+const router = express.Router();
+
+const SESSION_COOKIE_NAME = process.env.AI_SESSION_COOKIE || 'JSESSIONID';
+const UPLOAD_DIR =
+  process.env.MOCK_API_UPLOAD_DIR ||
+  path.join(__dirname, '../data/mock-uploads');
+
+// 업로드 요청은 Base64 이미지를 담으므로 따로 크게 허용
+const jsonBody = express.json({ limit: process.env.JSON_BODY_LIMIT || '1mb' });
+const uploadBody = express.json({ limit: '20mb' });
+
+// 입력 제한 (public/utils/validation.js, 서비스 모듈 검증과 동일)
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_MAX_LENGTH = 254;
+const PASSWORD_SPECIAL_REGEX = /[!@#$%^&*(),.?":{}|<>]/;
+const TITLE_LENGTH = { min: 2, max: 26 };
+const CONTENT_LENGTH = { min: 2, max: 10000 };
+const COMMENT_MAX_LENGTH = 1000;
+const FEEDBACK_MAX_LENGTH = 2000;
+
+const IMAGE_TYPES = ['PROFILE', 'POST'];
+const UPLOAD_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp', 'gif'];
+const UPLOAD_FILENAME_REGEX = /^[\w-]+\.(jpg|jpeg|png|webp|gif)$/;
+
+// ==========================================
+// 응답/에러 헬퍼
+// ==========================================
+
+function sendData(res, status, message, data = null) {
+  res.status(status).json({ message, data, errors: null });
+}
+
+function sendError(res, error) {
+  if (error instanceof MockApiError) {
+    return res
+      .status(error.status)
+      .json({ message: error.message, data: null, errors: error.errors });
+  }
+  console.error('[Mock API] 처리 중 오류:', error);
+  res
+    .status(500)
+    .json({ message: 'internal_server_error', data: null, errors: null });
+}
+
+/**
+ * 라우트 핸들러 래퍼 (예외를 공통 응답으로 변환)
+ */
+function handle(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+/**
+ * 필드별 검증 결과 → 400 invalid_request
+ * @param {Object<string, string|null>} checks - 필드 → 에러 메시지 (통과 시 null)
+ */
+function assertValid(checks) {
+  const errors = Object.fromEntries(
+    Object.entries(checks).filter(([, message]) => message)
+  );
+  if (Object.keys(errors).length > 0) {
+    throw new MockApiError('invalid_request', { status: 400, errors });
+  }
+}
+
+function parseId(value, notFoundMessage) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new MockApiError(notFoundMessage, { status: 404 });
+  }
+  return id;
+}
+
+// ==========================================
+// 입력 검증
+// ==========================================
+
+function checkEmail(email) {
+  if (typeof email !== 'string' || !email) {
+    return '이메일을 입력해주세요.';
+  }
+  if (email.length > EMAIL_MAX_LENGTH || !EMAIL_REGEX.test(email)) {
+    return '올바른 이메일 형식이 아닙니다.';
+  }
+  return null;
+}
+
+function checkNickname(nickname) {
+  if (typeof nickname !== 'string' || !nickname) {
+    return '닉네임을 입력해주세요.';
+  }
+  if (nickname.length < 2 || nickname.length > 20) {
+    return '닉네임은 2자 이상 20자 이하여야 합니다.';
+  }
+  return null;
+}
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || !password) {
+    return '비밀번호를 입력해주세요.';
+  }
+  const isValid =
+    password.length >= 8 &&
+    password.length <= 20 &&
+    /[A-Z]/.test(password) &&
+    /[a-z]/.test(password) &&
+    /[0-9]/.test(password) &&
+    PASSWORD_SPECIAL_REGEX.test(password);
+  return isValid
+    ? null
+    : '비밀번호는 8자 이상, 20자 이하이며, 대문자, 소문자, 숫자, 특수문자를 각각 최소 1개 포함해야 합니다.';
+}
+
+function checkLength(value, { min, max }, label) {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    return `${label}을(를) 입력해주세요.`;
+  }
+  const length = value.trim().length;
+  return length < min || length > max
+    ? `${label}은(는) ${min}~${max}자 사이로 입력해주세요.`
+    : null;
+}
+
+/**
+ * 목록 쿼리 (cursor, sort, limit) 해석
+ */
+function parsePageQuery(query, defaultLimit) {
+  const cursor =
+    query.cursor === undefined || query.cursor === ''
+      ? null
+      : Number(query.cursor);
+  if (cursor !== null && !Number.isInteger(cursor)) {
+    throw new MockApiError('invalid_request', {
+      status: 400,
+      errors: { cursor: '커서는 정수여야 합니다.' },
+    });
+  }
+
+  return {
+    cursor,
+    sort: query.sort === 'asc' ? 'asc' : 'desc',
+    limit: Math.min(Math.max(Number(query.limit) || defaultLimit, 1), 50),
+  };
+}
+
+/**
+ * ID 기준 커서 페이지네이션
+ * @param {Array<{id: number}>} items - ID 오름차순 목록
+ * @param {{cursor: number|null, sort: string, limit: number}} page
+ * @returns {{items: Array, nextCursor: number|null, hasNext: boolean}}
+ */
+function paginate(items, { cursor, sort, limit }) {
+  const ordered = sort === 'asc' ? items : [...items].reverse();
+  const remaining =
+    cursor === null
+      ? ordered
+      : ordered.filter(item =>
+          sort === 'asc' ? item.id > cursor : item.id < cursor
+        );
+  const pageItems = remaining.slice(0, limit);
+  const hasNext = remaining.length > limit;
+
+  return {
+    items: pageItems,
+    nextCursor: hasNext ? pageItems[pageItems.length - 1].id : null,
+    hasNext,
+  };
+}
+
+// ==========================================
+// 세션
+// ==========================================
+
+function findSessionUser(data, req) {
+  const token = readCookie(req.headers.cookie, SESSION_COOKIE_NAME);
+  const session = token ? data.sessions[token] : null;
+  return session
+    ? (data.users.find(user => user.id === session.userId) ?? null)
+    : null;
+}
+
+function requireUser(data, req) {
+  const user = findSessionUser(data, req);
+  if (!user) {
+    throw new MockApiError('unauthorized', { status: 401 });
+  }
+  return user;
+}
+
+function setSessionCookie(req, res, token) {
+  res.cookie(SESSION_COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/',
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE_NAME, { path: '/' });
+}
+
+// ==========================================
+// 응답 변환
+// ==========================================
+
+function toImageUrls(data, imageId) {
+  const image = data.images.find(item => item.id === imageId);
+  return image ? { jpgUrl: image.url, webpUrl: image.url } : null;
+}
+
+function toImage(image) {
+  return {
+    imageId: image.id,
+    imageUrl: image.url,
+    imageUrls: { jpgUrl: image.url, webpUrl: image.url },
+    imageType: image.imageType,
+    aiGenerated: image.aiGenerated,
+  };
+}
+
+function toUser(data, user) {
+  return {
+    userId: user.id,
+    email: user.email,
+    nickname: user.nickname,
+    profileImageId: user.profileImageId,
+    profileImageUrls: toImageUrls(data, user.profileImageId),
+  };
+}
+
+function toAuthor(data, userId) {
+  const user = data.users.find(item => item.id === userId);
+  return {
+    userId,
+    nickname: user?.nickname ?? '알 수 없음',
+    profileImageUrls: user ? toImageUrls(data, user.profileImageId) : null,
+  };
+}
+
+function toPostSummary(data, post, viewer) {
+  const likes = data.likes.filter(like => like.postId === post.id);
+  return {
+    postId: post.id,
+    title: post.title,
+    content: post.content,
+    createdAt: post.createdAt,
+    updatedAt: post.updatedAt,
+    viewCount: post.viewCount,
+    likeCount: likes.length,
+    commentCount: data.comments.filter(
+      comment => comment.postId === post.id && !comment.isDeleted
+    ).length,
+    isLiked: Boolean(viewer && likes.some(like => like.userId === viewer.id)),
+    thumbnailUrls: toImageUrls(data, post.primaryImageId ?? post.imageIds[0]),
+    author: toAuthor(data, post.userId),
+  };
+}
+
+function toPostDetail(data, post, viewer) {
+  const images = post.imageIds
+    .map((imageId, position) => ({
+      imageId,
+      position,
+      imageUrls: toImageUrls(data, imageId),
+    }))
+    .filter(image => image.imageUrls);
+
+  return {
+    ...toPostSummary(data, post, viewer),
+    id: post.id,
+    images,
+    contentImageUrls: images.map(image => image.imageUrls.jpgUrl),
+    isAuthor: Boolean(viewer && viewer.id === post.userId),
+  };
+}
+
+function toComment(data, comment, viewer) {
+  return {
+    commentId: comment.id,
+    id: comment.id,
+    content: comment.isDeleted ? '' : comment.content,
+    createdAt: comment.createdAt,
+    isDeleted: comment.isDeleted,
+    isAuthor: Boolean(viewer && viewer.id === comment.userId),
+    author: toAuthor(data, comment.userId),
+  };
+}
+
+function toLikeStatus(data, postId, viewer) {
+  const likes = data.likes.filter(like => like.postId === postId);
+  return {
+    postId,
+    isLiked: likes.some(like => like.userId === viewer.id),
+    likeCount: likes.length,
+  };
+}
+
+// ==========================================
+// 조회 헬퍼
+// ==========================================
+
+function findPost(data, postId) {
+  const post = data.posts.find(item => item.id === postId);
+  if (!post) {
+    throw new MockApiError('post_not_found', { status: 404 });
+  }
+  return post;
+}
+
+function findOwnPost(data, postId, user) {
+  const post = findPost(data, postId);
+  if (post.userId !== user.id) {
+    throw new MockApiError('forbidden', { status: 403 });
+  }
+  return post;
+}
+
+/**
+ * 게시글에 첨부할 이미지 ID 확인 (본인이 저장한 이미지만 허용)
+ */
+function checkImageIds(data, imageIds, user) {
+  if (imageIds === undefined) return null;
+  if (!Array.isArray(imageIds)) return 'imageIds는 배열이어야 합니다.';
+  const owned = imageIds.every(imageId =>
+    data.images.some(image => image.id === imageId && image.userId === user.id)
+  );
+  return owned ? null : '첨부할 수 없는 이미지가 포함되어 있습니다.';
+}
+
+function isTaken(data, field, value, exceptUserId = null) {
+  return data.users.some(
+    user => user[field] === value && user.id !== exceptUserId
+  );
+}
+
+/**
+ * 게시글과 딸린 댓글/좋아요 삭제
+ */
+function removePost(data, postId) {
+  data.posts = data.posts.filter(post => post.id !== postId);
+  data.comments = data.comments.filter(comment => comment.postId !== postId);
+  data.likes = data.likes.filter(like => like.postId !== postId);
+}
+
+// ==========================================
+// 인증
+// ==========================================
+
+/**
+ * POST /auth/login
+ * 이메일/비밀번호 확인 후 세션 쿠키 발급 (실패 시 401 invalid_credentials)
+ */
+router.post(
+  '/auth/login',
+  jsonBody,
+  handle(async (req, res) => {
+    const { email, password } = req.body ?? {};
+    const store = getMockStore();
+    const data = await store.read();
+    const user = data.users.find(item => item.email === email);
+
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      throw new MockApiError('invalid_credentials', { status: 401 });
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    await store.update(current => {
+      current.sessions[token] = {
+        userId: user.id,
+        createdAt: new Date().toISOString(),
+      };
+    });
+
+    setSessionCookie(req, res, token);
+    sendData(res, 200, 'login_success', toUser(data, user));
+  })
+);
+
+/**
+ * POST /auth/logout
+ */
+router.post(
+  '/auth/logout',
+  handle(async (req, res) => {
+    const token = readCookie(req.headers.cookie, SESSION_COOKIE_NAME);
+    if (token) {
+      await getMockStore().update(current => {
+        delete current.sessions[token];
+      });
+    }
+    clearSessionCookie(res);
+    sendData(res, 200, 'logout_success');
+  })
+);
+
+// ==========================================
+// 사용자
+// ==========================================
+
+/**
+ * POST /users (회원가입, 로그인은 따로 요청)
+ * 프로필 이미지는 로그인 후 PATCH /users/me로 설정합니다. (profileImageId 무시)
+ * 중복 시 409 email_already_exists / nickname_already_exists
+ */
+router.post(
+  '/users',
+  jsonBody,
+  handle(async (req, res) => {
+    const { email, nickname, password } = req.body ?? {};
+    assertValid({
+      email: checkEmail(email),
+      nickname: checkNickname(nickname),
+      password: checkPassword(password),
+    });
+
+    const store = getMockStore();
+    const userId = await store.update(current => {
+      if (isTaken(current, 'email', email)) {
+        throw new MockApiError('email_already_exists', { status: 409 });
+      }
+      if (isTaken(current, 'nickname', nickname)) {
+        throw new MockApiError('nickname_already_exists', { status: 409 });
+      }
+
+      const id = store.nextId(current, 'user');
+      current.users.push({
+        id,
+        email,
+        nickname,
+        passwordHash: hashPassword(password),
+        profileImageId: null,
+        createdAt: new Date().toISOString(),
+      });
+      return id;
+    });
+
+    sendData(res, 201, 'signup_success', { userId });
+  })
+);
+
+/**
+ * GET /users/check-email?email=
+ */
+router.get(
+  '/users/check-email',
+  handle(async (req, res) => {
+    const { email } = req.query;
+    assertValid({ email: checkEmail(email) });
+    const data = await getMockStore().read();
+    sendData(res, 200, 'email_checked', {
+      available: !isTaken(data, 'email', email),
+    });
+  })
+);
+
+/**
+ * GET /users/check-nickname?nickname=
+ * 로그인한 경우 본인 닉네임은 사용 가능으로 응답
+ */
+router.get(
+  '/users/check-nickname',
+  handle(async (req, res) => {
+    const { nickname } = req.query;
+    assertValid({ nickname: checkNickname(nickname) });
+    const data = await getMockStore().read();
+    const viewer = findSessionUser(data, req);
+    sendData(res, 200, 'nickname_checked', {
+      available: !isTaken(data, 'nickname', nickname, viewer?.id),
+    });
+  })
+);
+
+router.get(
+  '/users/me',
+  handle(async (req, res) => {
+    const data = await getMockStore().read();
+    sendData(res, 200, 'user_fetched', toUser(data, requireUser(data, req)));
+  })
+);
+
+/**
+ * PATCH /users/me (닉네임, 프로필 이미지)
+ */
+router.patch(
+  '/users/me',
+  jsonBody,
+  handle(async (req, res) => {
+    const { nickname, profileImageId } = req.body ?? {};
+    const store = getMockStore();
+    const updated = await store.update(current => {
+      const user = requireUser(current, req);
+      assertValid({
+        nickname: nickname === undefined ? null : checkNickname(nickname),
+        profileImageId:
+          profileImageId === undefined || profileImageId === null
+            ? null
+            : checkImageIds(current, [profileImageId], user),
+      });
+      if (
+        nickname !== undefined &&
+        isTaken(current, 'nickname', nickname, user.id)
+      ) {
+        throw new MockApiError('nickname_already_exists', {
+          status: 409,
+          errors: { nickname: '이미 사용 중인 닉네임입니다.' },
+        });
+      }
+
+      if (nickname !== undefined) user.nickname = nickname;
+      if (profileImageId !== undefined) user.profileImageId = profileImageId;
+      return toUser(current, user);
+    });
+    sendData(res, 200, 'user_updated', updated);
+  })
+);
+
+/**
+ * PATCH /users/me/password
+ * 현재 비밀번호가 다르면 400 invalid_password
+ */
+router.patch(
+  '/users/me/password',
+  jsonBody,
+  handle(async (req, res) => {
+    const { currentPassword, newPassword } = req.body ?? {};
+    await getMockStore().update(current => {
+      const user = requireUser(current, req);
+      if (!verifyPassword(currentPassword, user.passwordHash)) {
+        throw new MockApiError('invalid_password', {
+          status: 400,
+          errors: { currentPassword: '현재 비밀번호가 일치하지 않습니다.' },
+        });
+      }
+      assertValid({ newPassword: checkPassword(newPassword) });
+      user.passwordHash = hashPassword(newPassword);
+    });
+    sendData(res, 200, 'password_changed');
+  })
+);
+
+router.post(
+  '/users/me/verify-password',
+  jsonBody,
+  handle(async (req, res) => {
+    const data = await getMockStore().read();
+    const user = requireUser(data, req);
+    sendData(res, 200, 'password_verified', {
+      valid: verifyPassword(req.body?.password, user.passwordHash),
+    });
+  })
+);
+
+router.delete(
+  '/users/me/profile-image',
+  handle(async (req, res) => {
+    await getMockStore().update(current => {
+      requireUser(current, req).profileImageId = null;
+    });
+    sendData(res, 200, 'profile_image_deleted');
+  })
+);
+
+/**
+ * DELETE /users/me (회원 탈퇴, 작성한 게시글/댓글/좋아요/이미지/세션 함께 삭제)
+ */
+router.delete(
+  '/users/me',
+  handle(async (req, res) => {
+    await getMockStore().update(current => {
+      const user = requireUser(current, req);
+      current.posts
+        .filter(post => post.userId === user.id)
+        .forEach(post => removePost(current, post.id));
+      current.comments = current.comments.filter(
+        comment => comment.userId !== user.id
+      );
+      current.likes = current.likes.filter(like => like.userId !== user.id);
+      current.images = current.images.filter(image => image.userId !== user.id);
+      current.users = current.users.filter(item => item.id !== user.id);
+      Object.keys(current.sessions).forEach(token => {
+        if (current.sessions[token].userId === user.id) {
+          delete current.sessions[token];
+        }
+      });
+    });
+    clearSessionCookie(res);
+    sendData(res, 200, 'user_deleted');
+  })
+);
+
+// ==========================================
+// 게시글
+// ==========================================
+
+/**
+ * GET /posts?cursor=&sort=&limit= (비로그인 조회 가능)
+ * 응답: { posts, count, nextCursor, hasNext }
+ */
+router.get(
+  '/posts',
+  handle(async (req, res) => {
+    const page = parsePageQuery(req.query, 10);
+    const data = await getMockStore().read();
+    const viewer = findSessionUser(data, req);
+    const { items, nextCursor, hasNext } = paginate(data.posts, page);
+
+    sendData(res, 200, 'posts_fetched', {
+      posts: items.map(post => toPostSummary(data, post, viewer)),
+      count: data.posts.length,
+      nextCursor,
+      hasNext,
+    });
+  })
+);
+
+router.get(
+  '/posts/me',
+  handle(async (req, res) => {
+    const page = parsePageQuery(req.query, 20);
+    const data = await getMockStore().read();
+    const user = requireUser(data, req);
+    const myPosts = data.posts.filter(post => post.userId === user.id);
+    const { items, nextCursor, hasNext } = paginate(myPosts, page);
+
+    sendData(res, 200, 'posts_fetched', {
+      posts: items.map(post => toPostSummary(data, post, user)),
+      count: myPosts.length,
+      nextCursor,
+      hasNext,
+    });
+  })
+);
+
+/**
+ * POST /posts { title, content, imageIds, primaryImageId }
+ * 응답: { postId } (201)
+ */
+router.post(
+  '/posts',
+  jsonBody,
+  handle(async (req, res) => {
+    const { title, content, imageIds = [], primaryImageId } = req.body ?? {};
+    const store = getMockStore();
+    const postId = await store.update(current => {
+      const user = requireUser(current, req);
+      assertValid({
+        title: checkLength(title, TITLE_LENGTH, '제목'),
+        content: checkLength(content, CONTENT_LENGTH, '본문'),
+        imageIds: checkImageIds(current, imageIds, user),
+      });
+
+      const id = store.nextId(current, 'post');
+      const now = new Date().toISOString();
+      current.posts.push({
+        id,
+        userId: user.id,
+        title: title.trim(),
+        content: content.trim(),
+        imageIds,
+        primaryImageId: imageIds.includes(primaryImageId)
+          ? primaryImageId
+          : null,
+        viewCount: 0,
+        createdAt: now,
+        updatedAt: now,
+      });
+      return id;
+    });
+    sendData(res, 201, 'post_created', { postId });
+  })
+);
+
+/**
+ * GET /posts/:id?increaseView (조회수 1 증가, increaseView=false면 증가하지 않음)
+ */
+router.get(
+  '/posts/:id',
+  handle(async (req, res) => {
+    const postId = parseId(req.params.id, 'post_not_found');
+    const detail = await getMockStore().update(current => {
+      const post = findPost(current, postId);
+      if (req.query.increaseView !== 'false') {
+        post.viewCount += 1;
+      }
+      return toPostDetail(current, post, findSessionUser(current, req));
+    });
+    sendData(res, 200, 'post_fetched', detail);
+  })
+);
+
+/**
+ * PATCH /posts/:id { title?, content?, imageIds? } (작성자만)
+ */
+router.patch(
+  '/posts/:id',
+  jsonBody,
+  handle(async (req, res) => {
+    const postId = parseId(req.params.id, 'post_not_found');
+    const { title, content, imageIds } = req.body ?? {};
+    await getMockStore().update(current => {
+      const user = requireUser(current, req);
+      const post = findOwnPost(current, postId, user);
+      assertValid({
+        title:
+          title === undefined ? null : checkLength(title, TITLE_LENGTH, '제목'),
+        content:
+          content === undefined
+            ? null
+            : checkLength(content, CONTENT_LENGTH, '본문'),
+        imageIds: checkImageIds(current, imageIds, user),
+      });
+
+      if (title !== undefined) post.title = title.trim();
+      if (content !== undefined) post.content = content.trim();
+      if (imageIds !== undefined) {
+        post.imageIds = imageIds;
+        if (!imageIds.includes(post.primaryImageId)) post.primaryImageId = null;
+      }
+      post.updatedAt = new Date().toISOString();
+    });
+    sendData(res, 200, 'post_updated', { postId });
+  })
+);
+
+router.delete(
+  '/posts/:id',
+  handle(async (req, res) => {
+    const postId = parseId(req.params.id, 'post_not_found');
+    await getMockStore().update(current => {
+      findOwnPost(current, postId, requireUser(current, req));
+      removePost(current, postId);
+    });
+    sendData(res, 200, 'post_deleted');
+  })
+);
+
+// ==========================================
+// 좋아요
+// ==========================================
+
+/**
+ * POST/DELETE /posts/:id/likes
+ * 응답: { postId, isLiked, likeCount } (이미 같은 상태여도 성공)
+ */
+router.post(
+  '/posts/:id/likes',
+  handle(async (req, res) => {
+    const postId = parseId(req.params.id, 'post_not_found');
+    const status = await getMockStore().update(current => {
+      const user = requireUser(current, req);
+      findPost(current, postId);
+      const liked = current.likes.some(
+        like => like.postId === postId && like.userId === user.id
+      );
+      if (!liked) current.likes.push({ postId, userId: user.id });
+      return toLikeStatus(current, postId, user);
+    });
+    sendData(res, 200, 'like_added', status);
+  })
+);
+
+router.delete(
+  '/posts/:id/likes',
+  handle(async (req, res) => {
+    const postId = parseId(req.params.id, 'post_not_found');
+    const status = await getMockStore().update(current => {
+      const user = requireUser(current, req);
+      findPost(current, postId);
+      current.likes = current.likes.filter(
+        like => !(like.postId === postId && like.userId === user.id)
+      );
+      return toLikeStatus(current, postId, user);
+    });
+    sendData(res, 200, 'like_removed', status);
+  })
+);
+
+// ==========================================
+// 댓글
+// ==========================================
+
+/**
+ * GET /posts/:id/comments?cursor=&sort=&limit=
+ * 응답: { comments, count(삭제되지 않은 댓글 수), nextCursor, hasNext }
+ */
+router.get(
+  '/posts/:id/comments',
+  handle(async (req, res) => {
+    const postId = parseId(req.params.id, 'post_not_found');
+    const page = parsePageQuery(req.query, 10);
+    const data = await getMockStore().read();
+    findPost(data, postId);
+    const viewer = findSessionUser(data, req);
+    const comments = data.comments.filter(comment => comment.postId === postId);
+    const { items, nextCursor, hasNext } = paginate(comments, page);
+
+    sendData(res, 200, 'comments_fetched', {
+      comments: items.map(comment => toComment(data, comment, viewer)),
+      count: comments.filter(comment => !comment.isDeleted).length,
+      nextCursor,
+      hasNext,
+    });
+  })
+);
+
+/**
+ * POST /posts/:id/comments { contents }
+ */
+router.post(
+  '/posts/:id/comments',
+  jsonBody,
+  handle(async (req, res) => {
+    const postId = parseId(req.params.id, 'post_not_found');
+    const { contents } = req.body ?? {};
+    const store = getMockStore();
+    const comment = await store.update(current => {
+      const user = requireUser(current, req);
+      findPost(current, postId);
+      assertValid({
+        contents: checkLength(
+          contents,
+          { min: 1, max: COMMENT_MAX_LENGTH },
+          '댓글'
+        ),
+      });
+
+      const created = {
+        id: store.nextId(current, 'comment'),
+        postId,
+        userId: user.id,
+        content: contents.trim(),
+        isDeleted: false,
+        createdAt: new Date().toISOString(),
+      };
+      current.comments.push(created);
+      return toComment(current, created, user);
+    });
+    sendData(res, 201, 'comment_created', comment);
+  })
+);
+
+/**
+ * DELETE /comments/:id (작성자만, 목록에는 삭제된 댓글로 남음)
+ */
+router.delete(
+  '/comments/:id',
+  handle(async (req, res) => {
+    const commentId = parseId(req.params.id, 'comment_not_found');
+    await getMockStore().update(current => {
+      const user = requireUser(current, req);
+      const comment = current.comments.find(item => item.id === commentId);
+      if (!comment || comment.isDeleted) {
+        throw new MockApiError('comment_not_found', { status: 404 });
+      }
+      if (comment.userId !== user.id) {
+        throw new MockApiError('forbidden', { status: 403 });
+      }
+      comment.isDeleted = true;
+    });
+    sendData(res, 200, 'comment_deleted');
+  })
+);
+
+// ==========================================
+// 이미지
+// ==========================================
+
+/**
+ * POST /images/upload { file: Base64, extension, imageType }
+ * 이미지 업로드 API(Lambda) 대체. Lambda와 같은 형식으로 응답합니다. (공통 응답 형식 아님)
+ * 응답: { storedFilename, s3Path, originalExtension, imageType }
+ */
+router.post(
+  '/images/upload',
+  uploadBody,
+  handle(async (req, res) => {
+    const { file, imageType } = req.body ?? {};
+    const extension = String(req.body?.extension ?? '').toLowerCase();
+    assertValid({
+      file:
+        typeof file === 'string' && file ? null : '업로드할 파일이 없습니다.',
+      extension: UPLOAD_EXTENSIONS.includes(extension)
+        ? null
+        : '지원하지 않는 이미지 형식입니다.',
+      imageType: IMAGE_TYPES.includes(imageType)
+        ? null
+        : '유효한 이미지 타입이 아닙니다.',
+    });
+
+    const storedFilename = `${crypto.randomUUID()}.${extension}`;
+    await fs.mkdir(UPLOAD_DIR, { recursive: true });
+    await fs.writeFile(
+      path.join(UPLOAD_DIR, storedFilename),
+      Buffer.from(file, 'base64')
+    );
+
+    res.status(201).json({
+      storedFilename,
+      s3Path: `/api/images/files/${storedFilename}`,
+      originalExtension: extension,
+      imageType,
+    });
+  })
+);
+
+router.get('/images/files/:name', (req, res) => {
+  const { name } = req.params;
+  if (!UPLOAD_FILENAME_REGEX.test(name)) {
+    return sendError(res, new MockApiError('image_not_found', { status: 404 }));
+  }
+  res.sendFile(name, { root: UPLOAD_DIR, maxAge: '1d' }, err => {
+    if (err && !res.headersSent) {
+      sendError(res, new MockApiError('image_not_found', { status: 404 }));
+    }
+  });
+});
+
+/**
+ * POST /images/metadata { storedFilename, s3Path, originalExtension, imageType, aiGenerated? }
+ * 응답: { imageId, imageUrl, imageUrls }
+ */
+router.post(
+  '/images/metadata',
+  jsonBody,
+  handle(async (req, res) => {
+    const { storedFilename, s3Path, imageType, aiGenerated } = req.body ?? {};
+    const store = getMockStore();
+    const image = await store.update(current => {
+      const user = requireUser(current, req);
+      assertValid({
+        storedFilename:
+          typeof storedFilename === 'string' && storedFilename
+            ? null
+            : '이미지 메타데이터가 필요합니다.',
+        imageType: IMAGE_TYPES.includes(imageType)
+          ? null
+          : '유효한 이미지 타입이 아닙니다.',
+      });
+
+      // 로컬 업로드 경로/URL이 아니면 로컬 파일 경로로 간주
+      const url =
+        typeof s3Path === 'string' && /^(https?:\/\/|\/)/.test(s3Path)
+          ? s3Path
+          : `/api/images/files/${storedFilename}`;
+      const created = {
+        id: store.nextId(current, 'image'),
+        userId: user.id,
+        storedFilename,
+        url,
+        imageType,
+        aiGenerated: aiGenerated === true,
+        createdAt: new Date().toISOString(),
+      };
+      current.images.push(created);
+      return created;
+    });
+    sendData(res, 201, 'image_saved', toImage(image));
+  })
+);
+
+router.get(
+  '/images/:id',
+  handle(async (req, res) => {
+    const imageId = parseId(req.params.id, 'image_not_found');
+    const data = await getMockStore().read();
+    requireUser(data, req);
+    const image = data.images.find(item => item.id === imageId);
+    if (!image) {
+      throw new MockApiError('image_not_found', { status: 404 });
+    }
+    sendData(res, 200, 'image_fetched', toImage(image));
+  })
+);
+
+/**
+ * DELETE /images/:id (본인 이미지만, 게시글/프로필에서도 제거)
+ */
+router.delete(
+  '/images/:id',
+  handle(async (req, res) => {
+    const imageId = parseId(req.params.id, 'image_not_found');
+    await getMockStore().update(current => {
+      const user = requireUser(current, req);
+      const image = current.images.find(item => item.id === imageId);
+      if (!image) {
+        throw new MockApiError('image_not_found', { status: 404 });
+      }
+      if (image.userId !== user.id) {
+        throw new MockApiError('forbidden', { status: 403 });
+      }
+
+      current.images = current.images.filter(item => item.id !== imageId);
+      current.posts.forEach(post => {
+        post.imageIds = post.imageIds.filter(id => id !== imageId);
+        if (post.primaryImageId === imageId) post.primaryImageId = null;
+      });
+      if (user.profileImageId === imageId) user.profileImageId = null;
+    });
+    sendData(res, 200, 'image_deleted');
+  })
+);
+
+// ==========================================
+// 피드백 / AI 생성 횟수
+// ==========================================
+
+/**
+ * POST /feedback { content, appVersion, platform, createdAt } (비로그인 가능)
+ */
+router.post(
+  '/feedback',
+  jsonBody,
+  handle(async (req, res) => {
+    const { content, appVersion = null, platform = null } = req.body ?? {};
+    const store = getMockStore();
+    const feedbackId = await store.update(current => {
+      assertValid({
+        content: checkLength(
+          content,
+          { min: 1, max: FEEDBACK_MAX_LENGTH },
+          '내용'
+        ),
+      });
+
+      const id = store.nextId(current, 'feedback');
+      current.feedback.push({
+        id,
+        userId: findSessionUser(current, req)?.id ?? null,
+        content: content.trim(),
+        appVersion,
+        platform,
+        createdAt: new Date().toISOString(),
+      });
+      return id;
+    });
+    sendData(res, 201, 'feedback_created', { feedbackId });
+  })
+);
+
+/**
+ * GET /ai-generations/remaining
+ * AI 프록시 쿼터(lib/ai/quota)와 같은 값: { remaining, limit, used, resetAt }
+ */
+router.get(
+  '/ai-generations/remaining',
+  handle(async (req, res) => {
+    const user = requireUser(await getMockStore().read(), req);
+    const status = await getQuotaService().getStatus(toUserSubject(user.id));
+    sendData(res, 200, 'ai_generation_remaining', status);
+  })
+);
+
+// 요청 본문 오류 (JSON 용량 초과/파싱 실패)
+router.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res
+      .status(413)
+      .json({ message: 'payload_too_large', data: null, errors: null });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res
+      .status(400)
+      .json({ message: 'invalid_request', data: null, errors: null });
+  }
+  next(err);
+});
+
+module.exports = router;